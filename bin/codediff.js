@@ -0,0 +1,378 @@
+#!/usr/bin/env node
+/**
+ * Codediff — command line
+ *
+ *   codediff [options] <left> <right>
+ *
+ * Diffs two files with the engine the web page runs, so scripts and CI
+ * logs get the same hunks, moves and ignore rules. Output is a colored
+ * terminal view (default), a unified patch, a standalone HTML report or
+ * the hunks as JSON. Exit status follows diff(1): 0 when the files are
+ * identical, 1 when they differ, 2 on trouble.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const DiffEngine = require('../js/diff-engine.js');
+const DiffCore = require('../js/diff-core.js');
+const FormatEngine = require('../js/format-engine.js');
+const SyntaxHighlight = require('../js/syntax-highlight.js');
+const HtmlReport = require('../js/html-report.js');
+const { version } = require('../package.json');
+
+// ───────────────────────────────────────────────────────────
+//  CONSTANTS
+// ───────────────────────────────────────────────────────────
+const EXIT_SAME = 0;
+const EXIT_DIFFERENT = 1;
+const EXIT_TROUBLE = 2;
+
+const OUTPUTS = ['terminal', 'unified', 'html', 'json'];
+const FORMATS = ['auto', 'text', 'json', 'yaml', 'xml', 'toml'];
+const DEFAULT_CONTEXT = 3;
+
+const ANSI = {
+    reset: '\x1b[0m', bold: '\x1b[1m', dim: '\x1b[2m', inverse: '\x1b[7m',
+    red: '\x1b[31m', green: '\x1b[32m', magenta: '\x1b[35m', cyan: '\x1b[36m'
+};
+
+// Flags: long name → { short, key, value } — `value` names the argument
+// a flag takes; `list` ones may repeat
+const FLAGS = {
+    'ignore-whitespace': { short: 'w', key: 'ignoreWhitespace' },
+    'ignore-trailing-space': { short: 'Z', key: 'ignoreTrailingWhitespace' },
+    'ignore-case': { short: 'i', key: 'ignoreCase' },
+    'ignore-blank-lines': { short: 'B', key: 'ignoreBlankLines' },
+    'strip-trailing-cr': { key: 'ignoreLineEndings' },
+    'mask': { key: 'masks', value: 'REGEX', list: true },
+    'json': { key: 'json' },
+    'format': { key: 'format', value: 'FORMAT' },
+    'sort-keys': { key: 'sortKeys' },
+    'algorithm': { short: 'a', key: 'algorithm', value: 'NAME' },
+    'no-moves': { key: 'noMoves' },
+    'context': { short: 'U', key: 'context', value: 'NUM' },
+    'output': { short: 'o', key: 'output', value: 'FORMAT' },
+    'unified': { short: 'u', key: 'unified' },
+    'color': { key: 'color', value: 'WHEN' },
+    'granularity': { key: 'granularity', value: 'UNIT' },
+    'view': { key: 'view', value: 'MODE' },
+    'theme': { key: 'theme', value: 'THEME' },
+    'language': { key: 'language', value: 'LANG' },
+    'show-invisibles': { key: 'showInvisibles' },
+    'brief': { short: 'q', key: 'brief' },
+    'help': { short: 'h', key: 'help' },
+    'version': { short: 'v', key: 'version' }
+};
+
+const HELP = `Usage: codediff [options] <left> <right>
+
+Compare two files (or '-' for standard input) with the Codediff engine.
+
+Ignore rules:
+  -w, --ignore-whitespace      ignore whitespace at line ends and in runs
+  -Z, --ignore-trailing-space  ignore whitespace at line ends only
+  -i, --ignore-case            compare letters regardless of case
+  -B, --ignore-blank-lines     added or removed blank lines don't count
+      --strip-trailing-cr      CRLF equals LF; a missing final newline doesn't count
+      --mask REGEX             text matching REGEX compares equal (repeatable)
+
+Comparison:
+      --json                   compare as JSON (same as --format json)
+      --format FORMAT          normalize first: ${FORMATS.join(', ')} (from the extension)
+      --sort-keys              sort object / table keys when normalizing
+  -a, --algorithm NAME         ${DiffCore.algorithms.join(', ')} (default myers)
+      --no-moves               don't detect moved blocks
+
+Output:
+  -o, --output FORMAT          ${OUTPUTS.join(', ')} (default terminal)
+  -u, --unified                same as --output unified
+  -U, --context NUM            unchanged lines around each change (default ${DEFAULT_CONTEXT})
+  -q, --brief                  only report whether the files differ
+      --color WHEN             auto, always or never (terminal output; default auto)
+      --granularity UNIT       intraline highlights: ${DiffCore.granularities.join(', ')} (default word)
+      --view MODE              html: sidebyside or inline (default sidebyside)
+      --theme THEME            html: ${HtmlReport.themes.join(' or ')} (default light)
+      --language LANG          html: syntax highlighting (default from the file name; 'text' turns it off)
+      --show-invisibles        html: mark tabs, spaces, zero-width characters and line ends
+
+  -h, --help                   show this help
+  -v, --version                show the version
+
+Exit status: 0 if the inputs are the same, 1 if different, 2 if trouble.
+`;
+
+class UsageError extends Error { }
+
+// ───────────────────────────────────────────────────────────
+//  ARGUMENTS
+//  --flag, --flag=value, --flag value, -x value and bundled -wiB
+// ───────────────────────────────────────────────────────────
+const SHORT = Object.fromEntries(Object.entries(FLAGS).filter(([, f]) => f.short).map(([name, f]) => [f.short, name]));
+
+function parseArgs(argv) {
+    const opts = { masks: [] };
+    const files = [];
+
+    const set = (name, inline, rest) => {
+        const flag = FLAGS[name];
+        if (!flag) throw new UsageError(`unknown option '${name.length === 1 ? '-' : '--'}${name}'`);
+        if (!flag.value) {
+            if (inline !== undefined) throw new UsageError(`option '--${name}' takes no value`);
+            opts[flag.key] = true;
+            return;
+        }
+        const value = inline !== undefined ? inline : rest.shift();
+        if (value === undefined) throw new UsageError(`option '--${name}' needs ${flag.value}`);
+        if (flag.list) opts[flag.key].push(value);
+        else opts[flag.key] = value;
+    };
+
+    const rest = argv.slice();
+    while (rest.length > 0) {
+        const arg = rest.shift();
+        if (arg === '--') { files.push(...rest.splice(0)); break; }
+        if (arg.startsWith('--')) {
+            const eq = arg.indexOf('=');
+            set(eq < 0 ? arg.slice(2) : arg.slice(2, eq), eq < 0 ? undefined : arg.slice(eq + 1), rest);
+        } else if (arg.length > 1 && arg.startsWith('-')) {
+            // -U5 and -wiB: a short flag with a value takes the rest of the argument
+            for (let i = 1; i < arg.length; i++) {
+                const name = SHORT[arg[i]] || arg[i];
+                if (FLAGS[name] && FLAGS[name].value && i + 1 < arg.length) { set(name, arg.slice(i + 1), rest); break; }
+                set(name, undefined, rest);
+            }
+        } else {
+            files.push(arg);
+        }
+    }
+    return { opts, files };
+}
+
+function checkOptions(opts, files) {
+    if (files.length !== 2) throw new UsageError(files.length < 2 ? 'missing file operand' : `extra operand '${files[2]}'`);
+    if (files[0] === '-' && files[1] === '-') throw new UsageError('only one side can be standard input');
+    if (opts.unified) opts.output = 'unified';
+    opts.output = opts.output || 'terminal';
+    if (!OUTPUTS.includes(opts.output)) throw new UsageError(`invalid output '${opts.output}' — use ${OUTPUTS.join(', ')}`);
+    if (opts.json) opts.format = 'json';
+    opts.format = opts.format || 'auto';
+    if (!FORMATS.includes(opts.format)) throw new UsageError(`invalid format '${opts.format}' — use ${FORMATS.join(', ')}`);
+    if (opts.algorithm && !DiffCore.algorithms.includes(opts.algorithm)) {
+        throw new UsageError(`invalid algorithm '${opts.algorithm}' — use ${DiffCore.algorithms.join(', ')}`);
+    }
+    if (opts.granularity && !DiffCore.granularities.includes(opts.granularity)) {
+        throw new UsageError(`invalid granularity '${opts.granularity}' — use ${DiffCore.granularities.join(', ')}`);
+    }
+    if (opts.context !== undefined) {
+        if (!/^\d+$/.test(opts.context)) throw new UsageError(`invalid context length '${opts.context}'`);
+        opts.context = Number(opts.context);
+    } else {
+        opts.context = DEFAULT_CONTEXT;
+    }
+    opts.color = opts.color || 'auto';
+    if (!['auto', 'always', 'never'].includes(opts.color)) throw new UsageError(`invalid color '${opts.color}' — use auto, always or never`);
+    opts.view = opts.view || 'sidebyside';
+    if (!['sidebyside', 'inline'].includes(opts.view)) throw new UsageError(`invalid view '${opts.view}' — use sidebyside or inline`);
+    opts.theme = opts.theme || 'light';
+    if (!HtmlReport.themes.includes(opts.theme)) throw new UsageError(`invalid theme '${opts.theme}' — use ${HtmlReport.themes.join(' or ')}`);
+    if (opts.language && opts.language !== 'text' && !SyntaxHighlight.languages.includes(opts.language)) {
+        throw new UsageError(`unknown language '${opts.language}' — use text, ${SyntaxHighlight.languages.join(', ')}`);
+    }
+}
+
+// ───────────────────────────────────────────────────────────
+//  TERMINAL OUTPUT
+//  The inline view as text: `@@` headers like a unified diff, then each
+//  hunk as the page shows it — a changed line as its - / + pair with
+//  the changed words in reverse video, moved lines in magenta and
+//  blank-line changes the ignore rules hide dimmed.
+// ───────────────────────────────────────────────────────────
+function isChange(h) {
+    return h.type !== 'equal' && !h.ignored;
+}
+
+// [from, to) hunk ranges around the changes, merged where their context touches
+function changeGroups(hunks, context) {
+    const groups = [];
+    for (let i = 0; i < hunks.length; i++) {
+        if (!isChange(hunks[i])) continue;
+        let last = i;
+        let j = i + 1;
+        while (j < hunks.length && j - last <= 2 * context + 1) {
+            if (isChange(hunks[j])) last = j;
+            j++;
+        }
+        groups.push([Math.max(0, i - context), Math.min(hunks.length, last + context + 1)]);
+        i = last;
+    }
+    return groups;
+}
+
+function renderTerminal(hunks, opts, names) {
+    const paint = (codes, text) => (opts.colored && codes ? codes + text + ANSI.reset : text);
+    const rules = { masks: DiffCore.compileMasks(opts.masks), ignoreCase: !!opts.ignoreCase };
+
+    // Lines on each side before hunk i, for the @@ ranges
+    const lBefore = new Int32Array(hunks.length + 1);
+    const rBefore = new Int32Array(hunks.length + 1);
+    hunks.forEach((h, i) => {
+        lBefore[i + 1] = lBefore[i] + (h.lStart >= 0 ? 1 : 0);
+        rBefore[i + 1] = rBefore[i] + (h.rStart >= 0 ? 1 : 0);
+    });
+    const range = (start, count) => (count === 1 ? `${start}` : `${start},${count}`);
+
+    const moveNote = h => {
+        if (!h.move || !h.move.first) return '';
+        return paint(ANSI.dim, `  (${h.type === 'removed' ? 'moved to line ' : 'moved from line '}${h.move.line + 1})`);
+    };
+    const lineColor = (h, base) => (h.ignored ? ANSI.dim : h.move ? ANSI.magenta : base);
+
+    const out = [paint(ANSI.bold, `--- ${names.left}`), paint(ANSI.bold, `+++ ${names.right}`)];
+    for (const [from, to] of changeGroups(hunks, opts.context)) {
+        const oldCount = lBefore[to] - lBefore[from];
+        const newCount = rBefore[to] - rBefore[from];
+        const oldStart = lBefore[from] + (oldCount > 0 ? 1 : 0);
+        const newStart = rBefore[from] + (newCount > 0 ? 1 : 0);
+        out.push(paint(ANSI.cyan, `@@ -${range(oldStart, oldCount)} +${range(newStart, newCount)} @@`));
+
+        for (let i = from; i < to; i++) {
+            const h = hunks[i];
+            if (h.type === 'equal') {
+                out.push(' ' + h.lLines[0]);
+            } else if (h.type === 'removed') {
+                out.push(paint(lineColor(h, ANSI.red), '-' + h.lLines[0]) + moveNote(h));
+            } else if (h.type === 'added') {
+                out.push(paint(lineColor(h, ANSI.green), '+' + h.rLines[0]) + moveNote(h));
+            } else {
+                const runs = DiffCore.intralineRuns(h.lLines[0], h.rLines[0], opts.granularity, rules);
+                const side = (key, color) => runs.map(run => {
+                    if (!run[key]) return '';
+                    return opts.colored ? (run.equal ? color : color + ANSI.inverse) + run[key] + ANSI.reset : run[key];
+                }).join('');
+                out.push(paint(ANSI.red, '-') + side('left', ANSI.red));
+                out.push(paint(ANSI.green, '+') + side('right', ANSI.green));
+            }
+        }
+    }
+    return out.join('\n') + '\n';
+}
+
+// ───────────────────────────────────────────────────────────
+//  HTML OUTPUT
+// ───────────────────────────────────────────────────────────
+function optionSummary(opts, format) {
+    const ignored = [
+        opts.ignoreWhitespace && 'whitespace',
+        opts.ignoreTrailingWhitespace && 'trailing whitespace',
+        opts.ignoreCase && 'case',
+        opts.ignoreBlankLines && 'blank lines',
+        opts.ignoreLineEndings && 'line endings',
+        ...opts.masks.map(m => `/${m}/`)
+    ].filter(Boolean);
+
+    const summary = {
+        Format: FormatEngine.label(format),
+        Algorithm: (opts.algorithm || 'myers').replace(/^./, c => c.toUpperCase()),
+        View: opts.view === 'inline' ? 'Inline' : 'Side by side',
+        Context: `${opts.context} lines`
+    };
+    if (ignored.length > 0) summary.Ignoring = ignored.join(', ');
+    if (opts.sortKeys) summary['Sorted keys'] = 'yes';
+    if (opts.showInvisibles) summary.Invisibles = 'shown';
+    return summary;
+}
+
+// ───────────────────────────────────────────────────────────
+//  MAIN
+// ───────────────────────────────────────────────────────────
+function readInput(file) {
+    try {
+        return fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+    } catch (err) {
+        throw new Error(`${file}: ${err.code === 'ENOENT' ? 'No such file or directory' : err.message}`);
+    }
+}
+
+function main(argv) {
+    const { opts, files } = parseArgs(argv);
+    if (opts.help) { process.stdout.write(HELP); return EXIT_SAME; }
+    if (opts.version) { process.stdout.write(`codediff ${version}\n`); return EXIT_SAME; }
+    checkOptions(opts, files);
+
+    const [leftFile, rightFile] = files;
+    const leftText = readInput(leftFile);
+    const rightText = readInput(rightFile);
+    const names = { left: leftFile === '-' ? 'stdin' : leftFile, right: rightFile === '-' ? 'stdin' : rightFile };
+
+    // 'auto' goes by the extension, as an uploaded file does on the page;
+    // CSV / TSV have no line normalization and compare as text
+    const detected = opts.format === 'auto'
+        ? FormatEngine.detect(rightFile !== '-' ? rightFile : leftFile)
+        : opts.format;
+    const format = FormatEngine.dataFormats.includes(detected) || detected === 'xml' ? detected : 'text';
+    const result = DiffCore.diff(leftText, rightText, {
+        ignoreWhitespace: opts.ignoreWhitespace,
+        ignoreTrailingWhitespace: opts.ignoreTrailingWhitespace,
+        ignoreCase: opts.ignoreCase,
+        ignoreBlankLines: opts.ignoreBlankLines,
+        ignoreLineEndings: opts.ignoreLineEndings,
+        masks: opts.masks,
+        format,
+        sortKeys: opts.sortKeys,
+        algorithm: opts.algorithm,
+        detectMoves: !opts.noMoves,
+        leftName: names.left,
+        rightName: names.right,
+        contextLines: opts.context
+    });
+    if (result.error) {
+        const file = result.side === 'Left' ? names.left : names.right;
+        throw new Error(result.error.replace(/^\w+ pane/, file));
+    }
+
+    const { hunks, stats, plainText, eol } = result;
+    const identical = !hunks.some(isChange);
+
+    if (opts.brief) {
+        if (!identical) process.stdout.write(`Files ${names.left} and ${names.right} differ\n`);
+    } else if (opts.output === 'unified') {
+        // The patch keeps ignored blank-line changes, so it still applies
+        if (!identical) process.stdout.write(plainText);
+    } else if (opts.output === 'json') {
+        process.stdout.write(JSON.stringify({ left: names.left, right: names.right, identical, stats, hunks }, null, 2) + '\n');
+    } else if (opts.output === 'html') {
+        const language = opts.language || SyntaxHighlight.detect(path.basename(rightFile !== '-' ? rightFile : leftFile));
+        const body = DiffEngine.render(hunks, opts.view, {
+            granularity: opts.granularity,
+            language,
+            masks: opts.masks,
+            ignoreCase: opts.ignoreCase,
+            context: opts.context,
+            expandable: false,
+            showInvisibles: opts.showInvisibles,
+            eol
+        });
+        process.stdout.write(HtmlReport.build({
+            leftName: names.left,
+            rightName: names.right,
+            stats,
+            body,
+            options: optionSummary(opts, format),
+            theme: opts.theme
+        }));
+    } else if (!identical) {
+        opts.colored = opts.color === 'always' || (opts.color === 'auto' && process.stdout.isTTY && !process.env.NO_COLOR);
+        process.stdout.write(renderTerminal(hunks, opts, names));
+    }
+    return identical ? EXIT_SAME : EXIT_DIFFERENT;
+}
+
+try {
+    process.exitCode = main(process.argv.slice(2));
+} catch (err) {
+    process.stderr.write(`codediff: ${err.message}\n`);
+    if (err instanceof UsageError) process.stderr.write(`Try 'codediff --help' for more information.\n`);
+    process.exitCode = EXIT_TROUBLE;
+}
@@ -0,0 +1,1164 @@
+/**
+ * Codediff — Diff Core
+ *
+ * The computation behind DiffEngine, without a DOM or any HTML: hunks,
+ * stats and unified patches. Rendering is js/diff-engine.js's job.
+ * No external libraries. Handles:
+ *  - Line-level diff with Myers' algorithm, or the patience and
+ *    histogram variants git offers, in linear space
+ *  - Moved-block detection (like git's --color-moved)
+ *  - Character / word / token-level runs inside changed lines
+ *  - Unified diff output (git apply / patch compatible)
+ *  - JSON / YAML / XML / TOML normalization (via js/format-engine.js)
+ *  - Ignore rules: whitespace, case, blank lines, line endings, regex masks
+ *
+ * Loads as the `DiffCore` global (page or worker), as a CommonJS module,
+ * or as an ES module through diff-core.mjs (Node and bundlers only: a
+ * browser's native `import` can't load a CommonJS file).
+ */
+
+(function DiffCoreModule() {
+    'use strict';
+
+    // ───────────────────────────────────────────────────────────
+    //  CONSTANTS
+    // ───────────────────────────────────────────────────────────
+    const UNIFIED_CONTEXT = 3;  // default context for unified (patch) output, same as git
+    const PROGRESS_STEP = 4096;  // lines placed between onProgress() calls
+    const HISTOGRAM_MAX_CHAIN = 64;  // same cut-off as git's histogram diff
+    const MOVED_MIN_LINES = 3;  // non-blank lines a block needs to count as moved
+    const MOVED_MAX_CANDIDATES = 64;  // lines inserted more often than this can't start a move
+    const SIMILARITY_THRESHOLD = 0.35;  // lines less alike than this stay a removal + an addition
+    const SIMILARITY_MAX_CELLS = 100000;  // bigger blocks are paired by position instead
+    const INTRALINE_MAX_COST = 64;  // edit distance searched per split inside a changed line
+
+    // ───────────────────────────────────────────────────────────
+    //  DEPENDENCIES
+    //  Globals in the page and the diff worker (`self`, no `window`);
+    //  required modules under Node and bundlers
+    // ───────────────────────────────────────────────────────────
+    const isModule = typeof module === 'object' && module !== null && !!module.exports;
+    const scope = isModule ? null : typeof window !== 'undefined' ? window : self;
+    const FormatEngine = isModule ? require('./format-engine.js') : scope.FormatEngine;
+
+    // ───────────────────────────────────────────────────────────
+    //  UTILITY: Split into lines, preserving empty lines
+    //  A trailing newline terminates the last line rather than starting
+    //  an empty one; endsWithNewline() reports whether it was there.
+    // ───────────────────────────────────────────────────────────
+    function splitLines(text) {
+        if (text === '') return [];  // an empty file has no lines
+        return text.replace(/\n$/, '').split('\n');  // a CRLF line keeps its '\r'
+    }
+
+    function endsWithNewline(text) {
+        return text === '' || text.endsWith('\n');
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  UTILITY: Normalize text for comparison
+    //  Ignore rules turn each line into the key it is compared by:
+    //  { ignoreWhitespace, ignoreTrailingWhitespace, ignoreLineEndings,
+    //  ignoreCase, masks }. `masks` are regex sources — whatever one
+    //  matches compares equal to any other match, and renders dimmed.
+    //  (ignoreBlankLines works on the edit script: see markBlankChanges.)
+    // ───────────────────────────────────────────────────────────
+    const MASK_KEY = '\u0000';  // stands in for a masked match inside a key
+
+    function compileMasks(masks) {
+        return (masks || []).map(source => {
+            try {
+                return new RegExp(source, 'g');
+            } catch (e) {
+                throw new SyntaxError(`Invalid mask /${source}/ — ${e.message}`);
+            }
+        });
+    }
+
+    // Sorted, non-overlapping [start, end) spans matched by any mask
+    function maskRanges(line, masks) {
+        const ranges = [];
+        for (const re of masks) {
+            re.lastIndex = 0;
+            let m;
+            while ((m = re.exec(line)) !== null) {
+                if (m[0] === '') { re.lastIndex++; continue; }
+                ranges.push([m.index, m.index + m[0].length]);
+            }
+        }
+        if (ranges.length < 2) return ranges;
+
+        ranges.sort((x, y) => x[0] - y[0]);
+        const merged = [ranges[0]];
+        for (let i = 1; i < ranges.length; i++) {
+            const last = merged[merged.length - 1];
+            if (ranges[i][0] <= last[1]) last[1] = Math.max(last[1], ranges[i][1]);
+            else merged.push(ranges[i]);
+        }
+        return merged;
+    }
+
+    function compareKeyFn(rules) {
+        const masks = compileMasks(rules.masks);
+        return line => {
+            let key = line;
+            if (masks.length > 0) {
+                let masked = '', at = 0;
+                for (const [start, end] of maskRanges(line, masks)) {
+                    masked += line.slice(at, start) + MASK_KEY;
+                    at = end;
+                }
+                key = masked + line.slice(at);
+            }
+            if (rules.ignoreWhitespace) key = key.replace(/\s+/g, ' ').trim();
+            else if (rules.ignoreTrailingWhitespace) key = key.replace(/\s+$/, '');
+            else if (rules.ignoreLineEndings) key = key.replace(/\r$/, '');
+            if (rules.ignoreCase) key = key.toLowerCase();
+            return key;
+        };
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  LINE DIFF
+    //  Returns per-line hunks (see buildHunks). Options:
+    //  the ignore rules above, ignoreBlankLines, eol: { left, right },
+    //  algorithm, onProgress, detectMoves — where `eol` says whether each
+    //  text ends with a newline.
+    // ───────────────────────────────────────────────────────────
+    function diffLines(left, right, options = {}) {
+        const edits = diffEdits(left, right, options);
+        if (options.ignoreBlankLines) markBlankChanges(edits, left, right);
+        const moves = options.detectMoves ? findMoves(edits, left, right) : null;
+        return buildHunks(edits, left, right, moves);
+    }
+
+    // Flags every deleted or inserted blank line as `ignored`
+    function markBlankChanges(edits, left, right) {
+        for (const e of edits) {
+            if (e.type === 'equal') continue;
+            const line = e.type === 'delete' ? left[e.li] : right[e.ri];
+            if (/^\s*$/.test(line)) e.ignored = true;
+        }
+    }
+
+    // The raw edit script: [{ type: 'equal'|'delete'|'insert', li, ri }]
+    //
+    // Every algorithm works the same way: trim the lines both ends of a
+    // range have in common, then split what is left into smaller ranges
+    // around lines known to match. Ranges wait on an explicit stack, so
+    // long files can't overflow the call stack.
+    //
+    // `onProgress(done, total)` is called now and then with the number of
+    // lines (left + right) already placed in the script. `maxCost` caps the
+    // edit distance each Myers search explores: past it the range is
+    // replaced whole, trading a coarser script for bounded time.
+    function diffEdits(left, right, options = {}) {
+        const { ignoreWhitespace, ignoreLineEndings, eol, onProgress, maxCost } = options;
+        const n = left.length;
+        const m = right.length;
+        if (n + m === 0) return [];
+
+        const keys = new Map();
+        const toId = line => {
+            let id = keys.get(line);
+            if (id === undefined) { id = keys.size; keys.set(line, id); }
+            return id;
+        };
+
+        // Compare small integers instead of strings
+        const a = new Int32Array(n);
+        const b = new Int32Array(m);
+        const key = compareKeyFn(options);
+        for (let i = 0; i < n; i++) a[i] = toId(key(left[i]));
+        for (let i = 0; i < m; i++) b[i] = toId(key(right[i]));
+
+        // A last line without its newline differs from the same text with one
+        // ('\n' can never occur inside a split line, so it is a safe marker)
+        if (eol && !ignoreWhitespace && !ignoreLineEndings) {
+            if (!eol.left && n > 0) a[n - 1] = toId(left[n - 1] + '\n');
+            if (!eol.right && m > 0) b[m - 1] = toId(right[m - 1] + '\n');
+        }
+
+        const edits = [];
+        const total = n + m;
+        let done = 0;
+        let reported = 0;
+
+        const advance = count => {
+            done += count;
+            if (onProgress && done - reported >= PROGRESS_STEP) {
+                reported = done;
+                onProgress(done, total);
+            }
+        };
+        const equal = (x, y, len) => {
+            for (let i = 0; i < len; i++) edits.push({ type: 'equal', li: x + i, ri: y + i });
+            advance(2 * len);
+        };
+        const replace = (x0, x1, y0, y1) => {
+            for (let x = x0; x < x1; x++) edits.push({ type: 'delete', li: x, ri: -1 });
+            for (let y = y0; y < y1; y++) edits.push({ type: 'insert', li: -1, ri: y });
+            advance(x1 - x0 + y1 - y0);
+        };
+
+        // Tasks: { range: [x0, x1, y0, y1], split } or { equal: [x, y, len] }
+        const stack = [{ range: [0, n, 0, m], split: SPLITTERS[options.algorithm] || splitMyers }];
+        while (stack.length > 0) {
+            const task = stack.pop();
+            if (task.equal) { equal(...task.equal); continue; }
+
+            let [x0, x1, y0, y1] = task.range;
+            let len = 0;
+            while (x0 + len < x1 && y0 + len < y1 && a[x0 + len] === b[y0 + len]) len++;
+            equal(x0, y0, len);
+            x0 += len; y0 += len;
+
+            let xs = x1, ys = y1;
+            while (xs > x0 && ys > y0 && a[xs - 1] === b[ys - 1]) { xs--; ys--; }
+            if (xs < x1) stack.push({ equal: [xs, ys, x1 - xs] });
+
+            const parts = (x0 < xs && y0 < ys) ? task.split(a, b, x0, xs, y0, ys, maxCost) : null;
+            if (!parts) { replace(x0, xs, y0, ys); continue; }
+            for (let i = parts.length - 1; i >= 0; i--) stack.push(parts[i]);
+        }
+
+        if (onProgress) onProgress(total, total);
+        return compactEdits(edits, a, b);
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  SPLITTERS
+    //  Each gets a range whose first and last lines differ and returns the
+    //  tasks that replace it, in order — or null when the two sides have
+    //  nothing in common (or, past `limit`, nothing cheap in common).
+    // ───────────────────────────────────────────────────────────
+
+    // Myers: cut at the middle of an optimal path
+    function splitMyers(a, b, x0, x1, y0, y1, limit) {
+        const mid = middleSnake(a, b, x0, x1, y0, y1, limit);
+        if (!mid) return null;
+        return [
+            { range: [x0, mid.x, y0, mid.y], split: splitMyers },
+            { range: [mid.x, x1, mid.y, y1], split: splitMyers }
+        ];
+    }
+
+    // Patience (as `git diff --patience`): anchor on lines that occur exactly
+    // once on each side, keeping the longest run of them that is in the same
+    // order on both; falls back to Myers when there are none.
+    function splitPatience(a, b, x0, x1, y0, y1, limit) {
+        const seen = new Map();   // id → { inA, x, inB, y }
+        for (let x = x0; x < x1; x++) {
+            const e = seen.get(a[x]);
+            if (e) e.inA++;
+            else seen.set(a[x], { inA: 1, x, inB: 0, y: -1 });
+        }
+        for (let y = y0; y < y1; y++) {
+            const e = seen.get(b[y]);
+            if (e) { e.inB++; e.y = y; }
+        }
+
+        const unique = [];   // [x, y] in left order
+        for (let x = x0; x < x1; x++) {
+            const e = seen.get(a[x]);
+            if (e.inA === 1 && e.inB === 1) unique.push([x, e.y]);
+        }
+        const anchors = longestIncreasing(unique);
+        if (anchors.length === 0) return splitMyers(a, b, x0, x1, y0, y1, limit);
+
+        const parts = [];
+        let px = x0, py = y0;
+        for (const [x, y] of anchors) {
+            parts.push({ range: [px, x, py, y], split: splitPatience }, { equal: [x, y, 1] });
+            px = x + 1; py = y + 1;
+        }
+        parts.push({ range: [px, x1, py, y1], split: splitPatience });
+        return parts;
+    }
+
+    // Longest subsequence of [x, y] pairs (sorted by x) whose y also
+    // increases — patience sorting, O(n log n)
+    function longestIncreasing(pairs) {
+        const tails = [];                          // index into pairs of the smallest tail per length
+        const prev = new Int32Array(pairs.length);
+        for (let i = 0; i < pairs.length; i++) {
+            const y = pairs[i][1];
+            let lo = 0, hi = tails.length;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (pairs[tails[mid]][1] < y) lo = mid + 1; else hi = mid;
+            }
+            prev[i] = lo > 0 ? tails[lo - 1] : -1;
+            tails[lo] = i;
+        }
+        const out = [];
+        for (let i = tails.length ? tails[tails.length - 1] : -1; i >= 0; i = prev[i]) out.push(pairs[i]);
+        return out.reverse();
+    }
+
+    // Histogram (as `git diff --histogram`): anchor on the longest common
+    // run built around the line that occurs least often on the left; lines
+    // repeated more than HISTOGRAM_MAX_CHAIN times are never used as anchors.
+    function splitHistogram(a, b, x0, x1, y0, y1, limit) {
+        const positions = new Map();   // id → left indices
+        for (let x = x0; x < x1; x++) {
+            const list = positions.get(a[x]);
+            if (list) list.push(x);
+            else positions.set(a[x], [x]);
+        }
+
+        let best = null;   // { x, y, len, count }
+        for (let y = y0; y < y1;) {
+            const list = positions.get(b[y]);
+            let next = y + 1;
+            if (list && list.length <= HISTOGRAM_MAX_CHAIN && (!best || list.length <= best.count)) {
+                for (const x of list) {
+                    let xs = x, ys = y;
+                    while (xs > x0 && ys > y0 && a[xs - 1] === b[ys - 1]) { xs--; ys--; }
+                    let xe = x + 1, ye = y + 1;
+                    while (xe < x1 && ye < y1 && a[xe] === b[ye]) { xe++; ye++; }
+
+                    let count = list.length;
+                    for (let k = xs; k < xe; k++) count = Math.min(count, positions.get(a[k]).length);
+                    if (!best || count < best.count || (count === best.count && xe - xs > best.len)) {
+                        best = { x: xs, y: ys, len: xe - xs, count };
+                    }
+                    if (ye > next) next = ye;
+                }
+            }
+            y = next;
+        }
+        if (!best) return splitMyers(a, b, x0, x1, y0, y1, limit);
+
+        return [
+            { range: [x0, best.x, y0, best.y], split: splitHistogram },
+            { equal: [best.x, best.y, best.len] },
+            { range: [best.x + best.len, x1, best.y + best.len, y1], split: splitHistogram }
+        ];
+    }
+
+    const SPLITTERS = { myers: splitMyers, patience: splitPatience, histogram: splitHistogram };
+
+    // Point (x, y) on an optimal path through a[x0..x1) × b[y0..y1), found
+    // where the forward and backward searches overlap; null when the two
+    // ranges share no line at all, or no path of at most `limit` steps
+    // each way was found. Adapted from diff-match-patch's bisect.
+    function middleSnake(a, b, x0, x1, y0, y1, limit = Infinity) {
+        const N = x1 - x0;
+        const M = y1 - y0;
+        const maxD = Math.min(Math.ceil((N + M) / 2), limit);
+        const offset = maxD;
+        const size = 2 * maxD + 2;
+        const vf = new Int32Array(size).fill(-1);   // furthest x per diagonal, from the start
+        const vb = new Int32Array(size).fill(-1);   // furthest x per diagonal, from the end
+        vf[offset + 1] = 0;
+        vb[offset + 1] = 0;
+
+        const delta = N - M;
+        const front = delta % 2 !== 0;   // odd delta: paths meet on a forward step
+        // Diagonals that ran off the grid are skipped from then on
+        let kfStart = 0, kfEnd = 0, kbStart = 0, kbEnd = 0;
+
+        for (let d = 0; d < maxD; d++) {
+            for (let k = -d + kfStart; k <= d - kfEnd; k += 2) {
+                const ko = offset + k;
+                let x = (k === -d || (k !== d && vf[ko - 1] < vf[ko + 1])) ? vf[ko + 1] : vf[ko - 1] + 1;
+                let y = x - k;
+                while (x < N && y < M && a[x0 + x] === b[y0 + y]) { x++; y++; }
+                vf[ko] = x;
+                if (x > N) kfEnd += 2;
+                else if (y > M) kfStart += 2;
+                else if (front) {
+                    const kbo = offset + delta - k;
+                    if (kbo >= 0 && kbo < size && vb[kbo] !== -1 && x >= N - vb[kbo]) {
+                        return { x: x0 + x, y: y0 + y };
+                    }
+                }
+            }
+
+            for (let k = -d + kbStart; k <= d - kbEnd; k += 2) {
+                const ko = offset + k;
+                let x = (k === -d || (k !== d && vb[ko - 1] < vb[ko + 1])) ? vb[ko + 1] : vb[ko - 1] + 1;
+                let y = x - k;
+                while (x < N && y < M && a[x1 - x - 1] === b[y1 - y - 1]) { x++; y++; }
+                vb[ko] = x;
+                if (x > N) kbEnd += 2;
+                else if (y > M) kbStart += 2;
+                else if (!front) {
+                    const kfo = offset + delta - k;
+                    if (kfo >= 0 && kfo < size && vf[kfo] !== -1) {
+                        const fx = vf[kfo];
+                        const fy = offset + fx - kfo;
+                        if (fx >= N - x) return { x: x0 + fx, y: y0 + fy };
+                    }
+                }
+            }
+        }
+        return null;
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  CHANGE COMPACTION
+    //  A block of changed lines can often slide up or down over identical
+    //  lines without changing the diff's size. Like git, slide each block
+    //  as far down as it goes, unless it can line up with a change on the
+    //  other side. `chg` flags are padded with one 0 at both ends.
+    // ───────────────────────────────────────────────────────────
+    function compactChanges(recs, chg, otherChg) {
+        const n = recs.length;
+        const at = i => chg[i + 1];
+        const set = (i, v) => { chg[i + 1] = v; };
+        const otherLen = otherChg.length - 2;
+
+        // Groups are runs of changed lines; [start, end) may be empty
+        const g = { start: 0, end: 0 };
+        const go = { start: 0, end: 0 };
+        const init = (grp, flags) => {
+            grp.start = grp.end = 0;
+            while (flags[grp.end + 1]) grp.end++;
+        };
+        const next = (grp, flags, len) => {
+            if (grp.end === len) return false;
+            grp.start = grp.end = grp.end + 1;
+            while (flags[grp.end + 1]) grp.end++;
+            return true;
+        };
+        const previous = (grp, flags) => {
+            if (grp.start === 0) return false;
+            grp.start = grp.end = grp.start - 1;
+            while (flags[grp.start]) grp.start--;
+            return true;
+        };
+        const slideDown = () => {
+            if (g.end >= n || recs[g.start] !== recs[g.end]) return false;
+            set(g.start++, 0);
+            set(g.end++, 1);
+            while (at(g.end)) g.end++;
+            return true;
+        };
+        const slideUp = () => {
+            if (g.start <= 0 || recs[g.start - 1] !== recs[g.end - 1]) return false;
+            set(--g.start, 1);
+            set(--g.end, 0);
+            while (g.start > 0 && at(g.start - 1)) g.start--;
+            return true;
+        };
+
+        init(g, chg);
+        init(go, otherChg);
+        for (;;) {
+            if (g.end !== g.start) {
+                let size, earliestEnd, endMatchingOther;
+                do {
+                    size = g.end - g.start;
+                    endMatchingOther = -1;
+                    while (slideUp()) previous(go, otherChg);
+                    earliestEnd = g.end;
+                    if (go.end > go.start) endMatchingOther = g.end;
+                    while (slideDown()) {
+                        next(go, otherChg, otherLen);
+                        if (go.end > go.start) endMatchingOther = g.end;
+                    }
+                } while (size !== g.end - g.start);   // absorbed a neighbour — go again
+
+                if (g.end !== earliestEnd && endMatchingOther !== -1) {
+                    // Back up until the block sits opposite the other side's change
+                    while (go.end === go.start) {
+                        slideUp();
+                        previous(go, otherChg);
+                    }
+                }
+            }
+            if (!next(g, chg, n)) break;
+            next(go, otherChg, otherLen);
+        }
+    }
+
+    // Edit script → changed-line flags → compacted → edit script again
+    // (which also lists deletions before insertions within each change)
+    function compactEdits(edits, a, b) {
+        const chgA = new Uint8Array(a.length + 2);
+        const chgB = new Uint8Array(b.length + 2);
+        for (const e of edits) {
+            if (e.type === 'delete') chgA[e.li + 1] = 1;
+            else if (e.type === 'insert') chgB[e.ri + 1] = 1;
+        }
+        compactChanges(a, chgA, chgB);
+        compactChanges(b, chgB, chgA);
+
+        const out = [];
+        let i = 0, j = 0;
+        while (i < a.length || j < b.length) {
+            if (i < a.length && chgA[i + 1]) out.push({ type: 'delete', li: i++, ri: -1 });
+            else if (j < b.length && chgB[j + 1]) out.push({ type: 'insert', li: -1, ri: j++ });
+            else out.push({ type: 'equal', li: i++, ri: j++ });
+        }
+        return out;
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  MOVED-CODE DETECTION
+    //  A run of deleted lines that reappears as a run of inserted lines
+    //  somewhere else is a move, not a removal plus an addition. Lines
+    //  match ignoring all whitespace, so re-indented code still counts;
+    //  blank lines may sit inside a block but don't count towards
+    //  MOVED_MIN_LINES. A delete and an insert from the same change region
+    //  are an edit in place, never a move.
+    //
+    //  Returns { blocks: [{ li, ri, length }], left, right } where
+    //  left[li] / right[ri] is the index of the block a line belongs to,
+    //  or -1.
+    // ───────────────────────────────────────────────────────────
+    function findMoves(edits, left, right) {
+        const n = left.length, m = right.length;
+
+        // Change regions are the stretches between equal lines
+        const delRegion = new Int32Array(n).fill(-1);
+        const insRegion = new Int32Array(m).fill(-1);
+        let region = 0;
+        for (const e of edits) {
+            if (e.type === 'equal') region++;
+            else if (e.type === 'delete') delRegion[e.li] = region;
+            else insRegion[e.ri] = region;
+        }
+
+        const moveKey = line => line.replace(/\s+/g, '');
+        const lKeys = new Array(n);
+        const rKeys = new Array(m);
+        const insertedAt = new Map();  // key → indices of inserted lines
+        for (let li = 0; li < n; li++) if (delRegion[li] >= 0) lKeys[li] = moveKey(left[li]);
+        for (let ri = 0; ri < m; ri++) {
+            if (insRegion[ri] < 0) continue;
+            const key = rKeys[ri] = moveKey(right[ri]);
+            if (key === '') continue;
+            const list = insertedAt.get(key);
+            if (list) list.push(ri);
+            else insertedAt.set(key, [ri]);
+        }
+
+        const blocks = [];
+        const lBlock = new Int32Array(n).fill(-1);
+        const rBlock = new Int32Array(m).fill(-1);
+
+        for (let li = 0; li < n; li++) {
+            if (delRegion[li] < 0) continue;
+            const candidates = insertedAt.get(lKeys[li]);
+            if (!candidates || candidates.length > MOVED_MAX_CANDIDATES) continue;
+
+            // Longest run starting here, counted in non-blank lines
+            let best = null;
+            for (const ri of candidates) {
+                if (rBlock[ri] >= 0 || insRegion[ri] === delRegion[li]) continue;
+                let length = 0, weight = 0, end = 0;
+                while (li + length < n && ri + length < m &&
+                       delRegion[li + length] >= 0 && insRegion[ri + length] >= 0 && rBlock[ri + length] < 0 &&
+                       lKeys[li + length] === rKeys[ri + length]) {
+                    if (lKeys[li + length] !== '') { weight++; end = length + 1; }
+                    length++;
+                }
+                if (!best || weight > best.weight) best = { ri, length: end, weight };
+            }
+            if (!best || best.weight < MOVED_MIN_LINES) continue;
+
+            const id = blocks.length;
+            blocks.push({ li, ri: best.ri, length: best.length });
+            for (let k = 0; k < best.length; k++) {
+                lBlock[li + k] = id;
+                rBlock[best.ri + k] = id;
+            }
+            li += best.length - 1;
+        }
+
+        return { blocks, left: lBlock, right: rBlock };
+    }
+
+    // Where a moved line went (or came from): { id, line, first } with
+    // `line` the 0-based index on the other side, or null if not moved
+    function moveOf(moves, side, index) {
+        const id = moves ? moves[side][index] : -1;
+        if (id < 0) return null;
+        const block = moves.blocks[id];
+        const offset = side === 'left' ? index - block.li : index - block.ri;
+        return { id, line: (side === 'left' ? block.ri : block.li) + offset, first: offset === 0 };
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  HUNK CONSOLIDATION
+    //  Turns an edit script ({ type: 'equal'|'delete'|'insert', li, ri })
+    //  into one hunk per line: { type: 'equal'|'changed'|'removed'|'added',
+    //  lLines, rLines, lStart, rStart }. `left`/`right` only need entries
+    //  at the indices the edits reference (patches leave gaps). Deletes
+    //  and inserts only pair up as `changed` when their lines are alike
+    //  (see alignBySimilarity). With `moves` (see findMoves) moved lines
+    //  become removed/added hunks carrying a `move` — see moveOf(). Edits
+    //  flagged `ignored` (see markBlankChanges) become removed/added hunks
+    //  flagged `ignored`, which render and count as unchanged. Changed
+    //  lines that differ only in invisible characters (see
+    //  whitespaceOnly) are flagged `whitespace`.
+    // ───────────────────────────────────────────────────────────
+    function buildHunks(edits, left, right, moves = null) {
+        const hunks = [];
+        let i = 0;
+
+        while (i < edits.length) {
+            const edit = edits[i];
+            if (edit.type === 'equal') {
+                hunks.push({ type: 'equal', lLines: [left[edit.li]], rLines: [right[edit.ri]], lStart: edit.li, rStart: edit.ri });
+                i++;
+                continue;
+            }
+
+            const dels = [];
+            const ins = [];
+            while (i < edits.length && edits[i].type === 'delete') { dels.push(edits[i]); i++; }
+            while (i < edits.length && edits[i].type === 'insert') { ins.push(edits[i]); i++; }
+
+            // Deletes and inserts that look alike pair up as changes; the
+            // rest, moved and ignored lines keep rows of their own in their
+            // original order
+            const pairDels = dels.filter(x => !x.ignored && !(moves && moves.left[x.li] >= 0));
+            const pairIns = ins.filter(x => !x.ignored && !(moves && moves.right[x.ri] >= 0));
+            const pairs = alignBySimilarity(pairDels.map(x => left[x.li]), pairIns.map(x => right[x.ri]));
+            let d = 0, e = 0;
+            for (const [pd, pi] of pairs) {
+                const del = pairDels[pd], add = pairIns[pi];
+                while (dels[d] !== del) hunks.push(removedHunk(dels[d++], left, moves));
+                while (ins[e] !== add) hunks.push(addedHunk(ins[e++], right, moves));
+                const hunk = {
+                    type: 'changed',
+                    lLines: [left[del.li]],
+                    rLines: [right[add.ri]],
+                    lStart: del.li,
+                    rStart: add.ri
+                };
+                if (whitespaceOnly(hunk.lLines[0], hunk.rLines[0])) hunk.whitespace = true;
+                hunks.push(hunk);
+                d++; e++;
+            }
+            while (d < dels.length) hunks.push(removedHunk(dels[d++], left, moves));
+            while (e < ins.length) hunks.push(addedHunk(ins[e++], right, moves));
+        }
+
+        return hunks;
+    }
+
+    // Whitespace, zero-width and bidi control characters: what a line can
+    // differ in without looking any different
+    const INVISIBLE_RE = /[\s\u00AD\u180E\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069]/g;
+
+    function whitespaceOnly(lineA, lineB) {
+        return lineA.replace(INVISIBLE_RE, '') === lineB.replace(INVISIBLE_RE, '');
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  LINE SIMILARITY
+    //  Dice coefficient over word/symbol tokens weighted by their length:
+    //  1 for lines made of the same tokens, 0 for lines sharing none.
+    //  Whitespace doesn't count, so two blank lines are alike.
+    // ───────────────────────────────────────────────────────────
+    // A line as its distinct token ids (ascending) with the total length
+    // of each token's occurrences
+    function tokenBag(line, ids) {
+        const weights = new Map();
+        let size = 0;
+        for (const tok of line.match(/\w+|[^\w\s]/g) || []) {
+            let id = ids.get(tok);
+            if (id === undefined) ids.set(tok, id = ids.size);
+            weights.set(id, (weights.get(id) || 0) + tok.length);
+            size += tok.length;
+        }
+        const keys = Int32Array.from(weights.keys()).sort();
+        return { keys, weights: Int32Array.from(keys, k => weights.get(k)), size };
+    }
+
+    function similarity(a, b) {
+        if (a.size === 0 || b.size === 0) return a.size === b.size ? 1 : 0;
+        let common = 0;
+        for (let i = 0, j = 0; i < a.keys.length && j < b.keys.length;) {
+            if (a.keys[i] < b.keys[j]) i++;
+            else if (a.keys[i] > b.keys[j]) j++;
+            else common += Math.min(a.weights[i++], b.weights[j++]);
+        }
+        return 2 * common / (a.size + b.size);
+    }
+
+    // Pairs deleted with inserted lines, in order, for the highest total
+    // similarity; no pair scores below SIMILARITY_THRESHOLD. Blocks over
+    // SIMILARITY_MAX_CELLS pair the j-th delete with the j-th insert
+    // instead, still subject to the threshold. Returns [[del, ins]] indices.
+    function alignBySimilarity(delLines, insLines) {
+        const n = delLines.length, m = insLines.length;
+        const pairs = [];
+        if (n === 0 || m === 0) return pairs;
+
+        const ids = new Map();
+        const a = delLines.map(line => tokenBag(line, ids));
+        const b = insLines.map(line => tokenBag(line, ids));
+
+        if (n * m > SIMILARITY_MAX_CELLS) {
+            for (let i = 0; i < Math.min(n, m); i++) {
+                if (similarity(a[i], b[i]) >= SIMILARITY_THRESHOLD) pairs.push([i, i]);
+            }
+            return pairs;
+        }
+
+        // score[i][j]: best total for the first i deletes and j inserts
+        const w = m + 1;
+        const score = new Float64Array((n + 1) * w);
+        const sim = new Float64Array(n * m);
+        for (let i = 1; i <= n; i++) {
+            for (let j = 1; j <= m; j++) {
+                const s = sim[(i - 1) * m + j - 1] = similarity(a[i - 1], b[j - 1]);
+                let best = Math.max(score[(i - 1) * w + j], score[i * w + j - 1]);
+                if (s >= SIMILARITY_THRESHOLD) best = Math.max(best, score[(i - 1) * w + j - 1] + s);
+                score[i * w + j] = best;
+            }
+        }
+
+        let i = n, j = m;
+        while (i > 0 && j > 0) {
+            const s = sim[(i - 1) * m + j - 1];
+            if (s >= SIMILARITY_THRESHOLD && score[i * w + j] === score[(i - 1) * w + j - 1] + s) {
+                pairs.push([i - 1, j - 1]);
+                i--; j--;
+            } else if (score[i * w + j] === score[(i - 1) * w + j]) {
+                i--;
+            } else {
+                j--;
+            }
+        }
+        return pairs.reverse();
+    }
+
+    function removedHunk(edit, left, moves) {
+        const hunk = { type: 'removed', lLines: [left[edit.li]], rLines: [''], lStart: edit.li, rStart: -1 };
+        const move = moveOf(moves, 'left', edit.li);
+        if (move) hunk.move = move;
+        if (edit.ignored) hunk.ignored = true;
+        return hunk;
+    }
+
+    function addedHunk(edit, right, moves) {
+        const hunk = { type: 'added', lLines: [''], rLines: [right[edit.ri]], lStart: -1, rStart: edit.ri };
+        const move = moveOf(moves, 'right', edit.ri);
+        if (move) hunk.move = move;
+        if (edit.ignored) hunk.ignored = true;
+        return hunk;
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  INTRALINE DIFF
+    //  What changed inside a pair of lines, split into
+    //  characters, words (default) or language tokens — where strings,
+    //  comments, numbers and operators stay whole. The tokens go through
+    //  the line diff itself with the Myers search capped at
+    //  INTRALINE_MAX_COST, so huge minified lines still take near-linear
+    //  time; past the cap a stretch is just highlighted as a whole.
+    // ───────────────────────────────────────────────────────────
+    const CODE_TOKEN = new RegExp([
+        /\/\/.*|\/\*[\s\S]*?(?:\*\/|$)/,                                      // comments
+        /"(?:[^"\\]|\\.)*"?|'(?:[^'\\]|\\.)*'?|`(?:[^`\\]|\\.)*`?/,          // strings, unterminated ones to the end
+        /0[xXbBoO][\da-fA-F_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?/,         // numbers
+        /[\p{L}_$][\p{L}\p{N}_$]*/,                                           // identifiers
+        /\s+/,
+        /===|!==|>>>=?|\*\*=?|<<=|>>=|\.\.\.|=>|==|!=|<=|>=|&&|\|\||\?\?|\?\.|\+\+|--|->|::|<<|>>|[-+*\/%&|^]=/,
+        /[\s\S]/
+    ].map(r => r.source).join('|'), 'gu');
+
+    const INTRALINE_TOKENIZERS = {
+        char: line => Array.from(line),
+        word: line => line.match(/\w+|\s+|[^\w\s]/g) || [],
+        token: line => line.match(CODE_TOKEN) || []
+    };
+
+    // Alternating equal / changed runs, [{ equal, left, right }], whose
+    // texts join back into each line. `rules` are compiled —
+    // { masks: RegExp[] (see compileMasks), ignoreCase } — and hold inside
+    // the line too: a masked match is a single token equal to any other.
+    function intralineRuns(lineA, lineB, granularity, rules = {}) {
+        const tokenize = INTRALINE_TOKENIZERS[granularity] || INTRALINE_TOKENIZERS.word;
+        const masks = rules.masks || [];
+        const a = intralineTokens(lineA, tokenize, maskRanges(lineA, masks), rules.ignoreCase);
+        const b = intralineTokens(lineB, tokenize, maskRanges(lineB, masks), rules.ignoreCase);
+        const edits = diffEdits(a.keys, b.keys, { maxCost: INTRALINE_MAX_COST });
+        return mergeFragments(toRuns(edits, a.texts, b.texts));
+    }
+
+    // A line's tokens and the keys they are compared by
+    function intralineTokens(line, tokenize, ranges, ignoreCase) {
+        if (ranges.length === 0 && !ignoreCase) {
+            const texts = tokenize(line);
+            return { texts, keys: texts };
+        }
+        const texts = [];
+        const keys = [];
+        const add = part => {
+            for (const tok of tokenize(part)) {
+                texts.push(tok);
+                keys.push(ignoreCase ? tok.toLowerCase() : tok);
+            }
+        };
+        let at = 0;
+        for (const [start, end] of ranges) {
+            add(line.slice(at, start));
+            texts.push(line.slice(start, end));
+            keys.push(MASK_KEY);
+            at = end;
+        }
+        add(line.slice(at));
+        return { texts, keys };
+    }
+
+    // Alternating equal / changed stretches: [{ equal, left, right }]
+    function toRuns(edits, tokA, tokB) {
+        const runs = [];
+        let run = null;
+        for (const e of edits) {
+            const equal = e.type === 'equal';
+            if (!run || run.equal !== equal) runs.push(run = { equal, left: '', right: '' });
+            if (e.type !== 'insert') run.left += tokA[e.li];
+            if (e.type !== 'delete') run.right += tokB[e.ri];
+        }
+        return runs;
+    }
+
+    // Fold an equal stretch into the changes around it when it is no longer
+    // than either of them (diff-match-patch's semantic cleanup rule), so a
+    // stray shared letter doesn't chop a rewritten word into confetti.
+    // Works back through earlier stretches as the merged change grows.
+    function mergeFragments(runs) {
+        const out = [];
+        for (const run of runs) {
+            if (run.equal) { out.push(run); continue; }
+
+            let change = run;
+            while (out.length >= 2 && !out[out.length - 2].equal) {
+                const eq = out[out.length - 1];
+                const before = out[out.length - 2];
+                const size = eq.left.length;
+                if (size > Math.max(before.left.length, before.right.length) ||
+                    size > Math.max(change.left.length, change.right.length)) break;
+                out.length -= 2;
+                change = {
+                    equal: false,
+                    left: before.left + eq.left + change.left,
+                    right: before.right + eq.right + change.right
+                };
+            }
+            out.push(change);
+        }
+        return out;
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  STATS COMPUTATION
+    // ───────────────────────────────────────────────────────────
+    // Moved lines are counted once, under `moved` rather than as removed + added;
+    // changed lines flagged `whitespace` (see buildHunks) under `whitespace`;
+    // ignored blank-line changes aren't counted at all
+    function computeStats(hunks) {
+        let added = 0, removed = 0, changed = 0, moved = 0, whitespace = 0;
+        for (const h of hunks) {
+            if (h.ignored) continue;
+            if (h.move) { if (h.type === 'added') moved++; continue; }
+            if (h.type === 'added') added++;
+            if (h.type === 'removed') removed++;
+            if (h.type === 'changed') {
+                if (h.whitespace) whitespace++;
+                else changed++;
+            }
+        }
+        return { added, removed, changed, moved, whitespace };
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  UNIFIED DIFF (for copy/download)
+    //  Emits `---`/`+++` headers and `@@ -l,n +r,m @@` hunks so the
+    //  output can be fed straight to `git apply` or `patch -p1`.
+    // ───────────────────────────────────────────────────────────
+    function renderUnified(hunks, options = {}) {
+        const context = Number.isInteger(options.context) && options.context >= 0 ? options.context : UNIFIED_CONTEXT;
+        const ops = toUnifiedOps(hunks, options.oldEol, options.newEol);
+        if (!ops.some(op => op.op !== ' ')) return '';
+
+        // Running line numbers *before* each op (0-based counts)
+        const lBefore = new Int32Array(ops.length);
+        const rBefore = new Int32Array(ops.length);
+        let lNo = 0, rNo = 0;
+        ops.forEach((op, i) => {
+            lBefore[i] = lNo; rBefore[i] = rNo;
+            if (op.op !== '+') lNo++;
+            if (op.op !== '-') rNo++;
+        });
+
+        // Group changes whose context windows touch into a single hunk
+        const groups = [];
+        for (let i = 0; i < ops.length; i++) {
+            if (ops[i].op === ' ') continue;
+            const from = Math.max(0, i - context);
+            let last = i;
+            let j = i + 1;
+            while (j < ops.length) {
+                if (ops[j].op !== ' ') { last = j; j++; continue; }
+                if (j - last > 2 * context) break;
+                j++;
+            }
+            const to = Math.min(ops.length, last + context + 1);
+            groups.push([from, to]);
+            i = last;
+        }
+
+        // A null name marks a side that does not exist (added / deleted file)
+        const oldHeader = options.oldName === null ? '/dev/null' : `a/${options.oldName || 'original'}`;
+        const newHeader = options.newName === null ? '/dev/null' : `b/${options.newName || 'modified'}`;
+        let out = `--- ${oldHeader}\n+++ ${newHeader}\n`;
+
+        for (const [from, to] of groups) {
+            let oldCount = 0, newCount = 0;
+            for (let i = from; i < to; i++) {
+                if (ops[i].op !== '+') oldCount++;
+                if (ops[i].op !== '-') newCount++;
+            }
+            const oldStart = oldCount > 0 ? lBefore[from] + 1 : lBefore[from];
+            const newStart = newCount > 0 ? rBefore[from] + 1 : rBefore[from];
+            out += `@@ -${formatRange(oldStart, oldCount)} +${formatRange(newStart, newCount)} @@\n`;
+            for (let i = from; i < to; i++) {
+                out += `${ops[i].op}${ops[i].text}\n`;
+                if (ops[i].noEol) out += '\\ No newline at end of file\n';
+            }
+        }
+        return out;
+    }
+
+    function formatRange(start, count) {
+        return count === 1 ? `${start}` : `${start},${count}`;
+    }
+
+    /**
+     * Flatten hunks into unified-diff ops ({ op: ' '|'-'|'+', text, noEol }).
+     * Changed lines are regrouped as all deletions, then all insertions.
+     */
+    function toUnifiedOps(hunks, oldEol, newEol) {
+        let nL = 0, nR = 0;
+        for (const h of hunks) {
+            if (h.lStart >= 0) nL++;
+            if (h.rStart >= 0) nR++;
+        }
+        const lNoEol = oldEol === false && nL > 0 ? nL - 1 : -1;
+        const rNoEol = newEol === false && nR > 0 ? nR - 1 : -1;
+
+        const ops = [];
+        let dels = [], adds = [];
+        const flush = () => { ops.push(...dels, ...adds); dels = []; adds = []; };
+
+        let li = 0, ri = 0;
+        for (const h of hunks) {
+            if (h.type === 'equal') {
+                flush();
+                ops.push({ op: ' ', text: h.lLines[0], noEol: li === lNoEol });
+            } else {
+                if (h.lStart >= 0) dels.push({ op: '-', text: h.lLines[0], noEol: li === lNoEol });
+                if (h.rStart >= 0) adds.push({ op: '+', text: h.rLines[0], noEol: ri === rNoEol });
+            }
+            if (h.lStart >= 0) li++;
+            if (h.rStart >= 0) ri++;
+        }
+        flush();
+        return ops;
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  COMPUTE (normalize + diff + stats, no rendering)
+    // ───────────────────────────────────────────────────────────
+    function compute(leftText, rightText, options = {}) {
+        let left = leftText;
+        let right = rightText;
+
+        // Structured formats are parsed and re-serialized canonically, so
+        // only data changes remain (see FormatEngine)
+        const format = options.format || (options.jsonMode ? 'json' : 'text');
+        if (format !== 'text') {
+            const normalize = (text, side) => {
+                try {
+                    return { text: FormatEngine.normalize(text, format, { sortKeys: options.sortKeys }) };
+                } catch (e) {
+                    const label = FormatEngine.label(format);
+                    return { error: `${side} pane: Invalid ${label} — ${e.message}`, side, pos: typeof e.pos === 'number' ? e.pos : null };
+                }
+            };
+            const l = normalize(left, 'Left');
+            if (l.error) return l;
+            const r = normalize(right, 'Right');
+            if (r.error) return r;
+            left = l.text;
+            right = r.text;
+        }
+
+        const leftLines = splitLines(left);
+        const rightLines = splitLines(right);
+        const eol = { left: endsWithNewline(left), right: endsWithNewline(right) };
+
+        const hunks = diffLines(leftLines, rightLines, {
+            ignoreWhitespace: options.ignoreWhitespace,
+            ignoreTrailingWhitespace: options.ignoreTrailingWhitespace,
+            ignoreLineEndings: options.ignoreLineEndings,
+            ignoreCase: options.ignoreCase,
+            ignoreBlankLines: options.ignoreBlankLines,
+            masks: options.masks,
+            eol,
+            algorithm: options.algorithm,
+            onProgress: options.onProgress,
+            detectMoves: options.detectMoves !== false
+        });
+        return { hunks, stats: computeStats(hunks), eol };
+    }
+
+
+    // ───────────────────────────────────────────────────────────
+    //  DIFF (compute + unified patch)
+    // ───────────────────────────────────────────────────────────
+    function diff(leftText, rightText, options = {}) {
+        const result = compute(leftText, rightText, options);
+        if (result.error) return result;
+
+        const { hunks, stats, eol } = result;
+        const plainText = renderUnified(hunks, {
+            oldName: options.leftName,
+            newName: options.rightName,
+            context: options.contextLines,
+            oldEol: eol.left,
+            newEol: eol.right
+        });
+        return { hunks, stats, plainText, eol };
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  PUBLIC API
+    // ───────────────────────────────────────────────────────────
+    const DiffCore = {
+        /**
+         * Diff two texts: per-line hunks, stats and a unified patch.
+         * @param {string} leftText
+         * @param {string} rightText
+         * @param {object} [options]
+         * @param {boolean} [options.ignoreWhitespace] collapse runs of whitespace, ignore it at both ends
+         * @param {boolean} [options.ignoreTrailingWhitespace] ignore whitespace at line ends only
+         * @param {boolean} [options.ignoreLineEndings] CRLF equals LF; a missing final newline doesn't count
+         * @param {boolean} [options.ignoreCase]
+         * @param {boolean} [options.ignoreBlankLines] added or removed blank lines don't count
+         * @param {string[]} [options.masks] regex sources; matched text compares equal
+         * @param {string}  [options.format] normalize both sides first: 'text' (default) | 'json' | 'yaml' | 'xml' | 'toml'
+         * @param {boolean} [options.jsonMode] shorthand for format 'json'
+         * @param {boolean} [options.sortKeys] sort object / table keys when normalizing
+         * @param {string}  [options.algorithm] 'myers' (default) | 'patience' | 'histogram'
+         * @param {boolean} [options.detectMoves] mark moved blocks (default true)
+         * @param {?string} [options.leftName]   file name for the `---` header (null → /dev/null)
+         * @param {?string} [options.rightName]  file name for the `+++` header (null → /dev/null)
+         * @param {number}  [options.contextLines] context lines per unified hunk (default 3)
+         * @param {function(number, number)} [options.onProgress] (done, total) lines placed so far
+         * @returns {{ hunks: Array, stats: object, plainText: string, eol: { left: boolean, right: boolean } }}
+         *          or { error, side, pos } when a side doesn't parse as `format`.
+         *          Ignored blank-line changes stay in `plainText`, so the patch still applies.
+         * @throws {SyntaxError} when a mask is not a valid regex
+         */
+        diff,
+
+        /**
+         * Diff without the unified patch — same options as diff().
+         * `eol` tells whether each (normalized) text ends with a newline.
+         * @returns {{ hunks: Array, stats: object, eol: { left: boolean, right: boolean } } | { error: string, side: string, pos: ?number }}
+         */
+        compute,
+
+        /**
+         * Unified patch text for a hunk list ('' when nothing changed).
+         * @param {Array} hunks
+         * @param {object} [options]
+         * @param {?string} [options.oldName] `---` file name (null → /dev/null)
+         * @param {?string} [options.newName] `+++` file name (null → /dev/null)
+         * @param {number}  [options.context] context lines per hunk (default 3)
+         * @param {boolean} [options.oldEol] whether the old text ends with a newline
+         * @param {boolean} [options.newEol] whether the new text ends with a newline
+         * @returns {string}
+         */
+        unifiedDiff: renderUnified,
+
+        /**
+         * Line-level edit script between two line arrays.
+         * @param {string[]} leftLines
+         * @param {string[]} rightLines
+         * @param {object} [options]
+         * @param {boolean} [options.ignoreWhitespace] and the other ignore rules of diff(), but ignoreBlankLines
+         * @param {{ left: boolean, right: boolean }} [options.eol] trailing-newline flags
+         * @param {string}  [options.algorithm] 'myers' (default) | 'patience' | 'histogram'
+         * @param {function(number, number)} [options.onProgress]
+         * @param {number}  [options.maxCost] edit distance searched per split before giving up on a range
+         * @returns {Array<{ type: 'equal'|'delete'|'insert', li: number, ri: number }>}
+         */
+        diffEdits,
+
+        /**
+         * What changed inside a pair of lines, as equal / changed runs.
+         * @param {string} lineA
+         * @param {string} lineB
+         * @param {string} [granularity] 'word' (default) | 'char' | 'token'
+         * @param {{ masks?: RegExp[], ignoreCase?: boolean }} [rules] masks from compileMasks()
+         * @returns {Array<{ equal: boolean, left: string, right: string }>}
+         */
+        intralineRuns,
+
+        /**
+         * Compile mask regex sources for intralineRuns() / maskRanges().
+         * @param {string[]} [masks]
+         * @returns {RegExp[]}
+         * @throws {SyntaxError} naming the invalid mask
+         */
+        compileMasks,
+
+        /**
+         * Sorted, non-overlapping [start, end) spans of a line that compiled masks match.
+         * @param {string} line
+         * @param {RegExp[]} masks
+         * @returns {Array<[number, number]>}
+         */
+        maskRanges,
+
+        /**
+         * Names of the available line diff algorithms.
+         */
+        algorithms: Object.keys(SPLITTERS),
+
+        /**
+         * Granularities intralineRuns() understands.
+         */
+        granularities: Object.keys(INTRALINE_TOKENIZERS),
+
+        /**
+         * Build per-line hunks from an edit script — see buildHunks(). A `changed`
+         * hunk whose lines differ only in whitespace, line endings, zero-width or
+         * bidi control characters carries `whitespace: true`.
+         */
+        buildHunks,
+
+        /**
+         * Split text into lines; a trailing newline does not start a new line.
+         */
+        splitLines,
+
+        /**
+         * Whether text ends with a newline (true for empty text).
+         */
+        endsWithNewline,
+
+        /**
+         * Count added / removed / changed / moved lines in a hunk list;
+         * `whitespace` counts the changed ones flagged `whitespace`.
+         * @returns {{ added: number, removed: number, changed: number, moved: number, whitespace: number }}
+         */
+        computeStats
+    };
+
+    if (isModule) module.exports = DiffCore;
+    else scope.DiffCore = DiffCore;
+
+})();
@@ -0,0 +1,27 @@
+/**
+ * Codediff — Diff Core as an ES module
+ *
+ * For Node's `import` and bundlers; the code itself is the CommonJS /
+ * global build in diff-core.js, which a browser's native `import` can't load —
+ * without a bundler, use it through a classic <script> tag instead.
+ */
+
+import DiffCore from './diff-core.js';
+
+export const {
+    diff,
+    compute,
+    unifiedDiff,
+    diffEdits,
+    intralineRuns,
+    compileMasks,
+    maskRanges,
+    algorithms,
+    granularities,
+    buildHunks,
+    splitLines,
+    endsWithNewline,
+    computeStats
+} = DiffCore;
+
+export default DiffCore;
@@ -1,13 +1,18 @@
 /**
  * Codediff — Diff Engine
  *
- * A pure-JS diff engine implementing Myers' diff algorithm.
- * No external libraries required. Handles:
- *  - Line-level diff (side-by-side & inline)
- *  - Word-level diff for changed lines
- *  - JSON normalization
- *  - Whitespace ignoring
+ * HTML rendering on top of DiffCore (js/diff-core.js), which does the
+ * diffing itself. No external libraries. Handles:
+ *  - Side-by-side and inline tables with collapsible context
+ *  - Character / word / token-level highlights inside changed lines
+ *  - Syntax highlighting (via js/syntax-highlight.js)
+ *  - Moved-block links (like git's --color-moved)
+ *  - Dimmed ignore-rule masks
+ *  - Optional markers for whitespace, zero-width characters and line ends
  *  - HTML-escaped output (XSS-safe)
+ *
+ * Loads as the `DiffEngine` global (page or worker) or as a CommonJS
+ * module; it also re-exports DiffCore's functions, so callers need only this.
  */
 
 (function DiffEngineModule() {
@@ -16,7 +21,18 @@
     // ───────────────────────────────────────────────────────────
     //  CONSTANTS
     // ───────────────────────────────────────────────────────────
-    const CONTEXT_LINES = 4;  // unchanged lines shown around each chunk
+    const CONTEXT_LINES = 4;  // unchanged lines shown around each chunk (default)
+    const EXPAND_STEP = 20;  // lines one click on a separator's arrows reveals
+
+    // ───────────────────────────────────────────────────────────
+    //  DEPENDENCIES
+    //  Globals in the page and the diff worker (`self`, no `window`);
+    //  required modules under Node and bundlers
+    // ───────────────────────────────────────────────────────────
+    const isModule = typeof module === 'object' && module !== null && !!module.exports;
+    const scope = isModule ? null : typeof window !== 'undefined' ? window : self;
+    const core = isModule ? require('./diff-core.js') : scope.DiffCore;
+    const SyntaxHighlight = isModule ? require('./syntax-highlight.js') : scope.SyntaxHighlight;
 
     // ───────────────────────────────────────────────────────────
     //  UTILITY: HTML escaping
@@ -29,480 +45,489 @@
     }
 
     // ───────────────────────────────────────────────────────────
-    //  UTILITY: Split into lines, preserving empty lines
+    //  UTILITY: Invisible characters
+    //  With `showInvisibles`, each becomes a span the stylesheet draws a
+    //  marker for: tabs, spaces and NBSPs keep their width under an
+    //  overlaid →, · or °; the rest show as a short label. The marker is
+    //  CSS content, so copying the text still copies the real character.
     // ───────────────────────────────────────────────────────────
-    function splitLines(text) {
-        return text.split(/\r?\n/);
-    }
-
-    // ───────────────────────────────────────────────────────────
-    //  UTILITY: Normalize text for comparison
-    // ───────────────────────────────────────────────────────────
-    function normalizeForCompare(line, ignoreWhitespace) {
-        if (ignoreWhitespace) return line.replace(/\s+/g, ' ').trim();
-        return line;
-    }
+    const INVISIBLE_RE = /[^\S\n]|[\u00AD\u180E\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069]/g;
+    const INVISIBLE_CLASSES = { '\t': 'inv-tab', ' ': 'inv-space', '\u00A0': 'inv-nbsp', '\r': 'inv-cr' };
+    const INVISIBLE_NAMES = {
+        '\u00AD': 'SHY', '\u200B': 'ZWSP', '\u200C': 'ZWNJ', '\u200D': 'ZWJ', '\u200E': 'LRM', '\u200F': 'RLM',
+        '\u202A': 'LRE', '\u202B': 'RLE', '\u202C': 'PDF', '\u202D': 'LRO', '\u202E': 'RLO', '\u202F': 'NNBSP',
+        '\u2060': 'WJ', '\u2066': 'LRI', '\u2067': 'RLI', '\u2068': 'FSI', '\u2069': 'PDI', '\u3000': 'IDSP', '\uFEFF': 'BOM'
+    };
 
-    // ───────────────────────────────────────────────────────────
-    //  UTILITY: Safe JSON parse + normalize
-    // ───────────────────────────────────────────────────────────
-    function normalizeJSON(text) {
-        const parsed = JSON.parse(text); // let caller catch errors
-        return JSON.stringify(parsed, null, 2);
+    function invisibleHtml(c) {
+        if (c === '\r') return '<span class="inv inv-cr"></span>';
+        const cls = INVISIBLE_CLASSES[c];
+        if (cls) return `<span class="inv ${cls}">${c}</span>`;
+        const code = 'U+' + c.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0');
+        return `<span class="inv inv-code" data-inv="${INVISIBLE_NAMES[c] || code}" title="${code}">${c}</span>`;
     }
 
-    // ───────────────────────────────────────────────────────────
-    //  MYERS DIFF — Line-level
-    //  Returns array of ops: { type: 'equal'|'insert'|'delete', lLines, rLines }
-    // ───────────────────────────────────────────────────────────
-    function myersDiff(left, right, ignoreWhitespace) {
-        const a = left.map(l => normalizeForCompare(l, ignoreWhitespace));
-        const b = right.map(l => normalizeForCompare(l, ignoreWhitespace));
-
-        const n = a.length;
-        const m = b.length;
-
-        // DP with trace for backtracking
-        const max = n + m;
-        if (max === 0) return [];
-
-        const V = new Int32Array(2 * max + 1);
-        const trace = [];
-
-        outer: for (let d = 0; d <= max; d++) {
-            const vSnapshot = V.slice();
-            trace.push(vSnapshot);
-
-            for (let k = -d; k <= d; k += 2) {
-                const idx = k + max;
-                let x;
-                if (k === -d || (k !== d && V[idx - 1] < V[idx + 1])) {
-                    x = V[idx + 1]; // move down
-                } else {
-                    x = V[idx - 1] + 1; // move right
-                }
-                let y = x - k;
-                while (x < n && y < m && a[x] === b[y]) { x++; y++; }
-                V[idx] = x;
-                if (x >= n && y >= m) break outer;
-            }
-        }
-
-        // Backtrack to reconstruct edits
-        let x = n, y = m;
-        const edits = [];
-
-        for (let d = trace.length - 1; d >= 0 && (x > 0 || y > 0); d--) {
-            const vPrev = trace[d];
-            const k = x - y;
-            const idx = k + max;
-            let prevK;
-            if (k === -d || (k !== d && vPrev[idx - 1] < vPrev[idx + 1])) {
-                prevK = k + 1;
-            } else {
-                prevK = k - 1;
-            }
-
-            const prevX = vPrev[prevK + max];
-            const prevY = prevX - prevK;
-
-            while (x > prevX && y > prevY) { x--; y--; edits.push({ type: 'equal', li: x, ri: y }); }
-            if (d > 0) {
-                if (x > prevX) { x--; edits.push({ type: 'delete', li: x, ri: -1 }); }
-                else if (y > prevY) { y--; edits.push({ type: 'insert', li: -1, ri: y }); }
-            }
-        }
-
-        edits.reverse();
-
-        // Consolidate into hunks
-        const hunks = [];
-        let i = 0;
-
-        while (i < edits.length) {
-            const edit = edits[i];
-            if (edit.type === 'equal') {
-                hunks.push({ type: 'equal', lLines: [left[edit.li]], rLines: [right[edit.ri]], lStart: edit.li, rStart: edit.ri });
-                i++;
-            } else if (edit.type === 'delete') {
-                const dels = [];
-                const ins = [];
-                while (i < edits.length && edits[i].type === 'delete') { dels.push(edits[i]); i++; }
-                while (i < edits.length && edits[i].type === 'insert') { ins.push(edits[i]); i++; }
-
-                if (dels.length > 0 && ins.length > 0) {
-                    const count = Math.min(dels.length, ins.length);
-                    for (let j = 0; j < count; j++) {
-                        hunks.push({
-                            type: 'changed',
-                            lLines: [left[dels[j].li]],
-                            rLines: [right[ins[j].ri]],
-                            lStart: dels[j].li,
-                            rStart: ins[j].ri
-                        });
-                    }
-                    for (let j = count; j < dels.length; j++) {
-                        hunks.push({ type: 'removed', lLines: [left[dels[j].li]], rLines: [''], lStart: dels[j].li, rStart: -1 });
-                    }
-                    for (let j = count; j < ins.length; j++) {
-                        hunks.push({ type: 'added', lLines: [''], rLines: [right[ins[j].ri]], lStart: -1, rStart: ins[j].ri });
-                    }
-                } else {
-                    for (const d2 of dels) {
-                        hunks.push({ type: 'removed', lLines: [left[d2.li]], rLines: [''], lStart: d2.li, rStart: -1 });
-                    }
-                    for (const ins2 of ins) {
-                        hunks.push({ type: 'added', lLines: [''], rLines: [right[ins2.ri]], lStart: -1, rStart: ins2.ri });
-                    }
-                }
-            } else {
-                // insert
-                const ins = [];
-                while (i < edits.length && edits[i].type === 'insert') { ins.push(edits[i]); i++; }
-                for (const ins2 of ins) {
-                    hunks.push({ type: 'added', lLines: [''], rLines: [right[ins2.ri]], lStart: -1, rStart: ins2.ri });
-                }
-            }
-        }
-
-        return hunks;
-    }
+    const EOL_MARK = '<span class="inv inv-eol"></span>';
 
     // ───────────────────────────────────────────────────────────
-    //  WORD-LEVEL DIFF
-    //  Returns HTML strings with word highlights for two lines
+    //  INTRALINE HIGHLIGHTS
+    //  DiffCore's runs for a changed pair of lines as `word-removed` /
+    //  `word-added` spans, over the syntax and mask marks. Masks and
+    //  ignoreCase come compiled (see renderRules); `syntaxA` / `syntaxB`
+    //  are the lines' highlight marks, if any.
     // ───────────────────────────────────────────────────────────
-    function wordDiff(lineA, lineB) {
-        const tokA = tokenizeWords(lineA);
-        const tokB = tokenizeWords(lineB);
+    function highlightPair(lineA, lineB, granularity, rules, syntaxA, syntaxB) {
+        const runs = core.intralineRuns(lineA, lineB, granularity, rules);
+        const marksA = layerMarks(syntaxA || [], maskMarks(core.maskRanges(lineA, rules.masks)));
+        const marksB = layerMarks(syntaxB || [], maskMarks(core.maskRanges(lineB, rules.masks)));
 
-        const n = tokA.length;
-        const m = tokB.length;
-        const lcs = computeLCS(tokA, tokB);
-
-        let ai = 0, bi = 0, li = 0;
+        // Runs are walked by offset, so each side shows its own text
         let leftHtml = '';
         let rightHtml = '';
-
-        while (ai < n || bi < m) {
-            if (ai < n && bi < m && li < lcs.length &&
-                tokA[ai] === lcs[li] && tokB[bi] === lcs[li]) {
-                leftHtml += escape(tokA[ai]);
-                rightHtml += escape(tokB[bi]);
-                ai++; bi++; li++;
-            } else if (bi < m && (ai >= n || !tokA.slice(ai).includes(lcs[li]))) {
-                rightHtml += `<span class="word-added">${escape(tokB[bi])}</span>`;
-                bi++;
-            } else {
-                leftHtml += `<span class="word-removed">${escape(tokA[ai])}</span>`;
-                ai++;
-            }
+        let atA = 0, atB = 0;
+        for (const run of runs) {
+            leftHtml += sliceHtml(lineA, atA, atA + run.left.length, marksA, run.equal ? '' : 'word-removed', rules.invisibles);
+            rightHtml += sliceHtml(lineB, atB, atB + run.right.length, marksB, run.equal ? '' : 'word-added', rules.invisibles);
+            atA += run.left.length;
+            atB += run.right.length;
         }
 
         return { leftHtml, rightHtml };
     }
 
-    function tokenizeWords(line) {
-        // Split into word tokens + whitespace + symbols
-        return line.match(/\w+|\s+|[^\w\s]/g) || [];
-    }
-
-    function computeLCS(a, b) {
-        const n = a.length, m = b.length;
-        if (n === 0 || m === 0) return [];
-        // Cap for performance on large lines
-        if (n * m > 100000) return [];
-
-        const dp = Array.from({ length: n + 1 }, () => new Int16Array(m + 1));
-        for (let i = 1; i <= n; i++) {
-            for (let j = 1; j <= m; j++) {
-                dp[i][j] = a[i - 1] === b[j - 1] ? dp[i - 1][j - 1] + 1 : Math.max(dp[i - 1][j], dp[i][j - 1]);
-            }
-        }
-        const result = [];
-        let i = n, j = m;
-        while (i > 0 && j > 0) {
-            if (a[i - 1] === b[j - 1]) { result.unshift(a[i - 1]); i--; j--; }
-            else if (dp[i - 1][j] > dp[i][j - 1]) { i--; }
-            else { j--; }
-        }
-        return result;
-    }
-
     // ───────────────────────────────────────────────────────────
-    //  SIDE-BY-SIDE HTML RENDERER
+    //  HTML RENDERERS
+    //  Line numbers come from lStart/rStart, so hunk lists with gaps
+    //  (e.g. parsed patches) render with the right numbers and a
+    //  separator wherever lines are missing. Unchanged lines further than
+    //  `options.context` from a change collapse into a separator that
+    //  expands in place (see expand()) — or a plain one, for static
+    //  output, with `options.expandable` false.
     // ───────────────────────────────────────────────────────────
-    function renderSideBySide(hunks) {
-        let ln = 0, rn = 0;
-
-        // Group into visible chunks (with context collapsing)
-        const rows = [];
-        const visible = new Uint8Array(hunks.length);
-
-        for (let i = 0; i < hunks.length; i++) {
-            if (hunks[i].type !== 'equal') {
-                for (let j = Math.max(0, i - CONTEXT_LINES); j < Math.min(hunks.length, i + CONTEXT_LINES + 1); j++) {
-                    visible[j] = 1;
-                }
-            }
+    const LAYOUTS = {
+        sidebyside: {
+            table: '<table class="diff-table" role="table"><colgroup><col/><col/><col/><col/><col/><col/></colgroup><tbody>',
+            colspan: 6,
+            row: sideBySideRow
+        },
+        inline: {
+            table: '<table class="inline-table" role="table"><colgroup><col/><col/><col/></colgroup><tbody>',
+            colspan: 3,
+            row: inlineRows
         }
+    };
 
-        let lLineNum = 1;
-        let rLineNum = 1;
-
-        // Pre-calculate line numbers
-        const lineNums = hunks.map(h => {
-            const l = h.lStart >= 0 ? lLineNum : null;
-            const r = h.rStart >= 0 ? rLineNum : null;
-            if (h.lStart >= 0) lLineNum++;
-            if (h.rStart >= 0) rLineNum++;
-            return { l, r };
-        });
-
-        const hasChanges = hunks.some(h => h.type !== 'equal');
-
-        if (!hasChanges) {
+    function render(hunks, viewMode, options = {}) {
+        if (!hunks.some(isChange)) {
             return '<div style="padding:20px;text-align:center;color:var(--diff-unchanged-text);font-family:var(--font-mono);font-size:0.85rem">✓ No differences found — files are identical</div>';
         }
+        const layout = LAYOUTS[viewMode] || LAYOUTS.inline;
+        const visible = computeVisible(hunks, options.context);
+        return layout.table + renderRows(hunks, 0, hunks.length, visible, layout, options) + '</tbody></table>';
+    }
 
-        let html = '<table class="diff-table" role="table"><colgroup><col/><col/><col/><col/><col/><col/></colgroup><tbody>';
-
-        let skippedStart = -1;
-
-        for (let i = 0; i < hunks.length; i++) {
-            const h = hunks[i];
-            const nums = lineNums[i];
-
-            if (!visible[i]) {
-                if (skippedStart === -1) skippedStart = i;
-                continue;
+    // Rows for hunks[from, to) — all of them without `visible`. A run of
+    // hidden hunks becomes one expandable separator.
+    function renderRows(hunks, from, to, visible, layout, options) {
+        const rules = renderRules(options);
+        const ctx = {
+            rules,
+            syntax: syntaxMarks(hunks, options.language),
+            granularity: options.granularity,
+            lastLines: rules.invisibles ? unterminatedLines(hunks, options.eol) : null
+        };
+        const gaps = new LineGapTracker(hunks, from);
+        let html = '';
+        let hiddenFrom = -1;
+        const flushHidden = at => {
+            if (hiddenFrom < 0) return;
+            html += options.expandable === false
+                ? separatorRow(at - hiddenFrom, layout.colspan)
+                : expandableRow(hiddenFrom, at, hunks.length, layout.colspan);
+            hiddenFrom = -1;
+        };
+
+        for (let i = from; i < to; i++) {
+            const skipped = gaps.next(hunks[i]);
+            if (skipped > 0) {
+                flushHidden(i);
+                html += separatorRow(skipped, layout.colspan);
             }
-
-            if (skippedStart !== -1) {
-                const skipped = i - skippedStart;
-                html += `<tr class="diff-separator"><td colspan="6">⋯ ${skipped} unchanged line${skipped !== 1 ? 's' : ''} ⋯</td></tr>`;
-                skippedStart = -1;
+            if (visible && !visible[i]) {
+                if (hiddenFrom < 0) hiddenFrom = i;
+                continue;
             }
+            flushHidden(i);
+            html += layout.row(hunks[i], ctx);
+        }
+        flushHidden(to);
+        return html;
+    }
 
-            const lNum = nums.l !== null ? nums.l : '';
-            const rNum = nums.r !== null ? nums.r : '';
-
-            let lHtml, rHtml;
-
-            if (h.type === 'changed') {
-                const wordResult = wordDiff(h.lLines[0], h.rLines[0]);
-                lHtml = wordResult.leftHtml;
-                rHtml = wordResult.rightHtml;
-            } else {
-                lHtml = escape(h.lLines[0]);
-                rHtml = escape(h.rLines[0]);
-            }
+    function sideBySideRow(h, ctx) {
+        const lNum = h.lStart >= 0 ? h.lStart + 1 : '';
+        const rNum = h.rStart >= 0 ? h.rStart + 1 : '';
+
+        let lHtml, rHtml;
+        const lSyntax = ctx.syntax && ctx.syntax.left[h.lStart];
+        const rSyntax = ctx.syntax && ctx.syntax.right[h.rStart];
+
+        if (h.type === 'changed') {
+            const wordResult = highlightPair(h.lLines[0], h.rLines[0], ctx.granularity, ctx.rules, lSyntax, rSyntax);
+            lHtml = wordResult.leftHtml;
+            rHtml = wordResult.rightHtml;
+        } else {
+            lHtml = lineHtml(h.lLines[0], ctx.rules, lSyntax);
+            rHtml = lineHtml(h.rLines[0], ctx.rules, rSyntax);
+        }
 
-            const rowClass = typeToRowClass(h.type);
-            const lCode = h.lLines[0] !== '' ? lHtml : '';
-            const rCode = h.rLines[0] !== '' ? rHtml : '';
+        const rowClass = h.ignored ? 'line-ignored'
+            : typeToRowClass(h.type) + (h.move ? ' line-moved' : '') + (h.whitespace ? ' line-whitespace' : '');
+        const lCode = (h.lLines[0] !== '' ? lHtml : '') + eolHtml(ctx, 'left', h.lStart) + (h.type === 'removed' ? moveLink(h) : '');
+        const rCode = (h.rLines[0] !== '' ? rHtml : '') + eolHtml(ctx, 'right', h.rStart) + (h.type === 'added' ? moveLink(h) : '');
 
-            html += `
-<tr class="diff-row ${rowClass}" role="row">
+        return `
+<tr class="diff-row ${rowClass}" role="row"${moveAnchor(h)}>
   <td class="gutter-cell" role="cell">${lNum}</td>
   <td class="diff-cell" role="cell">${lCode}</td>
   <td class="diff-divider" role="presentation"></td>
   <td class="gutter-cell" role="cell">${rNum}</td>
   <td class="diff-cell" role="cell">${rCode}</td>
 </tr>`;
-        }
-
-        if (skippedStart !== -1) {
-            const skipped = hunks.length - skippedStart;
-            html += `<tr class="diff-separator"><td colspan="6">⋯ ${skipped} unchanged line${skipped !== 1 ? 's' : ''} ⋯</td></tr>`;
-        }
-
-        html += '</tbody></table>';
-        return html;
     }
 
-    // ───────────────────────────────────────────────────────────
-    //  INLINE HTML RENDERER
-    // ───────────────────────────────────────────────────────────
-    function renderInline(hunks) {
-        const hasChanges = hunks.some(h => h.type !== 'equal');
-
-        if (!hasChanges) {
-            return '<div style="padding:20px;text-align:center;color:var(--diff-unchanged-text);font-family:var(--font-mono);font-size:0.85rem">✓ No differences found — files are identical</div>';
-        }
-
-        let lLineNum = 1;
-        let rLineNum = 1;
-        let html = '<table class="inline-table" role="table"><colgroup><col/><col/><col/></colgroup><tbody>';
-
-        const visible = new Uint8Array(hunks.length);
-        for (let i = 0; i < hunks.length; i++) {
-            if (hunks[i].type !== 'equal') {
-                for (let j = Math.max(0, i - CONTEXT_LINES); j < Math.min(hunks.length, i + CONTEXT_LINES + 1); j++) {
-                    visible[j] = 1;
-                }
-            }
-        }
-
-        let skippedStart = -1;
+    function inlineRows(h, ctx) {
+        const ln = h.lStart + 1;
+        const rn = h.rStart + 1;
+        const lSyntax = ctx.syntax && ctx.syntax.left[h.lStart];
+        const rSyntax = ctx.syntax && ctx.syntax.right[h.rStart];
 
-        for (let i = 0; i < hunks.length; i++) {
-            const h = hunks[i];
-            if (!visible[i]) {
-                if (skippedStart === -1) skippedStart = i;
-                if (h.lStart >= 0) lLineNum++;
-                if (h.rStart >= 0) rLineNum++;
-                continue;
-            }
-
-            if (skippedStart !== -1) {
-                const skipped = i - skippedStart;
-                html += `<tr class="diff-separator"><td colspan="3">⋯ ${skipped} unchanged line${skipped !== 1 ? 's' : ''} ⋯</td></tr>`;
-                skippedStart = -1;
-            }
-
-            if (h.type === 'equal') {
-                const ln = lLineNum++;
-                rLineNum++;
-                html += `<tr class="inline-equal">
+        if (h.type === 'equal') {
+            return `<tr class="inline-equal">
   <td class="inline-gutter">${ln}</td>
   <td class="inline-gutter">  </td>
-  <td class="inline-code">${escape(h.lLines[0])}</td>
+  <td class="inline-code">${lineHtml(h.lLines[0], ctx.rules, lSyntax)}${eolHtml(ctx, 'left', h.lStart)}</td>
 </tr>`;
-            } else if (h.type === 'removed') {
-                const ln = lLineNum++;
-                html += `<tr class="inline-removed">
+        }
+        if (h.type === 'removed') {
+            return `<tr class="inline-removed${h.move ? ' inline-moved' : ''}${h.ignored ? ' inline-ignored' : ''}"${moveAnchor(h)}>
   <td class="inline-gutter">${ln}</td>
   <td class="inline-gutter">−</td>
-  <td class="inline-code">${escape(h.lLines[0])}</td>
+  <td class="inline-code">${lineHtml(h.lLines[0], ctx.rules, lSyntax)}${eolHtml(ctx, 'left', h.lStart)}${moveLink(h)}</td>
 </tr>`;
-            } else if (h.type === 'added') {
-                const rn = rLineNum++;
-                html += `<tr class="inline-added">
+        }
+        if (h.type === 'added') {
+            return `<tr class="inline-added${h.move ? ' inline-moved' : ''}${h.ignored ? ' inline-ignored' : ''}"${moveAnchor(h)}>
   <td class="inline-gutter">  </td>
   <td class="inline-gutter">${rn}</td>
-  <td class="inline-code">${escape(h.rLines[0])}</td>
+  <td class="inline-code">${lineHtml(h.rLines[0], ctx.rules, rSyntax)}${eolHtml(ctx, 'right', h.rStart)}${moveLink(h)}</td>
 </tr>`;
-            } else if (h.type === 'changed') {
-                const ln = lLineNum++;
-                const rn = rLineNum++;
-                const { leftHtml, rightHtml } = wordDiff(h.lLines[0], h.rLines[0]);
-                html += `<tr class="inline-removed">
+        }
+        const { leftHtml, rightHtml } = highlightPair(h.lLines[0], h.rLines[0], ctx.granularity, ctx.rules, lSyntax, rSyntax);
+        const ws = h.whitespace ? ' inline-whitespace' : '';
+        return `<tr class="inline-removed${ws}">
   <td class="inline-gutter">${ln}</td>
   <td class="inline-gutter">−</td>
-  <td class="inline-code">${leftHtml}</td>
+  <td class="inline-code">${leftHtml}${eolHtml(ctx, 'left', h.lStart)}</td>
 </tr>
-<tr class="inline-added">
+<tr class="inline-added${ws}">
   <td class="inline-gutter">  </td>
   <td class="inline-gutter">${rn}</td>
-  <td class="inline-code">${rightHtml}</td>
+  <td class="inline-code">${rightHtml}${eolHtml(ctx, 'right', h.rStart)}</td>
 </tr>`;
-            }
-        }
+    }
 
-        if (skippedStart !== -1) {
-            const skipped = hunks.length - skippedStart;
-            html += `<tr class="diff-separator"><td colspan="3">⋯ ${skipped} unchanged line${skipped !== 1 ? 's' : ''} ⋯</td></tr>`;
+    // Rows replacing the separator of hidden hunks[from, to): 'down' shows
+    // the EXPAND_STEP lines after the change above, 'up' those before the
+    // change below, 'all' the whole run
+    function expand(hunks, viewMode, from, to, direction, options = {}) {
+        const layout = LAYOUTS[viewMode] || LAYOUTS.inline;
+        if (direction === 'down' && to - from > EXPAND_STEP) {
+            return renderRows(hunks, from, from + EXPAND_STEP, null, layout, options)
+                + expandableRow(from + EXPAND_STEP, to, hunks.length, layout.colspan);
         }
-
-        html += '</tbody></table>';
-        return html;
+        if (direction === 'up' && to - from > EXPAND_STEP) {
+            return expandableRow(from, to - EXPAND_STEP, hunks.length, layout.colspan)
+                + renderRows(hunks, to - EXPAND_STEP, to, null, layout, options);
+        }
+        return renderRows(hunks, from, to, null, layout, options);
     }
 
     // ───────────────────────────────────────────────────────────
     //  HELPERS
     // ───────────────────────────────────────────────────────────
-    function typeToRowClass(type) {
-        const map = { equal: 'line-equal', removed: 'line-removed', added: 'line-added', changed: 'line-changed' };
-        return map[type] || 'line-equal';
+    // Hunks that show as a change (ignored ones render as context)
+    function isChange(h) {
+        return h.type !== 'equal' && !h.ignored;
     }
 
-    // ───────────────────────────────────────────────────────────
-    //  STATS COMPUTATION
-    // ───────────────────────────────────────────────────────────
-    function computeStats(hunks) {
-        let added = 0, removed = 0, changed = 0;
+    // Mark every hunk within `context` lines of a change as visible
+    // (Infinity shows them all): one pass each way, tracking the nearest change
+    function computeVisible(hunks, context = CONTEXT_LINES) {
+        const n = hunks.length;
+        const visible = new Uint8Array(n);
+        let last = -Infinity;
+        for (let i = 0; i < n; i++) {
+            if (isChange(hunks[i])) last = i;
+            if (i - last <= context) visible[i] = 1;
+        }
+        last = Infinity;
+        for (let i = n - 1; i >= 0; i--) {
+            if (isChange(hunks[i])) last = i;
+            if (last - i <= context) visible[i] = 1;
+        }
+        return visible;
+    }
+
+    // Render options' masks compiled once per render: { masks, ignoreCase, invisibles }
+    function renderRules(options) {
+        return { masks: core.compileMasks(options.masks), ignoreCase: !!options.ignoreCase, invisibles: !!options.showInvisibles };
+    }
+
+    // The last line of each side that has no newline after it, { left, right }
+    // (-1: none, or not known without `eol`)
+    function unterminatedLines(hunks, eol) {
+        const last = { left: -1, right: -1 };
+        if (!eol) return last;
         for (const h of hunks) {
-            if (h.type === 'added') added++;
-            if (h.type === 'removed') removed++;
-            if (h.type === 'changed') changed++;
+            if (!eol.left && h.lStart > last.left) last.left = h.lStart;
+            if (!eol.right && h.rStart > last.right) last.right = h.rStart;
         }
-        return { added, removed, changed };
+        return last;
     }
 
-    // ───────────────────────────────────────────────────────────
-    //  PLAIN-TEXT DIFF (for copy/download)
-    // ───────────────────────────────────────────────────────────
-    function renderPlainText(hunks) {
-        let out = '';
-        let lLine = 1, rLine = 1;
+    // A line-end marker after line `n` of a side, with invisibles shown
+    function eolHtml(ctx, side, n) {
+        if (!ctx.lastLines || n < 0 || n === ctx.lastLines[side]) return '';
+        return EOL_MARK;
+    }
+
+    // Highlight marks by line number on each side, { left, right }, or
+    // null without a language (see SyntaxHighlight). Each side's lines are
+    // lexed in order, so comments and strings spanning lines come out right.
+    function syntaxMarks(hunks, language) {
+        if (!language || language === 'text' || !SyntaxHighlight) return null;
+        const lLines = [], lNums = [], rLines = [], rNums = [];
         for (const h of hunks) {
-            if (h.type === 'equal') {
-                out += `  ${h.lLines[0]}\n`;
-                lLine++; rLine++;
-            } else if (h.type === 'removed') {
-                out += `- ${h.lLines[0]}\n`;
-                lLine++;
-            } else if (h.type === 'added') {
-                out += `+ ${h.rLines[0]}\n`;
-                rLine++;
-            } else if (h.type === 'changed') {
-                out += `- ${h.lLines[0]}\n`;
-                out += `+ ${h.rLines[0]}\n`;
-                lLine++; rLine++;
-            }
+            if (h.lStart >= 0) { lLines.push(h.lLines[0]); lNums.push(h.lStart); }
+            if (h.rStart >= 0) { rLines.push(h.rLines[0]); rNums.push(h.rStart); }
+        }
+        const left = [], right = [];
+        SyntaxHighlight.tokenize(lLines, language).forEach((marks, i) => { left[lNums[i]] = marks; });
+        SyntaxHighlight.tokenize(rLines, language).forEach((marks, i) => { right[rNums[i]] = marks; });
+        return { left, right };
+    }
+
+    function maskMarks(ranges) {
+        return ranges.map(([start, end]) => [start, end, 'masked']);
+    }
+
+    // Two sorted lists of non-overlapping [start, end, className] marks as
+    // one: wherever both cover a stretch, it gets both class names
+    function layerMarks(under, over) {
+        if (over.length === 0) return under;
+        if (under.length === 0) return over;
+        const points = new Set();
+        for (const [start, end] of under.concat(over)) { points.add(start); points.add(end); }
+        const bounds = Array.from(points).sort((x, y) => x - y);
+
+        const out = [];
+        let i = 0, j = 0;
+        for (let p = 0; p + 1 < bounds.length; p++) {
+            const from = bounds[p];
+            while (i < under.length && under[i][1] <= from) i++;
+            while (j < over.length && over[j][1] <= from) j++;
+            const names = [];
+            if (i < under.length && under[i][0] <= from) names.push(under[i][2]);
+            if (j < over.length && over[j][0] <= from) names.push(over[j][2]);
+            if (names.length > 0) out.push([from, bounds[p + 1], names.join(' ')]);
         }
         return out;
     }
 
+    // A whole line as HTML, highlighted with its syntax marks (if any) and
+    // masked matches dimmed
+    function lineHtml(line, rules, syntax) {
+        const marks = layerMarks(syntax || [], maskMarks(core.maskRanges(line, rules.masks)));
+        return sliceHtml(line, 0, line.length, marks, '', rules.invisibles);
+    }
+
+    // line[from, to) as HTML: marked stretches wrapped in spans of their
+    // class names, the whole in a `cls` span when given. Without
+    // `invisibles`, a CR is only shown (as ␍) inside a change, where it may
+    // be the difference.
+    function sliceHtml(line, from, to, marks, cls, invisibles) {
+        if (from >= to) return '';
+        const text = (start, end) => {
+            const html = escape(line.slice(start, end));
+            if (invisibles) return html.replace(INVISIBLE_RE, invisibleHtml);
+            return html.includes('\r') ? html.replace(/\r/g, cls ? '␍' : '') : html;
+        };
+        let html = '';
+        let at = from;
+        for (const [start, end, name] of marks) {
+            if (end <= at) continue;
+            if (start >= to) break;
+            if (start > at) html += text(at, start);
+            const markFrom = Math.max(start, at);
+            at = Math.min(end, to);
+            html += `<span class="${name}">${text(markFrom, at)}</span>`;
+        }
+        if (at < to) html += text(at, to);
+        return cls ? `<span class="${cls}">${html}</span>` : html;
+    }
+
+    // Counts the lines skipped before each rendered hunk, whether they were
+    // collapsed as context or simply absent (lines between patch hunks)
+    // Starting mid-list (from > 0) picks up after the last numbered line
+    // of hunks[0, from) on each side
+    class LineGapTracker {
+        constructor(hunks = [], from = 0) {
+            this.nextL = 0;
+            this.nextR = 0;
+            for (let i = from - 1; i >= 0 && !(this.nextL && this.nextR); i--) {
+                if (!this.nextL && hunks[i].lStart >= 0) this.nextL = hunks[i].lStart + 1;
+                if (!this.nextR && hunks[i].rStart >= 0) this.nextR = hunks[i].rStart + 1;
+            }
+        }
+
+        next(h) {
+            const skipped = h.lStart >= 0 ? h.lStart - this.nextL : h.rStart - this.nextR;
+            if (h.lStart >= 0) this.nextL = h.lStart + 1;
+            if (h.rStart >= 0) this.nextR = h.rStart + 1;
+            return skipped;
+        }
+    }
+
+    function separatorRow(skipped, colspan) {
+        return `<tr class="diff-separator"><td colspan="${colspan}">⋯ ${skipped} unchanged line${skipped !== 1 ? 's' : ''} ⋯</td></tr>`;
+    }
+
+    // Collapsed hunks[from, to): the count expands everything, the arrows
+    // EXPAND_STEP lines from the change above (↓) or below (↑) — offered
+    // only when there is such a change and more than a step to show
+    function expandableRow(from, to, total, colspan) {
+        const count = to - from;
+        const partial = count > EXPAND_STEP;
+        const down = partial && from > 0
+            ? `<button type="button" class="expand-btn" data-expand="down" title="Show ${EXPAND_STEP} more lines below">↓ ${EXPAND_STEP}</button>` : '';
+        const up = partial && to < total
+            ? `<button type="button" class="expand-btn" data-expand="up" title="Show ${EXPAND_STEP} more lines above">↑ ${EXPAND_STEP}</button>` : '';
+        return `<tr class="diff-separator" data-expand-from="${from}" data-expand-to="${to}"><td colspan="${colspan}">${down}<button type="button" class="expand-btn" data-expand="all" title="Show all">⋯ ${count} unchanged line${count !== 1 ? 's' : ''} ⋯</button>${up}</td></tr>`;
+    }
+
+    // Moved rows are anchored as L<line>/R<line> (0-based); the first row
+    // of each block links to the other end of the move
+    function moveAnchor(h) {
+        if (!h.move) return '';
+        return h.type === 'removed' ? ` data-move-line="L${h.lStart}"` : ` data-move-line="R${h.rStart}"`;
+    }
+
+    function moveLink(h) {
+        if (!h.move || !h.move.first) return '';
+        const target = (h.type === 'removed' ? 'R' : 'L') + h.move.line;
+        const label = (h.type === 'removed' ? 'moved to line ' : 'moved from line ') + (h.move.line + 1);
+        return `<button type="button" class="move-link" data-move-target="${target}" title="Jump to the other end of this move">${label}</button>`;
+    }
+
+    function typeToRowClass(type) {
+        const map = { equal: 'line-equal', removed: 'line-removed', added: 'line-added', changed: 'line-changed' };
+        return map[type] || 'line-equal';
+    }
+
+
     // ───────────────────────────────────────────────────────────
     //  PUBLIC API
     // ───────────────────────────────────────────────────────────
-    window.DiffEngine = {
+    const DiffEngine = {
         /**
-         * Run a diff and return { html, stats, plainText }.
+         * Run a diff and return { html, stats, plainText, hunks, eol }.
          * @param {string} leftText
          * @param {string} rightText
-         * @param {object} options
-         * @param {boolean} options.ignoreWhitespace
-         * @param {boolean} options.jsonMode
+         * @param {object} options   everything DiffCore.diff() takes, plus:
          * @param {string}  options.viewMode  'sidebyside' | 'inline'
-         * @returns {{ html: string, stats: object, plainText: string }}
+         * @param {string}  [options.granularity] intraline highlights: 'word' (default) | 'char' | 'token'
+         * @param {string}  [options.language] syntax highlighting, one of SyntaxHighlight.languages ('text' or none: off)
+         * @param {number}  [options.displayContext] unchanged lines shown around changes before collapsing (default 4, Infinity: all)
+         * @param {boolean} [options.showInvisibles] mark tabs, spaces, NBSPs, zero-width characters and line ends
+         * @returns {{ html: string, stats: object, plainText: string, hunks: Array, eol: { left: boolean, right: boolean } }}
+         *          or { error, side, pos } when a side doesn't parse as `format`.
+         *          Masked text renders dimmed; ignored blank-line changes stay in `plainText`.
+         * @throws {SyntaxError} when a mask is not a valid regex
          */
         run(leftText, rightText, options = {}) {
-            let left = leftText;
-            let right = rightText;
-
-            // JSON normalization
-            if (options.jsonMode) {
-                try { left = normalizeJSON(left); } catch (e) {
-                    return { error: `Left pane: Invalid JSON — ${e.message}` };
-                }
-                try { right = normalizeJSON(right); } catch (e) {
-                    return { error: `Right pane: Invalid JSON — ${e.message}` };
-                }
-            }
-
-            const leftLines = splitLines(left);
-            const rightLines = splitLines(right);
-
-            const hunks = myersDiff(leftLines, rightLines, options.ignoreWhitespace);
-            const stats = computeStats(hunks);
+            const result = core.diff(leftText, rightText, options);
+            if (result.error) return result;
+
+            const { hunks, stats, plainText, eol } = result;
+            const html = render(hunks, options.viewMode, {
+                granularity: options.granularity,
+                language: options.language,
+                masks: options.masks,
+                ignoreCase: options.ignoreCase,
+                context: options.displayContext,
+                showInvisibles: options.showInvisibles,
+                eol
+            });
+
+            return { html, stats, plainText, hunks, eol };
+        },
 
-            // default to inline
-            const html = (options.viewMode === 'sidebyside')
-                ? renderSideBySide(hunks)
-                : renderInline(hunks);
+        /**
+         * Render an existing hunk list (e.g. from a parsed patch) as HTML.
+         * @param {Array}  hunks
+         * @param {string} viewMode  'sidebyside' | 'inline'
+         * @param {{ granularity?: string, language?: string, masks?: string[], ignoreCase?: boolean, context?: number, expandable?: boolean,
+         *          showInvisibles?: boolean, eol?: { left: boolean, right: boolean } }} [options]
+         *        see run(); `expandable` false collapses context without expand buttons; `eol` (as from compute())
+         *        leaves the line-end marker off a last line without a newline
+         * @returns {string}
+         */
+        render,
 
-            const plainText = renderPlainText(hunks);
+        /**
+         * Rows replacing a collapsed separator (`data-expand-from` / `data-expand-to`)
+         * of a render() of the same hunks.
+         * @param {Array}  hunks
+         * @param {string} viewMode   'sidebyside' | 'inline'
+         * @param {number} from       first hidden hunk
+         * @param {number} to         one past the last hidden hunk
+         * @param {string} direction  'down' | 'up' (20 lines, leaving a smaller separator) | 'all'
+         * @param {object} [options]  same as render()
+         * @returns {string}
+         */
+        expand,
 
-            return { html, stats, plainText, hunks };
+        /**
+         * Highlight what changed between two strings, as escaped HTML with
+         * `word-removed` / `word-added` spans.
+         * @param {string} lineA
+         * @param {string} lineB
+         * @param {string} [granularity] 'word' (default) | 'char' | 'token'
+         * @param {{ masks?: string[], ignoreCase?: boolean, showInvisibles?: boolean }} [rules] see run()
+         * @returns {{ leftHtml: string, rightHtml: string }}
+         */
+        intralineDiff(lineA, lineB, granularity, rules = {}) {
+            return highlightPair(lineA, lineB, granularity, renderRules(rules));
         },
 
         /**
          * Escape HTML — useful for safe rendering in toasts etc.
          */
-        escape
+        escape,
+
+        // The computation, straight from DiffCore (documented there)
+        compute: core.compute,
+        diffEdits: core.diffEdits,
+        buildHunks: core.buildHunks,
+        splitLines: core.splitLines,
+        endsWithNewline: core.endsWithNewline,
+        computeStats: core.computeStats,
+        algorithms: core.algorithms,
+        granularities: core.granularities
     };
 
+    if (isModule) module.exports = DiffEngine;
+    else scope.DiffEngine = DiffEngine;
+
 })();
@@ -0,0 +1,27 @@
+/**
+ * Codediff — Diff Engine (HTML rendering) as an ES module
+ *
+ * For Node's `import` and bundlers; the code itself is the CommonJS /
+ * global build in diff-engine.js, which a browser's native `import` can't load —
+ * without a bundler, use it through a classic <script> tag instead.
+ */
+
+import DiffEngine from './diff-engine.js';
+
+export const {
+    run,
+    render,
+    expand,
+    intralineDiff,
+    escape,
+    compute,
+    diffEdits,
+    buildHunks,
+    splitLines,
+    endsWithNewline,
+    computeStats,
+    algorithms,
+    granularities
+} = DiffEngine;
+
+export default DiffEngine;
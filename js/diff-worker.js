@@ -0,0 +1,49 @@
+/**
+ * Codediff — Diff Worker
+ *
+ * Runs DiffEngine.run() — and the three-way merge with its stats, and
+ * the byte comparison of the hex view — off the main thread so big
+ * comparisons never freeze the page.
+ * Cancelling means terminating the worker — a running diff can't be
+ * interrupted any other way.
+ *
+ * Messages in:   { id, task, args }   task: a key of TASKS
+ * Messages out:  { id, type: 'progress', done, total }
+ *                { id, type: 'result', result }
+ *                { id, type: 'error', message }
+ */
+
+importScripts('format-engine.js', 'syntax-highlight.js', 'diff-core.js', 'diff-engine.js', 'merge-engine.js', 'hex-diff.js');
+
+(function DiffWorker() {
+    'use strict';
+
+    const PROGRESS_INTERVAL = 100;  // ms between progress messages
+
+    // Each takes the message's args, then the progress callback
+    const TASKS = {
+        run: (left, right, options, onProgress) => DiffEngine.run(left, right, Object.assign({}, options, { onProgress })),
+        merge: (base, left, right, options) => MergeEngine.merge(base, left, right, options),
+        stats: (left, right, options, onProgress) => DiffEngine.compute(left, right, Object.assign({}, options, { onProgress })).stats,
+        hex: (a, b) => HexDiff.compare(a, b)
+    };
+
+    self.onmessage = e => {
+        const { id, task, args } = e.data;
+        let lastPost = 0;
+
+        const onProgress = (done, total) => {
+            const now = Date.now();
+            if (now - lastPost < PROGRESS_INTERVAL) return;
+            lastPost = now;
+            self.postMessage({ id, type: 'progress', done, total });
+        };
+
+        try {
+            const result = TASKS[task](...args, onProgress);
+            self.postMessage({ id, type: 'result', result });
+        } catch (err) {
+            self.postMessage({ id, type: 'error', message: err.message });
+        }
+    };
+})();
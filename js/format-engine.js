@@ -0,0 +1,1538 @@
+/**
+ * Codediff — Format Engine
+ *
+ * Built-in parsers and canonical serializers for the structured formats
+ * behind the Format selector: JSON, YAML, XML, TOML, CSV and TSV. Both panes are
+ * parsed and written back in one fixed layout (two-space indentation,
+ * one entry per line, optionally sorted keys), so the diff shows data
+ * changes only — not quoting, spacing or flow vs. block style.
+ *
+ * No external libraries. Covered:
+ *  - YAML 1.2: block and flow collections, plain / quoted / block
+ *    scalars, anchors, aliases, `<<` merge keys, multiple documents,
+ *    core-schema types and the standard `!!` tags
+ *  - XML 1.0: elements, attributes, text, CDATA, comments, processing
+ *    instructions, DOCTYPE (kept verbatim), predefined and numeric entities
+ *  - TOML 1.0: the whole spec; dates and times are kept as written
+ *  - CSV / TSV (RFC 4180 quoting): rows of string cells
+ *
+ * Parse errors are thrown as SyntaxError with a 1-based `line` property
+ * and a 0-based character offset `pos` into the input.
+ */
+
+(function FormatEngineModule() {
+    'use strict';
+
+    // ───────────────────────────────────────────────────────────
+    //  CONSTANTS
+    // ───────────────────────────────────────────────────────────
+    const LABELS = { text: 'Text', json: 'JSON', yaml: 'YAML', xml: 'XML', toml: 'TOML', csv: 'CSV', tsv: 'TSV' };
+    const DELIMITERS = { csv: ',', tsv: '\t' };
+
+    const EXTENSIONS = {
+        json: 'json', geojson: 'json', webmanifest: 'json',
+        yaml: 'yaml', yml: 'yaml',
+        xml: 'xml', svg: 'xml', xsd: 'xml', xsl: 'xml', xslt: 'xml', plist: 'xml', csproj: 'xml',
+        toml: 'toml',
+        csv: 'csv', tsv: 'tsv', tab: 'tsv'
+    };
+
+    const INDENT = '  ';
+
+    // ───────────────────────────────────────────────────────────
+    //  UTILITY: Errors
+    // ───────────────────────────────────────────────────────────
+    function parseError(text, pos, message) {
+        pos = Math.max(0, Math.min(pos, text.length));
+        let line = 1;
+        for (let i = 0; i < pos; i++) if (text.charCodeAt(i) === 10) line++;
+        const err = new SyntaxError(`Line ${line}: ${message}`);
+        err.line = line;
+        err.pos = pos;
+        return err;
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  UTILITY: Plain objects
+    //  Keys go through defineProperty so a "__proto__" key in the input
+    //  stays an ordinary key.
+    // ───────────────────────────────────────────────────────────
+    class TomlDateTime {
+        constructor(text) { this.text = text; }
+        toJSON() { return this.text; }
+        toString() { return this.text; }
+    }
+
+    function isPlainObject(v) {
+        return v !== null && typeof v === 'object' && !Array.isArray(v) && !(v instanceof TomlDateTime);
+    }
+
+    function setKey(obj, key, value) {
+        Object.defineProperty(obj, key, { value, writable: true, enumerable: true, configurable: true });
+    }
+
+    function hasKey(obj, key) {
+        return Object.prototype.hasOwnProperty.call(obj, key);
+    }
+
+    function keysOf(obj, sortKeys) {
+        const keys = Object.keys(obj);
+        return sortKeys ? keys.sort() : keys;
+    }
+
+    function sortDeep(value) {
+        if (Array.isArray(value)) return value.map(sortDeep);
+        if (!isPlainObject(value)) return value;
+        const sorted = {};
+        for (const key of keysOf(value, true)) setKey(sorted, key, sortDeep(value[key]));
+        return sorted;
+    }
+
+    // Parsed value → JSON-compatible data (TOML dates become strings)
+    function plain(value) {
+        if (value instanceof TomlDateTime) return value.text;
+        if (Array.isArray(value)) return value.map(plain);
+        if (!isPlainObject(value)) return value;
+        const out = {};
+        for (const key of Object.keys(value)) setKey(out, key, plain(value[key]));
+        return out;
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  JSON
+    // ───────────────────────────────────────────────────────────
+    function parseJSON(text) {
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            // "… in JSON at position 12 (line 1 column 13)"; end of input has no position
+            const m = /at position (\d+)/.exec(e.message);
+            const message = e.message.replace(/\s*\(line \d+ column \d+\)$/, '');
+            throw parseError(text, m ? Number(m[1]) : text.length, message);
+        }
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  YAML: Parser
+    //  Line-oriented recursive descent. Block structure is read from the
+    //  indentation of whole lines; everything that starts mid-line (flow
+    //  collections, quoted and plain scalars) is read by a character
+    //  scanner over that line and its more-indented continuation lines.
+    // ───────────────────────────────────────────────────────────
+    function parseYAML(text) {
+        const lines = [];
+        let offset = 0;
+        for (const raw of text.split('\n')) {
+            const line = raw.endsWith('\r') ? raw.slice(0, -1) : raw;
+            lines.push({ raw: line, start: offset });
+            offset += raw.length + 1;
+        }
+        if (lines[0].raw.startsWith('\uFEFF')) {
+            lines[0].raw = lines[0].raw.slice(1);
+            lines[0].start = 1;
+        }
+        for (const line of lines) {
+            line.indent = line.raw.length - line.raw.replace(/^ +/, '').length;
+            line.col = line.indent;
+        }
+
+        const anchors = new Map();
+        let i = 0;
+
+        const fail = (line, col, message) => parseError(text, line.start + col, message);
+
+        // Line text from its current column, comments removed
+        function body(line) {
+            return stripComment(line.raw.slice(line.col));
+        }
+
+        function isBlank(line) {
+            return body(line) === '';
+        }
+
+        function isDocMarker(line) {
+            return line.col === 0 && /^(?:---|\.\.\.)(?:[ \t]|$)/.test(line.raw);
+        }
+
+        // Index of the next line with content (or lines.length)
+        function nextLine(from) {
+            let j = from;
+            while (j < lines.length && isBlank(lines[j])) j++;
+            if (j < lines.length) {
+                const line = lines[j];
+                if (/^\t/.test(line.raw.slice(line.indent)) && line.col === line.indent) {
+                    throw fail(line, line.indent, 'Tabs are not allowed for indentation');
+                }
+            }
+            return j;
+        }
+
+        // ── Documents
+        const docs = [];
+        for (;;) {
+            let j = nextLine(i);
+            while (j < lines.length && lines[j].col === 0 && lines[j].raw.startsWith('%')) j = nextLine(j + 1);
+            if (j >= lines.length) break;
+            i = j;
+            const line = lines[i];
+            let explicit = false;
+            if (/^---(?:[ \t]|$)/.test(line.raw)) {
+                explicit = true;
+                const rest = line.raw.slice(3).replace(/^[ \t]+/, '');
+                if (stripComment(rest) === '') {
+                    i++;
+                } else {
+                    // "--- value" — the rest of the line is the document's root node
+                    line.col = line.raw.length - rest.length;
+                    line.indent = line.col;
+                }
+            } else if (/^\.\.\.(?:[ \t]|$)/.test(line.raw)) {
+                i++;
+                continue;
+            }
+            j = nextLine(i);
+            const empty = j >= lines.length || isDocMarker(lines[j]);
+            if (empty && !explicit) break;
+            docs.push(empty ? null : parseNode(-1));
+
+            j = nextLine(i);
+            if (j < lines.length && !isDocMarker(lines[j])) {
+                throw fail(lines[j], lines[j].col, 'Unexpected content after the document — check the indentation');
+            }
+            i = j;
+        }
+        return docs;
+
+        // ── Block nodes
+        // A node whose lines are indented more than `parent`; `i` is at its first line
+        function parseNode(parent) {
+            i = nextLine(i);
+            const line = lines[i];
+            const text = body(line);
+            if (/^-(?:[ \t]|$)/.test(text)) return parseSequence(line.col);
+            if (splitKey(text)) return parseMapping(line.col);
+            return parseValue(line, line.col, parent, false);
+        }
+
+        function parseSequence(indent) {
+            const seq = [];
+            for (;;) {
+                const j = nextLine(i);
+                if (j >= lines.length) break;
+                const line = lines[j];
+                if (line.col < indent || isDocMarker(line)) break;
+                if (line.col > indent) throw fail(line, line.col, 'Bad indentation of a sequence entry');
+                if (!/^-(?:[ \t]|$)/.test(body(line))) break;
+                i = j;
+                const rest = line.raw.slice(line.col + 1).replace(/^[ \t]+/, '');
+                const col = line.raw.length - rest.length;
+                const restBody = stripComment(rest);
+                if (restBody !== '' && (/^-(?:[ \t]|$)/.test(restBody) || splitKey(restBody))) {
+                    // "- key: value" / "- - item": a compact nested collection
+                    // whose column is where the entry's content starts
+                    line.col = col;
+                    seq.push(parseNode(indent));
+                } else {
+                    seq.push(parseValue(line, restBody === '' ? line.raw.length : col, indent, false));
+                }
+            }
+            return seq;
+        }
+
+        function parseMapping(indent) {
+            const map = {};
+            const merges = [];
+            for (;;) {
+                const j = nextLine(i);
+                if (j >= lines.length) break;
+                const line = lines[j];
+                if (line.col < indent || isDocMarker(line)) break;
+                if (line.col > indent) throw fail(line, line.col, 'Bad indentation of a mapping entry');
+                i = j;
+                const entry = splitKey(body(line));
+                if (!entry) throw fail(line, line.col, 'Expected a "key: value" mapping entry');
+                if (entry.error) throw fail(line, line.col, entry.error);
+                const value = parseValue(line, line.col + entry.valueCol, indent, true);
+                if (entry.key === '<<' && !entry.quoted) {
+                    merges.push({ value, line });
+                    continue;
+                }
+                if (hasKey(map, entry.key)) throw fail(line, line.col, `Duplicate key "${entry.key}"`);
+                setKey(map, entry.key, value);
+            }
+            // Merge keys never override keys the mapping sets itself; earlier
+            // sources win over later ones
+            for (const { value, line } of merges) {
+                for (const source of Array.isArray(value) ? value : [value]) {
+                    if (!isPlainObject(source)) throw fail(line, line.col, 'A "<<" merge key needs a mapping or a list of mappings');
+                    for (const key of Object.keys(source)) if (!hasKey(map, key)) setKey(map, key, source[key]);
+                }
+            }
+            return map;
+        }
+
+        // ── Values
+        // The value starting at `col` of `line` (which is lines[i]) inside a
+        // node indented at `indent`; leaves `i` at the first line after it
+        function parseValue(line, col, indent, inMapping) {
+            let rest = line.raw.slice(col);
+            let anchor = null;
+            let tag = null;
+            for (;;) {
+                const m = /^[ \t]*([&!])(\S*)/.exec(rest);
+                if (!m || (m[1] === '!' && tag) || (m[1] === '&' && anchor)) break;
+                if (m[1] === '&') anchor = m[2];
+                else tag = m[1] + m[2];
+                rest = rest.slice(m[0].length);
+                col = line.raw.length - rest.length;
+            }
+            rest = rest.replace(/^[ \t]+/, '');
+            col = line.raw.length - rest.length;
+
+            let value;
+            let scalar = null;  // plain scalar text, resolved after the tag is known
+            const content = stripComment(rest);
+            if (content === '') {
+                i++;
+                const j = nextLine(i);
+                const next = lines[j];
+                if (next && !isDocMarker(next) && next.col > indent) {
+                    i = j;
+                    value = parseNode(indent);
+                } else if (next && inMapping && next.col === indent && /^-(?:[ \t]|$)/.test(body(next))) {
+                    // YAML lets a mapping's sequence value sit at the key's own indentation
+                    i = j;
+                    value = parseSequence(indent);
+                } else {
+                    scalar = '';
+                }
+            } else if (content[0] === '|' || content[0] === '>') {
+                value = parseBlockScalar(line, col, content, indent);
+            } else if (content[0] === '*') {
+                const name = content.slice(1);
+                if (!anchors.has(name)) throw fail(line, col, `Unknown alias "*${name}"`);
+                value = anchors.get(name);
+                i++;
+            } else {
+                const res = parseInline(line, col, indent);
+                if (res.plain) scalar = res.value;
+                else value = res.value;
+            }
+
+            if (scalar !== null) value = tag === '!!str' ? scalar : resolvePlain(scalar);
+            if (tag) value = applyTag(value, tag, line, col);
+            if (anchor) anchors.set(anchor, value);
+            return value;
+        }
+
+        function applyTag(value, tag, line, col) {
+            switch (tag) {
+                case '!!str': return value === null ? '' : (typeof value === 'object' ? value : String(value));
+                case '!!int':
+                case '!!float': {
+                    const n = typeof value === 'number' ? value : Number(value);
+                    if (Number.isNaN(n) && typeof value !== 'number') throw fail(line, col, `Cannot convert "${value}" to ${tag}`);
+                    return tag === '!!int' ? Math.trunc(n) : n;
+                }
+                case '!!bool': return typeof value === 'boolean' ? value : /^(?:true|True|TRUE)$/.test(String(value));
+                case '!!null': return null;
+                default: return value;  // !!map, !!seq, !!binary, local tags: keep the value as parsed
+            }
+        }
+
+        // ── Block scalars ("|" literal, ">" folded)
+        function parseBlockScalar(line, col, header, indent) {
+            const m = /^([|>])(?:([1-9])([+-]?)|([+-]?)([1-9]?))$/.exec(header.replace(/[ \t]+$/, ''));
+            if (!m) throw fail(line, col, `Invalid block scalar header "${header}"`);
+            const folded = m[1] === '>';
+            const chomp = m[3] || m[4] || '';
+            const explicitIndent = Number(m[2] || m[5] || 0);
+
+            let j = i + 1;
+            let contentIndent = explicitIndent ? Math.max(indent, 0) + explicitIndent : -1;
+            const body = [];
+            for (; j < lines.length; j++) {
+                const raw = lines[j].raw;
+                if (raw.trim() === '') {
+                    body.push(contentIndent >= 0 ? raw.slice(contentIndent) : '');
+                    continue;
+                }
+                const lead = raw.length - raw.replace(/^ +/, '').length;
+                if (contentIndent < 0) {
+                    if (lead <= indent) break;
+                    contentIndent = lead;
+                }
+                if (lead < contentIndent || (lead === 0 && isDocMarker(lines[j]))) break;
+                body.push(raw.slice(contentIndent));
+            }
+            // Blank lines after the last content line belong to the next node
+            // unless "keep" chomping claims them
+            let last = body.length - 1;
+            while (last >= 0 && body[last].trim() === '') last--;
+            const trailing = body.length - 1 - last;
+            const content = body.slice(0, last + 1);
+            i = j;
+
+            let value = folded ? foldLines(content) : content.join('\n');
+            if (chomp === '+') value += '\n'.repeat(content.length ? trailing + 1 : trailing);
+            else if (chomp === '' && content.length) value += '\n';
+            return value;
+        }
+
+        // ── Inline values (flow collections, quoted and plain scalars)
+        // Scans the rest of `line` from `col` plus the continuation lines
+        // indented deeper than `indent`
+        function parseInline(line, col, indent) {
+            const segs = [{ line, col, idx: i }];
+            for (let j = i + 1; j < lines.length; j++) {
+                const next = lines[j];
+                if (isDocMarker(next)) break;
+                if (next.raw.trim() === '') { segs.push({ line: next, col: next.raw.length, idx: j }); continue; }
+                if (next.indent <= indent) break;
+                segs.push({ line: next, col: next.indent, idx: j });
+            }
+            let src = '';
+            const starts = [];
+            for (const seg of segs) {
+                starts.push(src.length);
+                src += seg.line.raw.slice(seg.col) + '\n';
+            }
+            const where = p => {
+                let s = 0;
+                while (s + 1 < starts.length && starts[s + 1] <= p) s++;
+                const { line, col } = segs[s];
+                return { seg: s, at: line.start + col + Math.min(p - starts[s], line.raw.length - col) };
+            };
+            const sfail = (p, message) => parseError(text, where(p).at, message);
+
+            const segEnd = s => (s + 1 < starts.length ? starts[s + 1] : src.length) - 1;
+
+            let value, plainScalar = false, last;
+            const c = src[0];
+            if (c === '[' || c === '{' || c === '"' || c === '\'') {
+                const res = createScanner(src, sfail, anchors).flowNode(0, c === '[' || c === '{');
+                value = res.value;
+                last = where(Math.max(res.end - 1, 0)).seg;
+                // Only a comment may follow the value on its last line
+                if (!/^(?:[ \t]+(?:#.*)?)?$/.test(src.slice(res.end, segEnd(last)))) {
+                    throw sfail(res.end, 'Unexpected characters after the value');
+                }
+            } else {
+                // Block plain scalar: ends at a comment; blank lines inside are line breaks
+                const parts = [];
+                last = 0;
+                for (let s = 0; s < segs.length; s++) {
+                    const seg = src.slice(starts[s], segEnd(s));
+                    if (s > 0 && seg.startsWith('#')) break;
+                    const part = stripComment(seg);
+                    if (s > 0 && (/^-(?:[ \t]|$)/.test(part) || splitKey(part))) {
+                        throw sfail(starts[s], 'Unexpected mapping or sequence entry inside a plain scalar — check the indentation');
+                    }
+                    parts.push(part.trim());
+                    if (part !== '') last = s;
+                    if (part !== seg.replace(/[ \t]+$/, '')) break;
+                }
+                value = foldPlain(parts.slice(0, last + 1));
+                plainScalar = true;
+            }
+            i = segs[last].idx + 1;
+            return { value, plain: plainScalar };
+        }
+    }
+
+    // Character scanner for flow collections and quoted scalars
+    function createScanner(src, fail, anchors) {
+        function skipSpace(p) {
+            for (;;) {
+                while (p < src.length && /[ \t\n]/.test(src[p])) p++;
+                if (src[p] === '#' && (p === 0 || /[ \t\n]/.test(src[p - 1]))) {
+                    while (p < src.length && src[p] !== '\n') p++;
+                    continue;
+                }
+                return p;
+            }
+        }
+
+        // Any node starting at p; `flow` when inside [ ] / { }
+        function flowNode(p, flow) {
+            p = skipSpace(p);
+            let anchor = null, tag = null;
+            for (;;) {
+                const m = /^([&!])([^\s,[\]{}]*)/.exec(src.slice(p, p + 256));
+                if (!m) break;
+                if (m[1] === '&') anchor = m[2];
+                else tag = m[1] + m[2];
+                p = skipSpace(p + m[0].length);
+            }
+            let res;
+            const c = src[p];
+            if (c === '[') res = flowSequence(p);
+            else if (c === '{') res = flowMapping(p);
+            else if (c === '"') res = doubleQuoted(p);
+            else if (c === '\'') res = singleQuoted(p);
+            else if (c === '*') {
+                const m = /^\*([^\s,[\]{}]+)/.exec(src.slice(p, p + 256));
+                if (!m || !anchors.has(m[1])) throw fail(p, `Unknown alias "${m ? m[0] : '*'}"`);
+                res = { value: anchors.get(m[1]), end: p + m[0].length };
+            } else if (flow) {
+                const m = /^(?:[^,[\]{}#:\n]|:(?![ \t\n,[\]{}])|[^ \t\n]#)*/.exec(src.slice(p));
+                const raw = m[0].replace(/[ \t\n]+/g, ' ').trim();
+                res = { value: tag === '!!str' ? raw : resolvePlain(raw), end: p + m[0].replace(/[ \t\n]+$/, '').length };
+            } else {
+                throw fail(p, 'Unexpected character');
+            }
+            if (anchor) anchors.set(anchor, res.value);
+            return res;
+        }
+
+        function flowSequence(p) {
+            const seq = [];
+            p = skipSpace(p + 1);
+            while (src[p] !== ']') {
+                if (p >= src.length) throw fail(p, 'Unterminated flow sequence, expected "]"');
+                const item = flowNode(p, true);
+                p = skipSpace(item.end);
+                if (src[p] === ':') {
+                    // [a: 1] is a sequence holding a single-pair mapping
+                    const val = flowValueAfterColon(p);
+                    const pair = {};
+                    setKey(pair, String(item.value), val.value);
+                    seq.push(pair);
+                    p = skipSpace(val.end);
+                } else {
+                    seq.push(item.value);
+                }
+                if (src[p] === ',') p = skipSpace(p + 1);
+                else if (src[p] !== ']') throw fail(p, 'Expected "," or "]" in flow sequence');
+            }
+            return { value: seq, end: p + 1 };
+        }
+
+        function flowMapping(p) {
+            const map = {};
+            p = skipSpace(p + 1);
+            while (src[p] !== '}') {
+                if (p >= src.length) throw fail(p, 'Unterminated flow mapping, expected "}"');
+                const keyAt = p;
+                const key = flowNode(p, true);
+                p = skipSpace(key.end);
+                let value = null;
+                if (src[p] === ':') {
+                    const val = flowValueAfterColon(p);
+                    value = val.value;
+                    p = skipSpace(val.end);
+                }
+                const name = key.value === null ? 'null' : String(key.value);
+                if (hasKey(map, name)) throw fail(keyAt, `Duplicate key "${name}"`);
+                setKey(map, name, value);
+                if (src[p] === ',') p = skipSpace(p + 1);
+                else if (src[p] !== '}') throw fail(p, 'Expected "," or "}" in flow mapping');
+            }
+            return { value: map, end: p + 1 };
+        }
+
+        function flowValueAfterColon(p) {
+            const q = skipSpace(p + 1);
+            if (src[q] === ',' || src[q] === '}' || src[q] === ']') return { value: null, end: q };
+            return flowNode(q, true);
+        }
+
+        function doubleQuoted(p) {
+            let out = '';
+            let q = p + 1;
+            for (;;) {
+                if (q >= src.length) throw fail(p, 'Unterminated double-quoted string');
+                const c = src[q];
+                if (c === '"') break;
+                if (c === '\\') {
+                    const e = src[q + 1];
+                    if (e === '\n') {
+                        // Escaped line break: joins the lines with no space
+                        q += 2;
+                        while (src[q] === ' ' || src[q] === '\t') q++;
+                        continue;
+                    }
+                    const simple = { '0': '\0', a: '\x07', b: '\b', t: '\t', '\t': '\t', n: '\n', v: '\v', f: '\f', r: '\r', e: '\x1b', ' ': ' ', '"': '"', '/': '/', '\\': '\\', N: '\x85', _: '\xa0', L: '\u2028', P: '\u2029' };
+                    if (hasKey(simple, e)) { out += simple[e]; q += 2; continue; }
+                    const len = { x: 2, u: 4, U: 8 }[e];
+                    const hex = len ? src.slice(q + 2, q + 2 + len) : '';
+                    if (!len || !new RegExp(`^[0-9a-fA-F]{${len}}$`).test(hex)) throw fail(q, `Invalid escape "\\${e || ''}"`);
+                    out += String.fromCodePoint(parseInt(hex, 16));
+                    q += 2 + len;
+                    continue;
+                }
+                if (c === '\n') {
+                    const folded = foldBreak(out, q);
+                    out = folded.out;
+                    q = folded.end;
+                    continue;
+                }
+                out += c;
+                q++;
+            }
+            return { value: out, end: q + 1 };
+        }
+
+        function singleQuoted(p) {
+            let out = '';
+            let q = p + 1;
+            for (;;) {
+                if (q >= src.length) throw fail(p, 'Unterminated single-quoted string');
+                const c = src[q];
+                if (c === '\'') {
+                    if (src[q + 1] === '\'') { out += '\''; q += 2; continue; }
+                    break;
+                }
+                if (c === '\n') {
+                    const folded = foldBreak(out, q);
+                    out = folded.out;
+                    q = folded.end;
+                    continue;
+                }
+                out += c;
+                q++;
+            }
+            return { value: out, end: q + 1 };
+        }
+
+        // Line folding inside quoted scalars: one break is a space, each
+        // further (empty) line is a newline
+        function foldBreak(out, q) {
+            out = out.replace(/[ \t]+$/, '');
+            let breaks = 0;
+            while (q < src.length && /[ \t\n]/.test(src[q])) {
+                if (src[q] === '\n') breaks++;
+                q++;
+            }
+            return { out: out + (breaks > 1 ? '\n'.repeat(breaks - 1) : ' '), end: q };
+        }
+
+        return { flowNode };
+    }
+
+    // Drops a trailing comment — a "#" at the start or after a space,
+    // outside quotes — and trailing whitespace
+    function stripComment(s) {
+        let quote = null;
+        for (let k = 0; k < s.length; k++) {
+            const c = s[k];
+            const prev = k === 0 ? ' ' : s[k - 1];
+            if (quote) {
+                if (c === quote) {
+                    if (quote === '\'' && s[k + 1] === '\'') { k++; continue; }
+                    quote = null;
+                } else if (c === '\\' && quote === '"') {
+                    k++;
+                }
+                continue;
+            }
+            if ((c === '"' || c === '\'') && /[ \t[{,:-]/.test(prev)) quote = c;
+            else if (c === '#' && /[ \t]/.test(prev)) return s.slice(0, k).replace(/[ \t]+$/, '');
+        }
+        return s.replace(/[ \t]+$/, '');
+    }
+
+    // "key: value" → { key, quoted, valueCol } (valueCol relative to the text)
+    function splitKey(text) {
+        const c = text[0];
+        if (c === '"' || c === '\'') {
+            let k = 1;
+            let key = '';
+            for (; k < text.length; k++) {
+                if (text[k] === c) {
+                    if (c === '\'' && text[k + 1] === '\'') { key += '\''; k++; continue; }
+                    break;
+                }
+                if (c === '"' && text[k] === '\\') {
+                    key += JSON.parse(`"${text.slice(k, k + (text[k + 1] === 'u' ? 6 : 2))}"`);
+                    k += text[k + 1] === 'u' ? 5 : 1;
+                    continue;
+                }
+                key += text[k];
+            }
+            const m = /^[ \t]*:(?:[ \t]|$)/.exec(text.slice(k + 1));
+            if (k >= text.length || !m) return null;
+            return { key, quoted: true, valueCol: k + 1 + m[0].length };
+        }
+        if (c === '?') return { error: 'Complex "?" mapping keys are not supported' };
+        if (!c || '[{]}#&*!|>%@`'.includes(c) || (c === '-' && /^-(?:[ \t]|$)/.test(text))) return null;
+        for (let k = 0; k < text.length; k++) {
+            if (text[k] === ':' && (k + 1 === text.length || text[k + 1] === ' ' || text[k + 1] === '\t')) {
+                return { key: text.slice(0, k).replace(/[ \t]+$/, ''), quoted: false, valueCol: k + 1 + (text.slice(k + 1).length - text.slice(k + 1).replace(/^[ \t]+/, '').length) };
+            }
+        }
+        return null;
+    }
+
+    // Core schema: null, booleans, ints (decimal / 0o / 0x), floats, .inf, .nan
+    function resolvePlain(text) {
+        if (/^(?:~|null|Null|NULL)?$/.test(text)) return null;
+        if (/^(?:true|True|TRUE)$/.test(text)) return true;
+        if (/^(?:false|False|FALSE)$/.test(text)) return false;
+        if (/^[-+]?[0-9]+$/.test(text)) return Number(text);
+        if (/^0o[0-7]+$/.test(text)) return parseInt(text.slice(2), 8);
+        if (/^0x[0-9a-fA-F]+$/.test(text)) return parseInt(text.slice(2), 16);
+        if (/^[-+]?(?:\.[0-9]+|[0-9]+(?:\.[0-9]*)?)(?:[eE][-+]?[0-9]+)?$/.test(text)) return Number(text);
+        if (/^[-+]?\.(?:inf|Inf|INF)$/.test(text)) return text[0] === '-' ? -Infinity : Infinity;
+        if (/^\.(?:nan|NaN|NAN)$/.test(text)) return NaN;
+        return text;
+    }
+
+    // Multi-line plain scalar: lines join with a space, empty lines are newlines
+    function foldPlain(parts) {
+        let out = '';
+        let breaks = 0;
+        parts.forEach((part, k) => {
+            if (part === '') { breaks++; return; }
+            if (k > 0) out += breaks ? '\n'.repeat(breaks) : ' ';
+            out += part;
+            breaks = 0;
+        });
+        return out;
+    }
+
+    // Folded block scalar: breaks between plain lines become spaces;
+    // more-indented lines and empty lines keep their breaks
+    function foldLines(lines) {
+        let out = '';
+        let breaks = 0;
+        let prevMore = false;
+        lines.forEach((line, k) => {
+            if (line === '') { breaks++; return; }
+            const more = /^[ \t]/.test(line);
+            if (k === 0 || out === '' && breaks === k) out += '\n'.repeat(breaks);
+            else if (more || prevMore) out += '\n'.repeat(breaks + 1);
+            else out += breaks ? '\n'.repeat(breaks) : ' ';
+            out += line;
+            prevMore = more;
+            breaks = 0;
+        });
+        return out;
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  YAML: Serializer
+    //  Block style throughout, strings quoted only where a plain scalar
+    //  would read back differently, multi-line strings as "|" literals.
+    // ───────────────────────────────────────────────────────────
+    function yamlScalar(v) {
+        if (v === null || v === undefined) return 'null';
+        if (typeof v === 'boolean') return String(v);
+        if (typeof v === 'number') {
+            if (Number.isNaN(v)) return '.nan';
+            if (!Number.isFinite(v)) return v < 0 ? '-.inf' : '.inf';
+            return String(v);
+        }
+        return yamlString(String(v));
+    }
+
+    function yamlString(s) {
+        const needsQuotes = s === ''
+            || resolvePlain(s) !== s
+            || /^[\s\-?:,[\]{}#&*!|>'"%@`]|\s$/.test(s)
+            || /: |:$| #|[\x00-\x1f\x7f\u2028\u2029\uFEFF]/.test(s);
+        return needsQuotes ? JSON.stringify(s) : s;
+    }
+
+    // Multi-line strings that survive a "|" literal unchanged
+    function isBlockString(v) {
+        return typeof v === 'string' && v.includes('\n') && !/^[ \t\n]/.test(v)
+            && !/[\x00-\x08\x0b-\x1f\x7f\u2028\u2029\uFEFF]/.test(v);
+    }
+
+    function yamlEntry(prefix, value, out, pad, sortKeys) {
+        const nested = (Array.isArray(value) && value.length) || (isPlainObject(value) && Object.keys(value).length);
+        if (nested) {
+            const sub = yamlLines(value, sortKeys);
+            if (prefix === '-') {
+                out.push(`${pad}- ${sub[0]}`);
+                for (const line of sub.slice(1)) out.push(line === '' ? '' : `${pad}${INDENT}${line}`);
+            } else {
+                out.push(`${pad}${prefix}`);
+                for (const line of sub) out.push(line === '' ? '' : `${pad}${INDENT}${line}`);
+            }
+        } else if (isBlockString(value)) {
+            const body = value.replace(/\n+$/, '');
+            const trailing = value.length - body.length;
+            const chomp = trailing === 0 ? '-' : (trailing === 1 ? '' : '+');
+            out.push(`${pad}${prefix} |${chomp}`);
+            for (const line of body.split('\n')) out.push(line === '' ? '' : `${pad}${INDENT}${line}`);
+            for (let k = 1; k < trailing; k++) out.push('');
+        } else {
+            const inline = Array.isArray(value) ? '[]' : (isPlainObject(value) ? '{}' : yamlScalar(value));
+            out.push(`${pad}${prefix} ${inline}`);
+        }
+    }
+
+    function yamlLines(value, sortKeys) {
+        const out = [];
+        if (Array.isArray(value) && value.length) {
+            for (const item of value) yamlEntry('-', item, out, '', sortKeys);
+        } else if (isPlainObject(value) && Object.keys(value).length) {
+            for (const key of keysOf(value, sortKeys)) yamlEntry(`${yamlString(key)}:`, value[key], out, '', sortKeys);
+        } else {
+            yamlEntry('', value, out, '', sortKeys);
+            out[0] = out[0].replace(/^ /, '');
+        }
+        return out;
+    }
+
+    function stringifyYAML(docs, sortKeys) {
+        const texts = docs.map(doc => yamlLines(doc, sortKeys).join('\n'));
+        if (texts.length <= 1) return texts.join('');
+        return texts.map(t => `---\n${t}`).join('\n');
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  XML: Parser
+    //  Builds a light node tree: { type: 'element', name, attrs, children },
+    //  'text', 'cdata', 'comment', 'pi', 'decl' and 'doctype' nodes.
+    // ───────────────────────────────────────────────────────────
+    const XML_NAME = /[A-Za-z_:\u00C0-\uFFFF][\w.:\-\u00B7\u00C0-\uFFFF]*/y;
+    const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' };
+
+    function parseXML(text) {
+        const doc = { type: 'document', children: [], entities: new Set() };
+        const stack = [doc];
+        let p = text.startsWith('\uFEFF') ? 1 : 0;
+        let root = null;
+        let doctype = false;
+
+        const fail = (at, message) => parseError(text, at, message);
+        const top = () => stack[stack.length - 1];
+
+        function readName() {
+            XML_NAME.lastIndex = p;
+            const m = XML_NAME.exec(text);
+            if (!m) return null;
+            p += m[0].length;
+            return m[0];
+        }
+
+        function skipSpace() {
+            while (p < text.length && /\s/.test(text[p])) p++;
+        }
+
+        function until(marker, what, from) {
+            const end = text.indexOf(marker, p);
+            if (end < 0) throw fail(from, `Unterminated ${what}`);
+            return end;
+        }
+
+        function decode(raw, at) {
+            return raw.replace(/&([^;\s&<]*);?/g, (ref, name, k) => {
+                if (!ref.endsWith(';')) throw fail(at + k, 'Unescaped "&" — write it as &amp;');
+                if (name[0] === '#') {
+                    const code = name[1] === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+                    if (!/^#(?:x[0-9a-fA-F]+|[0-9]+)$/.test(name) || code > 0x10FFFF) throw fail(at + k, `Invalid character reference "${ref}"`);
+                    return String.fromCodePoint(code);
+                }
+                if (hasKey(XML_ENTITIES, name)) return XML_ENTITIES[name];
+                // Entities a DOCTYPE declares can't be expanded here; they stay as references
+                if (!doctype) throw fail(at + k, `Undefined entity "${ref}"`);
+                doc.entities.add(name);
+                return ref;
+            });
+        }
+
+        function add(node) {
+            top().children.push(node);
+        }
+
+        while (p < text.length) {
+            const at = p;
+            if (text.startsWith('<!--', p)) {
+                p += 4;
+                const end = until('-->', 'comment', at);
+                add({ type: 'comment', value: text.slice(p, end) });
+                p = end + 3;
+            } else if (text.startsWith('<![CDATA[', p)) {
+                if (stack.length === 1) throw fail(at, 'CDATA section outside the root element');
+                p += 9;
+                const end = until(']]>', 'CDATA section', at);
+                add({ type: 'cdata', value: text.slice(p, end) });
+                p = end + 3;
+            } else if (text.startsWith('<?', p)) {
+                p += 2;
+                const target = readName();
+                if (!target) throw fail(at, 'Invalid processing instruction');
+                const end = until('?>', 'processing instruction', at);
+                const value = text.slice(p, end).trim();
+                p = end + 2;
+                if (target.toLowerCase() === 'xml') {
+                    if (text.slice(0, at).replace(/^\uFEFF/, '') !== '') throw fail(at, 'The XML declaration must come first');
+                    const attrs = [];
+                    value.replace(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g, (_, k, v1, v2) => attrs.push([k, v1 !== undefined ? v1 : v2]));
+                    add({ type: 'decl', attrs });
+                } else {
+                    add({ type: 'pi', target, value });
+                }
+            } else if (text.startsWith('<!DOCTYPE', p)) {
+                if (stack.length > 1 || root) throw fail(at, 'DOCTYPE must come before the root element');
+                // Skip to the closing ">", past any internal subset in [ ] and quoted strings
+                let depth = 0, quote = null;
+                for (p += 9; p < text.length; p++) {
+                    const c = text[p];
+                    if (quote) { if (c === quote) quote = null; continue; }
+                    if (c === '"' || c === '\'') quote = c;
+                    else if (c === '[') depth++;
+                    else if (c === ']') depth--;
+                    else if (c === '>' && depth <= 0) break;
+                }
+                if (p >= text.length) throw fail(at, 'Unterminated DOCTYPE');
+                p++;
+                doctype = true;
+                add({ type: 'doctype', value: text.slice(at, p) });
+            } else if (text.startsWith('</', p)) {
+                p += 2;
+                const name = readName();
+                skipSpace();
+                if (!name || text[p] !== '>') throw fail(at, 'Invalid closing tag');
+                p++;
+                const open = top();
+                if (open === doc) throw fail(at, `Unexpected closing tag </${name}>`);
+                if (open.name !== name) throw fail(at, `Mismatched closing tag </${name}> — expected </${open.name}>`);
+                stack.pop();
+            } else if (text[p] === '<') {
+                p++;
+                const name = readName();
+                if (!name) throw fail(at, 'Invalid element name');
+                const parent = top();
+                if (parent === doc && root) throw fail(at, 'Only one root element is allowed');
+                const node = { type: 'element', name, attrs: [], children: [], pos: at };
+                const seen = new Set();
+                for (;;) {
+                    const before = p;
+                    skipSpace();
+                    if (text.startsWith('/>', p)) { p += 2; break; }
+                    if (text[p] === '>') { p++; stack.push(node); break; }
+                    if (p >= text.length) throw fail(at, `Unterminated start tag <${name}>`);
+                    if (p === before) throw fail(p, `Expected whitespace between attributes of <${name}>`);
+                    const attrAt = p;
+                    const attr = readName();
+                    if (!attr) throw fail(p, `Invalid attribute in <${name}>`);
+                    skipSpace();
+                    if (text[p] !== '=') throw fail(p, `Attribute "${attr}" needs a value`);
+                    p++;
+                    skipSpace();
+                    const q = text[p];
+                    if (q !== '"' && q !== '\'') throw fail(p, `Attribute "${attr}" value must be quoted`);
+                    const end = text.indexOf(q, p + 1);
+                    if (end < 0) throw fail(p, `Unterminated value of attribute "${attr}"`);
+                    const raw = text.slice(p + 1, end);
+                    if (raw.includes('<')) throw fail(p + 1 + raw.indexOf('<'), `"<" is not allowed in attribute values`);
+                    if (seen.has(attr)) throw fail(attrAt, `Duplicate attribute "${attr}"`);
+                    seen.add(attr);
+                    node.attrs.push([attr, decode(raw, p + 1)]);
+                    p = end + 1;
+                }
+                parent.children.push(node);
+                if (parent === doc) root = node;
+            } else {
+                let end = text.indexOf('<', p);
+                if (end < 0) end = text.length;
+                const raw = text.slice(p, end);
+                if (stack.length === 1) {
+                    if (raw.trim() !== '') throw fail(p + raw.search(/\S/), 'Text outside the root element');
+                } else {
+                    add({ type: 'text', value: decode(raw, p) });
+                }
+                p = end;
+            }
+        }
+        if (stack.length > 1) throw fail(top().pos, `Unclosed element <${top().name}>`);
+        if (!root) throw fail(text.length, 'No root element');
+        return doc;
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  XML: Serializer
+    //  One node per line, attributes sorted (namespace declarations
+    //  first, as in Canonical XML), whitespace-only text dropped.
+    // ───────────────────────────────────────────────────────────
+    function xmlEscape(s, attr, entities) {
+        return s.replace(attr ? /[&<"\t\n\r]/g : /[&<>]/g, (c, k) => {
+            if (c === '&') {
+                const m = /^&([^;\s&<]+);/.exec(s.slice(k));
+                if (m && entities.has(m[1])) return c;
+            }
+            return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\t': '&#9;', '\n': '&#10;', '\r': '&#13;' }[c];
+        });
+    }
+
+    function sortedAttrs(attrs) {
+        const rank = ([name]) => (name === 'xmlns' || name.startsWith('xmlns:') ? 0 : 1);
+        return attrs.slice().sort((a, b) => rank(a) - rank(b) || (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+    }
+
+    function xmlNode(node, depth, out, entities) {
+        const pad = INDENT.repeat(depth);
+        switch (node.type) {
+            case 'decl':
+                out.push(`<?xml${node.attrs.map(([k, v]) => ` ${k}="${v}"`).join('')}?>`);
+                return;
+            case 'doctype':
+                out.push(node.value);
+                return;
+            case 'comment':
+                out.push(`${pad}<!--${node.value}-->`);
+                return;
+            case 'pi':
+                out.push(`${pad}<?${node.target}${node.value ? ' ' + node.value : ''}?>`);
+                return;
+            case 'cdata':
+                out.push(`${pad}<![CDATA[${node.value}]]>`);
+                return;
+            case 'text': {
+                const value = node.value.trim();
+                if (value) out.push(pad + xmlEscape(value, false, entities));
+                return;
+            }
+        }
+        const open = `<${node.name}${sortedAttrs(node.attrs).map(([k, v]) => ` ${k}="${xmlEscape(v, true, entities)}"`).join('')}`;
+        const children = node.children.filter(c => c.type !== 'text' || c.value.trim() !== '');
+        if (children.length === 0) {
+            out.push(`${pad}${open}/>`);
+        } else if (children.length === 1 && children[0].type === 'text') {
+            out.push(`${pad}${open}>${xmlEscape(children[0].value.trim(), false, entities)}</${node.name}>`);
+        } else {
+            out.push(`${pad}${open}>`);
+            for (const child of children) xmlNode(child, depth + 1, out, entities);
+            out.push(`${pad}</${node.name}>`);
+        }
+    }
+
+    function stringifyXML(doc) {
+        const out = [];
+        for (const node of doc.children) xmlNode(node, 0, out, doc.entities);
+        return out.join('\n');
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  TOML: Parser
+    // ───────────────────────────────────────────────────────────
+    const TOML_DATETIME = /\d{4}-\d{2}-\d{2}(?:[Tt ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:[Zz]|[+-]\d{2}:\d{2})?)?|\d{2}:\d{2}:\d{2}(?:\.\d+)?/y;
+    const TOML_NUMBER = /[+-]?(?:0x[0-9A-Fa-f_]+|0o[0-7_]+|0b[01_]+|[0-9_]+(?:\.[0-9_]+)?(?:[eE][+-]?[0-9_]+)?)/y;
+    const TOML_BARE_KEY = /[A-Za-z0-9_-]+/y;
+
+    function parseTOML(text) {
+        const root = {};
+        const explicit = new Set();    // tables opened by a [header]
+        const dotted = new Set();      // tables created by dotted keys
+        const frozen = new Set();      // inline tables: closed to later additions
+        const tableArrays = new Set(); // arrays created by [[header]]
+        let current = root;
+        let p = text.startsWith('\uFEFF') ? 1 : 0;
+
+        const fail = (message, at = p) => parseError(text, at, message);
+
+        function skipSpace() {
+            while (text[p] === ' ' || text[p] === '\t') p++;
+        }
+
+        function skipComment() {
+            if (text[p] !== '#') return;
+            while (p < text.length && text[p] !== '\n') p++;
+        }
+
+        function skipNewline() {
+            if (text[p] === '\n') { p++; return true; }
+            if (text[p] === '\r' && text[p + 1] === '\n') { p += 2; return true; }
+            return false;
+        }
+
+        // Whitespace, comments and newlines (between array items, statements)
+        function skipBlank() {
+            do { skipSpace(); skipComment(); } while (skipNewline());
+        }
+
+        function expectEndOfLine() {
+            skipSpace();
+            skipComment();
+            if (p < text.length && !skipNewline()) throw fail('Expected the end of the line');
+        }
+
+        // ── Keys
+        function parseKey() {
+            const parts = [];
+            for (;;) {
+                skipSpace();
+                if (text[p] === '"') parts.push(basicString());
+                else if (text[p] === '\'') parts.push(literalString());
+                else {
+                    TOML_BARE_KEY.lastIndex = p;
+                    const m = TOML_BARE_KEY.exec(text);
+                    if (!m) throw fail('Invalid key');
+                    parts.push(m[0]);
+                    p += m[0].length;
+                }
+                skipSpace();
+                if (text[p] !== '.') return parts;
+                p++;
+            }
+        }
+
+        const keyName = keys => keys.map(tomlKey).join('.');
+
+        // ── Tables
+        function descend(table, key, keys, at) {
+            if (!hasKey(table, key)) {
+                const child = {};
+                setKey(table, key, child);
+                return child;
+            }
+            const value = table[key];
+            if (tableArrays.has(value)) return value[value.length - 1];
+            if (isPlainObject(value) && !frozen.has(value)) return value;
+            throw fail(`Key "${keyName(keys)}" is already defined as a value`, at);
+        }
+
+        function openTable(keys, at) {
+            let table = root;
+            keys.slice(0, -1).forEach((key, k) => { table = descend(table, key, keys.slice(0, k + 1), at); });
+            const last = keys[keys.length - 1];
+            if (!hasKey(table, last)) {
+                const child = {};
+                setKey(table, last, child);
+                explicit.add(child);
+                return child;
+            }
+            const value = table[last];
+            if (!isPlainObject(value) || explicit.has(value) || dotted.has(value) || frozen.has(value)) {
+                throw fail(`Table "${keyName(keys)}" is defined more than once`, at);
+            }
+            explicit.add(value);
+            return value;
+        }
+
+        function openArrayTable(keys, at) {
+            let table = root;
+            keys.slice(0, -1).forEach((key, k) => { table = descend(table, key, keys.slice(0, k + 1), at); });
+            const last = keys[keys.length - 1];
+            if (!hasKey(table, last)) {
+                const arr = [];
+                tableArrays.add(arr);
+                setKey(table, last, arr);
+            } else if (!tableArrays.has(table[last])) {
+                throw fail(`Key "${keyName(keys)}" is already defined and is not an array of tables`, at);
+            }
+            const child = {};
+            table[last].push(child);
+            return child;
+        }
+
+        function assign(table, keys, value, at) {
+            keys.slice(0, -1).forEach((key, k) => {
+                if (!hasKey(table, key)) {
+                    const child = {};
+                    setKey(table, key, child);
+                    dotted.add(child);
+                    table = child;
+                    return;
+                }
+                const existing = table[key];
+                if (!isPlainObject(existing) || frozen.has(existing) || explicit.has(existing)) {
+                    throw fail(`Key "${keyName(keys.slice(0, k + 1))}" is already defined`, at);
+                }
+                table = existing;
+            });
+            const last = keys[keys.length - 1];
+            if (hasKey(table, last)) throw fail(`Duplicate key "${keyName(keys)}"`, at);
+            setKey(table, last, value);
+        }
+
+        // ── Strings
+        function escapeSequence() {
+            const e = text[p + 1];
+            const simple = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', e: '\x1b', '"': '"', '\\': '\\' };
+            if (hasKey(simple, e)) { p += 2; return simple[e]; }
+            const len = e === 'u' ? 4 : (e === 'U' ? 8 : 0);
+            const hex = text.slice(p + 2, p + 2 + len);
+            if (!len || !new RegExp(`^[0-9a-fA-F]{${len}}$`).test(hex)) throw fail(`Invalid escape "\\${e || ''}"`);
+            const code = parseInt(hex, 16);
+            if (code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF)) throw fail(`Invalid Unicode escape "\\${e}${hex}"`);
+            p += 2 + len;
+            return String.fromCodePoint(code);
+        }
+
+        function basicString() {
+            const at = p;
+            let out = '';
+            p++;
+            for (;;) {
+                const c = text[p];
+                if (c === undefined || c === '\n' || c === '\r') throw fail('Unterminated string', at);
+                if (c === '"') { p++; return out; }
+                if (c === '\\') { out += escapeSequence(); continue; }
+                out += c;
+                p++;
+            }
+        }
+
+        function literalString() {
+            const at = p;
+            const end = text.indexOf('\'', p + 1);
+            const nl = text.indexOf('\n', p + 1);
+            if (end < 0 || (nl >= 0 && nl < end)) throw fail('Unterminated string', at);
+            const out = text.slice(p + 1, end);
+            p = end + 1;
+            return out;
+        }
+
+        // """…""" and '''…''': a newline right after the opening quotes is
+        // dropped, and up to two quotes may sit right before the closing ones
+        function multilineString(quote) {
+            const at = p;
+            const literal = quote === '\'';
+            let out = '';
+            p += 3;
+            skipNewline();
+            for (;;) {
+                if (p >= text.length) throw fail('Unterminated multi-line string', at);
+                if (text.startsWith(quote.repeat(3), p)) {
+                    let q = 3;
+                    while (q < 5 && text[p + q] === quote) q++;
+                    out += quote.repeat(q - 3);
+                    p += q;
+                    return out;
+                }
+                const c = text[p];
+                if (c === '\\' && !literal) {
+                    // Line-ending backslash: trims the break and the next line's indentation
+                    const m = /^\\[ \t]*\r?\n/.exec(text.slice(p, p + 256));
+                    if (m) {
+                        p += m[0].length;
+                        while (/[ \t\r\n]/.test(text[p] || '')) p++;
+                        continue;
+                    }
+                    out += escapeSequence();
+                    continue;
+                }
+                out += c;
+                p++;
+            }
+        }
+
+        // ── Values
+        function parseValue() {
+            const at = p;
+            const c = text[p];
+            if (text.startsWith('"""', p)) return multilineString('"');
+            if (text.startsWith('\'\'\'', p)) return multilineString('\'');
+            if (c === '"') return basicString();
+            if (c === '\'') return literalString();
+            if (c === '[') return parseArray();
+            if (c === '{') return parseInlineTable();
+
+            const word = /^[+-]?[A-Za-z]+/.exec(text.slice(p, p + 8));
+            if (word) {
+                const w = word[0];
+                const map = { true: true, false: false, inf: Infinity, '+inf': Infinity, '-inf': -Infinity, nan: NaN, '+nan': NaN, '-nan': NaN };
+                if (!hasKey(map, w) || /[\w.-]/.test(text[p + w.length] || '')) throw fail('Invalid value', at);
+                p += w.length;
+                return map[w];
+            }
+
+            TOML_DATETIME.lastIndex = p;
+            const date = TOML_DATETIME.exec(text);
+            if (date) {
+                p += date[0].length;
+                checkDelimiter(at);
+                return new TomlDateTime(date[0].replace(/^(\d{4}-\d{2}-\d{2})[Tt ]/, '$1T').replace(/z$/, 'Z'));
+            }
+
+            TOML_NUMBER.lastIndex = p;
+            const num = TOML_NUMBER.exec(text);
+            if (!num) throw fail('Invalid value', at);
+            const raw = num[0];
+            p += raw.length;
+            checkDelimiter(at);
+            if (/(?:^|[^0-9A-Fa-f])_|_(?:$|[^0-9A-Fa-f])/.test(raw)) throw fail(`Invalid number "${raw}" — "_" must sit between digits`, at);
+            const digits = raw.replace(/_/g, '');
+            if (/^[+-]?0[xob]/.test(digits)) {
+                if (/^[+-]/.test(digits)) throw fail(`Invalid number "${raw}" — hex, octal and binary can't be signed`, at);
+                return parseInt(digits.slice(2), { x: 16, o: 8, b: 2 }[digits[1]]);
+            }
+            if (/^[+-]?0\d/.test(digits)) throw fail(`Invalid number "${raw}" — leading zeros are not allowed`, at);
+            if (/\.(?:$|[eE])|^[+-]?\./.test(digits)) throw fail(`Invalid number "${raw}"`, at);
+            return Number(digits);
+        }
+
+        function checkDelimiter(at) {
+            if (p < text.length && !/[ \t\r\n,\]}#]/.test(text[p])) throw fail('Invalid value', at);
+        }
+
+        function parseArray() {
+            const arr = [];
+            p++;
+            for (;;) {
+                skipBlank();
+                if (text[p] === ']') { p++; return arr; }
+                if (p >= text.length) throw fail('Unterminated array, expected "]"');
+                arr.push(parseValue());
+                skipBlank();
+                if (text[p] === ',') p++;
+                else if (text[p] !== ']') throw fail('Expected "," or "]" in array');
+            }
+        }
+
+        function parseInlineTable() {
+            const table = {};
+            p++;
+            skipSpace();
+            if (text[p] === '}') { p++; frozen.add(table); return table; }
+            for (;;) {
+                const at = p;
+                const keys = parseKey();
+                if (text[p] !== '=') throw fail('Expected "=" after key');
+                p++;
+                skipSpace();
+                assign(table, keys, parseValue(), at);
+                skipSpace();
+                if (text[p] === '}') { p++; break; }
+                if (text[p] !== ',') throw fail('Expected "," or "}" in inline table');
+                p++;
+                skipSpace();
+                if (text[p] === '}') throw fail('Trailing comma in inline table');
+            }
+            // Inline tables are complete: no header or dotted key may add to them
+            const freeze = value => {
+                if (isPlainObject(value)) { frozen.add(value); Object.values(value).forEach(freeze); }
+                else if (Array.isArray(value)) value.forEach(freeze);
+            };
+            freeze(table);
+            return table;
+        }
+
+        // ── Statements
+        for (;;) {
+            skipBlank();
+            if (p >= text.length) break;
+            const at = p;
+            if (text[p] === '[') {
+                const isArray = text[p + 1] === '[';
+                p += isArray ? 2 : 1;
+                const keys = parseKey();
+                if (isArray ? !text.startsWith(']]', p) : text[p] !== ']') throw fail(`Expected "${isArray ? ']]' : ']'}" to close the table header`);
+                p += isArray ? 2 : 1;
+                current = isArray ? openArrayTable(keys, at) : openTable(keys, at);
+            } else {
+                const keys = parseKey();
+                if (text[p] !== '=') throw fail('Expected "=" after key');
+                p++;
+                skipSpace();
+                if (p >= text.length || text[p] === '\n' || text[p] === '\r' || text[p] === '#') throw fail('Missing value after "="');
+                const value = parseValue();
+                if (Array.isArray(value)) value.forEach(function freeze(v) { if (isPlainObject(v)) frozen.add(v); });
+                assign(current, keys, value, at);
+            }
+            expectEndOfLine();
+        }
+        return root;
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  TOML: Serializer
+    //  Each table's plain keys first, then its sub-tables as [headers]
+    //  and arrays of tables as [[headers]].
+    // ───────────────────────────────────────────────────────────
+    function tomlKey(key) {
+        return /^[A-Za-z0-9_-]+$/.test(key) ? key : JSON.stringify(key);
+    }
+
+    function tomlValue(v, sortKeys) {
+        if (v instanceof TomlDateTime) return v.text;
+        if (typeof v === 'string') return JSON.stringify(v);
+        if (typeof v === 'number') {
+            if (Number.isNaN(v)) return 'nan';
+            if (!Number.isFinite(v)) return v < 0 ? '-inf' : 'inf';
+            return String(v);
+        }
+        if (Array.isArray(v)) return `[${v.map(item => tomlValue(item, sortKeys)).join(', ')}]`;
+        if (isPlainObject(v)) {
+            const keys = keysOf(v, sortKeys);
+            return keys.length ? `{ ${keys.map(k => `${tomlKey(k)} = ${tomlValue(v[k], sortKeys)}`).join(', ')} }` : '{}';
+        }
+        return String(v);
+    }
+
+    function isTableArray(v) {
+        return Array.isArray(v) && v.length > 0 && v.every(isPlainObject);
+    }
+
+    function tomlTable(table, path, out, sortKeys, arrayItem) {
+        const keys = keysOf(table, sortKeys);
+        const simple = keys.filter(k => !isPlainObject(table[k]) && !isTableArray(table[k]));
+        const name = path.map(tomlKey).join('.');
+        if (arrayItem) out.push('', `[[${name}]]`);
+        else if (path.length && (simple.length || keys.length === 0)) out.push('', `[${name}]`);
+        for (const k of simple) out.push(`${tomlKey(k)} = ${tomlValue(table[k], sortKeys)}`);
+        for (const k of keys) if (isPlainObject(table[k])) tomlTable(table[k], path.concat(k), out, sortKeys, false);
+        for (const k of keys) {
+            if (isTableArray(table[k])) for (const item of table[k]) tomlTable(item, path.concat(k), out, sortKeys, true);
+        }
+    }
+
+    function stringifyTOML(root, sortKeys) {
+        const out = [];
+        tomlTable(root, [], out, sortKeys, false);
+        while (out[0] === '') out.shift();
+        return out.join('\n');
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  CSV / TSV
+    //  A quoted field may hold the delimiter, line breaks and doubled ""
+    //  quotes. Rows may differ in length; blank lines are skipped.
+    // ───────────────────────────────────────────────────────────
+    function parseCSV(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let p = text.startsWith('\uFEFF') ? 1 : 0;
+        const n = text.length;
+        const endRow = () => {
+            if (row.length > 1 || row[0] !== '') rows.push(row);
+            row = [];
+        };
+        if (p >= n) return rows;
+        for (;;) {
+            let value = '';
+            if (text[p] === '"') {
+                const at = p;
+                p++;
+                for (;;) {
+                    const q = text.indexOf('"', p);
+                    if (q < 0) throw parseError(text, at, 'Unterminated quoted field');
+                    value += text.slice(p, q);
+                    p = q + 1;
+                    if (text[p] !== '"') break;
+                    value += '"';
+                    p++;
+                }
+                if (p < n && text[p] !== delimiter && text[p] !== '\n' && text[p] !== '\r') {
+                    throw parseError(text, p, 'Unexpected character after a quoted field — quotes inside a field must be doubled');
+                }
+            } else {
+                let q = p;
+                while (q < n && text[q] !== delimiter && text[q] !== '\n' && text[q] !== '\r') q++;
+                value = text.slice(p, q);
+                p = q;
+            }
+            row.push(value);
+            if (p >= n) break;
+            if (text[p] === delimiter) { p++; continue; }
+            p += text[p] === '\r' && text[p + 1] === '\n' ? 2 : 1;
+            endRow();
+            if (p >= n) break;
+        }
+        if (row.length) endRow();
+        return rows;
+    }
+
+    function csvField(value, delimiter) {
+        return value.includes(delimiter) || /["\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    }
+
+    function stringifyCSV(rows, delimiter) {
+        return rows.map(row => row.map(v => csvField(v, delimiter)).join(delimiter)).join('\n');
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  PARSE + NORMALIZE
+    // ───────────────────────────────────────────────────────────
+    function parse(text, format) {
+        switch (format) {
+            case 'json': return parseJSON(text);
+            case 'yaml': {
+                const docs = parseYAML(text).map(plain);
+                return docs.length > 1 ? docs : (docs.length ? docs[0] : null);
+            }
+            case 'xml': return parseXML(text);
+            case 'toml': return plain(parseTOML(text));
+            case 'csv':
+            case 'tsv': return parseCSV(text, DELIMITERS[format]);
+            default: return text;
+        }
+    }
+
+    function normalize(text, format, options = {}) {
+        const sortKeys = !!options.sortKeys;
+        switch (format) {
+            case 'json': {
+                const value = parseJSON(text);
+                return JSON.stringify(sortKeys ? sortDeep(value) : value, null, 2);
+            }
+            case 'yaml': return stringifyYAML(parseYAML(text), sortKeys);
+            case 'xml': return stringifyXML(parseXML(text));
+            case 'toml': return stringifyTOML(parseTOML(text), sortKeys);
+            case 'csv':
+            case 'tsv': return stringifyCSV(parseCSV(text, DELIMITERS[format]), DELIMITERS[format]);
+            default: return text;
+        }
+    }
+
+    function detect(fileName) {
+        const m = /\.([^./\\]+)$/.exec(fileName || '');
+        return (m && EXTENSIONS[m[1].toLowerCase()]) || 'text';
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  PUBLIC API
+    //  A global in the page and the diff worker (`self`, no `window`);
+    //  module.exports under Node and bundlers
+    // ───────────────────────────────────────────────────────────
+    const FormatEngine = {
+        /** Format ids, in selector order. */
+        formats: Object.keys(LABELS),
+
+        /** Data formats, whose parsed value is plain JSON-compatible data. */
+        dataFormats: ['json', 'yaml', 'toml'],
+
+        /** Table formats, parsed into rows of string cells. */
+        tableFormats: ['csv', 'tsv'],
+
+        /**
+         * Display name of a format ('yaml' → 'YAML').
+         * @param {string} format
+         * @returns {string}
+         */
+        label(format) {
+            return LABELS[format] || format;
+        },
+
+        /**
+         * Format implied by a file name's extension; 'text' when none is.
+         * @param {?string} fileName
+         * @returns {string}
+         */
+        detect,
+
+        /**
+         * Parse text. JSON, YAML and TOML give JSON-compatible data (a YAML
+         * stream with several documents gives an array of them, TOML dates
+         * stay strings as written); XML gives the document node tree; CSV
+         * and TSV give rows of string cells.
+         * @param {string} text
+         * @param {string} format  'json' | 'yaml' | 'xml' | 'toml' | 'csv' | 'tsv'
+         * @returns {*}
+         * @throws {SyntaxError} with `line` (1-based) and `pos` (character offset)
+         */
+        parse,
+
+        /**
+         * Canonical text of a document: parsed and written back with fixed
+         * indentation and quoting. 'text' returns the input unchanged.
+         * @param {string} text
+         * @param {string} format
+         * @param {{ sortKeys?: boolean }} [options] sort object / table keys
+         *        (XML attributes are always sorted)
+         * @returns {string}
+         * @throws {SyntaxError} with `line` (1-based) and `pos` (character offset)
+         */
+        normalize
+    };
+
+    if (typeof module === 'object' && module !== null && module.exports) module.exports = FormatEngine;
+    else (typeof window !== 'undefined' ? window : self).FormatEngine = FormatEngine;
+
+})();
@@ -0,0 +1,187 @@
+/**
+ * Codediff — Hex Diff
+ *
+ * Byte-level comparison for binaries (firmware blobs, serialized
+ * fixtures) and for text whose exact bytes matter. Bytes are compared
+ * at the same offset, like `cmp -l`: an inserted byte shifts everything
+ * after it, so every later byte differs. Rendering is by row range, so
+ * the page can draw only the rows scrolled into view.
+ */
+
+(function HexDiffModule() {
+    'use strict';
+
+    const isModule = typeof module === 'object' && module !== null && !!module.exports;
+    const scope = isModule ? null : typeof window !== 'undefined' ? window : self;
+
+    // ───────────────────────────────────────────────────────────
+    //  CONSTANTS
+    // ───────────────────────────────────────────────────────────
+    const BYTES_PER_ROW = 16;
+    const MAX_RANGES = 10000;     // ranges kept for the summary; the count goes on past it
+
+    const HEX = Array.from({ length: 256 }, (_, i) => i.toString(16).padStart(2, '0'));
+
+    // ───────────────────────────────────────────────────────────
+    //  COMPARISON
+    // ───────────────────────────────────────────────────────────
+    function compare(a, b, { maxRanges = MAX_RANGES } = {}) {
+        const common = Math.min(a.length, b.length);
+        const size = Math.max(a.length, b.length);
+        const ranges = [];
+        let rangeCount = 0;
+        let differing = size - common;   // bytes only one side has
+        let start = -1;
+
+        const push = (from, to) => {
+            rangeCount++;
+            if (ranges.length < maxRanges) ranges.push({ start: from, end: to });
+        };
+
+        for (let i = 0; i < common; i++) {
+            if (a[i] !== b[i]) {
+                differing++;
+                if (start < 0) start = i;
+            } else if (start >= 0) {
+                push(start, i);
+                start = -1;
+            }
+        }
+        // The longer side's tail differs, and joins a difference running into it
+        if (size > common) push(start >= 0 ? start : common, size);
+        else if (start >= 0) push(start, common);
+
+        return { sizeA: a.length, sizeB: b.length, differing, ranges, rangeCount, truncated: rangeCount > ranges.length };
+    }
+
+    const differsAt = (a, b, i) => i >= a.length || i >= b.length || a[i] !== b[i];
+
+    // The run of differing bytes around `offset`
+    function rangeAt(a, b, offset) {
+        const size = Math.max(a.length, b.length);
+        let start = offset, end = offset + 1;
+        while (start > 0 && differsAt(a, b, start - 1)) start--;
+        while (end < size && differsAt(a, b, end)) end++;
+        return { start, end };
+    }
+
+    function nextDifference(a, b, from, limit = Infinity) {
+        const start = Math.max(0, from);
+        const stop = Math.min(Math.max(a.length, b.length), start + limit);
+        for (let i = start; i < stop; i++) {
+            if (differsAt(a, b, i)) return rangeAt(a, b, i);
+        }
+        return null;
+    }
+
+    function previousDifference(a, b, before, limit = Infinity) {
+        const start = Math.min(before, Math.max(a.length, b.length));
+        for (let i = start - 1; i >= Math.max(0, start - limit); i--) {
+            if (differsAt(a, b, i)) return rangeAt(a, b, i);
+        }
+        return null;
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  RENDERING
+    // ───────────────────────────────────────────────────────────
+    const formatOffset = offset => offset.toString(16).padStart(8, '0');
+
+    function asciiChar(byte) {
+        if (byte < 0x20 || byte > 0x7E) return '.';
+        if (byte === 0x26) return '&amp;';
+        if (byte === 0x3C) return '&lt;';
+        if (byte === 0x3E) return '&gt;';
+        return String.fromCharCode(byte);
+    }
+
+    // One side of a row: hex and ASCII columns, differing bytes wrapped in runs
+    function renderSide(bytes, other, offset) {
+        let hex = '', ascii = '', open = false;
+        for (let i = 0; i < BYTES_PER_ROW; i++) {
+            const at = offset + i;
+            const differs = at < bytes.length && differsAt(bytes, other, at);
+            if (open && !differs) { hex += '</span>'; ascii += '</span>'; open = false; }
+            if (i > 0) hex += i === 8 ? '  ' : ' ';
+            if (differs && !open) { hex += '<span class="hex-diff">'; ascii += '<span class="hex-diff">'; open = true; }
+            hex += at < bytes.length ? HEX[bytes[at]] : '  ';
+            ascii += at < bytes.length ? asciiChar(bytes[at]) : ' ';
+        }
+        if (open) { hex += '</span>'; ascii += '</span>'; }
+        return `<span class="hex-bytes">${hex}</span><span class="hex-ascii">${ascii}</span>`;
+    }
+
+    function renderRows(a, b, firstRow, count, { focus = null } = {}) {
+        const rows = Math.ceil(Math.max(a.length, b.length) / BYTES_PER_ROW);
+        let html = '';
+        for (let row = firstRow; row < Math.min(firstRow + count, rows); row++) {
+            const offset = row * BYTES_PER_ROW;
+            const focused = focus && focus.start < offset + BYTES_PER_ROW && focus.end > offset;
+            html += `<div class="hex-row${focused ? ' change-focus' : ''}" data-hex-row="${row}">`
+                + `<span class="hex-offset">${formatOffset(offset)}</span>`
+                + renderSide(a, b, offset)
+                + `<span class="hex-gutter"></span>`
+                + renderSide(b, a, offset)
+                + '</div>';
+        }
+        return html;
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  PUBLIC API
+    // ───────────────────────────────────────────────────────────
+    const HexDiff = {
+        BYTES_PER_ROW,
+
+        /**
+         * Compare two byte arrays offset by offset.
+         * @param {Uint8Array} a
+         * @param {Uint8Array} b
+         * @param {{ maxRanges?: number }} [options] how many ranges to keep (default 10000)
+         * @returns {{ sizeA: number, sizeB: number, differing: number, ranges: Array<{ start: number, end: number }>,
+         *             rangeCount: number, truncated: boolean }} ranges are half-open; a tail only one side has is one range
+         */
+        compare,
+
+        /**
+         * The first run of differing bytes at or after `from`.
+         * @param {Uint8Array} a
+         * @param {Uint8Array} b
+         * @param {number} from
+         * @param {number} [limit] bytes to scan at most (default: to the end)
+         * @returns {?{ start: number, end: number }} null when none is within reach
+         */
+        nextDifference,
+
+        /**
+         * The last run of differing bytes that starts before `before`.
+         * @param {Uint8Array} a
+         * @param {Uint8Array} b
+         * @param {number} before
+         * @param {number} [limit] bytes to scan at most (default: to the start)
+         * @returns {?{ start: number, end: number }} null when none is within reach
+         */
+        previousDifference,
+
+        /**
+         * HTML for rows [firstRow, firstRow + count): offset, then hex and ASCII of a, then of b.
+         * @param {Uint8Array} a
+         * @param {Uint8Array} b
+         * @param {number} firstRow
+         * @param {number} count
+         * @param {{ focus?: { start: number, end: number } }} [options] rows of this range get `change-focus`
+         * @returns {string}
+         */
+        renderRows,
+
+        /**
+         * @param {number} offset
+         * @returns {string} eight hex digits
+         */
+        formatOffset
+    };
+
+    if (isModule) module.exports = HexDiff;
+    else scope.HexDiff = HexDiff;
+
+})();
@@ -0,0 +1,187 @@
+/**
+ * Codediff — History Store
+ *
+ * Saved comparisons in IndexedDB, so a refresh doesn't lose work. Each
+ * entry holds a name, timestamps, a pinned flag, the state snapshot the
+ * page restores from (both texts, file names, options) and the stats of
+ * the last diff. Everything stays in this browser; wipe() deletes the
+ * whole database.
+ *
+ * All methods return promises and reject with the IndexedDB error when
+ * storage is unavailable (private windows, sandboxed frames).
+ */
+
+(function HistoryStoreModule() {
+    'use strict';
+
+    // ───────────────────────────────────────────────────────────
+    //  CONSTANTS
+    // ───────────────────────────────────────────────────────────
+    const DB_NAME = 'codediff';
+    const DB_VERSION = 1;
+    const STORE = 'comparisons';
+
+    let dbPromise = null;
+
+    // ───────────────────────────────────────────────────────────
+    //  UTILITY: IndexedDB as promises
+    // ───────────────────────────────────────────────────────────
+    function open() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') { reject(new Error('IndexedDB is not available')); return; }
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('updated', 'updated');
+                };
+                request.onsuccess = () => {
+                    const db = request.result;
+                    // Another tab wiping the history must not wait on this one
+                    db.onversionchange = () => { db.close(); dbPromise = null; };
+                    resolve(db);
+                };
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('The history database is blocked by another tab'));
+            });
+            dbPromise.catch(() => { dbPromise = null; });
+        }
+        return dbPromise;
+    }
+
+    // Runs fn(store) in one transaction; resolves with fn's request result once committed
+    async function withStore(mode, fn) {
+        const db = await open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE, mode);
+            let result;
+            const request = fn(tx.objectStore(STORE));
+            if (request) request.onsuccess = () => { result = request.result; };
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('History transaction aborted'));
+        });
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  ENTRIES
+    // ───────────────────────────────────────────────────────────
+    function add(entry) {
+        const now = Date.now();
+        const record = { pinned: false, customName: false, ...entry, created: now, updated: now };
+        delete record.id;
+        return withStore('readwrite', store => store.add(record));
+    }
+
+    async function update(id, changes, touch = true) {
+        const db = await open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE, 'readwrite');
+            const store = tx.objectStore(STORE);
+            let updated = null;
+            store.get(id).onsuccess = e => {
+                const record = e.target.result;
+                if (!record) return;   // deleted meanwhile, e.g. from another tab
+                updated = { ...record, ...(typeof changes === 'function' ? changes(record) : changes), id };
+                if (touch) updated.updated = Date.now();
+                store.put(updated);
+            };
+            tx.oncomplete = () => resolve(updated);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('History transaction aborted'));
+        });
+    }
+
+    function get(id) {
+        return withStore('readonly', store => store.get(id));
+    }
+
+    // Pinned first, then most recently updated
+    async function list() {
+        const all = await withStore('readonly', store => store.getAll());
+        return all.sort((a, b) => (b.pinned - a.pinned) || (b.updated - a.updated));
+    }
+
+    function remove(id) {
+        return withStore('readwrite', store => store.delete(id));
+    }
+
+    // Deletes the oldest unpinned entries beyond `limit`; resolves with how many went
+    async function prune(limit) {
+        const unpinned = (await list()).filter(e => !e.pinned);
+        const excess = unpinned.slice(Math.max(0, limit));
+        if (excess.length === 0) return 0;
+        await withStore('readwrite', store => { excess.forEach(e => store.delete(e.id)); });
+        return excess.length;
+    }
+
+    async function wipe() {
+        if (dbPromise) {
+            const db = await dbPromise.catch(() => null);
+            if (db) db.close();
+            dbPromise = null;
+        }
+        if (typeof indexedDB === 'undefined') return;
+        await new Promise((resolve, reject) => {
+            const request = indexedDB.deleteDatabase(DB_NAME);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+            // Other tabs close on versionchange; the delete completes after that
+            request.onblocked = () => { };
+        });
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  PUBLIC API
+    // ───────────────────────────────────────────────────────────
+    window.HistoryStore = {
+        /**
+         * Save a new entry.
+         * @param {{ name: string, customName?: boolean, pinned?: boolean, state: object, stats?: object }} entry
+         * @returns {Promise<number>} the new entry's id
+         */
+        add,
+
+        /**
+         * Change fields of an entry.
+         * @param {number} id
+         * @param {object|function(object): object} changes or a function of the stored entry returning them
+         * @param {boolean} [touch] bump `updated` (default true) — renaming or pinning passes false
+         * @returns {Promise<?object>} the updated entry, null when it no longer exists
+         */
+        update,
+
+        /**
+         * @param {number} id
+         * @returns {Promise<object|undefined>}
+         */
+        get,
+
+        /**
+         * Every entry, pinned first, then newest first.
+         * @returns {Promise<Array<{ id: number, name: string, customName: boolean, pinned: boolean,
+         *           created: number, updated: number, state: object, stats?: object }>>}
+         */
+        list,
+
+        /**
+         * @param {number} id
+         * @returns {Promise<void>}
+         */
+        remove,
+
+        /**
+         * Keep at most `limit` unpinned entries, dropping the oldest.
+         * @param {number} limit
+         * @returns {Promise<number>} entries deleted
+         */
+        prune,
+
+        /**
+         * Delete the whole history database.
+         * @returns {Promise<void>}
+         */
+        wipe
+    };
+
+})();
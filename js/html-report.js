@@ -0,0 +1,235 @@
+/**
+ * Codediff — HTML Report
+ *
+ * Wraps a rendered diff (DiffEngine.render) in one standalone HTML
+ * document: file names, stats, the options used and a timestamp, with
+ * the stylesheet for one theme inlined. It holds no scripts and no
+ * external references, so it opens offline, attaches to a ticket as is
+ * and prints in the light palette with long lines wrapped, not cut off.
+ *
+ * Used by the page's Export HTML report and the `codediff --output html`
+ * command line.
+ */
+
+(function HtmlReportModule() {
+    'use strict';
+
+    // ───────────────────────────────────────────────────────────
+    //  DEPENDENCIES
+    //  Globals in the page; required modules under Node and bundlers
+    // ───────────────────────────────────────────────────────────
+    const isModule = typeof module === 'object' && module !== null && !!module.exports;
+    const scope = isModule ? null : typeof window !== 'undefined' ? window : self;
+    const DiffEngine = isModule ? require('./diff-engine.js') : scope.DiffEngine;
+
+    // ───────────────────────────────────────────────────────────
+    //  THEMES
+    //  The css/style.css palette each theme needs for the diff tables
+    // ───────────────────────────────────────────────────────────
+    const THEMES = {
+        dark: {
+            bg: '#0f0f0f', surface: '#1a1a1a', 'surface-2': '#222222', border: '#2e2e2e',
+            text: '#e0e0e0', 'text-muted': '#888888', 'text-faint': '#555555', 'diff-unchanged-text': '#888888',
+            'diff-added-bg': '#0d2e0d', 'diff-added-gutter': '#0a200a', 'diff-added-text': '#4ade80',
+            'diff-removed-bg': '#2e0d0d', 'diff-removed-gutter': '#200a0a', 'diff-removed-text': '#f87171',
+            'diff-changed-bg': '#2a2200', 'diff-changed-gutter': '#1a1500', 'diff-changed-text': '#fbbf24',
+            'diff-moved-bg': '#1a1530', 'diff-moved-gutter': '#120f22', 'diff-moved-text': '#a78bfa', 'diff-moved-line': '#3b2f6b',
+            'syn-com': '#6a737d', 'syn-str': '#a5d6ff', 'syn-num': '#79c0ff', 'syn-kw': '#ff7b72',
+            'syn-type': '#ffa657', 'syn-fn': '#d2a8ff', 'syn-prop': '#7ee787', 'syn-meta': '#e3b341'
+        },
+        light: {
+            bg: '#ffffff', surface: '#f5f5f5', 'surface-2': '#ebebeb', border: '#d8d8d8',
+            text: '#1a1a1a', 'text-muted': '#555555', 'text-faint': '#aaaaaa', 'diff-unchanged-text': '#555555',
+            'diff-added-bg': '#edfaed', 'diff-added-gutter': '#d4f5d4', 'diff-added-text': '#16a34a',
+            'diff-removed-bg': '#fdeaea', 'diff-removed-gutter': '#fad4d4', 'diff-removed-text': '#dc2626',
+            'diff-changed-bg': '#fffbea', 'diff-changed-gutter': '#fef3c7', 'diff-changed-text': '#d97706',
+            'diff-moved-bg': '#f3effe', 'diff-moved-gutter': '#e6dffc', 'diff-moved-text': '#7c3aed', 'diff-moved-line': '#ddd3fb',
+            'syn-com': '#6a737d', 'syn-str': '#0a3069', 'syn-num': '#0550ae', 'syn-kw': '#cf222e',
+            'syn-type': '#953800', 'syn-fn': '#8250df', 'syn-prop': '#116329', 'syn-meta': '#9a6700'
+        }
+    };
+
+    // ───────────────────────────────────────────────────────────
+    //  STYLESHEET
+    //  The diff table rules of css/style.css, minus everything
+    //  interactive; code wraps so nothing is lost on paper
+    // ───────────────────────────────────────────────────────────
+    const STYLES = `
+*, *::before, *::after { box-sizing: border-box; }
+body { margin: 0; padding: 24px; background: var(--bg); color: var(--text);
+  font: 14px/1.5 system-ui, -apple-system, 'Segoe UI', sans-serif; }
+h1 { margin: 0 0 4px; font-size: 1.25rem; }
+.report-files { margin: 0 0 12px; color: var(--text-muted); font-family: var(--font-mono); word-break: break-all; }
+.report-meta { display: flex; flex-wrap: wrap; gap: 4px 24px; margin: 0 0 16px; padding: 8px 12px;
+  background: var(--surface); border: 1px solid var(--border); border-radius: 8px; font-size: 0.8rem; }
+.report-meta dt { color: var(--text-muted); }
+.report-meta dt::after { content: ':'; }
+.report-meta div { display: flex; gap: 6px; }
+.report-meta dd { margin: 0; }
+.stat-added { color: var(--diff-added-text); }
+.stat-removed { color: var(--diff-removed-text); }
+.stat-changed { color: var(--diff-changed-text); }
+.stat-moved { color: var(--diff-moved-text); }
+.stat-whitespace { color: var(--text-muted); }
+.report-diff { border: 1px solid var(--border); border-radius: 8px; overflow: hidden;
+  font: 0.78rem/1.55 var(--font-mono); }
+table { width: 100%; border-collapse: collapse; table-layout: fixed; }
+.diff-table col:nth-child(1), .diff-table col:nth-child(4) { width: 50px; }
+.diff-table col:nth-child(2), .diff-table col:nth-child(5) { width: calc(50% - 50px); }
+.diff-table col:nth-child(3) { width: 1px; }
+.inline-table col:nth-child(1), .inline-table col:nth-child(2) { width: 50px; }
+.diff-cell, .inline-code { padding: 1px 8px; white-space: pre-wrap; overflow-wrap: anywhere; vertical-align: top; }
+.gutter-cell, .inline-gutter { padding: 1px 6px; text-align: right; font-size: 0.72rem; vertical-align: top;
+  background: var(--surface-2); color: var(--text-faint); }
+.diff-divider { width: 1px; padding: 0; background: var(--border); }
+.line-equal .diff-cell, .line-ignored .diff-cell, .inline-equal, .inline-ignored { background: var(--surface); color: var(--text-muted); }
+.line-ignored .gutter-cell, .inline-ignored .inline-gutter { font-style: italic; }
+.line-added .diff-cell, .inline-added { background: var(--diff-added-bg); color: var(--diff-added-text); }
+.line-added .gutter-cell, .inline-added .inline-gutter { background: var(--diff-added-gutter); color: var(--diff-added-text); }
+.line-removed .diff-cell, .inline-removed { background: var(--diff-removed-bg); color: var(--diff-removed-text); }
+.line-removed .gutter-cell, .inline-removed .inline-gutter { background: var(--diff-removed-gutter); color: var(--diff-removed-text); }
+.line-changed .diff-cell { background: var(--diff-changed-bg); color: var(--diff-changed-text); }
+.line-changed .gutter-cell { background: var(--diff-changed-gutter); color: var(--diff-changed-text); }
+.line-moved .diff-cell, .inline-moved { background: var(--diff-moved-bg); color: var(--diff-moved-text); }
+.line-moved .gutter-cell, .inline-moved .inline-gutter { background: var(--diff-moved-gutter); color: var(--diff-moved-text); }
+.word-added { background: rgba(74, 222, 128, 0.25); border-radius: 2px; }
+.word-removed { background: rgba(248, 113, 113, 0.25); border-radius: 2px; }
+.line-whitespace .diff-cell, .inline-whitespace { color: var(--text-muted); }
+.inv { position: relative; }
+.inv::before { position: absolute; left: 0; right: 0; text-align: center; color: var(--text-faint); }
+.word-added .inv::before, .word-removed .inv::before { color: inherit; }
+.inv-tab::before { content: '→'; text-align: left; }
+.inv-space::before { content: '·'; }
+.inv-nbsp::before { content: '°'; }
+.inv-cr::before, .inv-eol::before, .inv-code::before { position: static; }
+.inv-cr::before { content: '␍'; }
+.inv-eol::before { content: '↵'; }
+.inv-code::before { content: attr(data-inv); margin: 0 1px; padding: 0 2px; border: 1px solid currentColor; border-radius: 2px;
+  font-size: 0.62rem; vertical-align: 1px; }
+.tok-com { color: var(--syn-com); font-style: italic; }
+.tok-str { color: var(--syn-str); }
+.tok-num, .tok-lit, .tok-attr { color: var(--syn-num); }
+.tok-kw { color: var(--syn-kw); }
+.tok-type, .tok-var { color: var(--syn-type); }
+.tok-fn { color: var(--syn-fn); }
+.tok-prop, .tok-tag { color: var(--syn-prop); }
+.tok-meta { color: var(--syn-meta); }
+.masked { opacity: 0.5; text-decoration: underline dotted; }
+.diff-separator td { padding: 3px; text-align: center; font-size: 0.72rem; background: var(--surface-2); color: var(--text-faint);
+  border-top: 1px solid var(--border); border-bottom: 1px solid var(--border); }
+.move-link { float: right; margin-left: 12px; padding: 0 6px; border: 1px solid var(--diff-moved-line); border-radius: 3px;
+  background: transparent; font: 0.68rem system-ui, sans-serif; color: var(--diff-moved-text); }
+.report-section { margin: 20px 0 6px; font: 600 0.85rem var(--font-mono); word-break: break-all; }
+.report-section .stat-added, .report-section .stat-removed, .report-section .stat-changed { margin-left: 6px; font-weight: 400; }
+.report-note { margin: 0; padding: 10px 12px; color: var(--text-muted); font: italic 0.8rem system-ui, sans-serif; }
+.report-footer { margin-top: 12px; color: var(--text-faint); font-size: 0.75rem; }
+@media print {
+  body { padding: 0; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  .report-diff { border-radius: 0; overflow: visible; }
+  tr { break-inside: avoid; }
+}
+`;
+
+    const ESC = DiffEngine.escape;
+    const MONO = "ui-monospace, 'JetBrains Mono', Consolas, monospace";
+
+    const cssVars = palette => Object.entries(palette).map(([k, v]) => `  --${k}: ${v};`).join('\n');
+
+    // Paper always gets the light palette: dark text on white reads, and
+    // a dark page would empty the toner
+    function themeCss(theme) {
+        const screen = `:root {\n${cssVars(THEMES[theme] || THEMES.light)}\n  --font-mono: ${MONO};\n}`;
+        return theme === 'dark' ? `${screen}\n@media print {\n:root {\n${cssVars(THEMES.light)}\n}\n}` : screen;
+    }
+
+    function statsHtml(stats) {
+        const parts = [
+            `<span class="stat-added">+${stats.added}</span>`,
+            `<span class="stat-removed">−${stats.removed}</span>`,
+            `<span class="stat-changed">~${stats.changed}</span>`
+        ];
+        if (stats.moved) parts.push(`<span class="stat-moved">↕${stats.moved}</span>`);
+        if (stats.whitespace) parts.push(`<span class="stat-whitespace" title="whitespace only">␣${stats.whitespace}</span>`);
+        return parts.join(' ');
+    }
+
+    // Date as local "YYYY-MM-DD HH:MM:SS (UTC±HH:MM)"
+    function timestamp(date) {
+        const pad = n => String(Math.abs(n)).padStart(2, '0');
+        const offset = -date.getTimezoneOffset();
+        const zone = `UTC${offset < 0 ? '−' : '+'}${pad(Math.trunc(offset / 60))}:${pad(offset % 60)}`;
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+            `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())} (${zone})`;
+    }
+
+    function build(report) {
+        const title = report.title || `${report.leftName} → ${report.rightName}`;
+        const generated = report.generated || new Date();
+        const meta = [['Changes', statsHtml(report.stats)]];
+        for (const [label, value] of Object.entries(report.options || {})) meta.push([ESC(label), ESC(String(value))]);
+        meta.push(['Generated', ESC(timestamp(generated))]);
+
+        // One diff box, or one per file of a multi-file patch
+        const diff = report.sections
+            ? report.sections.map(sec => `<h2 class="report-section">${ESC(sec.title)}${sec.stats ? ' ' + statsHtml(sec.stats) : ''}</h2>
+<div class="report-diff">
+${sec.body}
+</div>`).join('\n')
+            : `<div class="report-diff">
+${report.body}
+</div>`;
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="generator" content="Codediff">
+<title>${ESC(title)}</title>
+<style>
+${themeCss(report.theme)}
+${STYLES.trim()}
+</style>
+</head>
+<body>
+<h1>${ESC(title)}</h1>
+<p class="report-files">${ESC(report.leftName)} → ${ESC(report.rightName)}</p>
+<dl class="report-meta">
+${meta.map(([label, value]) => `<div><dt>${label}</dt><dd>${value}</dd></div>`).join('\n')}
+</dl>
+${diff}
+<p class="report-footer">Generated by Codediff</p>
+</body>
+</html>
+`;
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  PUBLIC API
+    // ───────────────────────────────────────────────────────────
+    const HtmlReport = {
+        /** Theme ids a report can use. */
+        themes: Object.keys(THEMES),
+
+        /**
+         * A standalone HTML document for a rendered diff.
+         * @param {object} report
+         * @param {string} report.leftName
+         * @param {string} report.rightName
+         * @param {{ added: number, removed: number, changed: number, moved?: number, whitespace?: number }} report.stats
+         * @param {string}  [report.body]     DiffEngine.render() output (trusted HTML)
+         * @param {Array<{ title: string, body: string, stats?: object }>} [report.sections]
+         *        instead of `body`: one titled diff per file, e.g. for a multi-file patch
+         * @param {Object<string, string>} [report.options] option label → value, listed in the header
+         * @param {string}  [report.title]    defaults to "left → right"
+         * @param {string}  [report.theme]    'light' (default) | 'dark'
+         * @param {Date}    [report.generated] defaults to now
+         * @returns {string}
+         */
+        build
+    };
+
+    if (isModule) module.exports = HtmlReport;
+    else scope.HtmlReport = HtmlReport;
+
+})();
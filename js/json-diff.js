@@ -0,0 +1,363 @@
+/**
+ * Codediff — JSON Diff
+ *
+ * Structural comparison of two JSON documents (or YAML / TOML ones,
+ * parsed by FormatEngine into the same plain data). Instead of diffing
+ * pretty-printed lines, both values are walked side by side and every
+ * difference is reported at its JSON Pointer (RFC 6901) path:
+ * added, removed or changed values, and objects whose keys were
+ * reordered (only when key order matters).
+ *
+ * Arrays are compared in order by default; they can also be treated as
+ * sets, or have their items matched by an id field. Numbers may differ
+ * by a tolerance and still count as equal.
+ */
+
+(function JsonDiffModule() {
+    'use strict';
+
+    // ───────────────────────────────────────────────────────────
+    //  CONSTANTS
+    // ───────────────────────────────────────────────────────────
+    const PREVIEW_CHARS = 120;  // longest value shown in full in the tree / list
+    const OP_SYMBOLS = { added: '+', removed: '−', changed: '~', reordered: '↕' };
+
+    const DEFAULTS = {
+        ignoreKeyOrder: true,
+        arrays: 'ordered',   // 'ordered' | 'set' | 'key'
+        arrayKey: 'id',
+        tolerance: 0
+    };
+
+    // ───────────────────────────────────────────────────────────
+    //  UTILITY: Types, pointers, canonical form
+    // ───────────────────────────────────────────────────────────
+    function kindOf(v) {
+        if (Array.isArray(v)) return 'array';
+        if (v !== null && typeof v === 'object') return 'object';
+        return 'value';
+    }
+
+    function pointer(parent, key) {
+        return parent + '/' + String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+    }
+
+    // Stable JSON text for equality checks; keys sorted unless order matters
+    function canonical(v, sortKeys) {
+        const kind = kindOf(v);
+        if (kind === 'array') return '[' + v.map(x => canonical(x, sortKeys)).join(',') + ']';
+        if (kind === 'object') {
+            const keys = sortKeys ? Object.keys(v).sort() : Object.keys(v);
+            return '{' + keys.map(k => JSON.stringify(k) + ':' + canonical(v[k], sortKeys)).join(',') + '}';
+        }
+        return JSON.stringify(v);
+    }
+
+    function preview(v) {
+        const text = JSON.stringify(v);
+        return text.length > PREVIEW_CHARS ? text.slice(0, PREVIEW_CHARS) + '…' : text;
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  PARSE
+    // ───────────────────────────────────────────────────────────
+    // YAML and TOML documents are compared as the same plain data JSON gives
+    function parse(text, side, format) {
+        try {
+            return { value: FormatEngine.parse(text, format) };
+        } catch (e) {
+            return { error: `${side} pane: Invalid ${FormatEngine.label(format)} — ${e.message}`, side, pos: e.pos };
+        }
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  STRUCTURAL DIFF
+    //  Produces a tree of nodes:
+    //  { key, path, kind, status: 'equal'|'added'|'removed'|'changed'|'modified',
+    //    left, right, children?, reordered? }
+    //  'modified' marks a container with differences somewhere inside.
+    // ───────────────────────────────────────────────────────────
+    function leaf(status, key, path, left, right) {
+        const side = status === 'removed' ? left : right;
+        return { key, path, kind: kindOf(side), status, left, right };
+    }
+
+    function diffValue(left, right, key, path, opts) {
+        const lKind = kindOf(left);
+        const rKind = kindOf(right);
+
+        if (lKind !== rKind) return { key, path, kind: rKind, status: 'changed', left, right };
+        if (lKind === 'object') return diffObject(left, right, key, path, opts);
+        if (lKind === 'array') return diffArray(left, right, key, path, opts);
+
+        const same = left === right ||
+            (typeof left === 'number' && typeof right === 'number' && Math.abs(left - right) <= opts.tolerance);
+        return { key, path, kind: 'value', status: same ? 'equal' : 'changed', left, right };
+    }
+
+    function container(kind, key, path, left, right, children, reordered = false) {
+        const status = reordered || children.some(c => c.status !== 'equal') ? 'modified' : 'equal';
+        const node = { key, path, kind, status, left, right, children };
+        if (reordered) node.reordered = true;
+        return node;
+    }
+
+    function diffObject(left, right, key, path, opts) {
+        const children = [];
+        for (const k of Object.keys(left)) {
+            const childPath = pointer(path, k);
+            if (Object.prototype.hasOwnProperty.call(right, k)) children.push(diffValue(left[k], right[k], k, childPath, opts));
+            else children.push(leaf('removed', k, childPath, left[k], undefined));
+        }
+        for (const k of Object.keys(right)) {
+            if (!Object.prototype.hasOwnProperty.call(left, k)) children.push(leaf('added', k, pointer(path, k), undefined, right[k]));
+        }
+
+        let reordered = false;
+        if (!opts.ignoreKeyOrder) {
+            const common = Object.keys(left).filter(k => Object.prototype.hasOwnProperty.call(right, k));
+            const order = Object.keys(right).filter(k => Object.prototype.hasOwnProperty.call(left, k));
+            reordered = common.some((k, i) => k !== order[i]);
+        }
+        return container('object', key, path, left, right, children, reordered);
+    }
+
+    function diffArray(left, right, key, path, opts) {
+        let children;
+        if (opts.arrays === 'set') children = matchAsSet(left, right, path, opts, left.map((_, i) => i), right.map((_, i) => i));
+        else if (opts.arrays === 'key') children = matchByKey(left, right, path, opts);
+        else children = matchInOrder(left, right, path, opts);
+        return container('array', key, path, left, right, children);
+    }
+
+    // Items aligned like lines of text; a removed item facing an added one
+    // is compared in depth. Paths use the right-hand index, except for
+    // removed items.
+    function matchInOrder(left, right, path, opts) {
+        const sortKeys = opts.ignoreKeyOrder;
+        const edits = DiffEngine.diffEdits(left.map(x => canonical(x, sortKeys)), right.map(x => canonical(x, sortKeys)));
+        const children = [];
+        let i = 0;
+        while (i < edits.length) {
+            const e = edits[i];
+            if (e.type === 'equal') {
+                children.push(diffValue(left[e.li], right[e.ri], e.ri, pointer(path, e.ri), opts));
+                i++;
+                continue;
+            }
+            const dels = [];
+            const ins = [];
+            while (i < edits.length && edits[i].type === 'delete') dels.push(edits[i++].li);
+            while (i < edits.length && edits[i].type === 'insert') ins.push(edits[i++].ri);
+            const count = Math.min(dels.length, ins.length);
+            for (let j = 0; j < count; j++) children.push(diffValue(left[dels[j]], right[ins[j]], ins[j], pointer(path, ins[j]), opts));
+            for (let j = count; j < dels.length; j++) children.push(leaf('removed', dels[j], pointer(path, dels[j]), left[dels[j]], undefined));
+            for (let j = count; j < ins.length; j++) children.push(leaf('added', ins[j], pointer(path, ins[j]), undefined, right[ins[j]]));
+        }
+        return children;
+    }
+
+    // Order and duplicates don't matter beyond how many copies each side has
+    function matchAsSet(left, right, path, opts, lIdx, rIdx) {
+        const pool = new Map();   // canonical → left indices not yet matched
+        for (const li of lIdx) {
+            const c = canonical(left[li], opts.ignoreKeyOrder);
+            if (pool.has(c)) pool.get(c).push(li);
+            else pool.set(c, [li]);
+        }
+        const children = [];
+        for (const ri of rIdx) {
+            const list = pool.get(canonical(right[ri], opts.ignoreKeyOrder));
+            if (list && list.length) {
+                const li = list.shift();
+                children.push({ key: ri, path: pointer(path, ri), kind: kindOf(right[ri]), status: 'equal', left: left[li], right: right[ri] });
+            } else {
+                children.push(leaf('added', ri, pointer(path, ri), undefined, right[ri]));
+            }
+        }
+        for (const list of pool.values()) {
+            for (const li of list) children.push(leaf('removed', li, pointer(path, li), left[li], undefined));
+        }
+        return children;
+    }
+
+    // Objects carrying `arrayKey` pair up by its value and are compared in
+    // depth; items without one fall back to set matching
+    function matchByKey(left, right, path, opts) {
+        const idOf = item => kindOf(item) === 'object' && Object.prototype.hasOwnProperty.call(item, opts.arrayKey)
+            ? canonical(item[opts.arrayKey], true) : null;
+
+        const byId = new Map();   // id → left index
+        const lLoose = [];
+        left.forEach((item, li) => {
+            const id = idOf(item);
+            if (id === null || byId.has(id)) lLoose.push(li);
+            else byId.set(id, li);
+        });
+
+        const children = [];
+        const rLoose = [];
+        right.forEach((item, ri) => {
+            const id = idOf(item);
+            if (id === null || !byId.has(id)) { rLoose.push(ri); return; }
+            const li = byId.get(id);
+            byId.delete(id);
+            children.push(diffValue(left[li], item, ri, pointer(path, ri), opts));
+        });
+
+        // Keyed left items nobody claimed are compared with the loose ones
+        for (const li of byId.values()) lLoose.push(li);
+        lLoose.sort((x, y) => x - y);
+        return children.concat(matchAsSet(left, right, path, opts, lLoose, rLoose));
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  CHANGE LIST
+    // ───────────────────────────────────────────────────────────
+    function collectChanges(node, out) {
+        if (node.status === 'added' || node.status === 'removed' || node.status === 'changed') {
+            out.push({ op: node.status, path: node.path, left: node.left, right: node.right });
+            return out;
+        }
+        if (node.reordered) out.push({ op: 'reordered', path: node.path, left: node.left, right: node.right });
+        if (node.children) node.children.forEach(c => collectChanges(c, out));
+        return out;
+    }
+
+    function compare(leftText, rightText, options = {}) {
+        const opts = Object.assign({}, DEFAULTS, options);
+        opts.tolerance = Math.abs(Number(opts.tolerance)) || 0;
+
+        const format = options.format || 'json';
+        const l = parse(leftText, 'Left', format);
+        if (l.error) return l;
+        const r = parse(rightText, 'Right', format);
+        if (r.error) return r;
+
+        const tree = diffValue(l.value, r.value, null, '', opts);
+        const changes = collectChanges(tree, []);
+        const stats = { added: 0, removed: 0, changed: 0 };
+        for (const c of changes) {
+            if (c.op === 'added') stats.added++;
+            else if (c.op === 'removed') stats.removed++;
+            else stats.changed++;
+        }
+        return { tree, changes, stats };
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  TREE RENDERER
+    //  Containers are <details> elements: the ones with differences
+    //  inside start open, unchanged ones start collapsed.
+    // ───────────────────────────────────────────────────────────
+    function renderTree(result) {
+        if (result.changes.length === 0) return noDifferences();
+        return `<div class="json-tree">${renderNode(result.tree)}</div>`;
+    }
+
+    function renderNode(node) {
+        const esc = DiffEngine.escape;
+        const key = node.key === null ? '<span class="json-key json-root">(root)</span>'
+            : `<span class="json-key">${esc(String(node.key))}</span>`;
+
+        if (node.children && node.status !== 'added' && node.status !== 'removed') {
+            const count = node.children.length;
+            const shape = node.kind === 'array' ? `[${count}]` : `{${count}}`;
+            const note = node.reordered ? ' <span class="json-note">keys reordered</span>' : '';
+            return `<details class="json-node json-${node.status}"${node.status === 'modified' ? ' open' : ''}>
+  <summary>${key} <span class="json-shape">${shape}</span>${note}</summary>
+  <div class="json-children">${node.children.map(renderNode).join('')}</div>
+</details>`;
+        }
+
+        let value;
+        if (node.status === 'changed') {
+            value = `<span class="json-old">${esc(preview(node.left))}</span> → <span class="json-new">${esc(preview(node.right))}</span>`;
+        } else {
+            value = `<span class="json-value">${esc(preview(node.status === 'removed' ? node.left : node.right))}</span>`;
+        }
+        return `<div class="json-leaf json-${node.status}" title="${esc(node.path || '/')}"><span class="json-op">${OP_SYMBOLS[node.status] || ''}</span>${key}: ${value}</div>`;
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  PATH LIST RENDERER
+    // ───────────────────────────────────────────────────────────
+    function renderList(result) {
+        if (result.changes.length === 0) return noDifferences();
+        const esc = DiffEngine.escape;
+        const rows = result.changes.map(c => {
+            const before = c.op === 'added' || c.op === 'reordered' ? '' : esc(preview(c.left));
+            const after = c.op === 'removed' || c.op === 'reordered' ? '' : esc(preview(c.right));
+            return `<tr class="json-${c.op}">
+  <td class="json-op">${OP_SYMBOLS[c.op]}</td>
+  <td class="json-path">${esc(c.path || '/')}</td>
+  <td class="json-old">${c.op === 'reordered' ? 'keys reordered' : before}</td>
+  <td class="json-new">${after}</td>
+</tr>`;
+        }).join('');
+        return `<table class="json-paths"><thead><tr><th></th><th>Path</th><th>Before</th><th>After</th></tr></thead><tbody>${rows}</tbody></table>`;
+    }
+
+    function noDifferences() {
+        return '<div style="padding:20px;text-align:center;color:var(--diff-unchanged-text);font-family:var(--font-mono);font-size:0.85rem">✓ No differences found — documents are equivalent</div>';
+    }
+
+    // Plain-text change list for Copy / Download
+    function toText(result) {
+        return result.changes.map(c => {
+            const path = c.path || '/';
+            if (c.op === 'reordered') return `${OP_SYMBOLS[c.op]} ${path}  keys reordered`;
+            if (c.op === 'added') return `${OP_SYMBOLS[c.op]} ${path}  ${JSON.stringify(c.right)}`;
+            if (c.op === 'removed') return `${OP_SYMBOLS[c.op]} ${path}  ${JSON.stringify(c.left)}`;
+            return `${OP_SYMBOLS[c.op]} ${path}  ${JSON.stringify(c.left)} → ${JSON.stringify(c.right)}`;
+        }).join('\n') + (result.changes.length ? '\n' : '');
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  PUBLIC API
+    // ───────────────────────────────────────────────────────────
+    window.JsonDiff = {
+        /**
+         * Structural diff of two JSON texts (or YAML / TOML, see `format`).
+         * @param {string} leftText
+         * @param {string} rightText
+         * @param {object} [options]
+         * @param {string}  [options.format]  'json' (default) | 'yaml' | 'toml'
+         * @param {boolean} [options.ignoreKeyOrder]  default true; false reports reordered keys
+         * @param {string}  [options.arrays]   'ordered' (default) | 'set' | 'key'
+         * @param {string}  [options.arrayKey] field matching array items when arrays = 'key' (default 'id')
+         * @param {number}  [options.tolerance] largest difference between numbers still equal (default 0)
+         * @returns {{ tree: object, changes: Array<{ op: 'added'|'removed'|'changed'|'reordered',
+         *           path: string, left: *, right: * }>, stats: { added: number, removed: number, changed: number } }
+         *          | { error: string, side: string, pos: number }}
+         */
+        compare,
+
+        /**
+         * Collapsible tree of both documents with differences marked.
+         * @param {object} result  from compare()
+         * @returns {string}
+         */
+        renderTree,
+
+        /**
+         * Table of changed JSON Pointer paths.
+         * @param {object} result  from compare()
+         * @returns {string}
+         */
+        renderList,
+
+        /**
+         * The change list as text, one path per line.
+         * @param {object} result  from compare()
+         * @returns {string}
+         */
+        toText,
+
+        /**
+         * Stable JSON text of a value, keys sorted unless `sortKeys` is false.
+         */
+        canonical
+    };
+
+})();
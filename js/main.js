@@ -2,13 +2,22 @@
  * Codediff — Main Application Controller
  *
  * Features:
- *  - Compare (Myers diff, inline default, side-by-side toggle)
+ *  - Compare (Myers / patience / histogram diff, inline default, side-by-side toggle)
+ *  - Diffs run in a Web Worker with progress and Cancel
+ *  - Moved-code detection, with links between both ends of a move
+ *  - Intraline highlights by character, word or language token
+ *  - JSON / YAML / XML / TOML normalization, picked from the file extension
+ *  - Structural data diff (tree and JSON Pointer path views)
+ *  - CSV / TSV table diff with key-column row matching
+ *  - Patch mode (render a pasted / dropped unified diff or `git diff`)
+ *  - 3-way merge against a common ancestor, with conflict resolution
  *  - Per-pane Find bar (text / regex / whole-word / case-sensitive)
  *  - Copy All button per pane
  *  - Suggestion panel (changed lines → one-click Apply / Apply All)
  *  - Vertical resize handle (drag diff output bigger/smaller)
  *  - Horizontal pane resizer
- *  - File upload & drag-drop
+ *  - File upload & drag-drop (single files, multiple files or whole folders)
+ *  - Multi-file comparison with a file tree sidebar
  *  - Scroll sync, keyboard shortcuts, fullscreen, toast
  */
 
@@ -29,6 +38,7 @@
     const swapBtn = $('swapBtn');
     const copyDiffBtn = $('copyDiffBtn');
     const downloadBtn = $('downloadDiffBtn');
+    const exportHtmlBtn = $('exportHtmlBtn');
     const focusDiffBtn = $('focusDiffBtn');
     const copyAllLeft = $('copyAllLeft');
     const copyAllRight = $('copyAllRight');
@@ -43,53 +53,195 @@
     const workspace = $('workspace');
     const fileInputLeft = $('fileInputLeft');
     const fileInputRight = $('fileInputRight');
+    const folderInputLeft = $('folderInputLeft');
+    const folderInputRight = $('folderInputRight');
     const fileNameLeft = $('fileNameLeft');
+    const encodingLeft = $('encodingLeft');
     const fileNameRight = $('fileNameRight');
+    const encodingRight = $('encodingRight');
     const dropZoneLeft = $('dropZoneLeft');
     const dropZoneRight = $('dropZoneRight');
     const statAddedCount = $('statAddedCount');
     const statRemovedCount = $('statRemovedCount');
     const statChangedCount = $('statChangedCount');
+    const statMovedCount = $('statMovedCount');
+    const statAdded = $('statAdded');
+    const statRemoved = $('statRemoved');
+    const statChanged = $('statChanged');
+    const statWhitespace = $('statWhitespace');
+    const statWhitespaceCount = $('statWhitespaceCount');
+    const statCells = $('statCells');
+    const statCellsCount = $('statCellsCount');
+    const ignoreRulesBtn = $('ignoreRulesBtn');
+    const ignoreRulesCount = $('ignoreRulesCount');
+    const ignoreOptions = $('ignoreOptions');
     const ignoreWhitespaceChk = $('ignoreWhitespace');
-    const jsonModeChk = $('jsonMode');
+    const ignoreTrailingWsChk = $('ignoreTrailingWhitespace');
+    const ignoreCaseChk = $('ignoreCase');
+    const ignoreBlankLinesChk = $('ignoreBlankLines');
+    const ignoreLineEndingsChk = $('ignoreLineEndings');
+    const ignoreMaskForm = $('ignoreMaskForm');
+    const ignoreMaskInput = $('ignoreMaskInput');
+    const ignoreMaskList = $('ignoreMaskList');
+    const ignorePresetSel = $('ignorePreset');
+    const ignorePresetName = $('ignorePresetName');
+    const ignorePresetSave = $('ignorePresetSave');
+    const ignorePresetDelete = $('ignorePresetDelete');
+    const formatSel = $('formatMode');
+    const diffAlgorithmSel = $('diffAlgorithm');
+    const granularitySel = $('intralineGranularity');
+    const syntaxSel = $('syntaxLanguage');
+    const contextLinesInput = $('contextLines');
+    const showFullFileChk = $('showFullFile');
+    const showInvisiblesChk = $('showInvisibles');
+    const changeNav = $('changeNav');
+    const changeNavLabel = $('changeNavLabel');
+    const prevChangeBtn = $('prevChangeBtn');
+    const nextChangeBtn = $('nextChangeBtn');
+    const diffRuler = $('diffRuler');
+    const patchModeChk = $('patchMode');
+    const mergeModeChk = $('mergeMode');
+    const paneLabelLeft = $('paneLabelLeft');
+    const paneLabelRight = $('paneLabelRight');
+    const editorBase = $('editorBase');
+    const fileInputBase = $('fileInputBase');
+    const fileNameBase = $('fileNameBase');
+    const encodingBase = $('encodingBase');
+    const dropZoneBase = $('dropZoneBase');
+    const clearBase = $('clearBase');
     const fullscreenBtn = $('fullscreenBtn');
     const shortcutsModal = $('shortcutsModal');
+    const applyPatchBtn = $('applyPatchBtn');
+    const applyPatchModal = $('applyPatchModal');
+    const closeApplyPatch = $('closeApplyPatch');
+    const applyPatchInput = $('applyPatchInput');
+    const applyPatchFileInput = $('applyPatchFileInput');
+    const applyPatchTarget = $('applyPatchTarget');
+    const applyPatchTargetLabel = $('applyPatchTargetLabel');
+    const applyPatchFuzz = $('applyPatchFuzz');
+    const applyPatchRun = $('applyPatchRun');
+    const applyPatchReport = $('applyPatchReport');
+    const shareBtn = $('shareBtn');
+    const shareModal = $('shareModal');
+    const closeShare = $('closeShare');
+    const shareForm = $('shareForm');
+    const sharePassphrase = $('sharePassphrase');
+    const shareResult = $('shareResult');
+    const shareLinkOutput = $('shareLinkOutput');
+    const shareCopy = $('shareCopy');
+    const shareSize = $('shareSize');
+    const shareUnlockModal = $('shareUnlockModal');
+    const closeShareUnlock = $('closeShareUnlock');
+    const shareUnlockForm = $('shareUnlockForm');
+    const shareUnlockInput = $('shareUnlockInput');
+    const shareUnlockError = $('shareUnlockError');
+    const historyBtn = $('historyBtn');
+    const historyModal = $('historyModal');
+    const closeHistory = $('closeHistory');
+    const historySearch = $('historySearch');
+    const historyRecordChk = $('historyRecord');
+    const historyLimitInput = $('historyLimit');
+    const historyList = $('historyList');
+    const historyEmpty = $('historyEmpty');
+    const historyUsage = $('historyUsage');
+    const wipeLocalDataBtn = $('wipeLocalData');
     const closeShortcuts = $('closeShortcuts');
     const viewSideBySide = $('viewSideBySide');
     const viewInline = $('viewInline');
+    const viewJsonTree = $('viewJsonTree');
+    const viewJsonPaths = $('viewJsonPaths');
+    const viewHex = $('viewHex');
+    const viewButtons = [viewSideBySide, viewInline, viewHex, viewJsonTree, viewJsonPaths];
+    const jsonOptions = $('jsonOptions');
+    const jsonOptionsTitle = $('jsonOptionsTitle');
+    const jsonIgnoreKeyOrderChk = $('jsonIgnoreKeyOrder');
+    const jsonArrayModeSel = $('jsonArrayMode');
+    const jsonArrayKeyInput = $('jsonArrayKey');
+    const jsonToleranceInput = $('jsonTolerance');
+    const tableOptions = $('tableOptions');
+    const tableOptionsTitle = $('tableOptionsTitle');
+    const tableKeySel = $('tableKey');
+    const tableHeaderChk = $('tableHeader');
     const toastContainer = $('toastContainer');
     const suggestionPanel = $('suggestionPanel');
     const suggestionList = $('suggestionList');
     const suggestionCount = $('suggestionCount');
     const applyAllBtn = $('applyAllSuggestions');
     const toggleSugBtn = $('toggleSuggestions');
+    const fileTree = $('fileTree');
+    const fileTreeList = $('fileTreeList');
+    const fileTreeSummary = $('fileTreeSummary');
+    const fileTreeHideIdentical = $('fileTreeHideIdentical');
+    const closeFileTreeBtn = $('closeFileTree');
+    const diffProgress = $('diffProgress');
+    const diffProgressLabel = $('diffProgressLabel');
+    const diffProgressTrack = $('diffProgressTrack');
+    const diffProgressFill = $('diffProgressFill');
+    const cancelDiffBtn = $('cancelDiffBtn');
 
     let searchLeft, searchRight;
 
     // ─────────────────────────────────────────────────────────
     //  STATE
     // ─────────────────────────────────────────────────────────
-    let currentViewMode = 'inline';   // inline is default
+    let currentViewMode = 'inline';   // inline is default; 'jsontree' / 'jsonpaths' for data formats
     let lastPlainText = '';
     let isComparing = false;
+    let compareRun = 0;              // bumped by each runCompare, so a run can tell it was replaced
     let syncingScroll = false;
     let suggestionData = [];         // [{ lLineNum, oldVal, newVal }]
     let suggestionsCollapsed = false;
+    let fileSets = { Left: null, Right: null };   // side → Map<relative path, text>
+    let fileEntries = [];            // [{ path, leftText, rightText, status, stats }]
+    let activeFileEntry = null;
+    let fileTreeToken = 0;           // bumps to cancel an in-flight stats pass
+    let mergeState = null;           // { merge, resolutions: Map<chunk idx, lines>, editing: Set<chunk idx>, drafts: Map<chunk idx, text> }
+    let jsonResult = null;           // JsonDiff.compare() result while a JSON view is shown
+    let tableResult = null;          // TableDiff.compare() result while a CSV / TSV grid is shown
+    let hexState = null;             // { a, b, result, rows, height, focus, area, win } while the hex view is shown
+    let ignoreMasks = [];            // regex sources whose matches compare equal
+    let changeBlocks = [];           // [{ rows: Element[], kind }] — each run of changed rows in diffOutput, in order
+    let currentChange = -1;          // index into changeBlocks last navigated to
+    let diffSources = [];            // [{ hunks, options, stats, title? }] behind the rendered diff (one per patch file), for expanding context and reports
+    let patchUndo = null;            // { before, after } the original pane around the last Apply Patch
+    let lastStats = null;            // stats of the rendered diff, saved with the history entry
+    let historyId = null;            // history entry the panes are saved to; null starts a new one
 
     // ─────────────────────────────────────────────────────────
     //  STATS SYSTEM
     // ─────────────────────────────────────────────────────────
     function updateStats(stats) {
         if (!stats) return;
+        lastStats = stats;
         if (statAddedCount) statAddedCount.textContent = stats.added || 0;
         if (statRemovedCount) statRemovedCount.textContent = stats.removed || 0;
         if (statChangedCount) statChangedCount.textContent = stats.changed || 0;
+        if (statMovedCount) statMovedCount.textContent = stats.moved || 0;
+        // Changed lines that only differ in whitespace or invisible characters
+        if (statWhitespace) {
+            statWhitespace.hidden = !stats.whitespace;
+            statWhitespaceCount.textContent = stats.whitespace || 0;
+        }
+        // Table diffs count rows, plus the cells changed inside them
+        const table = stats.cells !== undefined;
+        if (statCells) {
+            statCells.hidden = !table;
+            statCellsCount.textContent = stats.cells || 0;
+        }
+        const unit = table ? 'Rows' : stats.bytes ? 'Bytes' : 'Lines';
+        statAdded.title = `${unit} added`;
+        statRemoved.title = `${unit} removed`;
+        statChanged.title = `${unit} changed`;
     }
 
     function resetStats() {
+        lastStats = null;
         if (statAddedCount) statAddedCount.textContent = '0';
         if (statRemovedCount) statRemovedCount.textContent = '0';
         if (statChangedCount) statChangedCount.textContent = '0';
+        if (statMovedCount) statMovedCount.textContent = '0';
+        if (statWhitespace) statWhitespace.hidden = true;
+        if (statCells) statCells.hidden = true;
     }
 
 
@@ -351,19 +503,124 @@
 
     // ─────────────────────────────────────────────────────────
     //  FILE READING
+    //  Files are read as bytes and decoded by TextDecode (BOM, UTF-16,
+    //  code page detection); binary files are refused. A pane keeps the
+    //  bytes of its file so the encoding picker can decode them again.
     // ─────────────────────────────────────────────────────────
-    function readFile(file, callback) {
+    const encodingSelects = new Map([[editorLeft, encodingLeft], [editorRight, encodingRight], [editorBase, encodingBase]]);
+    const paneNames = new Map([[editorLeft, fileNameLeft], [editorRight, fileNameRight], [editorBase, fileNameBase]]);
+    const paneSources = new Map();   // editor → { bytes, encoding, bom, text, binary, detectedBinary } of the file loaded into it
+
+    // callback(text, name, { bytes, encoding, bom }); onBinary(file, bytes) replaces the "binary file" toast
+    function readFile(file, callback, onFail, onBinary) {
         if (!file) return;
         const MAX_SIZE = 50 * 1024 * 1024;
-        if (file.size > MAX_SIZE) { showToast(`File too large (max 50 MB): ${file.name}`, 'error'); return; }
+        if (file.size > MAX_SIZE) { showToast(`File too large (max 50 MB): ${file.name}`, 'error'); onFail?.(); return; }
         const reader = new FileReader();
-        reader.onload = e => callback(e.target.result, file.name);
-        reader.onerror = () => showToast(`Failed to read file: ${file.name}`, 'error');
-        reader.readAsText(file, 'UTF-8');
+        reader.onload = e => {
+            const bytes = new Uint8Array(e.target.result);
+            const decoded = TextDecode.decode(bytes);
+            if (decoded.binary) {
+                if (onBinary) onBinary(file, bytes);
+                else showToast(`${file.name} is a binary file — only text files can be compared`, 'error', 4000);
+                onFail?.();
+                return;
+            }
+            callback(decoded.text, file.name, { bytes, encoding: decoded.encoding, bom: decoded.bom });
+        };
+        reader.onerror = () => { showToast(`Failed to read file: ${file.name}`, 'error'); onFail?.(); };
+        reader.readAsArrayBuffer(file);
+    }
+
+    // Resolves with the text, or null if the file could not be read or is binary
+    function readFileAsync(file, onBinary) {
+        return new Promise(resolve => readFile(file, text => resolve(text), () => resolve(null), onBinary));
+    }
+
+    // Shows the encoding picker of a pane holding a loaded file; no source hides it.
+    // A binary file keeps the pane empty and read-only — it is compared in the hex view.
+    function setPaneSource(editor, source) {
+        const select = encodingSelects.get(editor);
+        editor.readOnly = !!source?.binary;
+        if (!source) {
+            paneSources.delete(editor);
+            select.hidden = true;
+            applyPlaceholders();
+            return;
+        }
+        paneSources.set(editor, source);
+        select.innerHTML = (source.detectedBinary ? '<option value="binary">Binary</option>' : '')
+            + TextDecode.ENCODINGS.map(e => `<option value="${e.value}">${e.label}</option>`).join('');
+        select.value = source.encoding;
+        select.title = source.binary
+            ? 'Binary — compared byte by byte in the Hex view; pick an encoding to read it as text anyway'
+            : `${TextDecode.label(source.encoding)}${source.bom ? ' with a byte order mark' : ''} — `
+                + 'detected from the file; pick another if the text looks garbled';
+        select.hidden = false;
+        applyPlaceholders();
+    }
+
+    function redecodePane(editor, encoding) {
+        const source = paneSources.get(editor);
+        if (!source) return;
+        const edited = editor.value !== source.text;
+        if (encoding === 'binary') {
+            editor.value = '';
+            setPaneSource(editor, { ...source, encoding, bom: false, text: '', binary: true });
+        } else {
+            const decoded = TextDecode.decode(source.bytes, encoding);
+            editor.value = decoded.text;
+            setPaneSource(editor, { ...source, encoding, bom: decoded.bom, text: editor.value, binary: false });
+        }
+        if (editor === editorLeft) searchLeft?.refresh();
+        if (editor === editorRight) searchRight?.refresh();
+        if (edited) showToast('The file was decoded again — edits made since loading it were replaced', 'info', 3500);
+        if (encoding === 'binary' && currentViewMode !== 'hex') setViewMode('hex');
+        else autoCompare();
     }
 
-    function setEditorContent(editor, text, fileNameEl, fileName) {
+    encodingSelects.forEach((select, editor) => {
+        select.addEventListener('change', () => redecodePane(editor, select.value));
+    });
+
+    // Left and right take binary files into the hex view; the base pane refuses them
+    function binaryLoader(editor) {
+        if (editor === editorBase) return undefined;
+        return (file, bytes) => {
+            if (patchModeChk.checked || mergeModeChk.checked) {
+                showToast(`${file.name} is a binary file — turn off patch and merge mode to compare it byte by byte`, 'error', 4000);
+                return;
+            }
+            editor.value = '';
+            setPaneSource(editor, { bytes, encoding: 'binary', bom: false, text: '', binary: true, detectedBinary: true });
+            setActiveFileEntry(null);
+            historyId = null;
+            paneNames.get(editor).textContent = file.name;
+            const hint = editor.closest('.drop-zone')?.querySelector('.drop-zone-hint');
+            if (hint) hint.style.opacity = '0';
+            if (currentViewMode !== 'hex') setViewMode('hex');
+            else autoCompare();
+        };
+    }
+
+    function hasBinaryPane() {
+        return [...paneSources.values()].some(source => source.binary);
+    }
+
+    function setEditorContent(editor, text, fileNameEl, fileName, source) {
         editor.value = text;
+        // The textarea turns CRLF into LF — compare later edits against what it holds
+        setPaneSource(editor, source ? { ...source, text: editor.value } : null);
+        setActiveFileEntry(null);
+        // Dropping a .diff / .patch on the left pane switches to patch mode
+        if (editor === editorLeft && /\.(diff|patch)$/i.test(fileName || '') && !patchModeChk.checked) {
+            patchModeChk.checked = true;
+            mergeModeChk.checked = false;
+            applyModeUI();
+        }
+        if (fileName && !patchModeChk.checked) applyDetectedFormat(fileName);
+        // A loaded file makes a new comparison rather than overwriting the last one
+        if (fileName) historyId = null;
         if (fileNameEl) fileNameEl.textContent = fileName || 'Pasted text';
         const hint = editor.closest('.drop-zone')?.querySelector('.drop-zone-hint');
         if (hint) hint.style.opacity = '0';
@@ -374,18 +631,46 @@
     //  FILE UPLOAD
     // ─────────────────────────────────────────────────────────
     fileInputLeft.addEventListener('change', e => {
-        readFile(e.target.files[0], (t, n) => setEditorContent(editorLeft, t, fileNameLeft, n));
+        loadFiles('Left', [...e.target.files].map(file => ({ path: file.name, file })));
         e.target.value = '';
     });
     fileInputRight.addEventListener('change', e => {
-        readFile(e.target.files[0], (t, n) => setEditorContent(editorRight, t, fileNameRight, n));
+        loadFiles('Right', [...e.target.files].map(file => ({ path: file.name, file })));
+        e.target.value = '';
+    });
+    fileInputBase.addEventListener('change', e => {
+        readFile(e.target.files[0], (t, n, src) => setEditorContent(editorBase, t, fileNameBase, n, src));
         e.target.value = '';
     });
+    folderInputLeft.addEventListener('change', e => {
+        loadFileSet('Left', filesFromFolderInput(e.target.files));
+        e.target.value = '';
+    });
+    folderInputRight.addEventListener('change', e => {
+        loadFileSet('Right', filesFromFolderInput(e.target.files));
+        e.target.value = '';
+    });
+
+    // One file goes straight into the pane; several become a file set
+    function loadFiles(side, list) {
+        if (list.length === 0) return;
+        if (list.length > 1) { loadFileSet(side, list); return; }
+        const [editor, fileNameEl] = side === 'Left' ? [editorLeft, fileNameLeft] : [editorRight, fileNameRight];
+        readFile(list[0].file, (t, n, src) => setEditorContent(editor, t, fileNameEl, n, src), undefined, binaryLoader(editor));
+    }
+
+    // webkitRelativePath is "picked-folder/sub/file.js" — pair on "sub/file.js"
+    function filesFromFolderInput(fileList) {
+        return [...fileList].map(file => {
+            const rel = file.webkitRelativePath || file.name;
+            return { path: rel.includes('/') ? rel.slice(rel.indexOf('/') + 1) : rel, file };
+        });
+    }
 
     // ─────────────────────────────────────────────────────────
     //  DRAG & DROP
     // ─────────────────────────────────────────────────────────
-    function setupDropZone(dropZone, editor, fileNameEl) {
+    function setupDropZone(dropZone, editor, fileNameEl, side) {
         ['dragenter', 'dragover'].forEach(evt => {
             dropZone.addEventListener(evt, e => { e.preventDefault(); e.stopPropagation(); dropZone.classList.add('drag-over'); });
         });
@@ -395,125 +680,1860 @@
         dropZone.addEventListener('drop', e => {
             e.preventDefault(); e.stopPropagation();
             dropZone.classList.remove('drag-over');
+            // Entries must be taken synchronously, before the event returns
+            const entries = [...(e.dataTransfer?.items || [])]
+                .map(item => item.webkitGetAsEntry?.())
+                .filter(Boolean);
             const files = e.dataTransfer?.files;
-            if (files?.length > 0) readFile(files[0], (t, n) => setEditorContent(editor, t, fileNameEl, n));
+            // The base pane only ever holds one file
+            if (side === 'Base' && (entries.some(en => en.isDirectory) || files?.length > 1)) {
+                showToast('Drop a single file on the base pane', 'info');
+                return;
+            }
+            if (entries.some(en => en.isDirectory)) {
+                collectDroppedEntries(entries)
+                    .then(list => loadFileSet(side, list))
+                    .catch(err => showToast(`Failed to read folder: ${err.message}`, 'error'));
+                return;
+            }
+            if (files?.length > 1) loadFileSet(side, [...files].map(file => ({ path: file.name, file })));
+            else if (files?.length > 0) readFile(files[0], (t, n, src) => setEditorContent(editor, t, fileNameEl, n, src), undefined, binaryLoader(editor));
         });
     }
 
-    setupDropZone(dropZoneLeft, editorLeft, fileNameLeft);
-    setupDropZone(dropZoneRight, editorRight, fileNameRight);
-    document.addEventListener('dragover', e => e.preventDefault());
-    document.addEventListener('drop', e => e.preventDefault());
+    // Walk dropped folders; a single dropped folder is the root of the paths
+    async function collectDroppedEntries(entries) {
+        const list = [];
+        const stripRoot = entries.length === 1 && entries[0].isDirectory;
+
+        const walk = async entry => {
+            if (entry.isFile) {
+                const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+                let path = entry.fullPath.replace(/^\//, '');
+                if (stripRoot) path = path.slice(path.indexOf('/') + 1);
+                list.push({ path, file });
+            } else if (entry.isDirectory && !IGNORED_DIRS.includes(entry.name)) {
+                const reader = entry.createReader();
+                let batch;
+                do {
+                    // readEntries() hands out directory contents in chunks
+                    batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                    for (const child of batch) await walk(child);
+                } while (batch.length > 0);
+            }
+        };
+
+        for (const entry of entries) await walk(entry);
+        return list;
+    }
+
+    setupDropZone(dropZoneLeft, editorLeft, fileNameLeft, 'Left');
+    setupDropZone(dropZoneRight, editorRight, fileNameRight, 'Right');
+    setupDropZone(dropZoneBase, editorBase, fileNameBase, 'Base');
+    document.addEventListener('dragover', e => e.preventDefault());
+    document.addEventListener('drop', e => e.preventDefault());
+
+    // ─────────────────────────────────────────────────────────
+    //  MULTI-FILE COMPARISON (FILE TREE SIDEBAR)
+    // ─────────────────────────────────────────────────────────
+    const IGNORED_DIRS = ['.git', 'node_modules'];
+    const MAX_SET_FILES = 2000;
+    const FILE_STATUS_ICONS = { added: 'A', removed: 'D', modified: 'M', identical: '=' };
+
+    async function loadFileSet(side, list) {
+        list = list.filter(item => !item.path.split('/').some(seg => IGNORED_DIRS.includes(seg)));
+        if (list.length === 0) { showToast('No files found', 'info'); return; }
+        if (list.length > MAX_SET_FILES) { showToast(`Too many files (${list.length}, max ${MAX_SET_FILES})`, 'error', 4000); return; }
+
+        const texts = new Map();
+        let binaries = 0;
+        for (const { path, file } of list) {
+            const text = await readFileAsync(file, () => binaries++);
+            if (text !== null) texts.set(path, text);
+        }
+        fileSets[side] = texts;
+        if (binaries > 0) showToast(`${binaries} binary file${binaries !== 1 ? 's' : ''} skipped`, 'info', 3000);
+
+        const other = side === 'Left' ? 'Right' : 'Left';
+        if (!fileSets[other]) {
+            (side === 'Left' ? fileNameLeft : fileNameRight).textContent = `${texts.size} files`;
+            showToast(`${texts.size} files loaded — now add the ${other.toLowerCase()} set`, 'info', 3600);
+            return;
+        }
+        buildFileTree();
+    }
+
+    function comparePaths(a, b) {
+        const pa = a.split('/'), pb = b.split('/');
+        for (let i = 0; i < Math.min(pa.length, pb.length); i++) {
+            // A folder sorts after the files that sit next to it
+            const aIsDir = i < pa.length - 1, bIsDir = i < pb.length - 1;
+            if (aIsDir !== bIsDir) return aIsDir ? 1 : -1;
+            const c = pa[i].localeCompare(pb[i]);
+            if (c !== 0) return c;
+        }
+        return pa.length - pb.length;
+    }
+
+    function buildFileTree(keepPath) {
+        const paths = [...new Set([...fileSets.Left.keys(), ...fileSets.Right.keys()])].sort(comparePaths);
+        fileEntries = paths.map(path => {
+            const leftText = fileSets.Left.has(path) ? fileSets.Left.get(path) : null;
+            const rightText = fileSets.Right.has(path) ? fileSets.Right.get(path) : null;
+            let status = 'modified';
+            if (leftText === null) status = 'added';
+            else if (rightText === null) status = 'removed';
+            else if (leftText === rightText) status = 'identical';
+            return { path, leftText, rightText, status, stats: null };
+        });
+
+        fileTree.hidden = false;
+        renderFileTree();
+        computeFileTreeStats();
+
+        const keep = keepPath && fileEntries.findIndex(en => en.path === keepPath);
+        const first = keep >= 0 ? keep : fileEntries.findIndex(en => en.status !== 'identical');
+        openFileEntry(first >= 0 ? first : 0);
+    }
+
+    function renderFileTree() {
+        let html = '';
+        let prevDirs = [];
+        fileEntries.forEach((en, idx) => {
+            if (fileTreeHideIdentical.checked && en.status === 'identical') return;
+            const parts = en.path.split('/');
+            const dirs = parts.slice(0, -1);
+            // Emit folder rows for the segments not shared with the previous file
+            let common = 0;
+            while (common < dirs.length && common < prevDirs.length && dirs[common] === prevDirs[common]) common++;
+            for (let d = common; d < dirs.length; d++) {
+                html += `<div class="file-tree-dir" style="padding-left:${8 + d * 12}px">${DiffEngine.escape(dirs[d])}/</div>`;
+            }
+            prevDirs = dirs;
+
+            html += `<button class="file-tree-item status-${en.status}${en === activeFileEntry ? ' active' : ''}" data-idx="${idx}"
+                style="padding-left:${8 + dirs.length * 12}px" title="${DiffEngine.escape(en.path)} (${en.status})">
+                <span class="file-tree-status">${FILE_STATUS_ICONS[en.status]}</span>
+                <span class="file-tree-name">${DiffEngine.escape(parts[parts.length - 1])}</span>
+                <span class="file-tree-counts">${fileCountsHtml(en)}</span>
+            </button>`;
+        });
+        fileTreeList.innerHTML = html || '<div class="file-tree-empty">All files are identical</div>';
+        updateFileTreeSummary();
+    }
+
+    function fileCountsHtml(en) {
+        if (!en.stats || en.status === 'identical') return '';
+        const { added, removed, changed, moved } = en.stats;
+        return `<span class="added">+${added}</span><span class="removed">−${removed}</span>${changed ? `<span class="changed">~${changed}</span>` : ''}${moved ? `<span class="moved">⇄${moved}</span>` : ''}`;
+    }
+
+    function updateFileTreeSummary() {
+        const counts = { modified: 0, added: 0, removed: 0, identical: 0 };
+        fileEntries.forEach(en => counts[en.status]++);
+        fileTreeSummary.textContent = Object.entries(counts)
+            .filter(([, n]) => n > 0)
+            .map(([status, n]) => `${n} ${status}`)
+            .join(' · ');
+    }
+
+    // Per-file +/- counts, computed in slices so big folders stay responsive
+    function computeFileTreeStats() {
+        const token = ++fileTreeToken;
+        const options = Object.assign({ algorithm: diffAlgorithmSel.value }, ignoreRules());
+        let i = 0;
+
+        const step = () => {
+            if (token !== fileTreeToken) return;
+            const started = performance.now();
+            while (i < fileEntries.length && performance.now() - started < 30) {
+                const en = fileEntries[i++];
+                const result = DiffEngine.compute(en.leftText ?? '', en.rightText ?? '', options);
+                en.stats = result.stats;
+                // Ignore rules can make differing texts compare equal
+                if (en.status === 'modified' && !(en.stats.added || en.stats.removed || en.stats.changed || en.stats.moved || en.stats.whitespace)) en.status = 'identical';
+            }
+            if (i < fileEntries.length) setTimeout(step, 0);
+            else renderFileTree();
+        };
+        step();
+    }
+
+    function openFileEntry(idx) {
+        const en = fileEntries[idx];
+        if (!en) return;
+        editorLeft.value = en.leftText ?? '';
+        editorRight.value = en.rightText ?? '';
+        setPaneSource(editorLeft, null);
+        setPaneSource(editorRight, null);
+        fileNameLeft.textContent = en.leftText !== null ? en.path : 'No file loaded';
+        fileNameRight.textContent = en.rightText !== null ? en.path : 'No file loaded';
+        [editorLeft, editorRight].forEach(ed => {
+            const hint = ed.closest('.drop-zone')?.querySelector('.drop-zone-hint');
+            if (hint) hint.style.opacity = '0';
+        });
+        setActiveFileEntry(en);
+        applyDetectedFormat(en.path);
+        searchLeft.refresh();
+        searchRight.refresh();
+        if (canCompare()) runCompare(false);
+        else clearDiffOutput();
+    }
+
+    function setActiveFileEntry(en) {
+        activeFileEntry = en;
+        fileTreeList.querySelectorAll('.file-tree-item.active').forEach(el => el.classList.remove('active'));
+        if (en) fileTreeList.querySelector(`.file-tree-item[data-idx="${fileEntries.indexOf(en)}"]`)?.classList.add('active');
+    }
+
+    // An added / deleted file legitimately has one empty pane
+    function isOneSidedEntry() {
+        return !!activeFileEntry && (activeFileEntry.leftText === null || activeFileEntry.rightText === null);
+    }
+
+    function closeFileTree() {
+        fileTreeToken++;
+        fileSets = { Left: null, Right: null };
+        fileEntries = [];
+        activeFileEntry = null;
+        fileTreeList.innerHTML = '';
+        fileTree.hidden = true;
+    }
+
+    fileTreeList.addEventListener('click', e => {
+        const item = e.target.closest('.file-tree-item');
+        if (item) openFileEntry(+item.dataset.idx);
+    });
+    fileTreeHideIdentical.addEventListener('change', renderFileTree);
+    closeFileTreeBtn.addEventListener('click', closeFileTree);
+
+    // ─────────────────────────────────────────────────────────
+    //  COPY ALL PER PANE
+    // ─────────────────────────────────────────────────────────
+    async function copyPaneContent(editor, label) {
+        const text = editor.value;
+        if (!text.trim()) { showToast(`${label} pane is empty`, 'info', 1600); return; }
+        try {
+            await navigator.clipboard.writeText(text);
+            showToast(`${label} pane copied!`, 'success', 1800);
+        } catch {
+            // fallback
+            const ta = document.createElement('textarea');
+            ta.value = text;
+            ta.style.cssText = 'position:fixed;opacity:0;pointer-events:none';
+            document.body.appendChild(ta);
+            ta.select();
+            document.execCommand('copy');
+            ta.remove();
+            showToast(`${label} pane copied!`, 'success', 1800);
+        }
+    }
+
+    copyAllLeft.addEventListener('click', () => copyPaneContent(editorLeft, 'Left'));
+    copyAllRight.addEventListener('click', () => copyPaneContent(editorRight, 'Right'));
+
+    // ─────────────────────────────────────────────────────────
+    //  AUTO-COMPARE
+    // ─────────────────────────────────────────────────────────
+    const ALGORITHM_KEY = 'codediff-algorithm';
+    const GRANULARITY_KEY = 'codediff-granularity';
+    const SYNTAX_KEY = 'codediff-syntax';
+    const CONTEXT_KEY = 'codediff-context';
+    const INVISIBLES_KEY = 'codediff-invisibles';
+    let autoCompareTimer = null;
+
+    function autoCompare() {
+        clearTimeout(autoCompareTimer);
+        // The texts just changed — whatever is running is already stale
+        cancelDiff();
+        autoCompareTimer = setTimeout(() => {
+            if (canCompare()) runCompare(false);
+        }, 400);
+    }
+
+    // Patch mode only needs the left pane (the patch); a diff needs both;
+    // a merge needs something in any pane (an empty base means both added)
+    function canCompare() {
+        if (patchModeChk.checked) return !!editorLeft.value.trim();
+        if (mergeModeChk.checked) return !!(editorBase.value.trim() || editorLeft.value.trim() || editorRight.value.trim());
+        if (currentViewMode === 'hex') return paneHasBytes(editorLeft) || paneHasBytes(editorRight);
+        if (isOneSidedEntry()) return !!(editorLeft.value.trim() || editorRight.value.trim());
+        return !!(editorLeft.value.trim() && editorRight.value.trim());
+    }
+
+    editorLeft.addEventListener('input', autoCompare);
+    editorRight.addEventListener('input', autoCompare);
+    editorBase.addEventListener('input', autoCompare);
+    diffAlgorithmSel.addEventListener('change', () => {
+        try { localStorage.setItem(ALGORITHM_KEY, diffAlgorithmSel.value); } catch { /* sandboxed */ }
+        recompareAll();
+    });
+
+    // Only the highlighting inside changed lines depends on this
+    granularitySel.addEventListener('change', () => {
+        try { localStorage.setItem(GRANULARITY_KEY, granularitySel.value); } catch { /* sandboxed */ }
+        if (canCompare()) runCompare(false);
+    });
+    syntaxSel.addEventListener('change', () => {
+        try { localStorage.setItem(SYNTAX_KEY, syntaxSel.value); } catch { /* sandboxed */ }
+        if (canCompare()) runCompare(false);
+    });
+
+    // Collapsing is display-only: re-render the hunks already computed
+    function displayContext() {
+        if (showFullFileChk.checked) return Infinity;
+        const n = parseInt(contextLinesInput.value, 10);
+        return n >= 0 ? n : undefined;
+    }
+
+    function onContextChange() {
+        if (patchModeChk.checked || diffSources.length !== 1) {
+            if (canCompare()) runCompare(false);
+            return;
+        }
+        const { hunks, options } = diffSources[0];
+        diffOutput.innerHTML = DiffEngine.render(hunks, currentViewMode, { ...options, context: displayContext() });
+    }
+    contextLinesInput.addEventListener('change', () => {
+        try { localStorage.setItem(CONTEXT_KEY, contextLinesInput.value); } catch { /* sandboxed */ }
+        onContextChange();
+    });
+    showFullFileChk.addEventListener('change', () => {
+        contextLinesInput.disabled = showFullFileChk.checked;
+        onContextChange();
+    });
+    // Display-only too, but part of each source's render options
+    showInvisiblesChk.addEventListener('change', () => {
+        try { localStorage.setItem(INVISIBLES_KEY, showInvisiblesChk.checked ? '1' : '0'); } catch { /* sandboxed */ }
+        diffSources.forEach(source => { source.options.showInvisibles = showInvisiblesChk.checked; });
+        onContextChange();
+    });
+
+    // Options that change every file's diff, not just the open one
+    function recompareAll() {
+        if (fileEntries.length > 0) buildFileTree(activeFileEntry?.path);
+        else if (canCompare()) runCompare(false);
+    }
+    formatSel.addEventListener('change', () => {
+        applyFormatUI();
+        if (canCompare()) runCompare(false);
+    });
+    patchModeChk.addEventListener('change', () => {
+        if (patchModeChk.checked) mergeModeChk.checked = false;
+        onModeChange();
+    });
+    mergeModeChk.addEventListener('change', () => {
+        if (mergeModeChk.checked) patchModeChk.checked = false;
+        onModeChange();
+    });
+
+    function onModeChange() {
+        applyModeUI();
+        if (canCompare()) runCompare(false);
+        else clearDiffOutput();
+    }
+
+    // ─────────────────────────────────────────────────────────
+    //  IGNORE RULES
+    //  Checkboxes plus regex masks, saved as named presets in localStorage
+    // ─────────────────────────────────────────────────────────
+    const IGNORE_PRESETS_KEY = 'codediff-ignore-presets';
+    const ignoreChecks = {
+        ignoreWhitespace: ignoreWhitespaceChk,
+        ignoreTrailingWhitespace: ignoreTrailingWsChk,
+        ignoreCase: ignoreCaseChk,
+        ignoreBlankLines: ignoreBlankLinesChk,
+        ignoreLineEndings: ignoreLineEndingsChk
+    };
+
+    // The current rules, as DiffEngine.compute() options
+    function ignoreRules() {
+        const rules = {};
+        for (const [name, chk] of Object.entries(ignoreChecks)) rules[name] = chk.checked;
+        rules.masks = ignoreMasks.slice();
+        return rules;
+    }
+
+    function setIgnoreRules(rules) {
+        for (const [name, chk] of Object.entries(ignoreChecks)) chk.checked = !!rules[name];
+        ignoreMasks = Array.isArray(rules.masks) ? rules.masks.filter(isValidMask) : [];
+        renderIgnoreMasks();
+    }
+
+    function isValidMask(source) {
+        if (typeof source !== 'string' || source === '') return false;
+        try { new RegExp(source); return true; } catch { return false; }
+    }
+
+    function renderIgnoreMasks() {
+        ignoreMaskList.innerHTML = ignoreMasks.map((source, i) => `<span class="ignore-mask">
+  <code>/${DiffEngine.escape(source)}/</code>
+  <button type="button" class="ignore-mask-remove" data-mask-index="${i}" title="Remove this mask" aria-label="Remove mask">×</button>
+</span>`).join('');
+        updateIgnoreCount();
+    }
+
+    // How many rules are on, shown on the header button
+    function updateIgnoreCount() {
+        const count = Object.values(ignoreChecks).filter(chk => chk.checked).length + ignoreMasks.length;
+        ignoreRulesCount.textContent = count;
+        ignoreRulesCount.hidden = count === 0;
+    }
+
+    function onIgnoreRulesChange() {
+        ignorePresetSel.value = '';
+        ignorePresetDelete.disabled = true;
+        updateIgnoreCount();
+        recompareAll();
+    }
+
+    function loadIgnorePresets() {
+        try {
+            const presets = JSON.parse(localStorage.getItem(IGNORE_PRESETS_KEY));
+            return Array.isArray(presets) ? presets.filter(p => p && typeof p.name === 'string' && p.rules) : [];
+        } catch {
+            return [];   // sandboxed or corrupt
+        }
+    }
+
+    function saveIgnorePresets(presets) {
+        try { localStorage.setItem(IGNORE_PRESETS_KEY, JSON.stringify(presets)); } catch { /* sandboxed */ }
+    }
+
+    function fillIgnorePresets(selected = '') {
+        const esc = DiffEngine.escape;
+        ignorePresetSel.innerHTML = '<option value="">Presets…</option>'
+            + loadIgnorePresets().map(p => `<option value="${esc(p.name)}">${esc(p.name)}</option>`).join('');
+        ignorePresetSel.value = selected;
+        ignorePresetDelete.disabled = !ignorePresetSel.value;
+    }
+
+    ignoreRulesBtn.addEventListener('click', () => {
+        ignoreOptions.hidden = !ignoreOptions.hidden;
+        ignoreRulesBtn.setAttribute('aria-expanded', String(!ignoreOptions.hidden));
+        ignoreRulesBtn.classList.toggle('active', !ignoreOptions.hidden);
+    });
+
+    Object.values(ignoreChecks).forEach(chk => chk.addEventListener('change', onIgnoreRulesChange));
+
+    ignoreMaskForm.addEventListener('submit', e => {
+        e.preventDefault();
+        const source = ignoreMaskInput.value;
+        if (!source) return;
+        try {
+            new RegExp(source);
+        } catch (err) {
+            showToast(`Invalid mask — ${err.message}`, 'error', 4000);
+            return;
+        }
+        if (!ignoreMasks.includes(source)) ignoreMasks.push(source);
+        ignoreMaskInput.value = '';
+        renderIgnoreMasks();
+        onIgnoreRulesChange();
+    });
+
+    ignoreMaskList.addEventListener('click', e => {
+        const btn = e.target.closest('.ignore-mask-remove');
+        if (!btn) return;
+        ignoreMasks.splice(Number(btn.dataset.maskIndex), 1);
+        renderIgnoreMasks();
+        onIgnoreRulesChange();
+    });
+
+    ignorePresetSel.addEventListener('change', () => {
+        const preset = loadIgnorePresets().find(p => p.name === ignorePresetSel.value);
+        ignorePresetDelete.disabled = !preset;
+        if (!preset) return;
+        setIgnoreRules(preset.rules);
+        ignorePresetName.value = preset.name;
+        recompareAll();
+    });
+
+    // Saving under an existing name overwrites that preset
+    ignorePresetSave.addEventListener('click', () => {
+        const name = ignorePresetName.value.trim();
+        if (!name) { showToast('Name the preset first', 'info'); ignorePresetName.focus(); return; }
+        const presets = loadIgnorePresets().filter(p => p.name !== name);
+        presets.push({ name, rules: ignoreRules() });
+        presets.sort((a, b) => a.name.localeCompare(b.name));
+        saveIgnorePresets(presets);
+        fillIgnorePresets(name);
+        showToast(`Saved preset "${name}"`, 'success');
+    });
+
+    ignorePresetDelete.addEventListener('click', () => {
+        const name = ignorePresetSel.value;
+        if (!name) return;
+        saveIgnorePresets(loadIgnorePresets().filter(p => p.name !== name));
+        fillIgnorePresets();
+        showToast(`Deleted preset "${name}"`, 'info');
+    });
+
+    // ─────────────────────────────────────────────────────────
+    //  COMPARE ENGINE
+    // ─────────────────────────────────────────────────────────
+    function runCompare(showLoadAnim = true) {
+        if (isComparing) return;
+
+        const leftText = editorLeft.value;
+        const rightText = editorRight.value;
+        const patchMode = patchModeChk.checked;
+        const mergeMode = mergeModeChk.checked;
+
+        if (patchMode) {
+            if (!leftText.trim()) { showToast('Paste a unified diff into the patch pane', 'info'); return; }
+        } else if (mergeMode) {
+            if (!canCompare()) { showToast('All three panes are empty — paste base, mine and theirs', 'info'); return; }
+        } else if (currentViewMode === 'hex') {
+            if (!canCompare()) { showToast('Both panes are empty — load two files to compare byte by byte', 'info'); return; }
+        } else {
+            if (!leftText.trim() && !rightText.trim()) { showToast('Both panes are empty — paste some code!', 'info'); return; }
+            if (!isOneSidedEntry()) {
+                if (!leftText.trim()) { showToast('Left pane is empty', 'error'); return; }
+                if (!rightText.trim()) { showToast('Right pane is empty', 'error'); return; }
+            }
+        }
+
+        if (showLoadAnim) { isComparing = true; compareBtn.classList.add('loading'); }
+
+        const run = ++compareRun;
+        setTimeout(async () => {
+            let aborted = false;
+            try {
+                if (!mergeMode) mergeState = null;
+                jsonResult = null;
+                tableResult = null;
+                hexState = null;
+                diffSources = [];
+                if (patchMode) { showPatch(leftText); return; }
+                if (mergeMode) { await showMerge(editorBase.value, leftText, rightText); return; }
+                if (currentViewMode === 'hex') { await showHexDiff(); return; }
+                if (isTableFormat()) { showTableDiff(leftText, rightText); return; }
+                if (isJsonView()) { showJsonDiff(leftText, rightText); return; }
+
+                const rules = ignoreRules();
+                const renderOptions = {
+                    granularity: granularitySel.value,
+                    language: syntaxLanguage(paneFileName(fileNameRight, '') || paneFileName(fileNameLeft, ''), formatSel.value),
+                    masks: rules.masks,
+                    ignoreCase: rules.ignoreCase,
+                    showInvisibles: showInvisiblesChk.checked
+                };
+                const result = await runTask('run', leftText, rightText, {
+                    ...rules,
+                    ...renderOptions,
+                    format: formatSel.value,
+                    sortKeys: jsonIgnoreKeyOrderChk.checked,
+                    algorithm: diffAlgorithmSel.value,
+                    viewMode: currentViewMode,
+                    displayContext: displayContext(),
+                    // An added / deleted file diffs against /dev/null
+                    leftName: isOneSidedEntry() && !leftText ? null : paneFileName(fileNameLeft, 'original'),
+                    rightName: isOneSidedEntry() && !rightText ? null : paneFileName(fileNameRight, 'modified')
+                });
+
+                if (result.error) { showFormatError(result); return; }
+
+                diffOutput.innerHTML = result.html;
+                diffOutput.classList.add('visible');
+                diffPlaceholder.style.display = 'none';
+                diffSources = [{ hunks: result.hunks, options: { ...renderOptions, eol: result.eol }, stats: result.stats }];
+
+                lastPlainText = result.plainText;
+                updateStats(result.stats);
+                copyDiffBtn.disabled = !lastPlainText;
+                downloadBtn.disabled = !lastPlainText;
+                exportHtmlBtn.disabled = !lastPlainText;
+
+                // Refresh search visuals to match new content/indices
+                searchLeft?.refresh();
+                searchRight?.refresh();
+
+                // Build suggestion panel from hunks
+                buildSuggestions(result.hunks);
+
+                // Check for global JSON formatting suggestions
+                checkJsonSuggestions();
+
+            } catch (err) {
+                if (err.name === 'AbortError') { aborted = true; return; }   // superseded or cancelled
+                showToast(`Compare failed: ${err.message}`, 'error');
+                console.error('[Codediff] Compare error:', err);
+            } finally {
+                // A cancelled run, or one a newer comparison replaced, isn't
+                // saved — and a save still pending would snapshot its texts
+                if (aborted) clearTimeout(historySaveTimer);
+                else if (run === compareRun) scheduleHistorySave();
+                if (showLoadAnim) {
+                    compareBtn.classList.add('fade-out');
+                    setTimeout(() => {
+                        compareBtn.classList.remove('loading', 'fade-out');
+                        isComparing = false;
+                    }, 260);
+                }
+            }
+        }, showLoadAnim ? 10 : 0);
+    }
+
+    compareBtn.addEventListener('click', () => runCompare(true));
+
+    // ─────────────────────────────────────────────────────────
+    //  DIFF WORKER
+    // ─────────────────────────────────────────────────────────
+    const PROGRESS_DELAY = 250;      // ms before the progress bar shows up
+    let diffWorker = null;           // created on first use; false when workers are unavailable
+    let diffJob = null;              // { id, task, args, resolve, reject, timer, done, total }
+    let diffJobSeq = 0;
+
+    // diff-worker.js's tasks, for when the worker can't run them
+    const LOCAL_TASKS = {
+        run: (left, right, options) => DiffEngine.run(left, right, options),
+        merge: (base, left, right, options) => MergeEngine.merge(base, left, right, options),
+        stats: (left, right, options) => DiffEngine.compute(left, right, options).stats,
+        hex: (a, b) => HexDiff.compare(a, b)
+    };
+
+    function getDiffWorker() {
+        if (diffWorker === null) {
+            try {
+                diffWorker = new Worker('js/diff-worker.js');
+                diffWorker.onmessage = onDiffWorkerMessage;
+                diffWorker.onerror = onDiffWorkerError;
+            } catch (err) {
+                // Pages opened from file:// can't start workers in some browsers
+                console.warn('[Codediff] Diff worker unavailable, diffing on the main thread:', err);
+                diffWorker = false;
+            }
+        }
+        return diffWorker;
+    }
+
+    // Resolves with the task's result (`run` is DiffEngine.run()); rejects
+    // with an AbortError when cancelled or superseded by a newer job
+    function runTask(task, ...args) {
+        cancelDiff();
+        const worker = getDiffWorker();
+        if (!worker) return new Promise(resolve => resolve(LOCAL_TASKS[task](...args)));
+
+        return new Promise((resolve, reject) => {
+            const id = ++diffJobSeq;
+            const timer = setTimeout(() => showDiffProgress(diffJob.done, diffJob.total), PROGRESS_DELAY);
+            diffJob = { id, task, args, resolve, reject, timer, done: 0, total: 0 };
+            worker.postMessage({ id, task, args });
+        });
+    }
+
+    function finishDiffJob() {
+        const job = diffJob;
+        diffJob = null;
+        clearTimeout(job.timer);
+        diffProgress.hidden = true;
+        return job;
+    }
+
+    function onDiffWorkerMessage(e) {
+        const msg = e.data;
+        if (!diffJob || msg.id !== diffJob.id) return;   // answer to a cancelled job
+        if (msg.type === 'progress') {
+            diffJob.done = msg.done;
+            diffJob.total = msg.total;
+            if (!diffProgress.hidden) showDiffProgress(msg.done, msg.total);
+            return;
+        }
+        const job = finishDiffJob();
+        if (msg.type === 'result') job.resolve(msg.result);
+        else job.reject(new Error(msg.message));
+    }
+
+    // The worker script failed to load or crashed — finish on the main thread
+    function onDiffWorkerError(e) {
+        e.preventDefault?.();
+        console.warn('[Codediff] Diff worker failed, diffing on the main thread:', e.message);
+        diffWorker.terminate();
+        diffWorker = false;
+        if (!diffJob) return;
+        const job = finishDiffJob();
+        try {
+            job.resolve(LOCAL_TASKS[job.task](...job.args));
+        } catch (err) {
+            job.reject(err);
+        }
+    }
+
+    // Stops the running comparison, if any
+    function cancelDiff() {
+        if (!diffJob) return false;
+        const job = finishDiffJob();
+        // A busy worker can only be stopped by terminating it
+        diffWorker.terminate();
+        diffWorker = null;
+        job.reject(new DOMException('Comparison cancelled', 'AbortError'));
+        return true;
+    }
+
+    function showDiffProgress(done, total) {
+        const pct = total > 0 ? Math.floor((done / total) * 100) : 0;
+        diffProgress.hidden = false;
+        diffProgressFill.style.width = `${pct}%`;
+        diffProgressTrack.setAttribute('aria-valuenow', pct);
+        diffProgressLabel.textContent = total > 0 ? `Comparing… ${pct}%` : 'Comparing…';
+    }
+
+    cancelDiffBtn.addEventListener('click', () => {
+        if (cancelDiff()) showToast('Comparison cancelled', 'info', 1600);
+    });
+
+    // Name used in the unified diff headers; placeholders fall back to a generic name
+    function paneFileName(fileNameEl, fallback) {
+        const name = fileNameEl.textContent.trim();
+        if (!name || name === 'No file loaded' || name === 'Pasted text') return fallback;
+        return name;
+    }
+
+    // ─────────────────────────────────────────────────────────
+    //  MODES (diff / patch / 3-way merge)
+    // ─────────────────────────────────────────────────────────
+    function applyModeUI() {
+        const patch = patchModeChk.checked;
+        const merge = mergeModeChk.checked;
+        workspace.classList.toggle('patch-mode', patch);
+        workspace.classList.toggle('merge-mode', merge);
+        paneLabelLeft.textContent = patch ? 'Patch' : merge ? 'Mine' : 'Original';
+        paneLabelRight.textContent = merge ? 'Theirs' : 'Modified';
+        // Binary files only compare in the hex view, which patch and merge mode don't have
+        if (patch || merge) {
+            paneSources.forEach((source, editor) => {
+                if (!source.binary) return;
+                setPaneSource(editor, null);
+                paneNames.get(editor).textContent = 'No file loaded';
+            });
+        }
+        viewHex.hidden = patch || merge;
+        if (viewHex.hidden && currentViewMode === 'hex') {
+            currentViewMode = 'inline';
+            viewButtons.forEach(btn => btn.classList.toggle('active', btn.dataset.view === currentViewMode));
+        }
+        applyPlaceholders();
+        copyDiffBtn.title = merge ? 'Copy merged result' : 'Copy diff output';
+        downloadBtn.title = merge ? 'Download merged result' : 'Download unified diff as .diff patch file';
+        // In patch mode the original pane holds the patch itself
+        applyPatchBtn.disabled = patch;
+    }
+
+    function applyPlaceholders() {
+        const patch = patchModeChk.checked;
+        const merge = mergeModeChk.checked;
+        const binary = editor => {
+            const source = paneSources.get(editor);
+            return source?.binary ? `Binary file, ${source.bytes.length.toLocaleString('en')} bytes — compared byte by byte in the Hex view` : '';
+        };
+        editorLeft.placeholder = binary(editorLeft) || (patch
+            ? 'Paste a unified diff or `git diff` output here…'
+            : merge ? 'Paste your version (mine) here…' : 'Paste or type original code here…');
+        editorRight.placeholder = binary(editorRight) || (merge
+            ? 'Paste their version (theirs) here…'
+            : 'Paste or type modified code here…');
+    }
+
+    // ─────────────────────────────────────────────────────────
+    //  PATCH MODE
+    // ─────────────────────────────────────────────────────────
+    const PATCH_STATUS_LABELS = { added: 'Added', deleted: 'Deleted', renamed: 'Renamed', copied: 'Copied', modified: 'Modified' };
+
+    function showPatch(text) {
+        let files;
+        try {
+            files = PatchEngine.parse(text);
+        } catch (err) {
+            if (typeof err.line !== 'number') throw err;
+            showToast(`Invalid patch — ${err.message}`, 'error', 4000);
+            suggestionData = [];
+            suggestionList.innerHTML = '';
+            suggestionCount.textContent = '0';
+            suggestionList.prepend(errorSuggestionItem({
+                side: 'Left',
+                tag: 'PATCH',
+                title: 'Patch could not be parsed',
+                error: err.message,
+                pos: lineOffset(editorLeft.value, err.line),
+                kind: 'parse-suggestion',
+                wholeLine: true
+            }));
+            suggestionList.style.display = '';
+            suggestionPanel.hidden = false;
+            return;
+        }
+
+        const totals = { added: 0, removed: 0, changed: 0, whitespace: 0 };
+        for (const f of files) {
+            totals.added += f.stats.added;
+            totals.removed += f.stats.removed;
+            totals.changed += f.stats.changed;
+            totals.whitespace += f.stats.whitespace;
+        }
+
+        diffSources = files.map(f => ({
+            hunks: f.hunks,
+            options: { granularity: granularitySel.value, language: syntaxLanguage(f.name, 'text'), showInvisibles: showInvisiblesChk.checked },
+            stats: f.stats,
+            title: (f.status === 'renamed' || f.status === 'copied') && f.oldName ? `${f.oldName} → ${f.newName}` : f.name,
+            note: f.binary ? 'Binary file — contents not shown' : f.hunks.length === 0 ? 'No content changes' : null
+        }));
+        diffOutput.innerHTML = files.map(renderPatchFile).join('');
+        diffOutput.classList.add('visible');
+        diffPlaceholder.style.display = 'none';
+
+        lastPlainText = text.endsWith('\n') ? text : text + '\n';
+        updateStats(totals);
+        copyDiffBtn.disabled = false;
+        downloadBtn.disabled = false;
+        exportHtmlBtn.disabled = false;
+
+        searchLeft?.refresh();
+
+        // Line suggestions would edit the patch text itself — not useful here
+        suggestionData = [];
+        suggestionList.innerHTML = '';
+        suggestionPanel.hidden = true;
+    }
+
+    function renderPatchFile(f, i) {
+        const esc = DiffEngine.escape;
+        let title = esc(f.name);
+        if ((f.status === 'renamed' || f.status === 'copied') && f.oldName) {
+            title = `${esc(f.oldName)} → ${esc(f.newName)}`;
+        }
+
+        const notes = [];
+        if (f.similarity !== null) notes.push(`${f.similarity}% similar`);
+        if (f.modeChanged) notes.push(`mode ${esc(f.oldMode)} → ${esc(f.newMode)}`);
+        else if (f.status === 'added' && f.newMode) notes.push(`mode ${esc(f.newMode)}`);
+
+        let body;
+        if (f.binary) body = '<div class="patch-file-note">Binary file — contents not shown</div>';
+        else if (f.hunks.length === 0) body = '<div class="patch-file-note">No content changes</div>';
+        else body = DiffEngine.render(f.hunks, currentViewMode, { ...diffSources[i].options, context: displayContext() });
+
+        return `<section class="patch-file" data-diff-source="${i}">
+  <div class="patch-file-header">
+    <span class="patch-status patch-status-${f.status}">${PATCH_STATUS_LABELS[f.status]}</span>
+    <span class="patch-file-name" title="${title}">${title}</span>
+    ${notes.map(n => `<span class="patch-file-note-inline">${n}</span>`).join('')}
+    <span class="patch-file-stats"><span class="added">+${f.stats.added}</span> <span class="removed">−${f.stats.removed}</span> <span class="changed">~${f.stats.changed}</span>${f.stats.whitespace ? ` <span class="whitespace">␣${f.stats.whitespace}</span>` : ''}</span>
+  </div>
+  ${body}
+</section>`;
+    }
+
+    // 1-based line number → character offset of its first character
+    function lineOffset(text, line) {
+        let pos = 0;
+        for (let l = 1; l < line; l++) {
+            const nl = text.indexOf('\n', pos);
+            if (nl === -1) break;
+            pos = nl + 1;
+        }
+        return pos;
+    }
+
+    // ─────────────────────────────────────────────────────────
+    //  3-WAY MERGE
+    // ─────────────────────────────────────────────────────────
+    const MERGE_CONTEXT = 3;   // unchanged lines shown around each merged chunk
+    const MERGE_ORIGIN = { left: 'mine', right: 'theirs', both: 'both' };
+    const MERGE_HOW = { left: 'took mine', right: 'took theirs', both: 'took both', edit: 'edited' };
+
+    async function showMerge(baseText, leftText, rightText) {
+        const merge = await runTask('merge', baseText, leftText, rightText, { algorithm: diffAlgorithmSel.value });
+
+        // Re-merging (typing, view toggles) keeps the choices made for
+        // conflicts that are still there, and the resolutions being written
+        const previous = new Map();
+        const open = new Map();   // conflict key → { no, draft } of each conflict being edited
+        if (mergeState) {
+            saveMergeDrafts();
+            const { chunks } = mergeState.merge;
+            mergeState.resolutions.forEach((r, idx) => previous.set(conflictKey(chunks[idx]), r));
+            mergeState.editing.forEach(idx => {
+                open.set(conflictKey(chunks[idx]), { no: conflictOrdinal(chunks, idx), draft: mergeState.drafts.get(idx) });
+            });
+        }
+        const resolutions = new Map();
+        const editing = new Set();
+        const drafts = new Map();
+        const reopen = (idx, { draft }) => {
+            editing.add(idx);
+            if (draft !== undefined) drafts.set(idx, draft);
+        };
+        merge.chunks.forEach((c, idx) => {
+            if (c.type !== 'conflict') return;
+            const key = conflictKey(c);
+            if (previous.has(key)) resolutions.set(idx, previous.get(key));
+            if (open.has(key)) { reopen(idx, open.get(key)); open.delete(key); }
+        });
+        // With as many conflicts as before, one whose lines the panes
+        // changed is edited on as the conflict now in its place
+        const conflicts = merge.chunks.map((c, idx) => (c.type === 'conflict' ? idx : -1)).filter(idx => idx >= 0);
+        const sameCount = mergeState && conflicts.length === mergeState.merge.conflicts;
+        let dropped = 0;
+        open.forEach(entry => {
+            const idx = conflicts[entry.no];
+            if (sameCount && !editing.has(idx)) reopen(idx, entry);
+            else dropped++;
+        });
+
+        mergeState = { merge, resolutions, editing, drafts };
+        renderMerge();
+        if (dropped > 0) {
+            showToast(dropped === 1
+                ? 'The conflict you were editing is gone from the panes — its unsaved edit was dropped'
+                : `${dropped} conflicts you were editing are gone from the panes — their unsaved edits were dropped`, 'info', 5000);
+        }
+
+        diffOutput.classList.add('visible');
+        diffPlaceholder.style.display = 'none';
+
+        // Line suggestions edit one pane towards the other — conflicts are
+        // resolved in the merge view instead
+        suggestionData = [];
+        suggestionList.innerHTML = '';
+        suggestionPanel.hidden = true;
+    }
+
+    function conflictKey(chunk) {
+        return JSON.stringify([chunk.left, chunk.base, chunk.right]);
+    }
+
+    // 0-based number of the conflict at chunks[idx] among the conflicts
+    function conflictOrdinal(chunks, idx) {
+        let no = 0;
+        for (let i = 0; i < idx; i++) if (chunks[i].type === 'conflict') no++;
+        return no;
+    }
+
+    // Text typed into open conflict editors, so a re-render puts it back
+    function saveMergeDrafts() {
+        diffOutput.querySelectorAll('.merge-conflict .merge-edit').forEach(box => {
+            const idx = +box.closest('.merge-conflict').dataset.idx;
+            if (mergeState.editing.has(idx)) mergeState.drafts.set(idx, box.value);
+        });
+    }
+
+    function unresolvedConflicts() {
+        if (!mergeState) return 0;
+        return mergeState.merge.chunks.filter((c, idx) => c.type === 'conflict' && !mergeState.resolutions.has(idx)).length;
+    }
+
+    function renderMerge() {
+        saveMergeDrafts();
+        const { merge, resolutions } = mergeState;
+        const { chunks } = merge;
+
+        if (chunks.every(c => c.type === 'stable')) {
+            diffOutput.innerHTML = '<div style="padding:20px;text-align:center;color:var(--diff-unchanged-text);font-family:var(--font-mono);font-size:0.85rem">✓ Nothing to merge — all three versions are identical</div>';
+            updateMergeResult();
+            return;
+        }
+
+        const unresolved = unresolvedConflicts();
+        let html = `<div class="merge-summary">
+  <span>${merge.autoMerged} change${merge.autoMerged !== 1 ? 's' : ''} merged automatically</span>
+  <span class="${unresolved ? 'merge-summary-open' : ''}">${merge.conflicts} conflict${merge.conflicts !== 1 ? 's' : ''}${merge.conflicts ? ` · ${unresolved} unresolved` : ''}</span>
+</div>
+<table class="inline-table merge-table" role="table"><colgroup><col/><col/><col/></colgroup><tbody>`;
+
+        let outLine = 1;   // line number in the merged result
+        let conflictNo = 0;
+
+        chunks.forEach((c, idx) => {
+            if (c.type === 'stable') {
+                html += stableRows(c.base, outLine, idx > 0, idx < chunks.length - 1);
+                outLine += c.base.length;
+            } else if (c.type === 'conflict') {
+                conflictNo++;
+                html += `<tr class="merge-conflict-row"><td colspan="3">${conflictBlock(c, idx, conflictNo)}</td></tr>`;
+                const r = resolutions.get(idx);
+                outLine += r ? r.lines.length : MergeEngine.chunkLines(c).length;
+            } else {
+                // Auto-merged: base lines out, the changed side's lines in
+                for (const line of c.base) html += mergeRow('inline-removed', '', '−', line);
+                for (const line of MergeEngine.chunkLines(c)) {
+                    html += mergeRow(`inline-added merge-from-${c.type}`, outLine++, MERGE_ORIGIN[c.type], line);
+                }
+            }
+        });
+
+        diffOutput.innerHTML = html + '</tbody></table>';
+        updateMergeResult();
+    }
+
+    function mergeRow(cls, lineNo, origin, text) {
+        return `<tr class="${cls}">
+  <td class="inline-gutter">${lineNo}</td>
+  <td class="inline-gutter merge-origin">${origin}</td>
+  <td class="inline-code">${DiffEngine.escape(text)}</td>
+</tr>`;
+    }
+
+    // Unchanged lines, collapsed to MERGE_CONTEXT lines next to each change
+    function stableRows(lines, firstLine, changeBefore, changeAfter) {
+        const head = changeBefore ? Math.min(MERGE_CONTEXT, lines.length) : 0;
+        const tail = changeAfter ? Math.min(MERGE_CONTEXT, lines.length - head) : 0;
+        let html = '';
+        for (let i = 0; i < head; i++) html += mergeRow('inline-equal', firstLine + i, '', lines[i]);
+        const hidden = lines.length - head - tail;
+        if (hidden > 0) html += `<tr class="diff-separator"><td colspan="3">⋯ ${hidden} unchanged line${hidden !== 1 ? 's' : ''} ⋯</td></tr>`;
+        for (let i = lines.length - tail; i < lines.length; i++) html += mergeRow('inline-equal', firstLine + i, '', lines[i]);
+        return html;
+    }
+
+    function conflictBlock(c, idx, conflictNo) {
+        const r = mergeState.resolutions.get(idx);
+        const editing = mergeState.editing.has(idx);
+        const lines = arr => arr.length
+            ? `<pre class="merge-lines">${DiffEngine.escape(arr.join('\n'))}</pre>`
+            : '<div class="merge-lines merge-lines-empty">(no lines)</div>';
+        const side = (cls, label, arr) => `<div class="merge-side merge-side-${cls}">
+      <div class="merge-side-label">${label}</div>
+      ${lines(arr)}
+    </div>`;
+
+        let body;
+        if (editing) {
+            const initial = mergeState.drafts.has(idx) ? mergeState.drafts.get(idx) : (r ? r.lines : [...c.left, ...c.right]).join('\n');
+            const rows = initial.split('\n').length + 1;
+            body = `<textarea class="merge-edit" spellcheck="false" rows="${Math.min(16, Math.max(3, rows))}"
+      aria-label="Resolved lines for conflict ${conflictNo}">${DiffEngine.escape(initial)}</textarea>
+    <div class="merge-edit-actions">
+      <button class="btn btn-sm btn-primary" data-merge-action="save">Save</button>
+      <button class="btn btn-sm btn-ghost" data-merge-action="cancel">Cancel</button>
+    </div>`;
+        } else if (r) {
+            body = side('result', 'Result', r.lines);
+        } else {
+            body = side('left', 'Mine (left)', c.left) + side('base', 'Base', c.base) + side('right', 'Theirs (right)', c.right);
+        }
+
+        const actions = editing ? '' : `
+      <button class="btn btn-sm btn-ghost" data-merge-action="left" title="Keep the left (mine) version">Take Left</button>
+      <button class="btn btn-sm btn-ghost" data-merge-action="right" title="Keep the right (theirs) version">Take Right</button>
+      <button class="btn btn-sm btn-ghost" data-merge-action="both" title="Keep mine, then theirs">Take Both</button>
+      <button class="btn btn-sm btn-ghost" data-merge-action="edit" title="Write the resolution by hand">Edit</button>
+      ${r ? '<button class="btn btn-sm btn-ghost" data-merge-action="reset" title="Back to the unresolved conflict">Undo</button>' : ''}`;
+
+        return `<div class="merge-conflict${r ? ' resolved' : ''}" data-idx="${idx}">
+  <div class="merge-conflict-header">
+    <span class="merge-conflict-title">Conflict ${conflictNo}${r ? ` — ${MERGE_HOW[r.how]}` : ''}</span>
+    <span class="merge-conflict-actions">${actions}</span>
+  </div>
+  <div class="merge-conflict-body">
+    ${body}
+  </div>
+</div>`;
+    }
+
+    function resolveConflict(idx, action) {
+        const c = mergeState.merge.chunks[idx];
+        const { resolutions, editing } = mergeState;
+
+        switch (action) {
+            case 'left': resolutions.set(idx, { how: 'left', lines: c.left }); break;
+            case 'right': resolutions.set(idx, { how: 'right', lines: c.right }); break;
+            case 'both': resolutions.set(idx, { how: 'both', lines: [...c.left, ...c.right] }); break;
+            case 'reset': resolutions.delete(idx); break;
+            case 'edit': editing.add(idx); break;
+            case 'cancel': editing.delete(idx); mergeState.drafts.delete(idx); break;
+            case 'save': {
+                const text = diffOutput.querySelector(`.merge-conflict[data-idx="${idx}"] .merge-edit`).value;
+                resolutions.set(idx, { how: 'edit', lines: DiffEngine.splitLines(text) });
+                editing.delete(idx);
+                mergeState.drafts.delete(idx);
+                break;
+            }
+        }
+        renderMerge();
+        // Only here: a re-merge while typing in a pane must not pull the focus away
+        if (action === 'edit') diffOutput.querySelector(`.merge-conflict[data-idx="${idx}"] .merge-edit`)?.focus();
+    }
+
+    // The merged text is what Copy / Download export in merge mode — even
+    // when it is empty
+    function updateMergeResult() {
+        const chosen = new Map();
+        mergeState.resolutions.forEach((r, idx) => chosen.set(idx, r.lines));
+        lastPlainText = MergeEngine.result(mergeState.merge, chosen);
+        copyDiffBtn.disabled = false;
+        downloadBtn.disabled = false;
+        exportHtmlBtn.disabled = true;
+        // Header stats: what the merge changes relative to the base. A
+        // re-merge still running renders again, with stats of its own —
+        // a new job would cancel it.
+        if (diffJob && diffJob.task === 'merge') return;
+        const state = mergeState;
+        runTask('stats', editorBase.value, lastPlainText, { algorithm: diffAlgorithmSel.value }).then(
+            stats => { if (mergeState === state) updateStats(stats); },
+            err => { if (err.name !== 'AbortError') showToast(`Merge stats failed: ${err.message}`, 'error'); }
+        );
+    }
+
+    diffOutput.addEventListener('click', e => {
+        const btn = e.target.closest('[data-merge-action]');
+        if (!btn || !mergeState) return;
+        resolveConflict(+btn.closest('.merge-conflict').dataset.idx, btn.dataset.mergeAction);
+    });
+
+    diffOutput.addEventListener('keydown', e => {
+        // Ctrl+Enter saves a hand-edited resolution instead of re-comparing
+        if (e.target.classList.contains('merge-edit') && e.ctrlKey && e.key === 'Enter') {
+            e.preventDefault();
+            e.stopPropagation();
+            resolveConflict(+e.target.closest('.merge-conflict').dataset.idx, 'save');
+        }
+    });
+
+    // ─────────────────────────────────────────────────────────
+    //  APPLY PATCH
+    //  A unified diff applied to the original pane, hunk by hunk with
+    //  GNU patch's offset and fuzz matching (PatchEngine.apply). Hunks
+    //  that find no place are listed as rejected, viewable and copyable
+    //  as a .rej file; one Undo restores the pane.
+    // ─────────────────────────────────────────────────────────
+    const APPLY_STATUS_LABELS = { applied: 'Applied', offset: 'Offset', fuzz: 'Fuzz', rejected: 'Rejected' };
+
+    function openApplyPatch() {
+        if (applyPatchBtn.disabled) return;
+        applyPatchModal.style.display = 'flex';
+        applyPatchInput.focus();
+    }
+    function closeApplyPatchModal() { applyPatchModal.style.display = 'none'; }
+
+    // Text-changing file sections of the patch, or { error }
+    function parsePatchInput() {
+        let files;
+        try {
+            files = PatchEngine.parse(applyPatchInput.value);
+        } catch (err) {
+            if (typeof err.line !== 'number') throw err;
+            return { error: `Invalid patch — ${err.message}` };
+        }
+        files = files.filter(f => !f.binary && f.patchHunks.length > 0);
+        if (files.length === 0) return { error: 'The patch has no text changes to apply' };
+        return { files };
+    }
+
+    // The patch section for the loaded file: same path, else same base name
+    function matchPatchFile(files, name) {
+        if (!name) return 0;
+        const base = n => (n || '').split('/').pop();
+        let idx = files.findIndex(f => f.oldName === name || f.newName === name);
+        if (idx < 0) idx = files.findIndex(f => base(f.oldName || f.newName) === base(name));
+        return Math.max(idx, 0);
+    }
+
+    // A patch touching several files asks which one the pane holds
+    function refreshPatchTargets() {
+        const { files } = applyPatchInput.value.trim() ? parsePatchInput() : {};
+        const several = !!files && files.length > 1;
+        applyPatchTargetLabel.hidden = !several;
+        if (!several) { applyPatchTarget.innerHTML = ''; return; }
+        const match = matchPatchFile(files, paneFileName(fileNameLeft, ''));
+        applyPatchTarget.innerHTML = files.map((f, i) =>
+            `<option value="${i}"${i === match ? ' selected' : ''}>${DiffEngine.escape(f.oldName || f.name)}</option>`).join('');
+    }
+
+    function describeHunk(r) {
+        const n = `Hunk #${r.index + 1}`;
+        if (r.status === 'rejected') {
+            return `${n} (line ${r.hunk.oldStart}) — its context lines were not found`;
+        }
+        const notes = [];
+        if (r.fuzz) notes.push(`fuzz ${r.fuzz}`);
+        if (r.offset) notes.push(`offset ${r.offset > 0 ? '+' : '−'}${Math.abs(r.offset)} line${Math.abs(r.offset) !== 1 ? 's' : ''}`);
+        return `${n} at line ${r.line}${notes.length ? ` (${notes.join(', ')})` : ''}`;
+    }
+
+    function hunkPreview(hunk) {
+        const esc = DiffEngine.escape;
+        return PatchEngine.formatHunk(hunk).replace(/\n$/, '').split('\n').map(line => {
+            const cls = line[0] === '+' ? 'added' : line[0] === '-' ? 'removed' : line[0] === '@' ? 'header' : 'context';
+            return `<span class="apply-line-${cls}">${esc(line) || ' '}</span>`;
+        }).join('\n');
+    }
+
+    function rejectsText(file, rejected) {
+        const header = `--- a/${file.oldName || file.name}\n+++ b/${file.newName || file.name}\n`;
+        return header + rejected.map(r => PatchEngine.formatHunk(r.hunk)).join('');
+    }
+
+    let lastApply = null;   // { file, rejected } behind the report, for Copy Rejects
+
+    function runApplyPatch() {
+        if (!applyPatchInput.value.trim()) { showToast('Paste a unified diff to apply', 'info'); return; }
+        const parsed = parsePatchInput();
+        if (parsed.error) {
+            applyPatchReport.innerHTML = `<div class="apply-patch-summary apply-patch-error">${DiffEngine.escape(parsed.error)}</div>`;
+            applyPatchReport.hidden = false;
+            return;
+        }
+
+        const file = parsed.files[+applyPatchTarget.value || 0] || parsed.files[0];
+        const fuzz = Math.max(0, parseInt(applyPatchFuzz.value, 10) || 0);
+        const before = editorLeft.value;
+        const { text, results } = PatchEngine.apply(before, file, { fuzz });
+        const rejected = results.filter(r => r.status === 'rejected');
+        const applied = results.length - rejected.length;
+
+        if (applied > 0) {
+            patchUndo = { before, after: text };
+            editorLeft.value = text;
+            searchLeft?.refresh();
+            autoCompare();
+        }
+        lastApply = { file, rejected };
+
+        const name = DiffEngine.escape(paneFileName(fileNameLeft, 'the original'));
+        const summary = rejected.length === 0
+            ? `All ${results.length} hunk${results.length !== 1 ? 's' : ''} applied to <strong>${name}</strong>`
+            : `${applied} of ${results.length} hunks applied to <strong>${name}</strong> — <span class="apply-patch-rejected">${rejected.length} rejected</span>`;
+        const items = results.map(r => `
+        <li class="apply-hunk apply-hunk-${r.status}">
+          <span class="apply-hunk-status">${APPLY_STATUS_LABELS[r.status]}</span>
+          <span class="apply-hunk-desc">${DiffEngine.escape(describeHunk(r))}</span>
+          ${r.status === 'rejected' ? `<button class="btn btn-sm btn-ghost" data-apply-view="${r.index}" aria-expanded="false">View</button>
+          <pre class="apply-hunk-text" data-apply-hunk="${r.index}" hidden>${hunkPreview(r.hunk)}</pre>` : ''}
+        </li>`).join('');
+
+        applyPatchReport.innerHTML = `
+      <div class="apply-patch-summary">
+        <span>${summary}</span>
+        ${rejected.length ? '<button class="btn btn-sm btn-ghost" data-apply-action="copy-rejects" title="Copy the rejected hunks as a .rej patch">Copy Rejects</button>' : ''}
+        ${applied > 0 ? '<button class="btn btn-sm btn-ghost" data-apply-action="undo" title="Restore the original pane">Undo</button>' : ''}
+      </div>
+      <ol class="apply-hunk-list">${items}</ol>`;
+        applyPatchReport.hidden = false;
+
+        if (rejected.length === 0) showToast(`Patch applied — ${results.length} hunk${results.length !== 1 ? 's' : ''}`, 'success');
+        else if (applied > 0) showToast(`${rejected.length} of ${results.length} hunks rejected`, 'info', 3500);
+        else showToast('No hunk of the patch applies to the original pane', 'error', 3500);
+    }
+
+    applyPatchBtn.addEventListener('click', openApplyPatch);
+    closeApplyPatch.addEventListener('click', closeApplyPatchModal);
+    applyPatchModal.addEventListener('click', e => { if (e.target === applyPatchModal) closeApplyPatchModal(); });
+    applyPatchRun.addEventListener('click', runApplyPatch);
+    applyPatchInput.addEventListener('input', refreshPatchTargets);
+    applyPatchInput.addEventListener('keydown', e => {
+        if (e.ctrlKey && e.key === 'Enter') { e.preventDefault(); e.stopPropagation(); runApplyPatch(); }
+    });
+
+    applyPatchFileInput.addEventListener('change', e => {
+        readFile(e.target.files[0], t => { applyPatchInput.value = t; refreshPatchTargets(); });
+        e.target.value = '';
+    });
+    ['dragenter', 'dragover'].forEach(evt => {
+        applyPatchInput.addEventListener(evt, e => { e.preventDefault(); applyPatchInput.classList.add('drag-over'); });
+    });
+    applyPatchInput.addEventListener('dragleave', () => applyPatchInput.classList.remove('drag-over'));
+    applyPatchInput.addEventListener('drop', e => {
+        e.preventDefault();
+        e.stopPropagation();
+        applyPatchInput.classList.remove('drag-over');
+        const file = e.dataTransfer?.files?.[0];
+        if (file) readFile(file, t => { applyPatchInput.value = t; refreshPatchTargets(); });
+    });
+
+    applyPatchReport.addEventListener('click', e => {
+        const viewBtn = e.target.closest('[data-apply-view]');
+        if (viewBtn) {
+            const pre = applyPatchReport.querySelector(`[data-apply-hunk="${viewBtn.dataset.applyView}"]`);
+            pre.hidden = !pre.hidden;
+            viewBtn.textContent = pre.hidden ? 'View' : 'Hide';
+            viewBtn.setAttribute('aria-expanded', String(!pre.hidden));
+            return;
+        }
+
+        const action = e.target.closest('[data-apply-action]')?.dataset.applyAction;
+        if (action === 'copy-rejects' && lastApply) {
+            navigator.clipboard.writeText(rejectsText(lastApply.file, lastApply.rejected))
+                .then(() => showToast('Rejected hunks copied', 'success'))
+                .catch(() => showToast('Could not copy to the clipboard', 'error'));
+        } else if (action === 'undo' && patchUndo) {
+            // Edits made since would be lost — leave those to the editor's own undo
+            if (editorLeft.value !== patchUndo.after) {
+                showToast('The original pane changed after the patch — use Ctrl+Z there instead', 'info', 3500);
+                return;
+            }
+            editorLeft.value = patchUndo.before;
+            patchUndo = null;
+            searchLeft?.refresh();
+            autoCompare();
+            e.target.remove();
+            showToast('Patch undone', 'info');
+        }
+    });
+
+    // ─────────────────────────────────────────────────────────
+    //  FORMATS
+    //  A non-text format normalizes both panes before the line diff.
+    //  The data formats (JSON, YAML, TOML) get two more views that compare
+    //  the documents structurally: a collapsible tree and a list of
+    //  changed JSON Pointer paths. Tables (CSV, TSV) are always compared
+    //  cell by cell in a grid.
+    // ─────────────────────────────────────────────────────────
+    const JSON_VIEWS = ['jsontree', 'jsonpaths'];
+
+    function isDataFormat() {
+        return FormatEngine.dataFormats.includes(formatSel.value);
+    }
+
+    function isTableFormat() {
+        return FormatEngine.tableFormats.includes(formatSel.value);
+    }
+
+    function isJsonView() {
+        return isDataFormat() && JSON_VIEWS.includes(currentViewMode);
+    }
+
+    function applyFormatUI() {
+        const on = isDataFormat();
+        viewJsonTree.hidden = !on;
+        viewJsonPaths.hidden = !on;
+        jsonOptions.hidden = !on;
+        jsonOptionsTitle.textContent = FormatEngine.label(formatSel.value);
+        jsonArrayKeyInput.disabled = jsonArrayModeSel.value !== 'key';
+        const table = isTableFormat();
+        tableOptions.hidden = !table;
+        tableOptionsTitle.textContent = FormatEngine.label(formatSel.value);
+        // The grid is the only view of a table
+        viewSideBySide.hidden = table;
+        viewInline.hidden = table;
+        // The structural views only exist for data formats
+        if (!on && JSON_VIEWS.includes(currentViewMode)) {
+            currentViewMode = 'inline';
+            viewButtons.forEach(btn => btn.classList.toggle('active', btn.dataset.view === currentViewMode));
+        }
+    }
+
+    // Uploaded / dropped files pick the format their extension implies
+    function applyDetectedFormat(fileName) {
+        const format = FormatEngine.detect(fileName);
+        if (format === formatSel.value) return;
+        formatSel.value = format;
+        applyFormatUI();
+    }
+
+    // Toast plus a suggestion-panel entry that jumps to the parse error
+    function showFormatError(result) {
+        showToast(result.error, 'error', 4000);
+        const label = FormatEngine.label(formatSel.value);
+        suggestionData = [];
+        suggestionList.innerHTML = '';
+        suggestionCount.textContent = '0';
+        suggestionList.prepend(errorSuggestionItem({
+            side: result.side,
+            tag: label,
+            title: `${result.side} pane has malformed ${label}`,
+            error: result.error,
+            pos: typeof result.pos === 'number' ? result.pos : null,
+            kind: 'parse-suggestion'
+        }));
+        suggestionList.style.display = '';
+        suggestionPanel.hidden = false;
+    }
+
+    function showJsonDiff(leftText, rightText) {
+        const result = JsonDiff.compare(leftText, rightText, {
+            format: formatSel.value,
+            ignoreKeyOrder: jsonIgnoreKeyOrderChk.checked,
+            arrays: jsonArrayModeSel.value,
+            arrayKey: jsonArrayKeyInput.value.trim() || 'id',
+            tolerance: parseFloat(jsonToleranceInput.value) || 0
+        });
+        if (result.error) { showFormatError(result); return; }
+
+        jsonResult = result;
+        diffOutput.innerHTML = currentViewMode === 'jsontree' ? JsonDiff.renderTree(result) : JsonDiff.renderList(result);
+        diffOutput.classList.add('visible');
+        diffPlaceholder.style.display = 'none';
+
+        lastPlainText = JsonDiff.toText(result);
+        updateStats(result.stats);
+        copyDiffBtn.disabled = !lastPlainText;
+        downloadBtn.disabled = !lastPlainText;
+        exportHtmlBtn.disabled = true;
+
+        // Line suggestions make no sense for a structural comparison
+        suggestionData = [];
+        suggestionList.innerHTML = '';
+        suggestionPanel.hidden = true;
+    }
+
+    function showTableDiff(leftText, rightText) {
+        const result = TableDiff.compare(leftText, rightText, {
+            format: formatSel.value,
+            header: tableHeaderChk.checked,
+            key: tableKeySel.value
+        });
+        if (result.error) { showFormatError(result); return; }
+
+        tableResult = result;
+        fillKeyColumns(result);
+        diffOutput.innerHTML = TableDiff.renderGrid(result, { granularity: granularitySel.value });
+        diffOutput.classList.add('visible');
+        diffPlaceholder.style.display = 'none';
+
+        lastPlainText = TableDiff.toText(result);
+        updateStats(result.stats);
+        copyDiffBtn.disabled = !lastPlainText;
+        downloadBtn.disabled = !lastPlainText;
+        exportHtmlBtn.disabled = true;
+
+        suggestionData = [];
+        suggestionList.innerHTML = '';
+        suggestionPanel.hidden = true;
+    }
+
+    // Key column choices: the columns both tables have
+    function fillKeyColumns(result) {
+        const current = tableKeySel.value;
+        const names = result.columns.filter(c => c.status === 'equal').map(c => c.name);
+        tableKeySel.innerHTML = '<option value="">None — match by position</option>'
+            + names.map(name => `<option value="${DiffEngine.escape(name)}">${DiffEngine.escape(name)}</option>`).join('');
+        tableKeySel.value = names.includes(current) ? current : '';
+    }
+
+    [tableKeySel, tableHeaderChk].forEach(input => input.addEventListener('change', () => {
+        if (isTableFormat() && canCompare()) runCompare(false);
+    }));
+
+    jsonIgnoreKeyOrderChk.addEventListener('change', () => { if (canCompare()) runCompare(false); });
+    jsonArrayModeSel.addEventListener('change', () => {
+        jsonArrayKeyInput.disabled = jsonArrayModeSel.value !== 'key';
+        if (isJsonView() && canCompare()) runCompare(false);
+    });
+    [jsonArrayKeyInput, jsonToleranceInput].forEach(input => input.addEventListener('change', () => {
+        if (isJsonView() && canCompare()) runCompare(false);
+    }));
+
+    // The highlighting language: the picker's, or with Auto the one a
+    // non-text format or else the file name implies
+    function syntaxLanguage(fileName, format) {
+        if (syntaxSel.value !== 'auto') return syntaxSel.value;
+        if (SyntaxHighlight.languages.includes(format)) return format;
+        return SyntaxHighlight.detect(fileName);
+    }
+
+    // ─────────────────────────────────────────────────────────
+    //  CONTEXT EXPANSION
+    //  A collapsed separator swaps itself for rows of the hunks it hides
+    // ─────────────────────────────────────────────────────────
+    diffOutput.addEventListener('click', e => {
+        const btn = e.target.closest('.expand-btn');
+        if (!btn) return;
+        const row = btn.closest('tr[data-expand-from]');
+        const holder = row.closest('[data-diff-source]');
+        const source = diffSources[holder ? Number(holder.dataset.diffSource) : 0];
+        if (!source) return;
+        const html = DiffEngine.expand(source.hunks, currentViewMode,
+            Number(row.dataset.expandFrom), Number(row.dataset.expandTo), btn.dataset.expand, source.options);
+        row.insertAdjacentHTML('afterend', html);
+        row.remove();
+    });
+
+    // ─────────────────────────────────────────────────────────
+    //  CHANGE NAVIGATION
+    //  Adjacent changed rows form one change. The overview ruler marks
+    //  each change at its height in the whole output; the list is
+    //  rebuilt whenever diffOutput's rows change, whatever rendered them
+    // ─────────────────────────────────────────────────────────
+    const CHANGE_ROWS = [
+        '.diff-row.line-removed', '.diff-row.line-added', '.diff-row.line-changed',
+        '.inline-removed:not(.inline-ignored)', '.inline-added:not(.inline-ignored)',
+        '.merge-conflict-row', '.tg-row:not(.tg-row-equal)', '.json-paths tbody tr'
+    ].join(', ');
+    const ADDED_ROWS = '.line-added, .inline-added, .tg-row-added, .json-added';
+    const REMOVED_ROWS = '.line-removed, .inline-removed, .tg-row-removed, .json-removed';
+    const MOVED_ROWS = '.line-moved, .inline-moved';
+
+    function blockKind(rows) {
+        if (rows.every(r => r.matches(MOVED_ROWS))) return 'moved';
+        if (rows.every(r => r.matches(ADDED_ROWS))) return 'added';
+        if (rows.every(r => r.matches(REMOVED_ROWS))) return 'removed';
+        return 'changed';
+    }
+
+    let scanPending = false;
+
+    function scheduleScan() {
+        if (scanPending) return;
+        scanPending = true;
+        requestAnimationFrame(scanChanges);
+    }
+
+    function scanChanges() {
+        scanPending = false;
+        // The hex view redraws its rows on scroll and navigates by byte ranges instead
+        if (hexState) return;
+        const focused = changeBlocks[currentChange]?.rows[0];
+        const blocks = [];
+        let last = null;
+        for (const row of diffOutput.querySelectorAll(CHANGE_ROWS)) {
+            if (last && row.previousElementSibling === last) blocks[blocks.length - 1].rows.push(row);
+            else blocks.push({ rows: [row] });
+            last = row;
+        }
+        for (const b of blocks) b.kind = blockKind(b.rows);
+        changeBlocks = blocks;
+        // Expanding context keeps the rows, so the current change survives it
+        currentChange = focused ? blocks.findIndex(b => b.rows[0] === focused) : -1;
+        renderRuler();
+        updateChangeNav();
+    }
+
+    new MutationObserver(scheduleScan).observe(diffOutput, { childList: true, subtree: true });
+
+    // Offsets within the scrolled content, not the viewport
+    function rowOffset(row) {
+        return row.getBoundingClientRect().top - diffOutput.getBoundingClientRect().top + diffOutput.scrollTop;
+    }
+
+    function renderRuler() {
+        const total = diffOutput.scrollHeight;
+        diffRuler.hidden = changeBlocks.length === 0 || total === 0;
+        if (diffRuler.hidden) { diffRuler.innerHTML = ''; return; }
+
+        let html = '<div class="ruler-viewport"></div>';
+        changeBlocks.forEach((b, i) => {
+            const first = b.rows[0];
+            const lastRow = b.rows[b.rows.length - 1];
+            const top = rowOffset(first);
+            const height = rowOffset(lastRow) + lastRow.offsetHeight - top;
+            html += `<div class="ruler-mark ruler-${b.kind}" style="top:${(top / total) * 100}%;height:${(height / total) * 100}%" data-change="${i}"></div>`;
+        });
+        diffRuler.innerHTML = html;
+        updateRulerViewport();
+    }
+
+    function updateRulerViewport() {
+        const viewport = diffRuler.querySelector('.ruler-viewport');
+        if (!viewport) return;
+        const total = diffOutput.scrollHeight || 1;
+        viewport.style.top = `${(diffOutput.scrollTop / total) * 100}%`;
+        viewport.style.height = `${(diffOutput.clientHeight / total) * 100}%`;
+    }
+
+    function updateChangeNav() {
+        const n = changeBlocks.length;
+        changeNav.hidden = n === 0;
+        changeNavLabel.textContent = currentChange >= 0 ? `change ${currentChange + 1} of ${n}` : `${n} change${n !== 1 ? 's' : ''}`;
+        diffRuler.querySelector('.ruler-mark.current')?.classList.remove('current');
+        diffRuler.querySelector(`[data-change="${currentChange}"]`)?.classList.add('current');
+    }
+
+    function goToChange(i) {
+        const n = changeBlocks.length;
+        if (n === 0) return;
+        diffOutput.querySelector('.change-focus')?.classList.remove('change-focus');
+        currentChange = (i + n) % n;   // wraps around at either end
+        const row = changeBlocks[currentChange].rows[0];
+        row.classList.add('change-focus');
+        row.scrollIntoView({ block: 'center', behavior: 'smooth' });
+        updateChangeNav();
+    }
+
+    // Before any navigation, start from what's scrolled into view
+    function stepChange(dir) {
+        if (hexState) { stepHexDifference(dir); return; }
+        if (changeBlocks.length === 0) return;
+        if (currentChange >= 0) { goToChange(currentChange + dir); return; }
+        const tops = changeBlocks.map(b => rowOffset(b.rows[0]) - diffOutput.scrollTop);
+        if (dir > 0) {
+            const i = tops.findIndex(t => t >= 0);
+            goToChange(i < 0 ? 0 : i);
+        } else {
+            let i = tops.length - 1;
+            while (i >= 0 && tops[i] >= 0) i--;
+            goToChange(i < 0 ? tops.length - 1 : i);
+        }
+    }
+
+    prevChangeBtn.addEventListener('click', () => stepChange(-1));
+    nextChangeBtn.addEventListener('click', () => stepChange(1));
+    diffOutput.addEventListener('scroll', updateRulerViewport, { passive: true });
+    window.addEventListener('resize', () => {
+        if (hexState) scheduleHexRender();
+        else scheduleScan();
+    });
+
+    // A mark jumps to its change; anywhere else scrolls to that point
+    diffRuler.addEventListener('click', e => {
+        const mark = e.target.closest('.ruler-mark');
+        if (mark?.dataset.hexOffset) { goToHexOffset(Number(mark.dataset.hexOffset)); return; }
+        if (mark) { goToChange(Number(mark.dataset.change)); return; }
+        const rect = diffRuler.getBoundingClientRect();
+        const ratio = (e.clientY - rect.top) / rect.height;
+        diffOutput.scrollTop = ratio * diffOutput.scrollHeight - diffOutput.clientHeight / 2;
+    });
 
     // ─────────────────────────────────────────────────────────
-    //  COPY ALL PER PANE
+    //  HEX VIEW
+    //  Both panes compared byte by byte by HexDiff. Only the rows in
+    //  view are rendered; beyond HEX_MAX_SCROLL px the scrollbar maps
+    //  proportionally onto the rows, as browsers cap element heights.
     // ─────────────────────────────────────────────────────────
-    async function copyPaneContent(editor, label) {
-        const text = editor.value;
-        if (!text.trim()) { showToast(`${label} pane is empty`, 'info', 1600); return; }
-        try {
-            await navigator.clipboard.writeText(text);
-            showToast(`${label} pane copied!`, 'success', 1800);
-        } catch {
-            // fallback
-            const ta = document.createElement('textarea');
-            ta.value = text;
-            ta.style.cssText = 'position:fixed;opacity:0;pointer-events:none';
-            document.body.appendChild(ta);
-            ta.select();
-            document.execCommand('copy');
-            ta.remove();
-            showToast(`${label} pane copied!`, 'success', 1800);
-        }
+    const HEX_ROW_HEIGHT = 18;             // px — .hex-row in the CSS
+    const HEX_MAX_SCROLL = 8000000;        // px — Firefox stops growing elements near 17.8M
+    const HEX_OVERSCAN = 8;                // rows rendered above and below the viewport
+    const HEX_SUMMARY_RANGES = 200;        // ranges listed in the summary
+    const HEX_SCAN_LIMIT = 16 * 1024 * 1024;   // bytes Next / Previous scan past the kept ranges per press
+    let hexRenderPending = false;
+
+    // A text pane compares the bytes of its file until edited, then its text as UTF-8
+    function paneBytes(editor) {
+        const source = paneSources.get(editor);
+        if (source && (source.binary || editor.value === source.text)) return source.bytes;
+        return new TextEncoder().encode(editor.value);
     }
 
-    copyAllLeft.addEventListener('click', () => copyPaneContent(editorLeft, 'Left'));
-    copyAllRight.addEventListener('click', () => copyPaneContent(editorRight, 'Right'));
+    function paneHasBytes(editor) {
+        return editor.value !== '' || !!paneSources.get(editor)?.binary;
+    }
 
-    // ─────────────────────────────────────────────────────────
-    //  AUTO-COMPARE
-    // ─────────────────────────────────────────────────────────
-    let autoCompareTimer = null;
+    function hexSummary(result, leftName, rightName) {
+        const n = value => value.toLocaleString('en');
+        const plural = (count, word) => `${n(count)} ${word}${count !== 1 ? 's' : ''}`;
+        const sizes = `<span class="hex-size">${leftName}: ${plural(result.sizeA, 'byte')}</span>`
+            + `<span class="hex-size">${rightName}: ${plural(result.sizeB, 'byte')}</span>`;
+        if (result.differing === 0) return `<div class="hex-summary-line"><strong>Identical</strong>${sizes}</div>`;
+
+        const shown = result.ranges.slice(0, HEX_SUMMARY_RANGES);
+        const more = result.rangeCount - shown.length;
+        const items = shown.map(r => `<li><button class="hex-range" data-hex-offset="${r.start}">`
+            + `${HexDiff.formatOffset(r.start)}–${HexDiff.formatOffset(r.end - 1)}</button> ${plural(r.end - r.start, 'byte')}</li>`).join('');
+        return `<div class="hex-summary-line"><strong>${plural(result.differing, 'byte')} differ</strong>`
+            + ` in ${plural(result.rangeCount, 'range')}${sizes}</div>`
+            + `<details class="hex-ranges"><summary>Differing ranges</summary><ol>${items}</ol>`
+            + `${more > 0 ? `<p>… and ${n(more)} more</p>` : ''}</details>`;
+    }
 
-    function autoCompare() {
-        clearTimeout(autoCompareTimer);
-        autoCompareTimer = setTimeout(() => {
-            if (editorLeft.value.trim() && editorRight.value.trim()) runCompare(false);
-        }, 400);
+    // cmp-style listing for Copy: one differing range per line
+    function hexPlainText(result) {
+        const lines = result.ranges.map(r => `${HexDiff.formatOffset(r.start)}-${HexDiff.formatOffset(r.end - 1)} ${r.end - r.start} bytes`);
+        if (result.truncated) lines.push(`… ${result.rangeCount - result.ranges.length} more ranges`);
+        return lines.join('\n');
     }
 
-    editorLeft.addEventListener('input', autoCompare);
-    editorRight.addEventListener('input', autoCompare);
-    ignoreWhitespaceChk.addEventListener('change', () => { if (editorLeft.value.trim() && editorRight.value.trim()) runCompare(false); });
-    jsonModeChk.addEventListener('change', () => { if (editorLeft.value.trim() && editorRight.value.trim()) runCompare(false); });
+    async function showHexDiff() {
+        const a = paneBytes(editorLeft);
+        const b = paneBytes(editorRight);
+        const result = await runTask('hex', a, b);
+        const rows = Math.ceil(Math.max(a.length, b.length) / HexDiff.BYTES_PER_ROW);
+        const height = Math.min(rows * HEX_ROW_HEIGHT, HEX_MAX_SCROLL);
+        const leftName = DiffEngine.escape(paneFileName(fileNameLeft, 'Original'));
+        const rightName = DiffEngine.escape(paneFileName(fileNameRight, 'Modified'));
+
+        diffOutput.innerHTML = `
+      <div class="hex-view">
+        <div class="hex-summary">${hexSummary(result, leftName, rightName)}</div>
+        <div class="hex-header"><span class="hex-offset">Offset</span><span class="hex-name">${leftName}</span><span class="hex-gutter"></span><span class="hex-name">${rightName}</span></div>
+        <div class="hex-area" style="height:${height}px"><div class="hex-window"></div></div>
+      </div>`;
+        diffOutput.classList.add('visible');
+        diffPlaceholder.style.display = 'none';
+        hexState = {
+            a, b, result, rows, height, focus: null,
+            area: diffOutput.querySelector('.hex-area'),
+            win: diffOutput.querySelector('.hex-window')
+        };
 
-    // ─────────────────────────────────────────────────────────
-    //  COMPARE ENGINE
-    // ─────────────────────────────────────────────────────────
-    function runCompare(showLoadAnim = true) {
-        if (isComparing) return;
+        const common = Math.min(a.length, b.length);
+        updateStats({
+            bytes: true,
+            added: b.length - common,
+            removed: a.length - common,
+            changed: result.differing - (Math.max(a.length, b.length) - common)
+        });
+        lastPlainText = hexPlainText(result);
+        copyDiffBtn.disabled = !lastPlainText;
+        downloadBtn.disabled = true;
+        exportHtmlBtn.disabled = true;
 
-        const leftText = editorLeft.value;
-        const rightText = editorRight.value;
+        suggestionData = [];
+        suggestionList.innerHTML = '';
+        suggestionPanel.hidden = true;
 
-        if (!leftText.trim() && !rightText.trim()) { showToast('Both panes are empty — paste some code!', 'info'); return; }
-        if (!leftText.trim()) { showToast('Left pane is empty', 'error'); return; }
-        if (!rightText.trim()) { showToast('Right pane is empty', 'error'); return; }
+        renderHexWindow();
+        renderHexRuler();
+        updateHexNav();
+    }
 
-        if (showLoadAnim) { isComparing = true; compareBtn.classList.add('loading'); }
+    const hexVisibleRows = () => Math.ceil((diffOutput.clientHeight || 600) / HEX_ROW_HEIGHT);
+    const hexScaled = () => hexState.rows * HEX_ROW_HEIGHT > HEX_MAX_SCROLL;
+
+    // The first row in view, and where inside .hex-area it is drawn
+    function hexViewport() {
+        const { rows, height, area } = hexState;
+        const top = Math.max(0, diffOutput.scrollTop - rowOffset(area));
+        if (!hexScaled()) return { first: Math.floor(top / HEX_ROW_HEIGHT), y: Math.floor(top / HEX_ROW_HEIGHT) * HEX_ROW_HEIGHT };
+        const visible = hexVisibleRows();
+        const span = height - diffOutput.clientHeight;
+        const ratio = span > 0 ? Math.min(top / span, 1) : 0;
+        return {
+            first: Math.round(ratio * Math.max(0, rows - visible)),
+            y: Math.min(top, Math.max(0, height - visible * HEX_ROW_HEIGHT))
+        };
+    }
 
-        setTimeout(() => {
-            try {
-                const result = DiffEngine.run(leftText, rightText, {
-                    ignoreWhitespace: ignoreWhitespaceChk.checked,
-                    jsonMode: jsonModeChk.checked,
-                    viewMode: currentViewMode
-                });
+    function renderHexWindow() {
+        hexRenderPending = false;
+        if (!hexState) return;
+        const { a, b, win, focus } = hexState;
+        const { first, y } = hexViewport();
+        const from = Math.max(0, first - HEX_OVERSCAN);
+        win.style.transform = `translateY(${Math.max(0, y - (first - from) * HEX_ROW_HEIGHT)}px)`;
+        win.innerHTML = HexDiff.renderRows(a, b, from, hexVisibleRows() + HEX_OVERSCAN * 2, { focus });
+    }
 
-                if (result.error) { showToast(result.error, 'error', 4000); return; }
+    function scheduleHexRender() {
+        if (hexRenderPending) return;
+        hexRenderPending = true;
+        requestAnimationFrame(renderHexWindow);
+    }
 
-                diffOutput.innerHTML = result.html;
-                diffOutput.classList.add('visible');
-                diffPlaceholder.style.display = 'none';
+    function scrollToHexOffset(offset) {
+        const { rows, height, area } = hexState;
+        const lead = Math.floor(hexVisibleRows() / 3);   // the target lands a third of the way down
+        const row = Math.max(0, Math.floor(offset / HexDiff.BYTES_PER_ROW) - lead);
+        const top = hexScaled()
+            ? row / Math.max(1, rows - hexVisibleRows()) * (height - diffOutput.clientHeight)
+            : row * HEX_ROW_HEIGHT;
+        diffOutput.scrollTop = rowOffset(area) + top;
+        renderHexWindow();
+    }
 
-                lastPlainText = result.plainText;
-                updateStats(result.stats);
-                copyDiffBtn.disabled = false;
-                downloadBtn.disabled = false;
+    // Ranges are marked at their share of the file
+    function renderHexRuler() {
+        const { result, rows, height, area } = hexState;
+        const total = diffOutput.scrollHeight;
+        diffRuler.hidden = result.rangeCount === 0 || total === 0;
+        if (diffRuler.hidden) { diffRuler.innerHTML = ''; return; }
+
+        const areaTop = rowOffset(area);
+        const at = offset => ((areaTop + offset / HexDiff.BYTES_PER_ROW / rows * height) / total) * 100;
+        let html = '<div class="ruler-viewport"></div>';
+        let lastBottom = -1;
+        for (const r of result.ranges) {
+            const top = at(r.start);
+            if (top < lastBottom) continue;   // marks closer than the ruler can show merge
+            const bottom = Math.max(at(r.end), top + 0.25);
+            html += `<div class="ruler-mark ruler-changed" style="top:${top}%;height:${bottom - top}%" data-hex-offset="${r.start}"></div>`;
+            lastBottom = bottom;
+        }
+        diffRuler.innerHTML = html;
+        updateRulerViewport();
+    }
 
-                // Refresh search visuals to match new content/indices
-                searchLeft?.refresh();
-                searchRight?.refresh();
+    function updateHexNav() {
+        const { result, focus } = hexState;
+        const n = result.rangeCount;
+        changeNav.hidden = n === 0;
+        if (!focus) {
+            changeNavLabel.textContent = `${n.toLocaleString('en')} difference${n !== 1 ? 's' : ''}`;
+            return;
+        }
+        const i = result.ranges.findIndex(r => r.start === focus.start);
+        changeNavLabel.textContent = i >= 0
+            ? `difference ${i + 1} of ${n.toLocaleString('en')}`
+            : `difference at ${HexDiff.formatOffset(focus.start)}`;
+    }
 
-                // Build suggestion panel from hunks
-                buildSuggestions(result.hunks);
+    function goToHexRange(range) {
+        if (!range) return;
+        hexState.focus = range;
+        scrollToHexOffset(range.start);
+        updateHexNav();
+    }
 
-                // Check for global JSON formatting suggestions
-                checkJsonSuggestions();
+    function goToHexOffset(offset) {
+        goToHexRange(HexDiff.nextDifference(hexState.a, hexState.b, offset));
+    }
 
-            } catch (err) {
-                showToast(`Compare failed: ${err.message}`, 'error');
-                console.error('[Codediff] Compare error:', err);
-            } finally {
-                if (showLoadAnim) {
-                    compareBtn.classList.add('fade-out');
-                    setTimeout(() => {
-                        compareBtn.classList.remove('loading', 'fade-out');
-                        isComparing = false;
-                    }, 260);
-                }
+    // Kept ranges answer quickly; past them (more than HexDiff keeps) the bytes are scanned
+    function stepHexDifference(dir) {
+        const { a, b, result, focus } = hexState;
+        const kept = result.ranges;
+        if (result.rangeCount === 0) return;
+        const last = kept[kept.length - 1];
+        // Before any navigation, start from the first row in view
+        const from = focus ? focus.start : hexViewport().first * HexDiff.BYTES_PER_ROW;
+        const size = Math.max(a.length, b.length);
+        let range = null;
+        // A scan that reaches its limit moves the view there instead, and the
+        // next press searches on from it
+        let scanEnd = -1;
+        const scanNext = start => {
+            range = HexDiff.nextDifference(a, b, start, HEX_SCAN_LIMIT);
+            if (!range && start + HEX_SCAN_LIMIT < size) scanEnd = start + HEX_SCAN_LIMIT;
+            return range;
+        };
+        const scanPrevious = before => {
+            range = HexDiff.previousDifference(a, b, before, HEX_SCAN_LIMIT);
+            if (!range && before - HEX_SCAN_LIMIT > last.end) scanEnd = before - HEX_SCAN_LIMIT;
+            return range;
+        };
+        if (dir > 0) {
+            const after = focus ? focus.end : from;
+            range = kept.find(r => (focus ? r.start > from : r.start >= from))
+                || (result.truncated ? scanNext(Math.max(after, last.end)) : null);
+            if (!range && scanEnd < 0) range = kept[0];   // wraps around at the end
+        } else {
+            if (result.truncated && from > last.end) scanPrevious(from);
+            for (let i = kept.length - 1; !range && scanEnd < 0 && i >= 0; i--) {
+                if (kept[i].start < from) range = kept[i];
             }
-        }, showLoadAnim ? 10 : 0);
+            if (!range && scanEnd < 0 && result.truncated) scanPrevious(size);
+            if (!range && scanEnd < 0) range = last;
+        }
+        if (scanEnd >= 0) {
+            hexState.focus = null;
+            scrollToHexOffset(scanEnd);
+            updateHexNav();
+            showToast(`No difference in ${HEX_SCAN_LIMIT / 1024 / 1024} MB — ${dir > 0 ? 'Next' : 'Previous'} searches on from here`, 'info');
+            return;
+        }
+        goToHexRange(range);
     }
 
-    compareBtn.addEventListener('click', () => runCompare(true));
+    diffOutput.addEventListener('scroll', () => { if (hexState) scheduleHexRender(); }, { passive: true });
+    diffOutput.addEventListener('click', e => {
+        const btn = e.target.closest('.hex-range');
+        if (btn && hexState) goToHexOffset(Number(btn.dataset.hexOffset));
+    });
+
+    // ─────────────────────────────────────────────────────────
+    //  MOVED CODE
+    //  The first row of a moved block links to the other end of the move
+    // ─────────────────────────────────────────────────────────
+    const MOVE_FLASH_MS = 1200;
+
+    diffOutput.addEventListener('click', e => {
+        const link = e.target.closest('.move-link');
+        if (!link) return;
+        const row = diffOutput.querySelector(`[data-move-line="${link.dataset.moveTarget}"]`);
+        if (!row) return;
+        row.scrollIntoView({ block: 'center', behavior: 'smooth' });
+        row.classList.remove('move-flash');
+        void row.offsetWidth;  // restart the animation
+        row.classList.add('move-flash');
+        setTimeout(() => row.classList.remove('move-flash'), MOVE_FLASH_MS);
+    });
 
     // ─────────────────────────────────────────────────────────
     //  SUGGESTION SYSTEM: JSON MALFORMATION / FORMATTING
     // ─────────────────────────────────────────────────────────
     function checkJsonSuggestions() {
-        // If JSON Mode is already ON, we don't need to suggest formatting (it's auto-applied)
-        if (jsonModeChk.checked) return;
+        // With a format selected the panes are normalized anyway (and parse errors reported)
+        if (formatSel.value !== 'text') return;
 
         const suggestFormat = (side, editor, label) => {
             const text = editor.value.trim();
@@ -545,33 +2565,22 @@
 
             [sugL, sugR].forEach(s => {
                 if (!s) return;
-                const item = document.createElement('div');
-                item.className = 'suggestion-item json-suggestion';
 
                 if (s.error) {
-                    item.classList.add('error');
-                    item.innerHTML = `
-            <span class="suggestion-line-num">JSON</span>
-            <div class="suggestion-content">
-              <span class="suggestion-title">${s.label} pane has malformed JSON</span>
-              <span class="suggestion-error-msg">${DiffEngine.escape(s.error)}</span>
-            </div>
-            <div class="suggestion-actions">
-              ${s.pos !== null ? `<button class="suggestion-jump-btn" data-side="${s.side}" data-pos="${s.pos}">Show Error</button>` : ''}
-            </div>`;
+                    suggestionList.prepend(errorSuggestionItem({
+                        side: s.side,
+                        tag: 'JSON',
+                        title: `${s.label} pane has malformed JSON`,
+                        error: s.error,
+                        pos: s.pos,
+                        kind: 'json-suggestion'
+                    }));
+                    return;
+                }
 
-                    const jumpBtn = item.querySelector('.suggestion-jump-btn');
-                    if (jumpBtn) {
-                        jumpBtn.onclick = () => {
-                            const edt = s.side === 'Left' ? editorLeft : editorRight;
-                            edt.focus();
-                            edt.setSelectionRange(s.pos, s.pos + 1);
-                            const line = edt.value.substring(0, s.pos).split('\n').length;
-                            edt.scrollTop = (line - 3) * 20;
-                        };
-                    }
-                } else {
-                    item.innerHTML = `
+                const item = document.createElement('div');
+                item.className = 'suggestion-item json-suggestion';
+                item.innerHTML = `
             <span class="suggestion-line-num">JSON</span>
             <div class="suggestion-content">
               <span class="suggestion-title">JSON in ${s.label} pane is minified or messy</span>
@@ -581,33 +2590,67 @@
               <button class="suggestion-apply-btn json-fix-btn" data-side="${s.side}">Format JSON</button>
             </div>`;
 
-                    item.querySelector('.json-fix-btn').onclick = () => {
-                        const editor = (s.side === 'Left') ? editorLeft : editorRight;
-                        editor.value = s.pretty;
-                        showToast(`Formatted ${s.label} JSON`, 'success');
-                        autoCompare();
-                    };
-                }
+                item.querySelector('.json-fix-btn').onclick = () => {
+                    const editor = (s.side === 'Left') ? editorLeft : editorRight;
+                    editor.value = s.pretty;
+                    showToast(`Formatted ${s.label} JSON`, 'success');
+                    autoCompare();
+                };
                 suggestionList.prepend(item);
             });
         }
     }
 
+    /**
+     * Suggestion-panel entry for a parse error, with a "Show Error" button
+     * that selects the offending spot in the pane.
+     * @param {{ side: string, tag: string, title: string, error: string, pos: ?number,
+     *           kind: string, wholeLine?: boolean }} s
+     */
+    function errorSuggestionItem(s) {
+        const item = document.createElement('div');
+        item.className = `suggestion-item ${s.kind} error`;
+        item.innerHTML = `
+            <span class="suggestion-line-num">${s.tag}</span>
+            <div class="suggestion-content">
+              <span class="suggestion-title">${DiffEngine.escape(s.title)}</span>
+              <span class="suggestion-error-msg">${DiffEngine.escape(s.error)}</span>
+            </div>
+            <div class="suggestion-actions">
+              ${s.pos !== null ? `<button class="suggestion-jump-btn" data-side="${s.side}" data-pos="${s.pos}">Show Error</button>` : ''}
+            </div>`;
+
+        const jumpBtn = item.querySelector('.suggestion-jump-btn');
+        if (jumpBtn) {
+            jumpBtn.onclick = () => {
+                const edt = s.side === 'Left' ? editorLeft : editorRight;
+                let end = s.pos + 1;
+                if (s.wholeLine) {
+                    const lineEnd = edt.value.indexOf('\n', s.pos);
+                    end = Math.max(end, lineEnd === -1 ? edt.value.length : lineEnd);
+                }
+                edt.focus();
+                edt.setSelectionRange(s.pos, end);
+                const line = edt.value.substring(0, s.pos).split('\n').length;
+                edt.scrollTop = (line - 3) * 20;
+            };
+        }
+        return item;
+    }
+
     // ─────────────────────────────────────────────────────────
     //  SUGGESTION PANEL: LINE DIFFS
     // ─────────────────────────────────────────────────────────
     function buildSuggestions(hunks) {
         suggestionData = [];
         suggestionList.innerHTML = ''; // Start fresh on each compare
-        let lLine = 1, rLine = 1;
+        let lLine = 1;
 
         for (const h of hunks) {
             if (h.type === 'changed') {
                 suggestionData.push({ lLineNum: lLine, oldVal: h.lLines[0], newVal: h.rLines[0] });
-                lLine++; rLine++;
-            } else if (h.type === 'equal') { lLine++; rLine++; }
-            else if (h.type === 'removed') { lLine++; }
-            else if (h.type === 'added') { rLine++; }
+                lLine++;
+            } else if (h.type === 'equal' || h.type === 'removed') { lLine++; }
         }
 
         if (suggestionData.length === 0) {
@@ -699,30 +2742,48 @@
     // ─────────────────────────────────────────────────────────
     clearLeft.addEventListener('click', () => {
         editorLeft.value = '';
+        setPaneSource(editorLeft, null);
         fileNameLeft.textContent = 'No file loaded';
         clearDiffOutput();
     });
     clearRight.addEventListener('click', () => {
         editorRight.value = '';
+        setPaneSource(editorRight, null);
         fileNameRight.textContent = 'No file loaded';
         clearDiffOutput();
     });
+    clearBase.addEventListener('click', () => {
+        editorBase.value = '';
+        setPaneSource(editorBase, null);
+        fileNameBase.textContent = 'No file loaded';
+        clearDiffOutput();
+    });
     clearAllBtn.addEventListener('click', () => {
-        editorLeft.value = editorRight.value = '';
-        fileNameLeft.textContent = fileNameRight.textContent = 'No file loaded';
+        editorLeft.value = editorRight.value = editorBase.value = '';
+        fileNameLeft.textContent = fileNameRight.textContent = fileNameBase.textContent = 'No file loaded';
+        encodingSelects.forEach((_, editor) => setPaneSource(editor, null));
+        closeFileTree();
         clearDiffOutput();
+        historyId = null;
         showToast('Cleared', 'info', 1500);
     });
 
     function clearDiffOutput() {
+        cancelDiff();
         diffOutput.innerHTML = '';
         diffOutput.classList.remove('visible');
         diffPlaceholder.style.display = '';
         lastPlainText = '';
         copyDiffBtn.disabled = true;
         downloadBtn.disabled = true;
+        exportHtmlBtn.disabled = true;
         suggestionPanel.hidden = true;
         suggestionData = [];
+        mergeState = null;
+        jsonResult = null;
+        tableResult = null;
+        hexState = null;
+        diffSources = [];
         resetStats();
     }
 
@@ -730,13 +2791,22 @@
     //  SWAP PANES
     // ─────────────────────────────────────────────────────────
     swapBtn.addEventListener('click', () => {
+        if (fileEntries.length > 0) {
+            fileSets = { Left: fileSets.Right, Right: fileSets.Left };
+            buildFileTree(activeFileEntry?.path);
+            showToast('File sets swapped', 'info', 1400);
+            return;
+        }
         const tmp = editorLeft.value;
         editorLeft.value = editorRight.value;
         editorRight.value = tmp;
         const tmpName = fileNameLeft.textContent;
         fileNameLeft.textContent = fileNameRight.textContent;
         fileNameRight.textContent = tmpName;
-        if (editorLeft.value.trim() && editorRight.value.trim()) runCompare(false);
+        const leftSource = paneSources.get(editorLeft);
+        setPaneSource(editorLeft, paneSources.get(editorRight));
+        setPaneSource(editorRight, leftSource);
+        if (canCompare()) runCompare(false);
         else clearDiffOutput();
         showToast('Panes swapped', 'info', 1400);
     });
@@ -744,14 +2814,16 @@
     // ─────────────────────────────────────────────────────────
     //  VIEW MODE TOGGLE
     // ─────────────────────────────────────────────────────────
-    viewSideBySide.addEventListener('click', () => setViewMode('sidebyside'));
-    viewInline.addEventListener('click', () => setViewMode('inline'));
+    viewButtons.forEach(btn => btn.addEventListener('click', () => setViewMode(btn.dataset.view)));
 
     function setViewMode(mode) {
+        if (mode !== 'hex' && hasBinaryPane()) {
+            showToast('Binary files can only be compared in the Hex view', 'info');
+            return;
+        }
         currentViewMode = mode;
-        viewSideBySide.classList.toggle('active', mode === 'sidebyside');
-        viewInline.classList.toggle('active', mode === 'inline');
-        if (editorLeft.value.trim() && editorRight.value.trim()) runCompare(false);
+        viewButtons.forEach(btn => btn.classList.toggle('active', btn.dataset.view === mode));
+        if (canCompare()) runCompare(false);
     }
 
     // ─────────────────────────────────────────────────────────
@@ -771,10 +2843,11 @@
     //  COPY DIFF
     // ─────────────────────────────────────────────────────────
     copyDiffBtn.addEventListener('click', async () => {
-        if (!lastPlainText) return;
+        if (!lastPlainText && !mergeState) return;
+        const message = mergeState ? mergeExportMessage('Merged result copied') : 'Diff copied to clipboard';
         try {
             await navigator.clipboard.writeText(lastPlainText);
-            showToast('Diff copied to clipboard', 'success');
+            showToast(message, 'success');
         } catch {
             const ta = document.createElement('textarea');
             ta.value = lastPlainText;
@@ -783,7 +2856,7 @@
             ta.select();
             document.execCommand('copy');
             ta.remove();
-            showToast('Diff copied to clipboard', 'success');
+            showToast(message, 'success');
         }
     });
 
@@ -791,17 +2864,92 @@
     //  DOWNLOAD DIFF
     // ─────────────────────────────────────────────────────────
     downloadBtn.addEventListener('click', () => {
-        if (!lastPlainText) return;
-        const blob = new Blob([lastPlainText], { type: 'text/plain' });
+        if (!lastPlainText && !mergeState) return;
+        const merged = !!mergeState;
+        const blob = new Blob([lastPlainText], { type: merged || jsonResult || tableResult ? 'text/plain' : 'text/x-diff' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        if (merged) a.download = paneFileName(fileNameBase, paneFileName(fileNameLeft, 'merged.txt'));
+        else a.download = `codediff-${Date.now()}${jsonResult ? '-json.txt' : tableResult ? '-table.txt' : '.diff'}`;
+        a.click();
+        URL.revokeObjectURL(url);
+        showToast(merged ? mergeExportMessage('Merged result downloaded') : 'Diff downloaded', 'success');
+    });
+
+    // ─────────────────────────────────────────────────────────
+    //  EXPORT HTML REPORT
+    //  The line diff re-rendered without expand buttons and wrapped by
+    //  HtmlReport into one offline file, in the current theme and view
+    // ─────────────────────────────────────────────────────────
+    const IGNORE_RULE_LABELS = {
+        ignoreWhitespace: 'whitespace',
+        ignoreTrailingWhitespace: 'trailing whitespace',
+        ignoreCase: 'case',
+        ignoreBlankLines: 'blank lines',
+        ignoreLineEndings: 'line endings'
+    };
+
+    const selectedLabel = sel => sel.options[sel.selectedIndex]?.textContent.trim() || sel.value;
+
+    // The settings behind the diff, as the report header lists them
+    function reportOptions(patch) {
+        const rules = ignoreRules();
+        const ignored = Object.keys(IGNORE_RULE_LABELS).filter(name => rules[name]).map(name => IGNORE_RULE_LABELS[name]);
+        ignored.push(...rules.masks.map(m => `/${m}/`));
+        const context = displayContext();
+
+        const options = {};
+        if (!patch) {
+            options.Format = FormatEngine.label(formatSel.value);
+            options.Algorithm = selectedLabel(diffAlgorithmSel);
+            if (ignored.length > 0) options.Ignoring = ignored.join(', ');
+        }
+        options.Highlight = selectedLabel(granularitySel);
+        options.View = currentViewMode === 'sidebyside' ? 'Side by side' : 'Inline';
+        options.Context = context === Infinity ? 'Full file' : `${context === undefined ? contextLinesInput.defaultValue : context} lines`;
+        if (showInvisiblesChk.checked) options.Invisibles = 'shown';
+        return options;
+    }
+
+    exportHtmlBtn.addEventListener('click', () => {
+        if (diffSources.length === 0) return;
+        const patch = patchModeChk.checked;
+        const render = source => source.note
+            ? `<p class="report-note">${DiffEngine.escape(source.note)}</p>`
+            : DiffEngine.render(source.hunks, currentViewMode, { ...source.options, context: displayContext(), expandable: false });
+
+        const leftName = patch ? paneFileName(fileNameLeft, 'patch') : paneFileName(fileNameLeft, 'Original');
+        const rightName = patch ? `${diffSources.length} file${diffSources.length !== 1 ? 's' : ''}` : paneFileName(fileNameRight, 'Modified');
+        const stats = { added: 0, removed: 0, changed: 0, moved: 0, whitespace: 0 };
+        for (const source of diffSources) for (const k of Object.keys(stats)) stats[k] += source.stats[k] || 0;
+
+        const html = HtmlReport.build({
+            title: patch ? `Patch — ${leftName}` : undefined,
+            leftName,
+            rightName,
+            stats,
+            body: patch ? undefined : render(diffSources[0]),
+            sections: patch ? diffSources.map(source => ({ title: source.title, stats: source.stats, body: render(source) })) : undefined,
+            options: reportOptions(patch),
+            theme: document.documentElement.getAttribute('data-theme') === 'light' ? 'light' : 'dark'
+        });
+
+        const blob = new Blob([html], { type: 'text/html' });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `codediff-${Date.now()}.diff`;
+        a.download = `codediff-report-${Date.now()}.html`;
         a.click();
         URL.revokeObjectURL(url);
-        showToast('Diff downloaded', 'success');
+        showToast('HTML report downloaded', 'success');
     });
 
+    function mergeExportMessage(message) {
+        const open = unresolvedConflicts();
+        return open ? `${message} — ${open} unresolved conflict${open !== 1 ? 's' : ''} kept as conflict markers` : message;
+    }
+
     // ─────────────────────────────────────────────────────────
     //  HORIZONTAL PANE RESIZER
     // ─────────────────────────────────────────────────────────
@@ -957,12 +3105,24 @@
         // Ctrl+D → Download diff
         if (e.ctrlKey && e.key === 'd' && !inInput) { e.preventDefault(); if (!downloadBtn.disabled) downloadBtn.click(); return; }
 
+        // Alt+↓ / F7 → next change, Alt+↑ / Shift+F7 → previous
+        if (e.key === 'F7' || (e.altKey && !inInput && (e.key === 'ArrowDown' || e.key === 'ArrowUp'))) {
+            if (changeBlocks.length === 0 && !hexState) return;
+            e.preventDefault();
+            stepChange(e.key === 'ArrowUp' || (e.key === 'F7' && e.shiftKey) ? -1 : 1);
+            return;
+        }
+
         // ? → Shortcuts modal
         if (e.key === '?' && !inInput) { openShortcuts(); return; }
 
         // Esc → close modal or search bars
         if (e.key === 'Escape') {
             closeShortcutsModal();
+            closeApplyPatchModal();
+            closeShareModal();
+            closeShareUnlockModal();
+            closeHistoryModal();
             if (searchLeft.isOpen()) searchLeft.close();
             if (searchRight.isOpen()) searchRight.close();
         }
@@ -1019,6 +3179,465 @@
     editorLeft.addEventListener('paste', onPaste);
     editorRight.addEventListener('paste', onPaste);
 
+    // ─────────────────────────────────────────────────────────
+    //  SHARE LINKS
+    //  The panes, file names and options packed into the URL fragment
+    //  by ShareLink — the fragment never leaves the browser. Opening
+    //  such a link restores that state instead of the sample.
+    // ─────────────────────────────────────────────────────────
+    const SHARE_WARN_LENGTH = 8000;        // chat and mail apps start cutting links off around here
+    const SHARE_MAX_LENGTH = 2 * 1024 * 1024;   // the longest URL Chrome accepts
+    const VIEW_MODES = ['sidebyside', 'inline', 'hex', ...JSON_VIEWS];
+    let pendingShareHash = null;           // an encrypted link waiting for its passphrase
+
+    // Both panes, their file names and every option — what share links and the history save
+    function pageState() {
+        const merge = mergeModeChk.checked;
+        return {
+            left: editorLeft.value,
+            right: editorRight.value,
+            base: merge ? editorBase.value : undefined,
+            names: {
+                left: paneFileName(fileNameLeft, ''),
+                right: paneFileName(fileNameRight, ''),
+                base: merge ? paneFileName(fileNameBase, '') : undefined
+            },
+            options: {
+                mode: patchModeChk.checked ? 'patch' : merge ? 'merge' : 'diff',
+                ignore: ignoreRules(),
+                format: formatSel.value,
+                sortKeys: jsonIgnoreKeyOrderChk.checked,
+                arrays: jsonArrayModeSel.value,
+                arrayKey: jsonArrayKeyInput.value,
+                tolerance: jsonToleranceInput.value,
+                tableHeader: tableHeaderChk.checked,
+                algorithm: diffAlgorithmSel.value,
+                granularity: granularitySel.value,
+                syntax: syntaxSel.value,
+                view: currentViewMode,
+                context: contextLinesInput.value,
+                fullFile: showFullFileChk.checked,
+                invisibles: showInvisiblesChk.checked
+            }
+        };
+    }
+
+    // Only values the controls offer are taken from a link
+    function setSelect(sel, value) {
+        if ([...sel.options].some(opt => opt.value === value)) sel.value = value;
+    }
+
+    function applyPageState(state) {
+        const o = state.options && typeof state.options === 'object' ? state.options : {};
+        const names = state.names && typeof state.names === 'object' ? state.names : {};
+        const text = value => (typeof value === 'string' ? value : '');
+
+        historyId = null;
+        closeFileTree();
+        patchModeChk.checked = o.mode === 'patch';
+        mergeModeChk.checked = o.mode === 'merge';
+        applyModeUI();
+
+        if (o.ignore && typeof o.ignore === 'object') setIgnoreRules(o.ignore);
+        setSelect(formatSel, o.format);
+        jsonIgnoreKeyOrderChk.checked = !!o.sortKeys;
+        setSelect(jsonArrayModeSel, o.arrays);
+        jsonArrayKeyInput.value = text(o.arrayKey);
+        if (text(o.tolerance) !== '') jsonToleranceInput.value = text(o.tolerance);
+        tableHeaderChk.checked = o.tableHeader !== false;
+        setSelect(diffAlgorithmSel, o.algorithm);
+        setSelect(granularitySel, o.granularity);
+        setSelect(syntaxSel, o.syntax);
+        if (parseInt(o.context, 10) >= 0) contextLinesInput.value = parseInt(o.context, 10);
+        showFullFileChk.checked = !!o.fullFile;
+        contextLinesInput.disabled = showFullFileChk.checked;
+        showInvisiblesChk.checked = !!o.invisibles;
+        if (VIEW_MODES.includes(o.view)) currentViewMode = o.view;
+        applyFormatUI();
+        viewButtons.forEach(btn => btn.classList.toggle('active', btn.dataset.view === currentViewMode));
+
+        const panes = [
+            [editorLeft, fileNameLeft, state.left, names.left],
+            [editorRight, fileNameRight, state.right, names.right],
+            [editorBase, fileNameBase, state.base, names.base]
+        ];
+        for (const [editor, fileNameEl, value, name] of panes) {
+            editor.value = text(value);
+            setPaneSource(editor, null);
+            fileNameEl.textContent = text(name) || (editor.value ? 'Pasted text' : 'No file loaded');
+            const hint = editor.closest('.drop-zone')?.querySelector('.drop-zone-hint');
+            if (hint) hint.style.opacity = editor.value ? '0' : '';
+        }
+        searchLeft?.refresh();
+        searchRight?.refresh();
+
+        if (canCompare()) runCompare(false);
+        else clearDiffOutput();
+    }
+
+    async function openSharedLink(hash, passphrase) {
+        try {
+            applyPageState(await ShareLink.decode(hash, passphrase));
+            showToast('Shared diff loaded', 'success');
+            return true;
+        } catch (err) {
+            // Called without awaiting on load and on hashchange: every error ends here
+            if (err.code === 'passphrase') {
+                pendingShareHash = hash;
+                openShareUnlock(passphrase ? err.message : '');
+                return false;
+            }
+            showToast(`Can't open the share link — ${err.message}`, 'error', 5000);
+            return false;
+        }
+    }
+
+    function openShareUnlock(error) {
+        shareUnlockError.textContent = error;
+        shareUnlockError.hidden = !error;
+        shareUnlockModal.style.display = 'flex';
+        shareUnlockInput.select();
+        shareUnlockInput.focus();
+    }
+    function closeShareUnlockModal() {
+        shareUnlockModal.style.display = 'none';
+        pendingShareHash = null;
+    }
+
+    function openShare() {
+        shareResult.hidden = true;
+        shareModal.style.display = 'flex';
+        sharePassphrase.focus();
+    }
+    function closeShareModal() { shareModal.style.display = 'none'; }
+
+    async function createShareLink() {
+        if (!editorLeft.value && !editorRight.value && !editorBase.value) {
+            showToast('Both panes are empty — nothing to share', 'info');
+            return;
+        }
+        if (hasBinaryPane()) {
+            showToast('Binary files can\'t be shared as a link — only text travels in it', 'info', 3500);
+            return;
+        }
+        let fragment;
+        try {
+            fragment = await ShareLink.encode(pageState(), sharePassphrase.value);
+        } catch (err) {
+            showToast(err.code ? err.message : `Can't create the link — ${err.message}`, 'error', 4000);
+            return;
+        }
+
+        const link = `${location.origin}${location.pathname}${location.search}#${fragment}`;
+        const tooLong = link.length > SHARE_MAX_LENGTH;
+        shareLinkOutput.value = tooLong ? '' : link;
+        shareCopy.disabled = tooLong;
+        shareSize.classList.toggle('share-too-long', tooLong);
+        shareSize.classList.toggle('share-warning', !tooLong && link.length > SHARE_WARN_LENGTH);
+        const encrypted = sharePassphrase.value ? ', encrypted' : '';
+        if (tooLong) {
+            shareSize.textContent = `⚠ This link would be ${link.length.toLocaleString('en')} characters — more than browsers accept. Share the files another way.`;
+        } else if (link.length > SHARE_WARN_LENGTH) {
+            shareSize.textContent = `⚠ ${link.length.toLocaleString('en')} characters${encrypted}. Links this long get cut off by many chat and mail apps — check it arrives whole, or share a file instead.`;
+        } else {
+            shareSize.textContent = `${link.length.toLocaleString('en')} characters${encrypted}.`;
+        }
+        shareResult.hidden = false;
+        if (!tooLong) shareLinkOutput.select();
+    }
+
+    shareBtn.addEventListener('click', openShare);
+    closeShare.addEventListener('click', closeShareModal);
+    shareModal.addEventListener('click', e => { if (e.target === shareModal) closeShareModal(); });
+    shareForm.addEventListener('submit', e => { e.preventDefault(); createShareLink(); });
+    // A link made with the old passphrase would no longer match the field
+    sharePassphrase.addEventListener('input', () => { shareResult.hidden = true; });
+
+    shareCopy.addEventListener('click', () => {
+        if (!shareLinkOutput.value) return;
+        navigator.clipboard.writeText(shareLinkOutput.value)
+            .then(() => showToast('Link copied', 'success'))
+            .catch(() => { shareLinkOutput.select(); showToast('Press Ctrl+C to copy the selected link', 'info'); });
+    });
+
+    closeShareUnlock.addEventListener('click', closeShareUnlockModal);
+    shareUnlockModal.addEventListener('click', e => { if (e.target === shareUnlockModal) closeShareUnlockModal(); });
+    shareUnlockForm.addEventListener('submit', async e => {
+        e.preventDefault();
+        const hash = pendingShareHash;
+        if (!hash || !shareUnlockInput.value) return;
+        shareUnlockModal.style.display = 'none';
+        if (await openSharedLink(hash, shareUnlockInput.value)) {
+            pendingShareHash = null;
+            shareUnlockInput.value = '';
+        }
+    });
+
+    // A share link pasted into the address bar of an open tab
+    window.addEventListener('hashchange', () => {
+        if (ShareLink.isShareLink(location.hash)) openSharedLink(location.hash);
+    });
+
+    // ─────────────────────────────────────────────────────────
+    //  HISTORY
+    //  With Record on (it starts off), each comparison is saved to
+    //  IndexedDB by HistoryStore a moment after it renders. Edits keep
+    //  updating the same entry; loading files, Clear All, a share link
+    //  or a reopened entry start another.
+    // ─────────────────────────────────────────────────────────
+    const HISTORY_LIMIT_KEY = 'codediff-history-limit';
+    const HISTORY_RECORD_KEY = 'codediff-history-record';
+    const HISTORY_MAX_LIMIT = 1000;
+    const HISTORY_SAVE_DELAY = 1500;       // ms after the last compare — typing doesn't write on every key
+    let historySaveTimer = null;
+    let historySaves = Promise.resolve();  // saves run one at a time, so two can't both add an entry
+    let historyEntries = [];               // HistoryStore.list() as last shown in the panel
+    let historyWarned = false;             // storage errors are reported once per page
+    let wipeArmTimer = null;
+
+    function historyLimit() {
+        const limit = parseInt(historyLimitInput.value, 10);
+        if (Number.isNaN(limit)) return parseInt(historyLimitInput.defaultValue, 10);
+        return Math.min(Math.max(limit, 1), HISTORY_MAX_LIMIT);
+    }
+
+    // "a.js ↔ b.js" from the file names, else the first line of code
+    function historyName(state) {
+        const left = state.names.left, right = state.names.right;
+        if (left && right && left !== right) return `${left} ↔ ${right}`;
+        if (left || right) return left || right;
+        const line = (state.left + '\n' + state.right).split('\n').find(l => l.trim());
+        return line ? line.trim().slice(0, 60) : 'Untitled';
+    }
+
+    function historyFailed(err) {
+        console.error('[Codediff] History error:', err);
+        if (historyWarned) return;
+        historyWarned = true;
+        showToast(`History isn't available — ${err.message}`, 'error', 4000);
+    }
+
+    function scheduleHistorySave() {
+        clearTimeout(historySaveTimer);
+        if (!historyRecordChk.checked) { historySaveTimer = null; return; }
+        historySaveTimer = setTimeout(() => { historySaves = historySaves.then(saveHistory); }, HISTORY_SAVE_DELAY);
+    }
+
+    async function saveHistory() {
+        // The history keeps texts; binary files are not saved
+        if (!historyRecordChk.checked || !canCompare() || hasBinaryPane()) return;
+        const state = pageState();
+        if (state.left === SAMPLE_LEFT && state.right === SAMPLE_RIGHT) return;
+        const name = historyName(state);
+        try {
+            const entry = historyId !== null && await HistoryStore.update(historyId, record => (
+                record.customName ? { state, stats: lastStats } : { name, state, stats: lastStats }
+            ));
+            // Deleted from the panel (or another tab) meanwhile — save it afresh
+            if (!entry) {
+                historyId = await HistoryStore.add({ name, state, stats: lastStats });
+                await HistoryStore.prune(historyLimit());
+            }
+            if (historyModal.style.display === 'flex') loadHistory();
+        } catch (err) {
+            historyFailed(err);
+        }
+    }
+
+    async function loadHistory() {
+        try {
+            historyEntries = await HistoryStore.list();
+        } catch (err) {
+            historyEntries = [];
+            historyFailed(err);
+        }
+        renderHistory();
+    }
+
+    function historyMatches(entry, query) {
+        const { state } = entry;
+        return [entry.name, state.names?.left, state.names?.right, state.names?.base, state.left, state.right, state.base]
+            .some(value => typeof value === 'string' && value.toLowerCase().includes(query));
+    }
+
+    function historyMeta(entry) {
+        const parts = [new Date(entry.updated).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })];
+        const mode = entry.state.options?.mode;
+        if (mode === 'patch') parts.push('Patch');
+        else if (mode === 'merge') parts.push('3-way merge');
+        const stats = entry.stats;
+        if (stats && mode !== 'merge') parts.push(`+${stats.added || 0} −${stats.removed || 0} ~${stats.changed || 0}${stats.whitespace ? ` ␣${stats.whitespace}` : ''}`);
+        return parts.join(' · ');
+    }
+
+    function renderHistory() {
+        const esc = DiffEngine.escape;
+        const query = historySearch.value.trim().toLowerCase();
+        const shown = query ? historyEntries.filter(e => historyMatches(e, query)) : historyEntries;
+
+        historyList.innerHTML = shown.map(e => `
+        <li class="history-item${e.pinned ? ' history-pinned' : ''}${e.id === historyId ? ' history-current' : ''}" data-history-id="${e.id}">
+          <button class="history-open" data-history-action="open" title="Reopen this comparison">
+            <span class="history-name">${e.pinned ? '📌 ' : ''}${esc(e.name)}</span>
+            <span class="history-meta">${esc(historyMeta(e))}</span>
+          </button>
+          <button class="btn btn-sm btn-ghost" data-history-action="pin" aria-pressed="${e.pinned}"
+            title="${e.pinned ? 'Let the retention limit delete it again' : 'Keep it regardless of the retention limit'}">${e.pinned ? 'Unpin' : 'Pin'}</button>
+          <button class="btn btn-sm btn-ghost" data-history-action="rename">Rename</button>
+          <button class="btn btn-sm btn-ghost" data-history-action="delete">Delete</button>
+        </li>`).join('');
+
+        historyEmpty.hidden = shown.length > 0;
+        historyEmpty.textContent = historyEntries.length === 0
+            ? historyRecordChk.checked
+                ? 'Nothing saved yet — comparisons appear here as you make them.'
+                : 'Nothing saved — tick Record to keep comparisons here as you make them.'
+            : 'No saved comparison matches the search.';
+        const pinned = historyEntries.filter(e => e.pinned).length;
+        historyUsage.textContent = `${historyEntries.length} saved${pinned ? `, ${pinned} pinned` : ''}`;
+    }
+
+    function openHistory() {
+        historyModal.style.display = 'flex';
+        loadHistory();
+        historySearch.focus();
+    }
+    function closeHistoryModal() {
+        historyModal.style.display = 'none';
+        disarmWipe();
+    }
+
+    async function openHistoryEntry(id) {
+        const entry = await HistoryStore.get(id);
+        if (!entry) { loadHistory(); return; }
+        applyPageState(entry.state);
+        historyId = id;
+        closeHistoryModal();
+        showToast(`Opened “${entry.name}”`, 'success');
+    }
+
+    function startRename(item) {
+        const entry = historyEntries.find(e => e.id === Number(item.dataset.historyId));
+        const nameEl = item.querySelector('.history-name');
+        if (!entry || !nameEl) return;
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'history-rename';
+        input.value = entry.name;
+        input.setAttribute('aria-label', 'Name');
+        item.querySelector('.history-open').replaceWith(input);
+        input.select();
+        input.focus();
+
+        let done = false;
+        const finish = async save => {
+            if (done) return;
+            done = true;
+            const name = input.value.trim();
+            // An emptied name goes back to the automatic one
+            if (save && name !== entry.name) {
+                const changes = name ? { name, customName: true } : { name: historyName(entry.state), customName: false };
+                await HistoryStore.update(entry.id, changes, false).catch(historyFailed);
+            }
+            loadHistory();
+        };
+        input.addEventListener('keydown', e => {
+            if (e.key === 'Enter') { e.preventDefault(); finish(true); }
+            // Esc cancels the rename, not the whole panel
+            if (e.key === 'Escape') { e.stopPropagation(); finish(false); }
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+
+    function disarmWipe() {
+        clearTimeout(wipeArmTimer);
+        wipeArmTimer = null;
+        wipeLocalDataBtn.classList.remove('history-wipe-armed');
+        wipeLocalDataBtn.textContent = 'Wipe All Local Data';
+    }
+
+    // History, ignore presets and saved settings — everything Codediff keeps in this browser
+    async function wipeLocalData() {
+        clearTimeout(historySaveTimer);
+        historySaveTimer = null;
+        try {
+            await HistoryStore.wipe();
+        } catch (err) {
+            showToast(`Could not delete the history — ${err.message}`, 'error', 4000);
+            return;
+        }
+        try {
+            Object.keys(localStorage).filter(key => key.startsWith('codediff-')).forEach(key => localStorage.removeItem(key));
+        } catch { /* sandboxed */ }
+        historyId = null;
+        // The opt-in went with the settings — a wipe shouldn't start refilling the history
+        historyRecordChk.checked = false;
+        fillIgnorePresets();
+        loadHistory();
+        showToast('All local data wiped — history, ignore presets and settings', 'success', 3500);
+    }
+
+    historyBtn.addEventListener('click', openHistory);
+    closeHistory.addEventListener('click', closeHistoryModal);
+    historyModal.addEventListener('click', e => { if (e.target === historyModal) closeHistoryModal(); });
+    historySearch.addEventListener('input', renderHistory);
+
+    historyList.addEventListener('click', async e => {
+        const action = e.target.closest('[data-history-action]')?.dataset.historyAction;
+        const item = e.target.closest('[data-history-id]');
+        if (!action || !item) return;
+        const id = Number(item.dataset.historyId);
+        const entry = historyEntries.find(en => en.id === id);
+        try {
+            if (action === 'open') {
+                await openHistoryEntry(id);
+            } else if (action === 'pin' && entry) {
+                await HistoryStore.update(id, { pinned: !entry.pinned }, false);
+                // Unpinning can put it past the limit
+                if (entry.pinned) await HistoryStore.prune(historyLimit());
+                loadHistory();
+            } else if (action === 'rename') {
+                startRename(item);
+            } else if (action === 'delete') {
+                await HistoryStore.remove(id);
+                if (id === historyId) historyId = null;
+                loadHistory();
+            }
+        } catch (err) {
+            historyFailed(err);
+        }
+    });
+
+    historyRecordChk.addEventListener('change', () => {
+        try { localStorage.setItem(HISTORY_RECORD_KEY, historyRecordChk.checked ? '1' : '0'); } catch { /* sandboxed */ }
+        if (!historyRecordChk.checked) clearTimeout(historySaveTimer);
+        renderHistory();
+    });
+
+    historyLimitInput.addEventListener('change', async () => {
+        historyLimitInput.value = historyLimit();
+        try { localStorage.setItem(HISTORY_LIMIT_KEY, historyLimitInput.value); } catch { /* sandboxed */ }
+        try {
+            const removed = await HistoryStore.prune(historyLimit());
+            if (removed) showToast(`${removed} older comparison${removed !== 1 ? 's' : ''} deleted`, 'info');
+        } catch (err) {
+            historyFailed(err);
+        }
+        loadHistory();
+    });
+
+    // Two clicks: the first arms the button for a few seconds
+    wipeLocalDataBtn.addEventListener('click', () => {
+        if (!wipeArmTimer) {
+            wipeLocalDataBtn.classList.add('history-wipe-armed');
+            wipeLocalDataBtn.textContent = 'Click again to wipe everything';
+            wipeArmTimer = setTimeout(disarmWipe, 4000);
+            return;
+        }
+        disarmWipe();
+        wipeLocalData();
+    });
+
     // ─────────────────────────────────────────────────────────
     //  SAMPLE CODE (first visit only)
     // ─────────────────────────────────────────────────────────
@@ -1073,10 +3692,29 @@ function calculateCircumference(radius) {
 
     function init() {
         // Sync View Mode UI classes
-        viewSideBySide.classList.toggle('active', currentViewMode === 'sidebyside');
-        viewInline.classList.toggle('active', currentViewMode === 'inline');
-
-        setTimeout(loadSample, 100);
+        viewButtons.forEach(btn => btn.classList.toggle('active', btn.dataset.view === currentViewMode));
+        applyModeUI();
+        applyFormatUI();
+        fillIgnorePresets();
+        try {
+            const stored = localStorage.getItem(ALGORITHM_KEY);
+            if (DiffEngine.algorithms.includes(stored)) diffAlgorithmSel.value = stored;
+            const granularity = localStorage.getItem(GRANULARITY_KEY);
+            if (DiffEngine.granularities.includes(granularity)) granularitySel.value = granularity;
+            const syntax = localStorage.getItem(SYNTAX_KEY);
+            if (syntax === 'auto' || syntax === 'text' || SyntaxHighlight.languages.includes(syntax)) syntaxSel.value = syntax;
+            const context = parseInt(localStorage.getItem(CONTEXT_KEY), 10);
+            if (context >= 0) contextLinesInput.value = context;
+            showInvisiblesChk.checked = localStorage.getItem(INVISIBLES_KEY) === '1';
+            const limit = parseInt(localStorage.getItem(HISTORY_LIMIT_KEY), 10);
+            if (limit >= 1) historyLimitInput.value = Math.min(limit, HISTORY_MAX_LIMIT);
+            // Opt-in: pasted text can hold secrets that shouldn't be kept unasked
+            historyRecordChk.checked = localStorage.getItem(HISTORY_RECORD_KEY) === '1';
+        } catch { /* sandboxed */ }
+
+        // A share link brings its own content; the sample is for empty first visits
+        if (ShareLink.isShareLink(location.hash)) openSharedLink(location.hash);
+        else setTimeout(loadSample, 100);
     }
 
     if (document.readyState === 'loading') {
@@ -0,0 +1,201 @@
+/**
+ * Codediff — Merge Engine
+ *
+ * diff3-style three-way merge. Both sides ("mine" = left, "theirs" =
+ * right) are diffed against the common ancestor (base) with DiffEngine's
+ * line edit script; regions where only one side changed are merged
+ * automatically, regions where both sides changed differently become
+ * conflicts.
+ *
+ * Lines are always compared exactly — a merge must never drop a change,
+ * so the Ignore Whitespace option does not apply here.
+ */
+
+(function MergeEngineModule() {
+    'use strict';
+
+    // ───────────────────────────────────────────────────────────
+    //  DEPENDENCIES
+    //  Globals in the page and the diff worker (`self`, no `window`);
+    //  required modules under Node and bundlers
+    // ───────────────────────────────────────────────────────────
+    const isModule = typeof module === 'object' && module !== null && !!module.exports;
+    const scope = isModule ? null : typeof window !== 'undefined' ? window : self;
+    const DiffEngine = isModule ? require('./diff-engine.js') : scope.DiffEngine;
+
+    // ───────────────────────────────────────────────────────────
+    //  CONSTANTS
+    // ───────────────────────────────────────────────────────────
+    const MARKERS = {
+        left: '<<<<<<< mine',
+        base: '||||||| base',
+        sep: '=======',
+        right: '>>>>>>> theirs'
+    };
+
+    // ───────────────────────────────────────────────────────────
+    //  UTILITY: Base → side line matches
+    //  match[i] is the index of the side line equal to base line i, or -1.
+    // ───────────────────────────────────────────────────────────
+    function matchBase(base, side, eol, algorithm) {
+        const match = new Int32Array(base.length).fill(-1);
+        for (const e of DiffEngine.diffEdits(base, side, { eol, algorithm })) {
+            if (e.type === 'equal') match[e.li] = e.ri;
+        }
+        return match;
+    }
+
+    function sameLines(a, b) {
+        if (a.length !== b.length) return false;
+        for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return false;
+        return true;
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  DIFF3
+    //  Walks base, left and right in step. A "stable" run is a stretch of
+    //  base lines matched at the current position on both sides; whatever
+    //  lies between two stable runs is an unstable chunk, classified by
+    //  which side(s) changed it.
+    // ───────────────────────────────────────────────────────────
+    function merge(baseText, leftText, rightText, options = {}) {
+        const base = DiffEngine.splitLines(baseText);
+        const left = DiffEngine.splitLines(leftText);
+        const right = DiffEngine.splitLines(rightText);
+        const eol = {
+            base: DiffEngine.endsWithNewline(baseText),
+            left: DiffEngine.endsWithNewline(leftText),
+            right: DiffEngine.endsWithNewline(rightText)
+        };
+
+        const mL = matchBase(base, left, { left: eol.base, right: eol.left }, options.algorithm);
+        const mR = matchBase(base, right, { left: eol.base, right: eol.right }, options.algorithm);
+
+        const chunks = [];
+        let i = 0, j = 0, k = 0;
+
+        const push = chunk => {
+            // Adjacent stable chunks read better as one
+            const prev = chunks[chunks.length - 1];
+            if (chunk.type === 'stable' && prev && prev.type === 'stable') {
+                prev.base.push(...chunk.base);
+                prev.left.push(...chunk.left);
+                prev.right.push(...chunk.right);
+                return;
+            }
+            chunks.push(chunk);
+        };
+
+        while (i < base.length || j < left.length || k < right.length) {
+            let t = 0;
+            while (i + t < base.length && mL[i + t] === j + t && mR[i + t] === k + t) t++;
+            if (t > 0) {
+                const lines = base.slice(i, i + t);
+                push({ type: 'stable', base: lines, left: lines.slice(), right: lines.slice(), baseStart: i, leftStart: j, rightStart: k });
+                i += t; j += t; k += t;
+                continue;
+            }
+
+            // Next base line both sides still have — the end of this chunk
+            let next = i;
+            while (next < base.length && (mL[next] < 0 || mR[next] < 0)) next++;
+            const lEnd = next < base.length ? mL[next] : left.length;
+            const rEnd = next < base.length ? mR[next] : right.length;
+
+            push(classify(
+                base.slice(i, next), left.slice(j, lEnd), right.slice(k, rEnd),
+                { baseStart: i, leftStart: j, rightStart: k }
+            ));
+            i = next; j = lEnd; k = rEnd;
+        }
+
+        // The trailing newline merges like a line of its own (with only two
+        // states, both sides changing it means they agree)
+        const resultEol = eol.left !== eol.base ? eol.left : eol.right;
+
+        const conflicts = chunks.filter(c => c.type === 'conflict').length;
+        const autoMerged = chunks.filter(c => c.type !== 'stable' && c.type !== 'conflict').length;
+
+        return { chunks, conflicts, autoMerged, eol: resultEol };
+    }
+
+    function classify(base, left, right, pos) {
+        const leftChanged = !sameLines(base, left);
+        const rightChanged = !sameLines(base, right);
+        let type;
+        if (leftChanged && rightChanged) type = sameLines(left, right) ? 'both' : 'conflict';
+        else if (leftChanged) type = 'left';
+        else if (rightChanged) type = 'right';
+        else type = 'stable';
+        return Object.assign({ type, base, left, right }, pos);
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  RESULT
+    // ───────────────────────────────────────────────────────────
+    /**
+     * Lines a chunk contributes to the merged result. Unresolved
+     * conflicts are written out with diff3-style conflict markers.
+     */
+    function chunkLines(chunk, resolution) {
+        switch (chunk.type) {
+            case 'stable': return chunk.base;
+            case 'left':
+            case 'both': return chunk.left;
+            case 'right': return chunk.right;
+        }
+        if (resolution) return resolution;
+        return [
+            MARKERS.left, ...chunk.left,
+            MARKERS.base, ...chunk.base,
+            MARKERS.sep, ...chunk.right,
+            MARKERS.right
+        ];
+    }
+
+    function result(mergeResult, resolutions = new Map()) {
+        const lines = [];
+        mergeResult.chunks.forEach((chunk, idx) => lines.push(...chunkLines(chunk, resolutions.get(idx))));
+        if (lines.length === 0) return '';
+        return lines.join('\n') + (mergeResult.eol ? '\n' : '');
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  PUBLIC API
+    // ───────────────────────────────────────────────────────────
+    const MergeEngine = {
+        /**
+         * Three-way merge of left ("mine") and right ("theirs") against base.
+         * @param {string} baseText
+         * @param {string} leftText
+         * @param {string} rightText
+         * @param {{ algorithm?: string }} [options] diff algorithm, see DiffEngine.diffEdits()
+         * @returns {{ chunks: Array<{ type: 'stable'|'left'|'right'|'both'|'conflict',
+         *           base: string[], left: string[], right: string[],
+         *           baseStart: number, leftStart: number, rightStart: number }>,
+         *           conflicts: number, autoMerged: number, eol: boolean }}
+         */
+        merge,
+
+        /**
+         * Lines one chunk contributes to the result.
+         * @param {object} chunk
+         * @param {string[]} [resolution] chosen lines for a conflict
+         * @returns {string[]}
+         */
+        chunkLines,
+
+        /**
+         * Merged text. `resolutions` maps chunk index → chosen lines;
+         * conflicts without one keep their conflict markers.
+         * @param {object} mergeResult  from merge()
+         * @param {Map<number, string[]>} [resolutions]
+         * @returns {string}
+         */
+        result
+    };
+
+    if (isModule) module.exports = MergeEngine;
+    else scope.MergeEngine = MergeEngine;
+
+})();
@@ -0,0 +1,470 @@
+/**
+ * Codediff — Patch Engine
+ *
+ * Parses unified diff text (plain `diff -u` output or multi-file
+ * `git diff` / `git format-patch` output) into the same per-line hunk
+ * structure DiffEngine.run() produces, so the regular renderers and
+ * stats work on it. Understands:
+ *  - `diff --git` headers, `---` / `+++` file headers, `@@` hunks
+ *  - new / deleted files, renames, copies and mode changes
+ *  - binary markers (`Binary files … differ`, `GIT binary patch`)
+ *  - "\ No newline at end of file"
+ *
+ * apply() puts a parsed file's hunks onto text with GNU patch's offset
+ * and fuzz matching, reporting where each hunk landed or that it didn't.
+ *
+ * Parse errors are thrown as SyntaxError with a 1-based `line` property
+ * pointing at the offending line of the input.
+ */
+
+(function PatchEngineModule() {
+    'use strict';
+
+    // ───────────────────────────────────────────────────────────
+    //  CONSTANTS
+    // ───────────────────────────────────────────────────────────
+    const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/;
+    const DEV_NULL = '/dev/null';
+
+    // ───────────────────────────────────────────────────────────
+    //  UTILITY: Errors
+    // ───────────────────────────────────────────────────────────
+    function parseError(line, message) {
+        const err = new SyntaxError(`Line ${line}: ${message}`);
+        err.line = line;
+        return err;
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  UTILITY: File names
+    // ───────────────────────────────────────────────────────────
+    function unquote(name) {
+        if (!name.startsWith('"') || !name.endsWith('"') || name.length < 2) return name;
+        // git C-style quoting for names with special characters
+        return name.slice(1, -1).replace(/\\(["\\tn])/g, (_, c) => ({ t: '\t', n: '\n' })[c] || c);
+    }
+
+    // `--- a/src/x.js\t2024-01-01 10:00:00` → 'src/x.js' (null for /dev/null)
+    function headerName(raw, prefix) {
+        let name = raw.split('\t')[0].trim();
+        name = unquote(name);
+        if (name === DEV_NULL) return null;
+        if (name.startsWith(prefix)) name = name.slice(prefix.length);
+        return name;
+    }
+
+    // `diff --git a/x b/y` is ambiguous when names contain spaces; prefer
+    // the split where both halves name the same file, as git itself does
+    function gitHeaderNames(rest) {
+        if (rest.startsWith('"')) {
+            const m = rest.match(/^("(?:[^"\\]|\\.)*")\s+(.+)$/);
+            if (m) return [headerName(m[1], 'a/'), headerName(m[2], 'b/')];
+        }
+        const half = (rest.length - 1) / 2;
+        if (Number.isInteger(half) && rest[half] === ' ') {
+            const a = rest.slice(0, half), b = rest.slice(half + 1);
+            if (a.startsWith('a/') && b.startsWith('b/') && a.slice(2) === b.slice(2)) return [a.slice(2), b.slice(2)];
+        }
+        const idx = rest.lastIndexOf(' b/');
+        if (idx > 0) return [headerName(rest.slice(0, idx), 'a/'), headerName(rest.slice(idx + 1), 'b/')];
+        return [null, null];
+    }
+
+    function newFile(line) {
+        return {
+            oldName: null,
+            newName: null,
+            status: 'modified',
+            oldMode: null,
+            newMode: null,
+            similarity: null,
+            binary: false,
+            line,               // 1-based line where the file section starts
+            patchHunks: []      // raw hunks: { oldStart, oldCount, newStart, newCount, heading, line, lines }
+        };
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  PARSER
+    // ───────────────────────────────────────────────────────────
+    // Split on LF only: a CR before it is hunk content (a CRLF file's line
+    // ending, or the whole change), so only header lines drop it
+    function parse(text) {
+        const lines = text.split('\n');
+        if (lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+
+        const files = [];
+        let file = null;
+        let inGitHeader = false;   // between `diff --git` and the first hunk
+
+        const startFile = lineNo => {
+            file = newFile(lineNo);
+            files.push(file);
+            return file;
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = withoutCr(lines[i]);   // headers, not content
+            const lineNo = i + 1;
+
+            if (line.startsWith('diff --git ')) {
+                startFile(lineNo);
+                [file.oldName, file.newName] = gitHeaderNames(line.slice(11));
+                inGitHeader = true;
+                continue;
+            }
+
+            if (inGitHeader) {
+                let m;
+                if ((m = line.match(/^old mode (\d+)$/))) { file.oldMode = m[1]; continue; }
+                if ((m = line.match(/^new mode (\d+)$/))) { file.newMode = m[1]; continue; }
+                if ((m = line.match(/^new file mode (\d+)$/))) { file.status = 'added'; file.newMode = m[1]; continue; }
+                if ((m = line.match(/^deleted file mode (\d+)$/))) { file.status = 'deleted'; file.oldMode = m[1]; continue; }
+                if ((m = line.match(/^(?:dis)?similarity index (\d+)%$/))) { file.similarity = +m[1]; continue; }
+                if ((m = line.match(/^rename from (.+)$/))) { file.status = 'renamed'; file.oldName = unquote(m[1]); continue; }
+                if ((m = line.match(/^rename to (.+)$/))) { file.status = 'renamed'; file.newName = unquote(m[1]); continue; }
+                if ((m = line.match(/^copy from (.+)$/))) { file.status = 'copied'; file.oldName = unquote(m[1]); continue; }
+                if ((m = line.match(/^copy to (.+)$/))) { file.status = 'copied'; file.newName = unquote(m[1]); continue; }
+                if ((m = line.match(/^index ([0-9a-f]+)\.\.([0-9a-f]+)(?: (\d+))?$/))) {
+                    if (m[3]) file.oldMode = file.newMode = m[3];
+                    continue;
+                }
+                if (line.startsWith('Binary files ') && line.endsWith(' differ')) { file.binary = true; continue; }
+                if (line === 'GIT binary patch') {
+                    file.binary = true;
+                    // literal/delta blocks run until the next file header
+                    while (i + 1 < lines.length && !lines[i + 1].startsWith('diff --git ')) i++;
+                    continue;
+                }
+            }
+
+            if (line.startsWith('--- ') && i + 1 < lines.length && lines[i + 1].startsWith('+++ ')) {
+                // Plain unified diffs have no `diff --git` line: each ---/+++ pair starts a file
+                if (!inGitHeader || !file) startFile(lineNo);
+                const oldName = headerName(line.slice(4), 'a/');
+                const newName = headerName(withoutCr(lines[i + 1]).slice(4), 'b/');
+                if (oldName === null) { file.status = 'added'; file.oldName = null; }
+                else if (!inGitHeader || !file.oldName) file.oldName = oldName;
+                if (newName === null) { file.status = 'deleted'; file.newName = null; }
+                else if (!inGitHeader || !file.newName) file.newName = newName;
+                inGitHeader = false;
+                i++;
+                continue;
+            }
+            if (line.startsWith('+++ ')) throw parseError(lineNo, '`+++` file header without a preceding `---` line');
+
+            if (line.startsWith('@@')) {
+                const m = line.match(HUNK_HEADER);
+                if (!m) throw parseError(lineNo, 'Malformed hunk header — expected `@@ -start,count +start,count @@`');
+                if (!file) startFile(lineNo);
+                inGitHeader = false;
+                i = parseHunk(lines, i, m, file);
+                continue;
+            }
+
+            // Anything else (commit message, email headers, `Only in …`,
+            // signature) sits outside of hunks and is ignored.
+        }
+
+        if (files.length === 0) {
+            throw parseError(1, 'No unified diff found — expected `diff --git`, `---`/`+++` or `@@` lines');
+        }
+
+        return files.map(finishFile);
+    }
+
+    // Reads the body of one hunk; returns the index of its last line
+    function parseHunk(lines, headerIdx, m, file) {
+        const hunk = {
+            oldStart: +m[1],
+            oldCount: m[2] === undefined ? 1 : +m[2],
+            newStart: +m[3],
+            newCount: m[4] === undefined ? 1 : +m[4],
+            heading: m[5] || '',
+            line: headerIdx + 1,
+            lines: []           // { op: ' '|'-'|'+', text, noEol }
+        };
+
+        const prev = file.patchHunks[file.patchHunks.length - 1];
+        if (prev && hunk.oldStart < prev.oldStart + prev.oldCount) {
+            throw parseError(hunk.line, `Hunk overlaps the previous hunk (which ends at line ${prev.oldStart + prev.oldCount - 1})`);
+        }
+
+        let oldLeft = hunk.oldCount;
+        let newLeft = hunk.newCount;
+        let i = headerIdx;
+
+        while (oldLeft > 0 || newLeft > 0) {
+            i++;
+            if (i >= lines.length) {
+                throw parseError(hunk.line, `Hunk is truncated — ${oldLeft} old and ${newLeft} new line(s) missing at end of input`);
+            }
+            const line = lines[i];
+            // Mailers strip the space of empty context lines
+            const bare = line === '' || line === '\r';
+            const op = bare ? ' ' : line[0];
+
+            if (op === '\\') { markNoEol(hunk); continue; }
+            if (op !== ' ' && op !== '-' && op !== '+') {
+                throw parseError(i + 1, `Unexpected line inside hunk — ${oldLeft} old and ${newLeft} new line(s) still expected`);
+            }
+            if ((op !== '+' && oldLeft === 0) || (op !== '-' && newLeft === 0)) {
+                throw parseError(i + 1, `Hunk has more lines than its header (@@ -${hunk.oldStart},${hunk.oldCount} +${hunk.newStart},${hunk.newCount} @@) declares`);
+            }
+
+            hunk.lines.push({ op, text: bare ? line : line.slice(1), noEol: false });
+            if (op !== '+') oldLeft--;
+            if (op !== '-') newLeft--;
+        }
+
+        // "\ No newline at end of file" follows the last line it applies to
+        if (i + 1 < lines.length && lines[i + 1].startsWith('\\')) { i++; markNoEol(hunk); }
+
+        // A diff line right after the declared end means the counts are wrong
+        // (`-- ` is the signature separator of `git format-patch` mails)
+        const after = i + 1 < lines.length ? withoutCr(lines[i + 1]) : undefined;
+        if (after && /^[ +-]/.test(after) && after !== '-- ' && !after.startsWith('--- ')) {
+            throw parseError(i + 2, `Hunk has more lines than its header (@@ -${hunk.oldStart},${hunk.oldCount} +${hunk.newStart},${hunk.newCount} @@) declares`);
+        }
+
+        file.patchHunks.push(hunk);
+        return i;
+    }
+
+    function withoutCr(line) {
+        return line.endsWith('\r') ? line.slice(0, -1) : line;
+    }
+
+    function markNoEol(hunk) {
+        const last = hunk.lines[hunk.lines.length - 1];
+        if (last) last.noEol = true;
+    }
+
+    // Convert raw hunks into DiffEngine hunks + stats
+    function finishFile(file) {
+        const edits = [];
+        const left = [];
+        const right = [];
+
+        for (const h of file.patchHunks) {
+            let li = h.oldCount === 0 ? h.oldStart : h.oldStart - 1;
+            let ri = h.newCount === 0 ? h.newStart : h.newStart - 1;
+            for (const l of h.lines) {
+                if (l.op === ' ') {
+                    left[li] = l.text; right[ri] = l.text;
+                    edits.push({ type: 'equal', li: li++, ri: ri++ });
+                } else if (l.op === '-') {
+                    left[li] = l.text;
+                    edits.push({ type: 'delete', li: li++, ri: -1 });
+                } else {
+                    right[ri] = l.text;
+                    edits.push({ type: 'insert', li: -1, ri: ri++ });
+                }
+            }
+        }
+
+        const hunks = DiffEngine.buildHunks(edits, left, right);
+        const modeChanged = !!(file.oldMode && file.newMode && file.oldMode !== file.newMode);
+
+        return Object.assign(file, {
+            name: file.newName || file.oldName || 'untitled',
+            modeChanged,
+            hunks,
+            stats: DiffEngine.computeStats(hunks)
+        });
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  APPLY
+    //  Hunks apply in order, the way GNU patch places them: each is
+    //  looked for where its header says (shifted by the offset the
+    //  previous hunk needed), then ever further above and below. If the
+    //  old lines are nowhere, the search repeats with up to `fuzz`
+    //  context lines dropped from the top and bottom of the hunk. A hunk
+    //  that still doesn't match is rejected and the rest carry on.
+    // ───────────────────────────────────────────────────────────
+    const DEFAULT_FUZZ = 2;
+
+    // Leading and trailing context line counts of a raw hunk
+    function contextEdges(hunk) {
+        const lines = hunk.lines;
+        let top = 0, bottom = 0;
+        while (top < lines.length && lines[top].op === ' ') top++;
+        while (bottom < lines.length - top && lines[lines.length - 1 - bottom].op === ' ') bottom++;
+        return [top, bottom];
+    }
+
+    function matchesAt(target, at, old, same) {
+        for (let k = 0; k < old.length; k++) {
+            if (!same(target[at + k], old[k])) return false;
+        }
+        return true;
+    }
+
+    // Nearest position to `expected` in [min, max] where `old` matches, or -1
+    function search(target, old, expected, min, max, same) {
+        if (min > max) return -1;
+        const start = Math.min(Math.max(expected, min), max);
+        for (let d = 0; start - d >= min || start + d <= max; d++) {
+            if (start + d <= max && matchesAt(target, start + d, old, same)) return start + d;
+            if (d > 0 && start - d >= min && matchesAt(target, start - d, old, same)) return start - d;
+        }
+        return -1;
+    }
+
+    // Whether most of the lines that end in a newline end in CRLF
+    function usesCrlf(lines, eol) {
+        const ended = eol ? lines.length : lines.length - 1;
+        let cr = 0;
+        for (let k = 0; k < ended; k++) if (lines[k].endsWith('\r')) cr++;
+        return cr * 2 > ended;
+    }
+
+    function apply(text, file, options = {}) {
+        const maxFuzz = options.fuzz === undefined ? DEFAULT_FUZZ : options.fuzz;
+        // Lines keep their CR: a CRLF file is written back as CRLF
+        const target = text === '' ? [] : text.split('\n');
+        let eol = text === '' || text.endsWith('\n');
+        if (eol && target.length > 0) target.pop();
+
+        // A patch with LF endings (pasted, or re-encoded by a mailer) still
+        // fits a CRLF file, and one saved as CRLF throughout fits an LF
+        // file; the lines it adds take the file's ending
+        const crlf = usesCrlf(target, eol);
+        const ended = file.patchHunks.flatMap(h => h.lines).filter(l => !l.noEol);
+        const converted = !crlf && ended.length > 0 && ended.every(l => l.text.endsWith('\r'));
+        let same = (t, o) => t === o;
+        let added = l => l.text;
+        if (crlf) {
+            same = (t, o) => t === o || t === o + '\r';
+            added = l => (l.noEol || l.text.endsWith('\r') ? l.text : l.text + '\r');
+        } else if (converted) {
+            same = (t, o) => t + '\r' === o;
+            added = l => withoutCr(l.text);
+        }
+
+        const results = [];
+        let delta = 0;       // lines the applied hunks added so far
+        let offset = 0;      // offset the last applied hunk needed
+        let floor = 0;       // hunks can't land above the end of the previous one
+
+        file.patchHunks.forEach((hunk, index) => {
+            const [top, bottom] = contextEdges(hunk);
+            // Where the old lines should start with every earlier hunk applied
+            const expected = (hunk.oldCount === 0 ? hunk.oldStart : hunk.oldStart - 1) + delta;
+            let placed = null;
+
+            // Fuzz comes off the longer context first, as in GNU patch
+            const context = Math.max(top, bottom);
+            for (let fuzz = 0; fuzz <= Math.min(maxFuzz, context) && !placed; fuzz++) {
+                const cutTop = Math.max(0, fuzz + top - context);
+                const cutBottom = Math.max(0, fuzz + bottom - context);
+                const body = hunk.lines.slice(cutTop, hunk.lines.length - cutBottom);
+                const old = body.filter(l => l.op !== '+').map(l => l.text);
+
+                // Unbalanced context means the hunk was made at the start
+                // or end of the file, and must land there again — until
+                // the fuzz has evened the context out (GNU's prefix / suffix fuzz)
+                let min = floor, max = target.length - old.length;
+                if (fuzz + top < context && hunk.oldStart <= 1) max = Math.min(max, 0);
+                if (fuzz + bottom < context) min = Math.max(min, max);
+
+                const at = search(target, old, expected + offset + cutTop, min, max, same);
+                if (at >= 0) placed = { line: at - cutTop, body, old, fuzz, cutTop };
+            }
+
+            if (!placed) {
+                results.push({ index, status: 'rejected', hunk, offset: 0, fuzz: 0, line: null });
+                return;
+            }
+
+            // `line` is where the whole hunk starts; the fuzzed body starts `cutTop` lines below
+            const { line, body, old, fuzz, cutTop } = placed;
+            const at = line + cutTop;
+            const fresh = body.filter(l => l.op !== '-');
+            const atEnd = at + old.length === target.length;
+            // Context lines stay as the file has them
+            const lines = [];
+            let k = at;
+            for (const l of body) {
+                if (l.op === ' ') lines.push(target[k++]);
+                else if (l.op === '-') k++;
+                else lines.push(added(l));
+            }
+            target.splice(at, old.length, ...lines);
+
+            // "\ No newline at end of file" only matters for a hunk that ends the file
+            if (atEnd && body.length > 0) {
+                const lastNew = fresh[fresh.length - 1];
+                const lastOld = body.filter(l => l.op !== '+').pop();
+                if (lastNew && lastNew.noEol) eol = false;
+                else if (lastOld && lastOld.noEol) eol = true;
+            }
+
+            offset = line - expected;
+            delta += fresh.length - old.length;
+            floor = at + fresh.length;
+            results.push({
+                index,
+                status: fuzz > 0 ? 'fuzz' : offset !== 0 ? 'offset' : 'applied',
+                hunk,
+                offset,
+                fuzz,
+                line: Math.max(line, 0) + 1
+            });
+        });
+
+        const joined = target.join('\n');
+        return { text: target.length > 0 && eol ? joined + '\n' : joined, results };
+    }
+
+    // A raw hunk as patch text, for a `.rej` file
+    function formatHunk(hunk) {
+        const range = (start, count) => (count === 1 ? `${start}` : `${start},${count}`);
+        const out = [`@@ -${range(hunk.oldStart, hunk.oldCount)} +${range(hunk.newStart, hunk.newCount)} @@${hunk.heading ? ' ' + hunk.heading : ''}`];
+        for (const l of hunk.lines) {
+            out.push(l.op + l.text);
+            if (l.noEol) out.push('\\ No newline at end of file');
+        }
+        return out.join('\n') + '\n';
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  PUBLIC API
+    // ───────────────────────────────────────────────────────────
+    window.PatchEngine = {
+        /**
+         * Parse unified diff text into one entry per file.
+         * @param {string} text
+         * @returns {Array<{ name: string, oldName: ?string, newName: ?string,
+         *           status: 'modified'|'added'|'deleted'|'renamed'|'copied',
+         *           oldMode: ?string, newMode: ?string, modeChanged: boolean,
+         *           similarity: ?number, binary: boolean,
+         *           hunks: Array, stats: object, patchHunks: Array }>}
+         * @throws {SyntaxError} with a 1-based `line` property
+         */
+        parse,
+
+        /**
+         * Apply one file's hunks (an entry of parse()) to text, placing
+         * each like GNU patch: at its line, else at the nearest offset,
+         * else with up to `fuzz` lines of outer context ignored.
+         * @param {string} text
+         * @param {{ patchHunks: Array }} file
+         * @param {{ fuzz?: number }} [options] context lines a hunk may drop (default 2)
+         * @returns {{ text: string, results: Array<{ index: number,
+         *           status: 'applied'|'offset'|'fuzz'|'rejected', hunk: object,
+         *           offset: number, fuzz: number, line: ?number }> }}
+         *          `line` is the 1-based line of the patched text the hunk landed on
+         */
+        apply,
+
+        /**
+         * A raw hunk (from `patchHunks`) as unified diff text, e.g. for a `.rej` file.
+         * @param {object} hunk
+         * @returns {string}
+         */
+        formatHunk
+    };
+
+})();
@@ -0,0 +1,201 @@
+/**
+ * Codediff — Share Links
+ *
+ * Packs the page state (both texts, file names, options) into a URL
+ * fragment: JSON, deflated with CompressionStream and base64url-encoded,
+ * optionally encrypted with AES-GCM under a key derived from a
+ * passphrase (PBKDF2-SHA-256). Browsers never send the `#fragment` to
+ * the server, so the code stays between the people holding the link.
+ *
+ *   #share=z.<data>   deflated
+ *   #share=r.<data>   not compressed (no CompressionStream available)
+ *   #share=e.<data>   deflated, then encrypted: salt ‖ iv ‖ ciphertext
+ *
+ * Decoding errors are thrown as Error with a `code` property:
+ * 'passphrase' (missing or wrong), 'corrupt' or 'unsupported'.
+ */
+
+(function ShareLinkModule() {
+    'use strict';
+
+    const isModule = typeof module === 'object' && module !== null && !!module.exports;
+    const scope = isModule ? null : typeof window !== 'undefined' ? window : self;
+
+    // ───────────────────────────────────────────────────────────
+    //  CONSTANTS
+    // ───────────────────────────────────────────────────────────
+    const PREFIX = 'share=';
+    const VERSION = 1;
+    const SALT_BYTES = 16;
+    const IV_BYTES = 12;
+    const PBKDF2_ITERATIONS = 250000;
+
+    function shareError(code, message) {
+        const err = new Error(message);
+        err.code = code;
+        return err;
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  UTILITY: Bytes
+    // ───────────────────────────────────────────────────────────
+    function toBase64Url(bytes) {
+        let binary = '';
+        // Chunked so large texts don't overflow the argument list
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    function fromBase64Url(text) {
+        if (!/^[A-Za-z0-9_-]*$/.test(text)) throw shareError('corrupt', 'The link is damaged — it has characters base64url never uses');
+        let binary;
+        try {
+            binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        } catch {
+            // A length no base64 text can have, e.g. cut off one character into a group
+            throw shareError('corrupt', 'The link is damaged — its data is cut off');
+        }
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    async function pipe(bytes, stream) {
+        const out = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+        return new Uint8Array(await out.arrayBuffer());
+    }
+
+    const canCompress = () => typeof CompressionStream === 'function';
+
+    // ───────────────────────────────────────────────────────────
+    //  UTILITY: Encryption
+    // ───────────────────────────────────────────────────────────
+    async function deriveKey(passphrase, salt) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    async function encrypt(bytes, passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+        const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+        const key = await deriveKey(passphrase, salt);
+        const sealed = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes));
+        const out = new Uint8Array(SALT_BYTES + IV_BYTES + sealed.length);
+        out.set(salt, 0);
+        out.set(iv, SALT_BYTES);
+        out.set(sealed, SALT_BYTES + IV_BYTES);
+        return out;
+    }
+
+    async function decrypt(bytes, passphrase) {
+        if (bytes.length <= SALT_BYTES + IV_BYTES) throw shareError('corrupt', 'The link is damaged — it is too short');
+        const key = await deriveKey(passphrase, bytes.subarray(0, SALT_BYTES));
+        try {
+            const iv = bytes.subarray(SALT_BYTES, SALT_BYTES + IV_BYTES);
+            return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, bytes.subarray(SALT_BYTES + IV_BYTES)));
+        } catch {
+            // GCM can't tell a wrong key from tampered data
+            throw shareError('passphrase', 'Wrong passphrase, or the link was altered');
+        }
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  ENCODE / DECODE
+    // ───────────────────────────────────────────────────────────
+    async function encode(state, passphrase) {
+        const json = new TextEncoder().encode(JSON.stringify({ v: VERSION, ...state }));
+        const compressed = canCompress() ? await pipe(json, new CompressionStream('deflate-raw')) : null;
+        if (passphrase) {
+            if (!compressed) throw shareError('unsupported', 'This browser can\'t compress, so it can\'t encrypt a link either');
+            return `${PREFIX}e.${toBase64Url(await encrypt(compressed, passphrase))}`;
+        }
+        return compressed ? `${PREFIX}z.${toBase64Url(compressed)}` : `${PREFIX}r.${toBase64Url(json)}`;
+    }
+
+    function parseFragment(fragment) {
+        const body = fragment.replace(/^#/, '');
+        const m = body.startsWith(PREFIX) && body.slice(PREFIX.length).match(/^([zre])\.(.*)$/s);
+        if (!m) throw shareError('corrupt', 'Not a Codediff share link');
+        return { mode: m[1], data: m[2] };
+    }
+
+    async function decode(fragment, passphrase) {
+        const { mode, data } = parseFragment(fragment);
+        let bytes = fromBase64Url(data);
+
+        if (mode === 'e') {
+            if (!passphrase) throw shareError('passphrase', 'This link is encrypted — a passphrase is needed');
+            bytes = await decrypt(bytes, passphrase);
+        }
+        if (mode !== 'r') {
+            if (typeof DecompressionStream !== 'function') throw shareError('unsupported', 'This browser can\'t decompress share links');
+            try {
+                bytes = await pipe(bytes, new DecompressionStream('deflate-raw'));
+            } catch {
+                throw shareError('corrupt', 'The link is damaged — its data doesn\'t decompress (was it cut off?)');
+            }
+        }
+
+        let state;
+        try {
+            state = JSON.parse(new TextDecoder().decode(bytes));
+        } catch {
+            throw shareError('corrupt', 'The link is damaged — its data isn\'t readable');
+        }
+        if (!state || typeof state !== 'object' || typeof state.v !== 'number') throw shareError('corrupt', 'Not a Codediff share link');
+        if (state.v > VERSION) throw shareError('unsupported', 'This link was made by a newer Codediff');
+        return state;
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  PUBLIC API
+    // ───────────────────────────────────────────────────────────
+    const ShareLink = {
+        /**
+         * Whether a location hash holds a share link.
+         * @param {string} hash e.g. location.hash
+         * @returns {boolean}
+         */
+        isShareLink(hash) {
+            return typeof hash === 'string' && hash.replace(/^#/, '').startsWith(PREFIX);
+        },
+
+        /**
+         * Whether a share link needs a passphrase to open.
+         * @param {string} hash
+         * @returns {boolean}
+         */
+        isEncrypted(hash) {
+            return ShareLink.isShareLink(hash) && hash.replace(/^#/, '').startsWith(PREFIX + 'e.');
+        },
+
+        /**
+         * Pack a state object into a fragment (without the leading '#').
+         * @param {object} state any JSON-serializable object
+         * @param {string} [passphrase] encrypts the link when given
+         * @returns {Promise<string>}
+         */
+        encode,
+
+        /**
+         * Unpack a fragment made by encode().
+         * @param {string} fragment with or without the leading '#'
+         * @param {string} [passphrase] for encrypted links
+         * @returns {Promise<object>} the state, with its format version as `v`
+         * @throws {Error} with `code` 'passphrase' | 'corrupt' | 'unsupported'
+         */
+        decode
+    };
+
+    if (isModule) module.exports = ShareLink;
+    else scope.ShareLink = ShareLink;
+
+})();
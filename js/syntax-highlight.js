@@ -0,0 +1,380 @@
+/**
+ * Codediff — Syntax Highlighter
+ *
+ * A small regex lexer per language, enough to color comments, strings,
+ * numbers, keywords, types and calls in the diff output. It returns
+ * character ranges, never HTML: DiffEngine escapes the text itself and
+ * layers these ranges under the intraline and mask spans.
+ *
+ * No external libraries. Lines are lexed in file order so block comments,
+ * template literals, triple-quoted strings and fenced code carry over
+ * from one line to the next.
+ */
+
+(function SyntaxHighlightModule() {
+    'use strict';
+
+    // ───────────────────────────────────────────────────────────
+    //  CONSTANTS
+    // ───────────────────────────────────────────────────────────
+    const LONG_LINE = 10000;  // longer lines (minified code) stay plain
+
+    const EXTENSIONS = {
+        js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript',
+        ts: 'typescript', tsx: 'typescript', mts: 'typescript', cts: 'typescript',
+        py: 'python', pyw: 'python',
+        java: 'java',
+        go: 'go',
+        rs: 'rust',
+        c: 'c', h: 'c',
+        cpp: 'cpp', cc: 'cpp', cxx: 'cpp', hpp: 'cpp', hh: 'cpp',
+        rb: 'ruby',
+        sh: 'shell', bash: 'shell', zsh: 'shell',
+        css: 'css',
+        html: 'html', htm: 'html',
+        xml: 'xml', svg: 'xml', xsd: 'xml', xsl: 'xml', plist: 'xml',
+        json: 'json', geojson: 'json', webmanifest: 'json',
+        yaml: 'yaml', yml: 'yaml',
+        toml: 'toml',
+        md: 'markdown', markdown: 'markdown'
+    };
+
+    // ───────────────────────────────────────────────────────────
+    //  SHARED RULES
+    //  Rule sources may not contain capturing groups: each is wrapped in
+    //  one to tell which rule matched.
+    // ───────────────────────────────────────────────────────────
+    const DQ = /"(?:[^"\\]|\\.)*"?/;               // unterminated strings run to the line end
+    const SQ = /'(?:[^'\\]|\\.)*'?/;
+    const NUM = /\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|\d[\d_]*(?:\.[\d_]+)?(?:[eE][+-]?\d+)?)\w*/;
+    const IDENT = /[A-Za-z_$][\w$]*/;
+    const SLASH_COMMENT = /\/\/.*/;
+    const HASH_COMMENT = /#.*/;
+
+    const BLOCK_COMMENT = { open: '/*', close: '*/', type: 'com' };
+
+    const words = list => new Set(list.split(' '));
+
+    const C_KEYWORDS = 'auto break case const continue default do else enum extern for goto if inline register ' +
+        'restrict return sizeof static struct switch typedef union volatile while';
+    const C_TYPES = 'bool char double float int long short signed unsigned void size_t int8_t int16_t int32_t ' +
+        'int64_t uint8_t uint16_t uint32_t uint64_t';
+
+    // ───────────────────────────────────────────────────────────
+    //  LANGUAGES
+    //  { label, blocks, rules: [[RegExp, type]], keywords, literals,
+    //  builtins, types } — `blocks` may span lines; an `ident` rule
+    //  match is looked up in keywords / literals / builtins, else is a
+    //  call when followed by '(' or, with `types`, a type when CamelCase.
+    // ───────────────────────────────────────────────────────────
+    const LANGUAGES = {
+        javascript: {
+            label: 'JavaScript',
+            blocks: [BLOCK_COMMENT, { open: '`', close: '`', type: 'str', escapes: true }],
+            rules: [[SLASH_COMMENT, 'com'], [DQ, 'str'], [SQ, 'str'], [NUM, 'num'], [IDENT, 'ident']],
+            keywords: words('async await break case catch class const continue debugger default delete do else ' +
+                'export extends finally for from function get if import in instanceof let new of return set ' +
+                'static super switch this throw try typeof var void while with yield'),
+            literals: words('true false null undefined NaN Infinity'),
+            types: true
+        },
+        typescript: {
+            label: 'TypeScript',
+            blocks: [BLOCK_COMMENT, { open: '`', close: '`', type: 'str', escapes: true }],
+            rules: [[SLASH_COMMENT, 'com'], [DQ, 'str'], [SQ, 'str'], [/@[\w.]+/, 'meta'], [NUM, 'num'], [IDENT, 'ident']],
+            keywords: words('abstract as async await break case catch class const constructor continue declare ' +
+                'default delete do else enum export extends finally for from function get if implements import in ' +
+                'infer instanceof interface is keyof let module namespace new of override private protected public ' +
+                'readonly return satisfies set static super switch this throw try type typeof var void while yield'),
+            literals: words('true false null undefined NaN Infinity'),
+            builtins: words('any boolean never number object string symbol unknown bigint'),
+            types: true
+        },
+        python: {
+            label: 'Python',
+            blocks: [{ open: '"""', close: '"""', type: 'str', escapes: true }, { open: "'''", close: "'''", type: 'str', escapes: true }],
+            rules: [[HASH_COMMENT, 'com'], [DQ, 'str'], [SQ, 'str'], [/@[\w.]+/, 'meta'], [NUM, 'num'], [IDENT, 'ident']],
+            keywords: words('and as assert async await break case class continue def del elif else except finally ' +
+                'for from global if import in is lambda match nonlocal not or pass raise return try while with yield'),
+            literals: words('True False None self cls'),
+            builtins: words('int float str bool list dict set tuple bytes object type'),
+            types: true
+        },
+        java: {
+            label: 'Java',
+            blocks: [BLOCK_COMMENT, { open: '"""', close: '"""', type: 'str', escapes: true }],
+            rules: [[SLASH_COMMENT, 'com'], [DQ, 'str'], [SQ, 'str'], [/@\w+/, 'meta'], [NUM, 'num'], [IDENT, 'ident']],
+            keywords: words('abstract assert break case catch class continue default do else enum extends final ' +
+                'finally for if implements import instanceof interface native new package private protected public ' +
+                'record return static strictfp super switch synchronized this throw throws transient try var ' +
+                'volatile while yield'),
+            literals: words('true false null'),
+            builtins: words('boolean byte char double float int long short void'),
+            types: true
+        },
+        go: {
+            label: 'Go',
+            blocks: [BLOCK_COMMENT, { open: '`', close: '`', type: 'str' }],
+            rules: [[SLASH_COMMENT, 'com'], [DQ, 'str'], [SQ, 'str'], [NUM, 'num'], [IDENT, 'ident']],
+            keywords: words('break case chan const continue default defer else fallthrough for func go goto if ' +
+                'import interface map package range return select struct switch type var'),
+            literals: words('true false nil iota'),
+            builtins: words('bool byte complex64 complex128 error float32 float64 int int8 int16 int32 int64 rune ' +
+                'string uint uint8 uint16 uint32 uint64 uintptr any'),
+            types: true
+        },
+        rust: {
+            label: 'Rust',
+            blocks: [BLOCK_COMMENT],
+            rules: [[SLASH_COMMENT, 'com'], [/#!?\[[^\]]*\]?/, 'meta'], [DQ, 'str'], [/'(?:[^'\\]|\\.)'/, 'str'],
+                [/'[A-Za-z_]\w*/, 'meta'], [/[A-Za-z_]\w*!/, 'fn'], [NUM, 'num'], [IDENT, 'ident']],
+            keywords: words('as async await break const continue crate dyn else enum extern fn for if impl in let ' +
+                'loop match mod move mut pub ref return self Self static struct super trait type unsafe use where while'),
+            literals: words('true false None Some Ok Err'),
+            builtins: words('bool char f32 f64 i8 i16 i32 i64 i128 isize str u8 u16 u32 u64 u128 usize String Vec Option Result Box'),
+            types: true
+        },
+        c: {
+            label: 'C',
+            blocks: [BLOCK_COMMENT],
+            rules: [[/^\s*#\s*\w+/, 'meta'], [SLASH_COMMENT, 'com'], [DQ, 'str'], [SQ, 'str'], [NUM, 'num'], [IDENT, 'ident']],
+            keywords: words(C_KEYWORDS),
+            literals: words('NULL true false'),
+            builtins: words(C_TYPES),
+            types: false
+        },
+        cpp: {
+            label: 'C++',
+            blocks: [BLOCK_COMMENT],
+            rules: [[/^\s*#\s*\w+/, 'meta'], [SLASH_COMMENT, 'com'], [DQ, 'str'], [SQ, 'str'], [NUM, 'num'], [IDENT, 'ident']],
+            keywords: words(C_KEYWORDS + ' catch class constexpr delete explicit final friend mutable namespace new ' +
+                'noexcept operator override private protected public template this throw try typename using virtual'),
+            literals: words('nullptr NULL true false'),
+            builtins: words(C_TYPES + ' auto std string vector'),
+            types: true
+        },
+        ruby: {
+            label: 'Ruby',
+            blocks: [{ open: '=begin', close: '=end', type: 'com' }],
+            rules: [[HASH_COMMENT, 'com'], [DQ, 'str'], [SQ, 'str'], [/@{1,2}\w+|\$\w+/, 'var'],
+                [/(?<![\w:]):\w+[?!]?/, 'lit'], [NUM, 'num'], [/[A-Za-z_]\w*[?!]?/, 'ident']],
+            keywords: words('alias and begin break case class def defined? do else elsif end ensure for if in module ' +
+                'next not or redo rescue retry return self super then undef unless until when while yield ' +
+                'require require_relative attr_reader attr_writer attr_accessor private protected public'),
+            literals: words('true false nil'),
+            types: true
+        },
+        shell: {
+            label: 'Shell',
+            blocks: [],
+            rules: [[/(?<!\S)#.*/, 'com'], [DQ, 'str'], [/'[^']*'?/, 'str'], [/\$(?:\{[^}]*\}?|\w+|[@#?$!*-])/, 'var'],
+                [NUM, 'num'], [/[A-Za-z_][\w-]*/, 'ident']],
+            keywords: words('if then else elif fi for while until do done case esac function in return local export ' +
+                'readonly declare unset shift break continue exit select time'),
+            literals: words('true false'),
+            types: false
+        },
+        css: {
+            label: 'CSS',
+            blocks: [BLOCK_COMMENT],
+            rules: [[DQ, 'str'], [SQ, 'str'], [/@[\w-]+/, 'kw'], [/!important\b/, 'kw'],
+                [/(?<=^\s*|[{;]\s*)-{0,2}[A-Za-z][\w-]*(?=\s*:)/, 'prop'], [/#[\da-fA-F]{3,8}\b/, 'num'],
+                [/-?(?:\d+\.?\d*|\.\d+)(?:%|[A-Za-z]+)?/, 'num'], [/[\w-]+(?=\()/, 'fn'],
+                [/[.#][A-Za-z_-][\w-]*/, 'type'], [/::?[\w-]+/, 'meta']],
+            types: false
+        },
+        html: {
+            label: 'HTML',
+            blocks: [{ open: '<!--', close: '-->', type: 'com' }],
+            rules: [[/<![A-Za-z][^>]*>?/, 'meta'], [/<\/?[\w:.-]+/, 'tag'], [/\/?>/, 'tag'],
+                [/[\w:.-]+(?=\s*=\s*["'])/, 'attr'], [/(?<==\s*)(?:"[^"]*"?|'[^']*'?)/, 'str'],
+                [/&(?:#\d+|#[xX][\da-fA-F]+|\w+);/, 'lit']],
+            types: false
+        },
+        xml: {
+            label: 'XML',
+            blocks: [{ open: '<!--', close: '-->', type: 'com' }, { open: '<![CDATA[', close: ']]>', type: 'str' }],
+            rules: [[/<\?[\w:-]*|\?>/, 'meta'], [/<![A-Za-z][^>]*>?/, 'meta'], [/<\/?[\w:.-]+/, 'tag'], [/\/?>/, 'tag'],
+                [/[\w:.-]+(?=\s*=\s*["'])/, 'attr'], [/(?<==\s*)(?:"[^"]*"?|'[^']*'?)/, 'str'],
+                [/&(?:#\d+|#[xX][\da-fA-F]+|\w+);/, 'lit']],
+            types: false
+        },
+        json: {
+            label: 'JSON',
+            blocks: [],
+            rules: [[/"(?:[^"\\]|\\.)*"(?=\s*:)/, 'prop'], [DQ, 'str'], [/-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/, 'num'],
+                [/\b(?:true|false|null)\b/, 'lit']],
+            types: false
+        },
+        yaml: {
+            label: 'YAML',
+            blocks: [],
+            rules: [[/(?<!\S)#.*/, 'com'], [/^(?:---|\.\.\.)(?=\s|$)/, 'meta'],
+                [/(?<=^\s*(?:-\s+)*)(?:"(?:[^"\\]|\\.)*"|'[^']*'|[^\s#'"{}[\],:-][^#{}[\],:]*?)(?=\s*:(?:\s|$))/, 'prop'],
+                [DQ, 'str'], [/'[^']*'?/, 'str'], [/[&*][\w.-]+/, 'meta'], [/!\S*/, 'meta'],
+                [/(?<![\w.-])(?:true|false|null|~)(?![\w.-])/, 'lit'],
+                [/(?<![\w.-])[-+]?(?:\d[\d_]*(?:\.\d*)?(?:[eE][+-]?\d+)?|\.inf|\.nan)(?![\w-])/, 'num']],
+            types: false
+        },
+        toml: {
+            label: 'TOML',
+            blocks: [{ open: '"""', close: '"""', type: 'str', escapes: true }, { open: "'''", close: "'''", type: 'str' }],
+            rules: [[HASH_COMMENT, 'com'], [/^\s*\[\[?[^\]]*\]?\]?/, 'type'],
+                [/(?<=^\s*|[{,]\s*)(?:[\w-]+|"[^"]*"|'[^']*')(?:\s*\.\s*(?:[\w-]+|"[^"]*"|'[^']*'))*(?=\s*=)/, 'prop'],
+                [DQ, 'str'], [/'[^']*'?/, 'str'],
+                [/\d{4}-\d\d-\d\d(?:[T ]\d\d:\d\d(?::\d\d(?:\.\d+)?)?(?:[Zz]|[+-]\d\d:\d\d)?)?|\d\d:\d\d:\d\d(?:\.\d+)?/, 'num'],
+                [/[-+]?(?:0[xob][\da-fA-F_]+|\d[\d_]*(?:\.[\d_]+)?(?:[eE][+-]?\d+)?|inf|nan)\b/, 'num'],
+                [/\b(?:true|false)\b/, 'lit']],
+            types: false
+        },
+        markdown: {
+            label: 'Markdown',
+            blocks: [{ open: '```', close: '```', type: 'str' }],
+            rules: [[/^#{1,6}\s.*/, 'kw'], [/^\s*>.*/, 'com'], [/`[^`]*`?/, 'str'], [/^\s*(?:[-*+]|\d+[.)])(?=\s)/, 'meta'],
+                [/\*\*[^*]+\*\*|__[^_]+__/, 'kw'], [/!?\[[^\]]*\]\([^)]*\)|<https?:\/\/[^>]+>/, 'fn']],
+            types: false
+        }
+    };
+
+    // ───────────────────────────────────────────────────────────
+    //  LEXER
+    // ───────────────────────────────────────────────────────────
+    const compiled = new Map();
+    const CALL_AFTER = /\s*\(/y;
+
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    // One alternation of every block opener, then every rule, so a single
+    // exec() finds the next token whatever its kind
+    function lexer(language) {
+        if (compiled.has(language)) return compiled.get(language);
+        const def = LANGUAGES[language];
+        let lex = null;
+        if (def) {
+            const kinds = [];
+            const sources = [];
+            for (const block of def.blocks) { kinds.push({ block }); sources.push(escapeRegExp(block.open)); }
+            for (const [re, type] of def.rules) { kinds.push({ type }); sources.push(re.source); }
+            lex = { def, kinds, re: new RegExp(sources.map(s => `(${s})`).join('|'), 'g') };
+        }
+        compiled.set(language, lex);
+        return lex;
+    }
+
+    // Index just past `block`'s closing delimiter at or after `from`, or -1
+    function findClose(line, from, block) {
+        for (let i = from; i < line.length; i++) {
+            if (block.escapes && line[i] === '\\') { i++; continue; }
+            if (line.startsWith(block.close, i)) return i + block.close.length;
+        }
+        return -1;
+    }
+
+    function classify(word, line, end, def) {
+        if (def.keywords && def.keywords.has(word)) return 'kw';
+        if (def.literals && def.literals.has(word)) return 'lit';
+        if (def.builtins && def.builtins.has(word)) return 'type';
+        CALL_AFTER.lastIndex = end;
+        if (CALL_AFTER.test(line)) return 'fn';
+        if (def.types && /^[A-Z]/.test(word) && /[a-z]/.test(word)) return 'type';
+        return null;
+    }
+
+    // Marks for one line given the block left open by the previous one:
+    // { marks: [[start, end, className]], open: block | null }
+    function lexLine(line, lex, open) {
+        const marks = [];
+        let at = 0;
+        if (open) {
+            const end = findClose(line, 0, open);
+            if (end < 0) return { marks: line ? [[0, line.length, 'tok-' + open.type]] : marks, open };
+            if (end > 0) marks.push([0, end, 'tok-' + open.type]);
+            at = end;
+        }
+
+        const re = lex.re;
+        re.lastIndex = at;
+        let m;
+        while ((m = re.exec(line)) !== null) {
+            const start = m.index;
+            if (m[0] === '') { re.lastIndex++; continue; }
+            let k = 1;
+            while (m[k] === undefined) k++;
+            const kind = lex.kinds[k - 1];
+
+            if (kind.block) {
+                const end = findClose(line, start + kind.block.open.length, kind.block);
+                marks.push([start, end < 0 ? line.length : end, 'tok-' + kind.block.type]);
+                if (end < 0) return { marks, open: kind.block };
+                re.lastIndex = end;
+                continue;
+            }
+            const type = kind.type === 'ident' ? classify(m[0], line, re.lastIndex, lex.def) : kind.type;
+            if (type) marks.push([start, re.lastIndex, 'tok-' + type]);
+        }
+        return { marks, open: null };
+    }
+
+    function tokenize(lines, language) {
+        const lex = lexer(language);
+        const out = new Array(lines.length);
+        let open = null;
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            if (!lex || line.length > LONG_LINE) { out[i] = []; continue; }
+            const result = lexLine(line, lex, open);
+            out[i] = result.marks;
+            open = result.open;
+        }
+        return out;
+    }
+
+    function detect(fileName) {
+        const m = /\.([^./\\]+)$/.exec(fileName || '');
+        return (m && EXTENSIONS[m[1].toLowerCase()]) || 'text';
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  PUBLIC API
+    //  A global in the page and the diff worker (`self`, no `window`);
+    //  module.exports under Node and bundlers
+    // ───────────────────────────────────────────────────────────
+    const SyntaxHighlight = {
+        /** Language ids, in picker order ('text' is plain). */
+        languages: Object.keys(LANGUAGES),
+
+        /**
+         * Display name of a language ('cpp' → 'C++').
+         * @param {string} language
+         * @returns {string}
+         */
+        label(language) {
+            return LANGUAGES[language] ? LANGUAGES[language].label : 'Plain text';
+        },
+
+        /**
+         * Language implied by a file name's extension; 'text' when none is.
+         * @param {?string} fileName
+         * @returns {string}
+         */
+        detect,
+
+        /**
+         * Highlight marks for each line of a text, lexed in order so
+         * multi-line comments and strings carry over. Each line gets
+         * sorted, non-overlapping [start, end, className] ranges with
+         * classNames like 'tok-kw' / 'tok-str'; an unknown language gives
+         * none.
+         * @param {string[]} lines
+         * @param {string} language
+         * @returns {Array<Array<[number, number, string]>>}
+         */
+        tokenize
+    };
+
+    if (typeof module === 'object' && module !== null && module.exports) module.exports = SyntaxHighlight;
+    else (typeof window !== 'undefined' ? window : self).SyntaxHighlight = SyntaxHighlight;
+
+})();
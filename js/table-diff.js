@@ -0,0 +1,339 @@
+/**
+ * Codediff — Table Diff
+ *
+ * Cell-level comparison of two CSV / TSV tables (parsed by FormatEngine).
+ * Columns are matched by header name, and a removed column whose values
+ * mostly reappear in an added one counts as renamed. Rows are matched by
+ * a key column when one is chosen, otherwise by a diff of the rows over
+ * the columns both tables share — so an added, dropped or reordered
+ * column never turns every row into a change.
+ */
+
+(function TableDiffModule() {
+    'use strict';
+
+    // ───────────────────────────────────────────────────────────
+    //  CONSTANTS
+    // ───────────────────────────────────────────────────────────
+    const RENAME_THRESHOLD = 0.6;  // share of matched rows a renamed column must agree on
+    const CONTEXT_ROWS = 3;  // unchanged rows shown around each changed one
+    const OP_SYMBOLS = { added: '+', removed: '−', changed: '~', renamed: '→' };
+
+    // ───────────────────────────────────────────────────────────
+    //  PARSE
+    // ───────────────────────────────────────────────────────────
+    function parse(text, side, format) {
+        try {
+            return { rows: FormatEngine.parse(text, format) };
+        } catch (e) {
+            return { error: `${side} pane: Invalid ${FormatEngine.label(format)} — ${e.message}`, side, pos: e.pos };
+        }
+    }
+
+    // Column names from the header row (or "Column N"), rows padded to the full width
+    function toTable(rows, header) {
+        let width = 0;
+        for (const row of rows) width = Math.max(width, row.length);
+        const body = header ? rows.slice(1) : rows;
+        const names = [];
+        const seen = new Map();
+        for (let c = 0; c < width; c++) {
+            let name = (header && rows.length && rows[0][c]) || `Column ${c + 1}`;
+            // Duplicate headers get a suffix so every column has its own name
+            const count = (seen.get(name) || 0) + 1;
+            seen.set(name, count);
+            if (count > 1) name = `${name} (${count})`;
+            names.push(name);
+        }
+        const padded = body.map(row => (row.length < width ? row.concat(new Array(width - row.length).fill('')) : row));
+        return { names, rows: padded, firstRow: header ? 2 : 1 };
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  MATCHING
+    // ───────────────────────────────────────────────────────────
+    // Display order for a right → left matching: right items in order,
+    // each unmatched left item placed before the first right item whose
+    // partner follows it. Returns [{ l, r }] with -1 for a missing side.
+    function mergeOrder(rToL, leftCount) {
+        const used = new Uint8Array(leftCount);
+        for (const l of rToL) if (l >= 0) used[l] = 1;
+        const out = [];
+        let nextL = 0;
+        rToL.forEach((l, r) => {
+            if (l >= 0) {
+                for (; nextL < l; nextL++) if (!used[nextL]) out.push({ l: nextL, r: -1 });
+                nextL = Math.max(nextL, l + 1);
+            }
+            out.push({ l, r });
+        });
+        for (; nextL < leftCount; nextL++) if (!used[nextL]) out.push({ l: nextL, r: -1 });
+        return out;
+    }
+
+    function matchRowsByKey(left, right, lc, rc) {
+        const pending = new Map();  // key value → left rows not matched yet
+        left.rows.forEach((row, i) => {
+            const queue = pending.get(row[lc]);
+            if (queue) queue.push(i);
+            else pending.set(row[lc], [i]);
+        });
+        const rToL = right.rows.map(row => {
+            const queue = pending.get(row[rc]);
+            return queue && queue.length ? queue.shift() : -1;
+        });
+        return mergeOrder(rToL, left.rows.length);
+    }
+
+    // Without a key: a diff of whole rows over the shared columns; within
+    // each changed stretch, deleted and inserted rows pair up in order
+    function matchRowsByPosition(left, right, shared) {
+        const rowText = (row, side) => JSON.stringify(shared.map(col => row[col[side]]));
+        const edits = DiffEngine.diffEdits(
+            left.rows.map(row => rowText(row, 'l')),
+            right.rows.map(row => rowText(row, 'r'))
+        );
+        const out = [];
+        let dels = [], ins = [];
+        const flush = () => {
+            const n = Math.min(dels.length, ins.length);
+            for (let k = 0; k < n; k++) out.push({ l: dels[k], r: ins[k] });
+            for (let k = n; k < dels.length; k++) out.push({ l: dels[k], r: -1 });
+            for (let k = n; k < ins.length; k++) out.push({ l: -1, r: ins[k] });
+            dels = [];
+            ins = [];
+        };
+        for (const e of edits) {
+            if (e.type === 'delete') dels.push(e.li);
+            else if (e.type === 'insert') ins.push(e.ri);
+            else { flush(); out.push({ l: e.li, r: e.ri }); }
+        }
+        flush();
+        return out;
+    }
+
+    // Unmatched left / right column pairs whose values agree on enough of
+    // the matched rows, best pairs first
+    function findRenames(left, right, lFree, rFree, pairs) {
+        const matched = pairs.filter(p => p.l >= 0 && p.r >= 0);
+        if (matched.length === 0) return [];
+        const candidates = [];
+        for (const lc of lFree) {
+            for (const rc of rFree) {
+                let same = 0;
+                for (const { l, r } of matched) if (left.rows[l][lc] === right.rows[r][rc]) same++;
+                const score = same / matched.length;
+                if (score >= RENAME_THRESHOLD) candidates.push({ lc, rc, score });
+            }
+        }
+        candidates.sort((a, b) => b.score - a.score);
+        const lTaken = new Set(), rTaken = new Set(), renames = [];
+        for (const c of candidates) {
+            if (lTaken.has(c.lc) || rTaken.has(c.rc)) continue;
+            lTaken.add(c.lc);
+            rTaken.add(c.rc);
+            renames.push(c);
+        }
+        return renames;
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  COMPARE
+    // ───────────────────────────────────────────────────────────
+    function compare(leftText, rightText, options = {}) {
+        const format = options.format || 'csv';
+        const header = options.header !== false;
+
+        const lp = parse(leftText, 'Left', format);
+        if (lp.error) return lp;
+        const rp = parse(rightText, 'Right', format);
+        if (rp.error) return rp;
+        const left = toTable(lp.rows, header);
+        const right = toTable(rp.rows, header);
+
+        // Columns with the same name
+        const lByName = new Map(left.names.map((name, c) => [name, c]));
+        const rToLCol = right.names.map(name => (lByName.has(name) ? lByName.get(name) : -1));
+        const shared = [];
+        rToLCol.forEach((l, r) => { if (l >= 0) shared.push({ l, r }); });
+
+        // Rows
+        let warning = null;
+        let pairs;
+        const key = options.key || '';
+        if (key && lByName.has(key) && right.names.includes(key)) {
+            pairs = matchRowsByKey(left, right, lByName.get(key), right.names.indexOf(key));
+        } else {
+            if (key) warning = `Key column "${key}" isn't in both tables — rows were matched by position`;
+            pairs = matchRowsByPosition(left, right, shared);
+        }
+
+        // Renamed columns
+        const lFree = left.names.map((_, c) => c).filter(c => !shared.some(s => s.l === c));
+        const rFree = right.names.map((_, c) => c).filter(c => rToLCol[c] < 0);
+        const renamed = new Set();
+        for (const { lc, rc } of findRenames(left, right, lFree, rFree, pairs)) {
+            rToLCol[rc] = lc;
+            renamed.add(rc);
+        }
+
+        const columns = mergeOrder(rToLCol, left.names.length).map(({ l, r }) => {
+            let status = 'equal';
+            if (l < 0) status = 'added';
+            else if (r < 0) status = 'removed';
+            else if (renamed.has(r)) status = 'renamed';
+            return { l, r, status, name: r >= 0 ? right.names[r] : left.names[l], oldName: l >= 0 ? left.names[l] : null };
+        });
+        const compared = columns.filter(c => c.l >= 0 && c.r >= 0);
+
+        // Cells
+        const stats = { added: 0, removed: 0, changed: 0, cells: 0, columns: { added: 0, removed: 0, renamed: 0 } };
+        for (const c of columns) if (c.status !== 'equal') stats.columns[c.status]++;
+        const rows = pairs.map(({ l, r }) => {
+            if (l < 0) { stats.added++; return { status: 'added', l, r }; }
+            if (r < 0) { stats.removed++; return { status: 'removed', l, r }; }
+            const changed = new Set();
+            for (const c of compared) {
+                if (left.rows[l][c.l] !== right.rows[r][c.r]) changed.add(c);
+            }
+            if (changed.size === 0) return { status: 'equal', l, r };
+            stats.changed++;
+            stats.cells += changed.size;
+            return { status: 'changed', l, r, changed };
+        });
+
+        return { left, right, columns, rows, stats, key: warning ? '' : key, warning };
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  GRID RENDERER
+    //  Unchanged rows far from any change collapse into a separator.
+    // ───────────────────────────────────────────────────────────
+    function renderGrid(result, options = {}) {
+        const esc = DiffEngine.escape;
+        const { left, right, columns, rows } = result;
+        const changedColumns = columns.some(c => c.status !== 'equal');
+        if (!changedColumns && rows.every(row => row.status === 'equal')) return noDifferences();
+
+        const head = columns.map(c => {
+            const label = c.status === 'renamed'
+                ? `<span class="word-removed">${esc(c.oldName)}</span> → <span class="word-added">${esc(c.name)}</span>`
+                : esc(c.name);
+            const title = { added: 'Column added', removed: 'Column removed', renamed: `Renamed from "${c.oldName}"` }[c.status];
+            const isKey = c.name === result.key && c.status !== 'removed';
+            return `<th class="tg-col tg-col-${c.status}${isKey ? ' tg-key' : ''}"${title ? ` title="${esc(title)}"` : ''}>${label}</th>`;
+        }).join('');
+
+        // Rows to show: every change plus CONTEXT_ROWS of context
+        const show = new Uint8Array(rows.length);
+        rows.forEach((row, k) => {
+            if (row.status === 'equal') return;
+            show.fill(1, Math.max(0, k - CONTEXT_ROWS), Math.min(rows.length, k + CONTEXT_ROWS + 1));
+        });
+        // Only columns changed: a few leading rows show what they hold
+        if (!show.includes(1)) show.fill(1, 0, Math.min(rows.length, 2 * CONTEXT_ROWS + 1));
+
+        const cell = (row, c) => {
+            const lv = c.l >= 0 && row.l >= 0 ? left.rows[row.l][c.l] : null;
+            const rv = c.r >= 0 && row.r >= 0 ? right.rows[row.r][c.r] : null;
+            if (row.changed && row.changed.has(c)) {
+                const { leftHtml, rightHtml } = DiffEngine.intralineDiff(lv, rv, options.granularity);
+                return `<td class="tg-cell tg-cell-changed"><span class="tg-old">${leftHtml}</span><span class="tg-new">${rightHtml}</span></td>`;
+            }
+            const value = rv !== null ? rv : lv;
+            return `<td class="tg-cell tg-col-${c.status}">${value === null ? '' : esc(value)}</td>`;
+        };
+
+        const body = [];
+        let hidden = 0;
+        const flushHidden = () => {
+            if (hidden) body.push(`<tr class="tg-sep"><td colspan="${columns.length + 2}">⋯ ${hidden} unchanged row${hidden === 1 ? '' : 's'} ⋯</td></tr>`);
+            hidden = 0;
+        };
+        rows.forEach((row, k) => {
+            if (!show[k]) { hidden++; return; }
+            flushHidden();
+            const lNum = row.l >= 0 ? row.l + left.firstRow : '';
+            const rNum = row.r >= 0 ? row.r + right.firstRow : '';
+            body.push(`<tr class="tg-row tg-row-${row.status}"><td class="tg-num">${lNum}</td><td class="tg-num">${rNum}</td>${columns.map(c => cell(row, c)).join('')}</tr>`);
+        });
+        flushHidden();
+
+        const warning = result.warning ? `<div class="tg-warning">${esc(result.warning)}</div>` : '';
+        return `${warning}<div class="table-grid-wrap"><table class="table-grid">
+<thead><tr><th class="tg-num" title="Left row">L</th><th class="tg-num" title="Right row">R</th>${head}</tr></thead>
+<tbody>${body.join('')}</tbody>
+</table></div>`;
+    }
+
+    function noDifferences() {
+        return '<div style="padding:20px;text-align:center;color:var(--diff-unchanged-text);font-family:var(--font-mono);font-size:0.85rem">✓ No differences found — tables are equivalent</div>';
+    }
+
+    // Plain-text change list for Copy / Download
+    function toText(result) {
+        const { left, right, columns } = result;
+        const lines = [];
+        for (const c of columns) {
+            if (c.status === 'added') lines.push(`${OP_SYMBOLS.added} column "${c.name}"`);
+            else if (c.status === 'removed') lines.push(`${OP_SYMBOLS.removed} column "${c.name}"`);
+            else if (c.status === 'renamed') lines.push(`${OP_SYMBOLS.renamed} column "${c.oldName}" renamed to "${c.name}"`);
+        }
+        const keyCol = result.key ? columns.find(c => c.name === result.key && c.l >= 0 && c.r >= 0) : null;
+        const label = row => {
+            if (keyCol) return `${result.key}=${row.r >= 0 ? right.rows[row.r][keyCol.r] : left.rows[row.l][keyCol.l]}`;
+            return row.r >= 0 ? `row ${row.r + right.firstRow}` : `row ${row.l + left.firstRow} (left)`;
+        };
+        const csvRow = (table, idx) => JSON.stringify(table.rows[idx]);
+        for (const row of result.rows) {
+            if (row.status === 'added') lines.push(`${OP_SYMBOLS.added} ${label(row)}  ${csvRow(right, row.r)}`);
+            else if (row.status === 'removed') lines.push(`${OP_SYMBOLS.removed} ${label(row)}  ${csvRow(left, row.l)}`);
+            else if (row.status === 'changed') {
+                for (const c of row.changed) {
+                    lines.push(`${OP_SYMBOLS.changed} ${label(row)}  ${c.name}: ${JSON.stringify(left.rows[row.l][c.l])} → ${JSON.stringify(right.rows[row.r][c.r])}`);
+                }
+            }
+        }
+        return lines.join('\n') + (lines.length ? '\n' : '');
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  PUBLIC API
+    // ───────────────────────────────────────────────────────────
+    window.TableDiff = {
+        /**
+         * Cell-level diff of two CSV / TSV texts.
+         * @param {string} leftText
+         * @param {string} rightText
+         * @param {object} [options]
+         * @param {string}  [options.format]  'csv' (default) | 'tsv'
+         * @param {boolean} [options.header]  first row holds column names (default true)
+         * @param {string}  [options.key]     column matching rows; rows are matched by position without one
+         * @returns {{ left: object, right: object,
+         *           columns: Array<{ l: number, r: number, name: string, oldName: ?string,
+         *                            status: 'equal'|'added'|'removed'|'renamed' }>,
+         *           rows: Array<{ l: number, r: number, status: 'equal'|'added'|'removed'|'changed', changed?: Set<object> }>,
+         *           stats: { added: number, removed: number, changed: number, cells: number,
+         *                    columns: { added: number, removed: number, renamed: number } },
+         *           key: string, warning: ?string }
+         *          | { error: string, side: string, pos: number }}
+         */
+        compare,
+
+        /**
+         * Grid of the merged table with changed cells highlighted.
+         * @param {object} result  from compare()
+         * @param {{ granularity?: string }} [options] intraline highlights inside changed cells
+         * @returns {string}
+         */
+        renderGrid,
+
+        /**
+         * Plain-text list of column and row changes.
+         * @param {object} result  from compare()
+         * @returns {string}
+         */
+        toText
+    };
+
+})();
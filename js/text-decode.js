@@ -0,0 +1,179 @@
+/**
+ * Codediff — Text Decoding
+ *
+ * Turns a file's bytes into text without assuming UTF-8:
+ *   1. a byte order mark decides (UTF-8, UTF-16 LE / BE)
+ *   2. many control bytes in the first 8000 bytes mean binary
+ *   3. BOM-less UTF-16 shows as a zero byte in every other position,
+ *      with printable ASCII in between
+ *   4. any other NUL in the first 8000 bytes means binary (the same
+ *      test git uses)
+ *   5. bytes that decode as strict UTF-8 are UTF-8
+ *   6. anything else is a single-byte code page — Windows-1251 when the
+ *      high bytes run together in words (Cyrillic), else Windows-1252
+ *
+ * Single-byte guesses can be wrong, so the caller offers ENCODINGS as
+ * a manual override and passes the choice back to decode().
+ */
+
+(function TextDecodeModule() {
+    'use strict';
+
+    const isModule = typeof module === 'object' && module !== null && !!module.exports;
+    const scope = isModule ? null : typeof window !== 'undefined' ? window : self;
+
+    // ───────────────────────────────────────────────────────────
+    //  CONSTANTS
+    // ───────────────────────────────────────────────────────────
+    const SAMPLE_BYTES = 8000;
+    const MAX_CONTROL_RATIO = 0.1;     // more control bytes than this in the sample → binary
+    const MIN_UTF16_ASCII_RATIO = 0.9; // of the non-zero bytes, for BOM-less UTF-16
+    const TEXT_CONTROLS = new Set([0x08, 0x09, 0x0A, 0x0B, 0x0C, 0x0D, 0x1B]);   // \b \t \n \v \f \r ESC
+
+    /** Encodings offered for a manual override — WHATWG labels TextDecoder accepts */
+    const ENCODINGS = [
+        { value: 'utf-8', label: 'UTF-8' },
+        { value: 'utf-16le', label: 'UTF-16 LE' },
+        { value: 'utf-16be', label: 'UTF-16 BE' },
+        { value: 'windows-1252', label: 'Western (Windows-1252 / Latin-1)' },
+        { value: 'iso-8859-15', label: 'Western (ISO-8859-15)' },
+        { value: 'windows-1250', label: 'Central European (Windows-1250)' },
+        { value: 'windows-1251', label: 'Cyrillic (Windows-1251)' },
+        { value: 'koi8-r', label: 'Cyrillic (KOI8-R)' },
+        { value: 'windows-1253', label: 'Greek (Windows-1253)' },
+        { value: 'windows-1254', label: 'Turkish (Windows-1254)' },
+        { value: 'shift_jis', label: 'Japanese (Shift_JIS)' },
+        { value: 'gbk', label: 'Chinese Simplified (GBK)' },
+        { value: 'big5', label: 'Chinese Traditional (Big5)' },
+        { value: 'euc-kr', label: 'Korean (EUC-KR)' }
+    ];
+
+    // ───────────────────────────────────────────────────────────
+    //  DETECTION
+    // ───────────────────────────────────────────────────────────
+    function sniffBom(bytes) {
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+        return null;
+    }
+
+    function isTextByte(b) {
+        return (b >= 0x20 && b < 0x7F) || TEXT_CONTROLS.has(b);
+    }
+
+    // ASCII in UTF-16 has a zero high byte: odd positions for LE, even for BE.
+    // Binary data full of zeros (tables of small numbers) has them too, but
+    // not printable ASCII in the other bytes.
+    function sniffUtf16(sample) {
+        const pairs = sample.length >> 1;
+        if (pairs < 2) return null;
+        let evenZeros = 0, oddZeros = 0, nonZero = 0, ascii = 0;
+        for (let i = 0; i + 1 < sample.length; i += 2) {
+            if (sample[i] === 0) evenZeros++;
+            if (sample[i + 1] === 0) oddZeros++;
+        }
+        for (const b of sample) {
+            if (b === 0) continue;
+            nonZero++;
+            if (isTextByte(b)) ascii++;
+        }
+        if (ascii < nonZero * MIN_UTF16_ASCII_RATIO) return null;
+        if (oddZeros > pairs * 0.3 && evenZeros < pairs * 0.05) return 'utf-16le';
+        if (evenZeros > pairs * 0.3 && oddZeros < pairs * 0.05) return 'utf-16be';
+        return null;
+    }
+
+    // NULs aside — UTF-16 is full of them, so detect() tests them after it
+    function looksBinary(sample) {
+        let controls = 0;
+        for (const b of sample) {
+            if (b !== 0 && !isTextByte(b) && b < 0x80) controls++;
+        }
+        return controls > sample.length * MAX_CONTROL_RATIO;
+    }
+
+    function isUtf8(bytes) {
+        try {
+            new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    // Cyrillic words are runs of high bytes; accented Latin letters mostly stand alone
+    function guessSingleByte(bytes) {
+        const sample = bytes.subarray(0, 64 * 1024);
+        let high = 0, inRuns = 0, run = 0;
+        for (let i = 0; i <= sample.length; i++) {
+            if (i < sample.length && sample[i] >= 0xC0) { run++; continue; }
+            high += run;
+            if (run >= 3) inRuns += run;
+            run = 0;
+        }
+        return high > 0 && inRuns / high > 0.5 ? 'windows-1251' : 'windows-1252';
+    }
+
+    function detect(bytes) {
+        const bomEncoding = sniffBom(bytes);
+        if (bomEncoding) return { encoding: bomEncoding, bom: true, binary: false };
+
+        const sample = bytes.subarray(0, SAMPLE_BYTES);
+        if (looksBinary(sample)) return { encoding: null, bom: false, binary: true };
+        const utf16 = sniffUtf16(sample);
+        if (utf16) return { encoding: utf16, bom: false, binary: false };
+        if (sample.includes(0)) return { encoding: null, bom: false, binary: true };
+        return { encoding: isUtf8(bytes) ? 'utf-8' : guessSingleByte(bytes), bom: false, binary: false };
+    }
+
+    // A forced encoding still reads binary data — the user asked for it
+    function decode(bytes, encoding) {
+        const detected = detect(bytes);
+        if (!encoding && detected.binary) return { text: null, encoding: null, bom: false, binary: true };
+        const used = encoding || detected.encoding;
+        // TextDecoder drops a BOM that matches the encoding
+        return {
+            text: new TextDecoder(used).decode(bytes),
+            encoding: used,
+            bom: detected.bom && detected.encoding === used,
+            binary: detected.binary
+        };
+    }
+
+    // ───────────────────────────────────────────────────────────
+    //  PUBLIC API
+    // ───────────────────────────────────────────────────────────
+    const TextDecode = {
+        ENCODINGS,
+
+        /**
+         * Work out how a file's bytes are encoded.
+         * @param {Uint8Array} bytes
+         * @returns {{ encoding: ?string, bom: boolean, binary: boolean }} encoding is null for binary data
+         */
+        detect,
+
+        /**
+         * Decode a file's bytes.
+         * @param {Uint8Array} bytes
+         * @param {string} [encoding] overrides detection, e.g. a value from ENCODINGS
+         * @returns {{ text: ?string, encoding: ?string, bom: boolean, binary: boolean }}
+         *          text is null when the bytes look binary and no encoding was forced
+         */
+        decode,
+
+        /**
+         * Display name of an encoding label.
+         * @param {string} encoding
+         * @returns {string}
+         */
+        label(encoding) {
+            return ENCODINGS.find(e => e.value === encoding)?.label || encoding;
+        }
+    };
+
+    if (isModule) module.exports = TextDecode;
+    else scope.TextDecode = TextDecode;
+
+})();
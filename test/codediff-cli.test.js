@@ -0,0 +1,82 @@
+/**
+ * bin/codediff.js — exit status and output formats.
+ * Run with `npm test`.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const BIN = path.join(__dirname, '..', 'bin', 'codediff.js');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'codediff-'));
+fs.writeFileSync(path.join(dir, 'l.txt'), 'a\nb\nc\n');
+fs.writeFileSync(path.join(dir, 'r.txt'), 'a\nB\nc\n');
+fs.writeFileSync(path.join(dir, 'same.txt'), 'a\nb\nc\n');
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function codediff(args, input) {
+    const { status, stdout, stderr } = spawnSync(process.execPath, [BIN, ...args], { cwd: dir, input, encoding: 'utf8' });
+    return { status, stdout, stderr };
+}
+
+test('identical files exit 0 with no output', () => {
+    assert.deepStrictEqual(codediff(['l.txt', 'same.txt']), { status: 0, stdout: '', stderr: '' });
+});
+
+test('-u prints a unified patch and exits 1', () => {
+    const { status, stdout } = codediff(['-u', 'l.txt', 'r.txt']);
+    assert.strictEqual(status, 1);
+    assert.strictEqual(stdout, '--- a/l.txt\n+++ b/r.txt\n@@ -1,3 +1,3 @@\n a\n-b\n+B\n c\n');
+});
+
+test('- reads standard input', () => {
+    const { status, stdout } = codediff(['-u', '-', 'r.txt'], 'a\nb\nc\n');
+    assert.strictEqual(status, 1);
+    assert.strictEqual(stdout, '--- a/stdin\n+++ b/r.txt\n@@ -1,3 +1,3 @@\n a\n-b\n+B\n c\n');
+});
+
+test('the terminal view colors only on request', () => {
+    assert.strictEqual(codediff(['--color', 'never', 'l.txt', 'r.txt']).stdout,
+        '--- l.txt\n+++ r.txt\n@@ -1,3 +1,3 @@\n a\n-b\n+B\n c\n');
+    assert.strictEqual(codediff(['--color', 'always', 'l.txt', 'r.txt']).stdout,
+        '\x1b[1m--- l.txt\x1b[0m\n\x1b[1m+++ r.txt\x1b[0m\n\x1b[36m@@ -1,3 +1,3 @@\x1b[0m\n a\n\x1b[31m-b\x1b[0m\n\x1b[32m+B\x1b[0m\n c\n');
+});
+
+test('-q only says whether the files differ', () => {
+    assert.deepStrictEqual(codediff(['-q', 'l.txt', 'r.txt']), { status: 1, stdout: 'Files l.txt and r.txt differ\n', stderr: '' });
+});
+
+test('-o json prints the stats and hunks', () => {
+    const { status, stdout } = codediff(['-o', 'json', 'l.txt', 'r.txt']);
+    const report = JSON.parse(stdout);
+    assert.strictEqual(status, 1);
+    assert.strictEqual(report.identical, false);
+    assert.deepStrictEqual(report.stats, { added: 1, removed: 1, changed: 0, moved: 0, whitespace: 0 });
+    assert.deepStrictEqual(report.hunks.map(h => h.type), ['equal', 'removed', 'added', 'equal']);
+});
+
+test('-o html prints a standalone report', () => {
+    const { status, stdout } = codediff(['-o', 'html', 'l.txt', 'r.txt']);
+    assert.strictEqual(status, 1);
+    assert.ok(stdout.startsWith('<!DOCTYPE html>\n'));
+    assert.match(stdout, /<title>l\.txt → r\.txt<\/title>/);
+});
+
+test('trouble exits 2 with a message on stderr', () => {
+    const missing = codediff(['l.txt', 'missing.txt']);
+    assert.deepStrictEqual(missing, { status: 2, stdout: '', stderr: 'codediff: missing.txt: No such file or directory\n' });
+
+    const unknown = codediff(['--bogus', 'l.txt', 'r.txt']);
+    assert.strictEqual(unknown.status, 2);
+    assert.strictEqual(unknown.stderr, "codediff: unknown option '--bogus'\nTry 'codediff --help' for more information.\n");
+
+    const invalid = codediff(['--json', 'l.txt', 'r.txt']);
+    assert.strictEqual(invalid.status, 2);
+    assert.match(invalid.stderr, /^codediff: l\.txt: Invalid JSON/);
+});
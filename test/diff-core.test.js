@@ -0,0 +1,90 @@
+/**
+ * DiffCore — the headless API the page, the CLI and the package share.
+ * Run with `npm test`.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const DiffCore = require('../js/diff-core.js');
+
+const NO_CHANGES = { added: 0, removed: 0, changed: 0, moved: 0, whitespace: 0 };
+
+test('diff() gives per-line hunks, stats and a unified patch', () => {
+    const { hunks, stats, plainText } = DiffCore.diff('a\nb\nc\n', 'a\nB\nc\nd\n', { leftName: 'f', rightName: 'f' });
+    assert.deepStrictEqual(hunks.map(h => [h.type, h.lLines, h.rLines, h.lStart, h.rStart]), [
+        ['equal', ['a'], ['a'], 0, 0],
+        ['removed', ['b'], [''], 1, -1],
+        ['added', [''], ['B'], -1, 1],
+        ['equal', ['c'], ['c'], 2, 2],
+        ['added', [''], ['d'], -1, 3]
+    ]);
+    assert.deepStrictEqual(stats, { ...NO_CHANGES, added: 2, removed: 1 });
+    assert.strictEqual(plainText, '--- a/f\n+++ b/f\n@@ -1,3 +1,4 @@\n a\n-b\n+B\n c\n+d\n');
+});
+
+test('identical texts give no patch', () => {
+    const { stats, plainText } = DiffCore.diff('x\n', 'x\n');
+    assert.deepStrictEqual(stats, NO_CHANGES);
+    assert.strictEqual(plainText, '');
+});
+
+test('a missing final newline is a change, and the patch says so', () => {
+    const { plainText, eol } = DiffCore.diff('a\n', 'a');
+    assert.deepStrictEqual(eol, { left: true, right: false });
+    assert.strictEqual(plainText, '--- a/original\n+++ b/modified\n@@ -1 +1 @@\n-a\n+a\n\\ No newline at end of file\n');
+});
+
+test('whitespace-only changes are flagged, or ignored on request', () => {
+    assert.deepStrictEqual(DiffCore.diff('let a = 1;\n', 'let  a = 1;  \n').stats, { ...NO_CHANGES, whitespace: 1 });
+    assert.deepStrictEqual(DiffCore.diff('let a = 1;\n', 'let  a = 1;  \n', { ignoreWhitespace: true }).stats, NO_CHANGES);
+});
+
+test('masked text compares equal; an invalid mask throws', () => {
+    assert.deepStrictEqual(DiffCore.diff('id=1 a\n', 'id=2 a\n', { masks: ['id=\\d+'] }).stats, NO_CHANGES);
+    assert.throws(() => DiffCore.diff('a', 'b', { masks: ['('] }), SyntaxError);
+});
+
+test('a block that moves is counted as moved', () => {
+    const { stats } = DiffCore.diff('1\n2\n3\n4\n5\n6\n', '4\n5\n6\n1\n2\n3\n');
+    assert.deepStrictEqual(stats, { ...NO_CHANGES, moved: 3 });
+});
+
+test('format: json compares the normalized documents', () => {
+    // Normalized text has no final newline of its own
+    const { stats, plainText } = DiffCore.diff('{"b":1,"a":2}\n', '{"a":2,"b":3}\n', { format: 'json', sortKeys: true });
+    assert.deepStrictEqual(stats, { ...NO_CHANGES, changed: 1 });
+    assert.strictEqual(plainText, '--- a/original\n+++ b/modified\n@@ -1,4 +1,4 @@\n {\n   "a": 2,\n-  "b": 1\n+  "b": 3\n }\n\\ No newline at end of file\n');
+});
+
+test('a side that does not parse as the format is an error result', () => {
+    const result = DiffCore.diff('{"b":1', '{}', { format: 'json' });
+    assert.strictEqual(result.side, 'Left');
+    assert.strictEqual(result.pos, 6);
+    assert.match(result.error, /^Left pane: Invalid JSON/);
+});
+
+test('intralineRuns() splits a changed line into equal and changed runs', () => {
+    assert.deepStrictEqual(DiffCore.intralineRuns('foo bar baz', 'foo qux baz'), [
+        { equal: true, left: 'foo ', right: 'foo ' },
+        { equal: false, left: 'bar', right: 'qux' },
+        { equal: true, left: ' baz', right: ' baz' }
+    ]);
+});
+
+test('every algorithm finds the same changes', () => {
+    assert.deepStrictEqual(DiffCore.algorithms, ['myers', 'patience', 'histogram']);
+    for (const algorithm of DiffCore.algorithms) {
+        const { plainText } = DiffCore.diff('a\nb\nc\n', 'a\nc\n', { algorithm, leftName: 'f', rightName: 'f' });
+        assert.strictEqual(plainText, '--- a/f\n+++ b/f\n@@ -1,3 +1,2 @@\n a\n-b\n c\n', algorithm);
+    }
+});
+
+test('the ES module wrapper exports the same API', async () => {
+    const esm = await import('../js/diff-core.mjs');
+    assert.strictEqual(esm.default, DiffCore);
+    assert.strictEqual(esm.diff, DiffCore.diff);
+    assert.strictEqual(esm.unifiedDiff, DiffCore.unifiedDiff);
+});
@@ -0,0 +1,63 @@
+/**
+ * FormatEngine — the JSON / YAML / XML / TOML / CSV parsers and normalization.
+ * Run with `npm test`.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const FormatEngine = require('../js/format-engine.js');
+
+// Error messages from JSON.parse differ between engines; line and position don't
+function assertSyntaxError(text, format, line, pos) {
+    assert.throws(() => FormatEngine.parse(text, format), err => {
+        assert.strictEqual(err.name, 'SyntaxError');
+        assert.strictEqual(err.line, line);
+        assert.strictEqual(err.pos, pos);
+        assert.match(err.message, new RegExp(`^Line ${line}: `));
+        return true;
+    });
+}
+
+test('the format follows the file extension', () => {
+    assert.deepStrictEqual(['x.yml', 'a.TOML', 'feed.xml', 'x.js', null].map(FormatEngine.detect), ['yaml', 'toml', 'xml', 'text', 'text']);
+});
+
+test('JSON parses as JSON.parse does, and normalizes with sorted keys', () => {
+    assert.deepStrictEqual(FormatEngine.parse('{"a":[1,2,{"b":null}]}', 'json'), { a: [1, 2, { b: null }] });
+    assert.strictEqual(FormatEngine.normalize('{"b":1,"a":[1,2]}', 'json', { sortKeys: true }), '{\n  "a": [\n    1,\n    2\n  ],\n  "b": 1\n}');
+    assertSyntaxError('{\n"a":1,\n}', 'json', 3, 9);
+});
+
+test('YAML block and flow collections, and multi-document streams', () => {
+    assert.deepStrictEqual(FormatEngine.parse('name: app\nlist:\n  - 1\n  - two\nnested:\n  k: true\n', 'yaml'),
+        { name: 'app', list: [1, 'two'], nested: { k: true } });
+    assert.deepStrictEqual(FormatEngine.parse('a: 1\n---\nb: 2\n', 'yaml'), [{ a: 1 }, { b: 2 }]);
+    assert.strictEqual(FormatEngine.normalize('b: 1\na: [1, 2]\n', 'yaml', { sortKeys: true }), 'a:\n  - 1\n  - 2\nb: 1');
+    assertSyntaxError('a: [1\n', 'yaml', 2, 6);
+});
+
+test('TOML tables, arrays and dates as written', () => {
+    assert.deepStrictEqual(FormatEngine.parse('title = "x"\n[server]\nport = 8080\nhosts = ["a", "b"]\nwhen = 1979-05-27T07:32:00Z\n', 'toml'),
+        { title: 'x', server: { port: 8080, hosts: ['a', 'b'], when: '1979-05-27T07:32:00Z' } });
+    assert.strictEqual(FormatEngine.normalize('b = 1\na = 2\n[t]\nx = "y"\n', 'toml', { sortKeys: true }), 'a = 2\nb = 1\n\n[t]\nx = "y"');
+    assertSyntaxError('a = \n', 'toml', 1, 4);
+});
+
+test('XML parses to a node tree and normalizes with sorted attributes', () => {
+    const doc = FormatEngine.parse('<r b="2" a="1"><c>hi</c></r>', 'xml');
+    const [root] = doc.children;
+    assert.strictEqual(root.name, 'r');
+    assert.deepStrictEqual(root.attrs, [['b', '2'], ['a', '1']]);
+    assert.deepStrictEqual(root.children[0].children, [{ type: 'text', value: 'hi' }]);
+    assert.strictEqual(FormatEngine.normalize('<r b="2" a="1"><c>hi</c></r>', 'xml'), '<r a="1" b="2">\n  <c>hi</c>\n</r>');
+    assertSyntaxError('<r><c></r>', 'xml', 1, 6);
+});
+
+test('CSV follows RFC 4180 quoting; TSV splits on tabs', () => {
+    assert.deepStrictEqual(FormatEngine.parse('a,b\n"x, y",2\n"q""z",\n', 'csv'), [['a', 'b'], ['x, y', '2'], ['q"z', '']]);
+    assert.deepStrictEqual(FormatEngine.parse('a\tb\n1\t2\n', 'tsv'), [['a', 'b'], ['1', '2']]);
+    assertSyntaxError('a,"b\n', 'csv', 1, 2);
+});
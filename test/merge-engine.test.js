@@ -0,0 +1,51 @@
+/**
+ * MergeEngine — diff3 three-way merge.
+ * Run with `npm test`.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const MergeEngine = require('../js/merge-engine.js');
+
+const summary = merge => merge.chunks.map(c => [c.type, c.base, c.left, c.right]);
+
+test('changes on different lines merge automatically', () => {
+    const merge = MergeEngine.merge('a\nb\nc\nd\ne\n', 'a\nB\nc\nd\ne\n', 'a\nb\nc\nd\nE\n');
+    assert.deepStrictEqual(summary(merge), [
+        ['stable', ['a'], ['a'], ['a']],
+        ['left', ['b'], ['B'], ['b']],
+        ['stable', ['c', 'd'], ['c', 'd'], ['c', 'd']],
+        ['right', ['e'], ['e'], ['E']]
+    ]);
+    assert.strictEqual(merge.conflicts, 0);
+    assert.strictEqual(merge.autoMerged, 2);
+    assert.strictEqual(MergeEngine.result(merge), 'a\nB\nc\nd\nE\n');
+});
+
+test('both sides making the same change is no conflict', () => {
+    const merge = MergeEngine.merge('a\nb\nc\n', 'a\nX\nc\n', 'a\nX\nc\n');
+    assert.deepStrictEqual(summary(merge)[1], ['both', ['b'], ['X'], ['X']]);
+    assert.strictEqual(MergeEngine.result(merge), 'a\nX\nc\n');
+});
+
+test('different changes to the same line conflict, with diff3 markers', () => {
+    const merge = MergeEngine.merge('a\nb\nc\n', 'a\nX\nc\n', 'a\nY\nc\n');
+    assert.deepStrictEqual(summary(merge)[1], ['conflict', ['b'], ['X'], ['Y']]);
+    assert.strictEqual(merge.conflicts, 1);
+    assert.strictEqual(MergeEngine.result(merge),
+        'a\n<<<<<<< mine\nX\n||||||| base\nb\n=======\nY\n>>>>>>> theirs\nc\n');
+    assert.strictEqual(MergeEngine.result(merge, new Map([[1, ['XY']]])), 'a\nXY\nc\n');
+});
+
+test('the final newline merges like a line', () => {
+    assert.strictEqual(MergeEngine.result(MergeEngine.merge('a\nb\n', 'a\nb', 'a\nb\n')), 'a\nb');
+});
+
+test('both sides deleting everything merges to empty text', () => {
+    const merge = MergeEngine.merge('a\n', '', '');
+    assert.deepStrictEqual(summary(merge), [['both', ['a'], [], []]]);
+    assert.strictEqual(MergeEngine.result(merge), '');
+});
@@ -0,0 +1,52 @@
+/**
+ * PatchEngine.apply() — placement against GNU patch's behaviour.
+ * Run with `npm test`.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// A page script: it reads DiffEngine from, and registers on, `window`
+globalThis.window = globalThis;
+globalThis.DiffEngine = require('../js/diff-engine.js');
+require('../js/patch-engine.js');
+const { PatchEngine } = globalThis;
+
+const FILE = 'a\nb\nc\nd\ne\nf\n';
+
+test('a hunk with context on one side only lands anywhere once fuzz drops the imbalance', () => {
+    // Made against a file ending at `e`; GNU patch: "Hunk #1 succeeded at 3 with fuzz 2"
+    const [file] = PatchEngine.parse('--- a/f\n+++ b/f\n@@ -3,3 +3,3 @@\n c\n d\n-e\n+E\n');
+    const { text, results } = PatchEngine.apply(FILE, file);
+    assert.strictEqual(text, 'a\nb\nc\nd\nE\nf\n');
+    assert.strictEqual(results[0].status, 'fuzz');
+    assert.strictEqual(results[0].fuzz, 2);
+    assert.strictEqual(results[0].line, 3);
+});
+
+test('without enough fuzz, such a hunk must still end the file', () => {
+    const [file] = PatchEngine.parse('--- a/f\n+++ b/f\n@@ -3,3 +3,3 @@\n c\n d\n-e\n+E\n');
+    const { text, results } = PatchEngine.apply(FILE, file, { fuzz: 1 });
+    assert.strictEqual(text, FILE);
+    assert.strictEqual(results[0].status, 'rejected');
+});
+
+test('a CRLF file keeps its line endings', () => {
+    const [file] = PatchEngine.parse('--- a/f\n+++ b/f\n@@ -1,3 +1,3 @@\n a\n-b\n+B\n c\n');
+    const { text, results } = PatchEngine.apply('a\r\nb\r\nc\r\nd\r\n', file);
+    assert.strictEqual(text, 'a\r\nB\r\nc\r\nd\r\n');
+    assert.strictEqual(results[0].status, 'applied');
+});
+
+test('a hunk that only adds a CR parses as a change', () => {
+    const [file] = PatchEngine.parse('--- a/f\n+++ b/f\n@@ -1,2 +1,2 @@\n a\n-b\n+b\r\n');
+    assert.deepStrictEqual(file.patchHunks[0].lines.map(l => l.op + l.text), [' a', '-b', '+b\r']);
+    assert.strictEqual(PatchEngine.apply('a\nb\n', file).text, 'a\nb\r\n');
+});
+
+test('a patch saved with CRLF throughout still applies to an LF file', () => {
+    const [file] = PatchEngine.parse('--- a/f\r\n+++ b/f\r\n@@ -1,3 +1,3 @@\r\n a\r\n-b\r\n+B\r\n c\r\n');
+    assert.strictEqual(PatchEngine.apply('a\nb\nc\nd\n', file).text, 'a\nB\nc\nd\n');
+});
@@ -0,0 +1,54 @@
+/**
+ * ShareLink — encoding page state into a URL fragment and back.
+ * Run with `npm test`.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const ShareLink = require('../js/share-link.js');
+
+const STATE = { left: 'a\nb\n', right: 'a\nc\n', options: { ignoreCase: true } };
+
+async function assertShareError(promise, code, message) {
+    await assert.rejects(promise, err => {
+        assert.strictEqual(err.code, code);
+        assert.strictEqual(err.message, message);
+        return true;
+    });
+}
+
+test('a link decodes to the state it was made from', async () => {
+    const fragment = await ShareLink.encode(STATE);
+    assert.ok(fragment.startsWith('share=z.'));
+    assert.strictEqual(ShareLink.isShareLink('#' + fragment), true);
+    assert.strictEqual(ShareLink.isEncrypted('#' + fragment), false);
+    assert.deepStrictEqual(await ShareLink.decode('#' + fragment), { v: 1, ...STATE });
+});
+
+test('an encrypted link needs its passphrase', async () => {
+    const fragment = await ShareLink.encode(STATE, 'correct horse');
+    assert.ok(fragment.startsWith('share=e.'));
+    assert.strictEqual(ShareLink.isEncrypted(fragment), true);
+    assert.deepStrictEqual(await ShareLink.decode(fragment, 'correct horse'), { v: 1, ...STATE });
+    await assertShareError(ShareLink.decode(fragment), 'passphrase', 'This link is encrypted — a passphrase is needed');
+    await assertShareError(ShareLink.decode(fragment, 'wrong'), 'passphrase', 'Wrong passphrase, or the link was altered');
+});
+
+test('damaged links are reported as corrupt', async () => {
+    const fragment = await ShareLink.encode(STATE);
+    await assertShareError(ShareLink.decode(fragment.slice(0, -6)), 'corrupt', 'The link is damaged — its data doesn\'t decompress (was it cut off?)');
+    await assertShareError(ShareLink.decode('share=z.!!!!'), 'corrupt', 'The link is damaged — it has characters base64url never uses');
+    await assertShareError(ShareLink.decode('share=q.abc'), 'corrupt', 'Not a Codediff share link');
+});
+
+test('a link from a newer version is unsupported', async () => {
+    const fragment = await ShareLink.encode({ ...STATE, v: 2 });
+    await assertShareError(ShareLink.decode(fragment), 'unsupported', 'This link was made by a newer Codediff');
+});
+
+test('other fragments are not share links', () => {
+    assert.deepStrictEqual(['#other', '', null].map(h => ShareLink.isShareLink(h)), [false, false, false]);
+});
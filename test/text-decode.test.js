@@ -0,0 +1,33 @@
+/**
+ * TextDecode.detect() — encodings and binary sniffing.
+ * Run with `npm test`.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const TextDecode = require('../js/text-decode.js');
+
+const detect = bytes => TextDecode.detect(new Uint8Array(bytes));
+
+test('BOM-less UTF-16 is text', () => {
+    const le = Buffer.from('hello world\nline two\n', 'utf16le');
+    assert.deepStrictEqual(detect(le), { encoding: 'utf-16le', bom: false, binary: false });
+    assert.deepStrictEqual(detect(Buffer.from(le).swap16()), { encoding: 'utf-16be', bom: false, binary: false });
+});
+
+test('zero bytes between non-ASCII bytes are binary, not UTF-16', () => {
+    const words = new Uint8Array(new Uint16Array([0x90, 0xA1, 0xB2, 0xC3, 0xD4, 0xE5, 0xF6, 0x87]).buffer);
+    assert.deepStrictEqual(detect(words), { encoding: null, bom: false, binary: true });
+});
+
+test('a NUL in otherwise plain text is binary', () => {
+    assert.strictEqual(detect(Buffer.from('abc\0def\n')).binary, true);
+});
+
+test('strict UTF-8 is UTF-8, anything else a single-byte code page', () => {
+    assert.strictEqual(detect(Buffer.from('héllo\n')).encoding, 'utf-8');
+    assert.strictEqual(detect([0x68, 0xE9, 0x6C, 0x6C, 0x6F]).encoding, 'windows-1252');
+});